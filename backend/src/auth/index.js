@@ -0,0 +1,31 @@
+import { createLocalVerifier } from './localVerifier.js';
+
+export const AUTH_DRIVERS = ['firebase', 'local'];
+
+// Each driver is a verifyIdToken(token) that resolves to the decoded token ({ uid, name, email })
+// or rejects. Firebase is imported on first use so local setups never load firebase-admin.
+export const createVerifier = (driver = 'firebase', { production = false } = {}) => {
+  switch (driver) {
+    case 'firebase':
+      return async (token) => {
+        const { auth } = await import('../firebase.js');
+        return auth.verifyIdToken(token);
+      };
+    case 'local':
+      if (production) {
+        throw new Error('AUTH_DRIVER "local" does not verify tokens and cannot run with NODE_ENV=production');
+      }
+      return createLocalVerifier();
+    default:
+      throw new Error(`Unknown AUTH_DRIVER "${driver}" (expected one of: ${AUTH_DRIVERS.join(', ')})`);
+  }
+};
+
+// Follows the storage driver unless set: Firestore deployments verify with Firebase, while
+// the sqlite and memory stores run locally and default to the local verifier.
+const storageDriver = (process.env.STORAGE_DRIVER || 'firestore').trim().toLowerCase();
+const authDriver = (process.env.AUTH_DRIVER || (storageDriver === 'firestore' ? 'firebase' : 'local')).trim().toLowerCase();
+
+export const verifyIdToken = createVerifier(authDriver, { production: process.env.NODE_ENV === 'production' });
+
+console.log(`[auth] using ${authDriver} token verifier`);
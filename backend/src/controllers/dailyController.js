@@ -0,0 +1,26 @@
+import {
+    getDailyChallenge as getDailyChallengeService,
+    startDailyAttempt as startDailyAttemptService,
+} from '../services/dailyChallengeService.js';
+import {log} from '../tools/logger.js';
+
+export const getDailyChallenge = async (req, res) => {
+    const result = await getDailyChallengeService(req.user.id);
+
+    res.json(result);
+};
+
+export const startDailyAttempt = async (req, res) => {
+    const {mode} = req.body || {};
+    const result = await startDailyAttemptService(req.user.id, {
+        mode,
+        playerName: req.user.name,
+    });
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error, attempt: result.attempt});
+    }
+
+    log('Started daily challenge attempt', result.game.id);
+    res.status(201).json({game: result.game, attempt: result.attempt});
+};
@@ -0,0 +1,84 @@
+import {
+    getPublication as getPublicationService,
+    publishStory as publishStoryService,
+    unpublishStory as unpublishStoryService,
+    listGallery as listGalleryService,
+    getPublishedStory as getPublishedStoryService,
+    recordView as recordViewService,
+} from '../services/galleryService.js';
+import {log} from '../tools/logger.js';
+
+export const getPublication = async (req, res) => {
+    const result = await getPublicationService(req.params.gameId, {playerId: req.user.id});
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    res.json({publication: result.publication});
+};
+
+export const publishStory = async (req, res) => {
+    const {gameId} = req.params;
+    const playerId = req.user.id;
+
+    const result = await publishStoryService(gameId, {playerId});
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    log(result.published
+        ? `Game ${gameId} published to the gallery as ${result.publication.slug}`
+        : `Player ${playerId} agreed to publish game ${gameId}`);
+    res.json({publication: result.publication});
+};
+
+export const unpublishStory = async (req, res) => {
+    const {gameId} = req.params;
+    const playerId = req.user.id;
+
+    const result = await unpublishStoryService(gameId, {playerId});
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    log(`Player ${playerId} withdrew game ${gameId} from the gallery`);
+    res.json({publication: result.publication});
+};
+
+export const listGallery = async (req, res) => {
+    const {sort, limit} = req.query;
+
+    try {
+        const result = await listGalleryService({sort, limit});
+        if (result.error) {
+            return res.status(result.status || 400).json({error: result.error});
+        }
+        res.json({stories: result.stories});
+    } catch (error) {
+        console.error('Failed to fetch gallery', error);
+        res.status(500).json({error: 'Failed to fetch gallery'});
+    }
+};
+
+export const getPublishedStory = async (req, res) => {
+    const result = await getPublishedStoryService(req.params.slug);
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    res.json({story: result.story});
+};
+
+export const recordView = async (req, res) => {
+    const result = await recordViewService(req.params.slug, {userId: req.user?.id, ip: req.ip});
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    res.json({views: result.views});
+};
@@ -5,88 +5,165 @@ import {
     getGameState as getGameStateService,
     joinGame as joinGameService,
     startGame as startGameService,
+    claimTurn as claimTurnService,
     previewTurn as previewTurnService,
     requestToJoin as requestToJoinService,
+    joinByInviteCode as joinByInviteCodeService,
     reviewJoinRequest as reviewJoinRequestService,
+    kickPlayer as kickPlayerService,
+    assignTeam as assignTeamService,
     listLobbies as listLobbiesService,
     abandonGame as abandonGameService,
+    leaveGame as leaveGameService,
     cleanupWaitingLobbies as cleanupWaitingLobbiesService,
     getUserHistory as getUserHistoryService,
+    rescoreGame as rescoreGameService,
+    castVote as castVoteService,
+    forkGame as forkGameService,
+    getGameFamily as getGameFamilyService,
+    exportStory as exportStoryService,
+    spectateGame as spectateGameService,
+    canViewGame,
+    scrubGameForPlayer,
+    stopSpectating as stopSpectatingService,
 } from '../services/gameService.js';
+import {subscribeToGame, subscribeToLobbies} from '../services/eventService.js';
 import {log} from '../tools/logger.js';
-
-const scrubGame = (game) => {
-    if (!game) return game;
-    const {storySoFar, ...rest} = game;
-    return {
-        ...rest,
-        guidePrompt: rest.guidePrompt ?? (rest.turnsCount ? null : rest.initialPrompt),
-    };
-};
+import {openEventStream} from '../tools/sse.js';
 
 export const createGame = async (req, res) => {
-    const {hostName, hostId, initialPrompt, turnDurationSeconds, maxTurns, maxPlayers, mode} = req.body || {};
-    const game = await createGameService({hostName, hostId, initialPrompt, turnDurationSeconds, maxTurns, maxPlayers, mode});
+    const {
+        initialPrompt,
+        turnDurationSeconds,
+        maxTurns,
+        maxPlayers,
+        mode,
+        allowSpectators,
+        visibility,
+        turnOrder,
+        teamStory,
+        scoringMethod,
+        voteWeight,
+        votingSeconds,
+        genre,
+        tone,
+        twistIntensity,
+    } = req.body || {};
+    const hostId = req.user.id;
+    const game = await createGameService({
+        hostName: req.user.name,
+        hostId,
+        initialPrompt,
+        turnDurationSeconds,
+        maxTurns,
+        maxPlayers,
+        mode,
+        allowSpectators,
+        visibility,
+        turnOrder,
+        teamStory,
+        scoringMethod,
+        voteWeight,
+        votingSeconds,
+        genre,
+        tone,
+        twistIntensity,
+    });
+
+    if (game.error) {
+        return res.status(game.status || 400).json({error: game.error});
+    }
 
     log('Created game', game.id);
-    res.status(201).json({game: scrubGame(game)});
+    res.status(201).json({game: scrubGameForPlayer(game, hostId)});
 };
 
 export const updateGameSettings = async (req, res) => {
     const {gameId} = req.params;
-    const {hostId, maxPlayers} = req.body || {};
-    const result = await updateGameSettingsService(gameId, {hostId, maxPlayers});
+    const {
+        maxPlayers,
+        allowSpectators,
+        visibility,
+        turnOrder,
+        teamStory,
+        scoringMethod,
+        voteWeight,
+        votingSeconds,
+        tone,
+        twistIntensity,
+    } = req.body || {};
+    const hostId = req.user.id;
+    const result = await updateGameSettingsService(gameId, {
+        hostId,
+        maxPlayers,
+        allowSpectators,
+        visibility,
+        turnOrder,
+        teamStory,
+        scoringMethod,
+        voteWeight,
+        votingSeconds,
+        tone,
+        twistIntensity,
+    });
 
     if (result.error) {
         return res.status(result.status || 400).json({error: result.error});
     }
 
-    res.json({game: scrubGame(result.game)});
+    res.json({game: scrubGameForPlayer(result.game, req.user.id)});
 };
 
 export const submitTurn = async (req, res) => {
     const {gameId} = req.params;
-    const {playerName, playerId, text} = req.body || {};
+    const {text} = req.body || {};
+    const playerId = req.user.id;
 
-    const result = await submitTurnService(gameId, {playerName, playerId, text});
+    const result = await submitTurnService(gameId, {playerId, text});
 
     if (result.error) {
         return res.status(result.status || 400).json({error: result.error});
     }
 
     log(`Turn ${result.turn.order} submitted to game ${gameId} by ${result.turn.playerName}`);
-    res.json({game: scrubGame(result.game), turn: result.turn, scores: result.scores});
+    res.json({game: scrubGameForPlayer(result.game, req.user.id), turn: result.turn, scores: result.game.scores || null});
 };
 
 export const previewTurn = async (req, res) => {
     const {gameId} = req.params;
-    const {playerName, playerId, text} = req.body || {};
+    const {text} = req.body || {};
+    const playerId = req.user.id;
 
-    const result = await previewTurnService(gameId, {playerName, playerId, text});
+    const result = await previewTurnService(gameId, {playerId, text});
 
     if (result.error) {
         return res.status(result.status || 400).json({error: result.error});
     }
 
-    log(`Preview turn requested for game ${gameId} by ${playerName}`);
+    log(`Preview turn requested for game ${gameId} by ${playerId}`);
     res.json({preview: result.preview, order: result.order});
 };
 
 export const getGameState = async (req, res) => {
     const {gameId} = req.params;
     const includeTurns = ['true', '1', 'yes'].includes(String(req.query.includeTurns || '').toLowerCase());
-    const result = await getGameStateService(gameId, {includeTurns});
+    const result = await getGameStateService(gameId, {
+        includeTurns,
+        viewerId: req.user.id,
+        inviteCode: req.query.inviteCode,
+    });
 
     if (result.error) {
         return res.status(result.status || 404).json({error: result.error});
     }
 
-    res.json({game: scrubGame(result.game), info: result.info});
+    res.json({game: scrubGameForPlayer(result.game, req.user.id), info: result.info});
 };
 
 export const joinGame = async (req, res) => {
     const {gameId} = req.params;
-    const {playerName, playerId} = req.body || {};
+    const playerName = req.user.name;
+    const playerId = req.user.id;
 
     const result = await joinGameService(gameId, {playerName, playerId});
 
@@ -95,12 +172,36 @@ export const joinGame = async (req, res) => {
     }
 
     log(`Player ${playerName} joined game ${gameId}`);
-    res.json({game: scrubGame(result.game)});
+    res.json({game: scrubGameForPlayer(result.game, req.user.id)});
+};
+
+export const spectateGame = async (req, res) => {
+    const {gameId} = req.params;
+    const spectatorId = req.user.id;
+
+    const result = await spectateGameService(gameId, {spectatorId, spectatorName: req.user.name});
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    res.json({game: scrubGameForPlayer(result.game, req.user.id)});
+};
+
+export const stopSpectating = async (req, res) => {
+    const {gameId} = req.params;
+    const result = await stopSpectatingService(gameId, {spectatorId: req.user.id});
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    res.json({game: scrubGameForPlayer(result.game, req.user.id)});
 };
 
 export const startGame = async (req, res) => {
     const {gameId} = req.params;
-    const {playerId} = req.body || {};
+    const playerId = req.user.id;
 
     const result = await startGameService(gameId, {playerId});
 
@@ -109,12 +210,27 @@ export const startGame = async (req, res) => {
     }
 
     log(`Game ${gameId} started by ${playerId || 'unknown'}`);
-    res.json({game: scrubGame(result.game)});
+    res.json({game: scrubGameForPlayer(result.game, req.user.id)});
+};
+
+export const claimTurn = async (req, res) => {
+    const {gameId} = req.params;
+    const playerId = req.user.id;
+
+    const result = await claimTurnService(gameId, {playerId});
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    log(`Player ${playerId} claimed the pen in game ${gameId}`);
+    res.json({game: scrubGameForPlayer(result.game, req.user.id)});
 };
 
 export const requestToJoin = async (req, res) => {
     const {gameId} = req.params;
-    const {playerName, playerId} = req.body || {};
+    const playerName = req.user.name;
+    const playerId = req.user.id;
 
     const result = await requestToJoinService(gameId, {playerName, playerId});
 
@@ -123,12 +239,28 @@ export const requestToJoin = async (req, res) => {
     }
 
     log(`Player ${playerName} requested to join game ${gameId}`);
-    res.status(202).json({game: scrubGame(result.game), requested: true});
+    res.status(202).json({game: scrubGameForPlayer(result.game, req.user.id), requested: true});
+};
+
+export const joinByInviteCode = async (req, res) => {
+    const {code} = req.body || {};
+    const playerName = req.user.name;
+    const playerId = req.user.id;
+
+    const result = await joinByInviteCodeService(code, {playerName, playerId});
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    log(`Player ${playerName} used invite code ${code} for game ${result.game.id}`);
+    res.status(result.requested ? 202 : 200).json({game: scrubGameForPlayer(result.game, req.user.id), requested: Boolean(result.requested)});
 };
 
 export const reviewJoinRequest = async (req, res) => {
     const {gameId} = req.params;
-    const {hostId, playerId, approve} = req.body || {};
+    const {playerId, approve} = req.body || {};
+    const hostId = req.user.id;
 
     const result = await reviewJoinRequestService(gameId, {hostId, playerId, approve});
 
@@ -137,7 +269,40 @@ export const reviewJoinRequest = async (req, res) => {
     }
 
     log(`Host ${hostId} ${approve ? 'approved' : 'denied'} player ${playerId} for game ${gameId}`);
-    res.json({game: scrubGame(result.game), approved: approve});
+    res.json({game: scrubGameForPlayer(result.game, req.user.id), approved: approve});
+};
+
+const removePlayer = (ban) => async (req, res) => {
+    const {gameId} = req.params;
+    const {playerId} = req.body || {};
+    const hostId = req.user.id;
+
+    const result = await kickPlayerService(gameId, {hostId, playerId, ban});
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    log(`Host ${hostId} ${ban ? 'banned' : 'kicked'} player ${playerId} from game ${gameId}`);
+    res.json({game: scrubGameForPlayer(result.game, req.user.id)});
+};
+
+export const kickPlayer = removePlayer(false);
+export const banPlayer = removePlayer(true);
+
+export const assignTeam = async (req, res) => {
+    const {gameId} = req.params;
+    const {playerId, teamId} = req.body || {};
+    const hostId = req.user.id;
+
+    const result = await assignTeamService(gameId, {hostId, playerId, teamId});
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    log(`Host ${hostId} moved player ${playerId} to team ${teamId} in game ${gameId}`);
+    res.json({game: scrubGameForPlayer(result.game, req.user.id)});
 };
 
 export const listLobbies = async (req, res) => {
@@ -150,7 +315,8 @@ export const listLobbies = async (req, res) => {
 
 export const abandonGame = async (req, res) => {
     const {gameId} = req.params;
-    const {playerId, reason} = req.body || {};
+    const {reason} = req.body || {};
+    const playerId = req.user.id;
 
     const result = await abandonGameService(gameId, {playerId, reason});
 
@@ -159,7 +325,130 @@ export const abandonGame = async (req, res) => {
     }
 
     log(`Game ${gameId} closed by host ${playerId}`);
-    res.json({game: scrubGame(result.game)});
+    res.json({game: scrubGameForPlayer(result.game, req.user.id)});
+};
+
+export const leaveGame = async (req, res) => {
+    const {gameId} = req.params;
+    const playerId = req.user.id;
+
+    const result = await leaveGameService(gameId, {playerId});
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    const hostNote = result.newHost ? ` (host is now ${result.newHost.id})` : '';
+    log(`Player ${playerId} left game ${gameId}${hostNote}`);
+    res.json({game: scrubGameForPlayer(result.game, req.user.id)});
+};
+
+export const rescoreGame = async (req, res) => {
+    const {gameId} = req.params;
+    const playerId = req.user.id;
+
+    const result = await rescoreGameService(gameId, {playerId});
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    log(`Scoring re-queued for game ${gameId} by ${playerId}`);
+    res.status(202).json({game: scrubGameForPlayer(result.game, req.user.id)});
+};
+
+export const forkGame = async (req, res) => {
+    const {gameId} = req.params;
+    const {
+        atTurn,
+        turnDurationSeconds,
+        maxTurns,
+        maxPlayers,
+        mode,
+        allowSpectators,
+        visibility,
+        turnOrder,
+        teamStory,
+        scoringMethod,
+        voteWeight,
+        votingSeconds,
+        tone,
+        twistIntensity,
+    } = req.body || {};
+    const hostId = req.user.id;
+
+    const result = await forkGameService(gameId, {
+        hostId,
+        hostName: req.user.name,
+        atTurn,
+        turnDurationSeconds,
+        maxTurns,
+        maxPlayers,
+        mode,
+        allowSpectators,
+        visibility,
+        turnOrder,
+        teamStory,
+        scoringMethod,
+        voteWeight,
+        votingSeconds,
+        tone,
+        twistIntensity,
+    });
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    log(`Forked game ${gameId} at turn ${result.game.forkedAtTurn} into ${result.game.id}`);
+    res.status(201).json({game: scrubGameForPlayer(result.game, req.user.id)});
+};
+
+export const getGameFamily = async (req, res) => {
+    const {gameId} = req.params;
+    const result = await getGameFamilyService(gameId);
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    res.json(result);
+};
+
+export const exportStory = async (req, res) => {
+    const {gameId} = req.params;
+    const {format, attribution, prompts} = req.query;
+
+    const result = await exportStoryService(gameId, {
+        format,
+        attribution: attribution !== 'false',
+        prompts: prompts !== 'false',
+    });
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    res.set({
+        'Content-Type': result.contentType,
+        'Content-Disposition': `attachment; filename="${result.filename}"`,
+    });
+    res.send(result.body);
+};
+
+export const castVote = async (req, res) => {
+    const {gameId} = req.params;
+    const {ranking} = req.body || {};
+    const playerId = req.user.id;
+
+    const result = await castVoteService(gameId, {playerId, ranking});
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    log(`Player ${playerId} voted in game ${gameId}`);
+    res.json({game: scrubGameForPlayer(result.game, req.user.id), votingClosed: result.closed});
 };
 
 export const cleanupWaitingLobbies = async (req, res) => {
@@ -171,12 +460,62 @@ export const cleanupWaitingLobbies = async (req, res) => {
 
 export const getUserHistory = async (req, res) => {
     const {userId} = req.params;
-    const limit = Number(req.query.limit) || 5;
-    const result = await getUserHistoryService(userId, limit);
+    const {limit, cursor, sort, order, mode, from, to, coPlayerId, coPlayer} = req.query;
+    const result = await getUserHistoryService(userId, {
+        limit: Number(limit) || 10,
+        cursor,
+        sort,
+        order,
+        mode,
+        from,
+        to,
+        coPlayerId,
+        coPlayer,
+    });
 
     if (result.error) {
         return res.status(result.status || 400).json({error: result.error});
     }
 
-    res.json({games: result.games});
+    res.json({games: result.games, nextCursor: result.nextCursor});
+};
+
+export const streamGameEvents = async (req, res) => {
+    const {gameId} = req.params;
+    const viewerId = req.user.id;
+    const {inviteCode} = req.query;
+    const result = await getGameStateService(gameId, {viewerId, inviteCode});
+
+    if (result.error) {
+        return res.status(result.status || 404).json({error: result.error});
+    }
+
+    const send = openEventStream(req, res);
+    send({type: 'snapshot', gameId, game: scrubGameForPlayer(result.game, viewerId), info: result.info});
+
+    const isPlayer = (game) => (game?.players || []).some((p) => p.id === viewerId);
+    const unsubscribe = subscribeToGame(gameId, (event) => {
+        const game = event.game;
+        // Lost access (e.g. a denied request to a private lobby): close before sending anything.
+        if (game && !canViewGame(game, viewerId, {inviteCode})) {
+            unsubscribe();
+            res.end();
+            return;
+        }
+        send(game ? {...event, game: scrubGameForPlayer(game, viewerId)} : event);
+        // Spectating was switched off mid-game: cut off viewers who aren't playing.
+        if (game?.allowSpectators === false && game.status !== 'waiting' && !isPlayer(game)) {
+            unsubscribe();
+            res.end();
+        }
+    });
+    req.on('close', unsubscribe);
+};
+
+export const streamLobbyEvents = async (req, res) => {
+    const send = openEventStream(req, res);
+    send({type: 'snapshot'});
+
+    const unsubscribe = subscribeToLobbies(send);
+    req.on('close', unsubscribe);
 };
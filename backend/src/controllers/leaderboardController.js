@@ -1,14 +1,46 @@
-import { getLeaderboard as getLeaderboardService } from '../services/gameService.js';
+import {
+  getDailyLeaderboard as getDailyLeaderboardService,
+  getLeaderboard as getLeaderboardService,
+  listSeasons as listSeasonsService,
+} from '../services/gameService.js';
 
 export const getLeaderboard = async (req, res) => {
-  const { limit } = req.query;
+  const { limit, mode, window, season } = req.query;
   const maxEntries = Math.max(1, Math.min(Number(limit) || 20, 50));
 
   try {
-    const leaderboard = await getLeaderboardService({ limit: maxEntries });
-    res.json({ leaderboard });
+    const result = await getLeaderboardService({ limit: maxEntries, mode, window, season });
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+    res.json({ leaderboard: result.leaderboard, board: result.board });
   } catch (error) {
     console.error('Failed to fetch leaderboard', error);
     res.status(500).json({ error: 'Failed to fetch leaderboard' });
   }
 };
+
+export const getSeasons = async (req, res) => {
+  try {
+    const seasons = await listSeasonsService();
+    res.json({ seasons });
+  } catch (error) {
+    console.error('Failed to fetch seasons', error);
+    res.status(500).json({ error: 'Failed to fetch seasons' });
+  }
+};
+
+export const getDailyLeaderboard = async (req, res) => {
+  const { limit, date } = req.query;
+
+  try {
+    const result = await getDailyLeaderboardService({ limit: Number(limit) || 20, date });
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error });
+    }
+    res.json({ leaderboard: result.leaderboard, board: result.board });
+  } catch (error) {
+    console.error('Failed to fetch daily leaderboard', error);
+    res.status(500).json({ error: 'Failed to fetch daily leaderboard' });
+  }
+};
@@ -0,0 +1,56 @@
+import {
+    enqueue as enqueueService,
+    cancelQueue as cancelQueueService,
+    getQueueStatus as getQueueStatusService,
+} from '../services/matchmakingService.js';
+import {subscribeToUser} from '../services/eventService.js';
+import {log} from '../tools/logger.js';
+import {openEventStream} from '../tools/sse.js';
+
+export const enqueue = async (req, res) => {
+    const {playerCount, turnDurationSeconds, maxWaitSeconds} = req.body || {};
+    const userId = req.user.id;
+
+    const result = await enqueueService({
+        userId,
+        playerName: req.user.name,
+        playerCount,
+        turnDurationSeconds,
+        maxWaitSeconds,
+    });
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    log(`Player ${userId} ${result.matched ? `matched into game ${result.entry.gameId}` : 'joined the matchmaking queue'}`);
+    res.status(result.matched ? 200 : 202).json({queue: result.entry});
+};
+
+export const cancelQueue = async (req, res) => {
+    const result = await cancelQueueService(req.user.id);
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error, queue: result.entry});
+    }
+
+    res.json({queue: result.entry});
+};
+
+export const getQueueStatus = async (req, res) => {
+    const result = await getQueueStatusService(req.user.id);
+
+    if (result.error) {
+        return res.status(result.status || 404).json({error: result.error});
+    }
+
+    res.json({queue: result.entry});
+};
+
+export const streamMatchmakingEvents = async (req, res) => {
+    const send = openEventStream(req, res);
+    send({type: 'snapshot'});
+
+    const unsubscribe = subscribeToUser(req.user.id, send);
+    req.on('close', unsubscribe);
+};
@@ -0,0 +1,6 @@
+import {issueStreamTicket as issueStreamTicketService} from '../services/streamTicketService.js';
+
+export const issueStreamTicket = async (req, res) => {
+    const {ticket, expiresAt} = await issueStreamTicketService(req.user);
+    res.status(201).json({ticket, expiresAt});
+};
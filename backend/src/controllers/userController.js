@@ -0,0 +1,17 @@
+import {getAchievements as getAchievementsService, getProfile as getProfileService} from '../services/profileService.js';
+
+export const getProfile = async (req, res) => {
+    const result = await getProfileService(req.params.userId);
+
+    if (result.error) {
+        return res.status(result.status || 400).json({error: result.error});
+    }
+
+    res.json({profile: result.profile});
+};
+
+export const getAchievements = async (req, res) => {
+    const result = await getAchievementsService(req.params.userId);
+
+    res.json(result);
+};
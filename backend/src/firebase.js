@@ -1,5 +1,6 @@
 import { initializeApp, applicationDefault, cert } from 'firebase-admin/app';
 import { getFirestore } from 'firebase-admin/firestore';
+import { getAuth } from 'firebase-admin/auth';
 
 const {
   FIREBASE_PROJECT_ID,
@@ -24,3 +25,4 @@ const app = initializeApp({
 });
 
 export const db = getFirestore(app);
+export const auth = getAuth(app);
@@ -0,0 +1,69 @@
+import {verifyIdToken} from '../auth/index.js';
+import {redeemStreamTicket} from '../services/streamTicketService.js';
+
+const readBearerToken = (req) => {
+    const header = req.headers?.authorization || '';
+    const [scheme, token] = header.split(' ');
+    if (scheme?.toLowerCase() === 'bearer' && token) return token.trim();
+    return null;
+};
+
+const toUser = (decoded) => ({
+    id: decoded.uid,
+    name: decoded.name || decoded.email?.split('@')[0] || null,
+    email: decoded.email || null,
+});
+
+// Verifies the ID token sent by the frontend (with the AUTH_DRIVER verifier, see src/auth/index.js)
+// and exposes the caller as req.user. Controllers must take player/host ids and names from
+// req.user, never from the request body.
+export const createRequireAuth = (verifyIdToken) => async (req, res, next) => {
+    const token = readBearerToken(req);
+    if (!token) {
+        return res.status(401).json({error: 'Authentication required'});
+    }
+
+    let decoded;
+    try {
+        decoded = await verifyIdToken(token);
+    } catch (error) {
+        console.warn('[auth] token verification failed:', error?.code || error?.message);
+        return res.status(401).json({error: 'Invalid or expired token'});
+    }
+
+    if (!decoded?.uid) {
+        return res.status(401).json({error: 'Invalid or expired token'});
+    }
+
+    req.user = toUser(decoded);
+    next();
+};
+
+// Public routes that treat signed-in callers differently: req.user is set when a valid
+// token comes with the request, and a missing or bad token just leaves the caller anonymous.
+export const createOptionalAuth = (verifyIdToken) => async (req, res, next) => {
+    const token = readBearerToken(req);
+    if (token) {
+        const decoded = await verifyIdToken(token).catch(() => null);
+        if (decoded?.uid) req.user = toUser(decoded);
+    }
+    next();
+};
+
+export const requireAuth = createRequireAuth(verifyIdToken);
+export const optionalAuth = createOptionalAuth(verifyIdToken);
+
+// Event streams: EventSource cannot send headers, so they authenticate with a single-use
+// `?ticket=` from POST /api/streams/ticket instead of the ID token (see streamTicketService.js).
+export const createRequireStreamAuth = (redeemTicket) => async (req, res, next) => {
+    const ticket = req.query?.ticket;
+    const user = typeof ticket === 'string' && ticket ? await redeemTicket(ticket) : null;
+    if (!user) {
+        return res.status(401).json({error: 'Invalid or expired stream ticket'});
+    }
+
+    req.user = user;
+    next();
+};
+
+export const requireStreamAuth = createRequireStreamAuth(redeemStreamTicket);
@@ -0,0 +1,17 @@
+const CHALLENGES = 'dailyChallenges';
+const ATTEMPTS = 'dailyAttempts';
+const STREAKS = 'dailyStreaks';
+
+const attemptId = (date, userId) => `${date}:${userId}`;
+
+// Daily challenges (see services/dailyChallenge.js): the setup keyed by UTC date, each
+// player's one attempt per day, and their streaks keyed by user id.
+export const createDailyRepository = (store) => ({
+  getChallenge: (date) => store.get(CHALLENGES, date),
+  saveChallenge: (challenge) => store.set(CHALLENGES, challenge.date, challenge),
+  getAttempt: (date, userId) => store.get(ATTEMPTS, attemptId(date, userId)),
+  saveAttempt: (attempt) => store.set(ATTEMPTS, attemptId(attempt.date, attempt.userId), attempt),
+  deleteAttempt: (date, userId) => store.delete(ATTEMPTS, attemptId(date, userId)),
+  getStreak: (userId) => store.get(STREAKS, userId),
+  saveStreak: (streak) => store.set(STREAKS, streak.userId, streak),
+});
@@ -0,0 +1,19 @@
+const GALLERY = 'gallery';
+const GALLERY_VIEWS = 'galleryViews';
+
+const viewId = (slug, day, viewerKey) => `${slug}:${day}:${viewerKey}`;
+
+// Published stories keyed by slug (see services/galleryService.js). Entries are snapshots
+// holding display names only, so public reads never touch the game or its turns. A view
+// marker per story, day and (hashed) reader keeps repeat visits from inflating `views`.
+export const createGalleryRepository = (store) => ({
+  get: (slug) => store.get(GALLERY, slug),
+  save: (entry) => store.set(GALLERY, entry.slug, entry),
+  delete: (slug) => store.delete(GALLERY, slug),
+  list: async ({ orderBy = 'publishedAt', limit = null } = {}) => {
+    const entries = await store.query(GALLERY, { orderBy: { field: orderBy, direction: 'desc' }, limit });
+    return entries.map(({ data }) => data);
+  },
+  getView: (slug, day, viewerKey) => store.get(GALLERY_VIEWS, viewId(slug, day, viewerKey)),
+  saveView: (view) => store.set(GALLERY_VIEWS, viewId(view.slug, view.day, view.viewerKey), view),
+});
@@ -0,0 +1,48 @@
+const GAMES = 'games';
+
+const toValues = (entries) => entries.map(({ data }) => data);
+
+/**
+ * Game documents, keyed by game id. Bound to either the store or a transaction; the
+ * list/bulk methods are only available outside transactions.
+ */
+export const createGameRepository = (store) => ({
+  get: (gameId) => store.get(GAMES, gameId),
+  save: (game) => store.set(GAMES, game.id, game),
+  merge: (gameId, updates) => store.set(GAMES, gameId, updates, { merge: true }),
+  saveMany: (games) =>
+    store.batch(games.map((game) => ({ type: 'set', collection: GAMES, id: game.id, data: game }))),
+  mergeMany: (gameIds, updates) =>
+    store.batch(gameIds.map((id) => ({ type: 'set', collection: GAMES, id, data: updates, merge: true }))),
+  listByStatus: async (status) => toValues(await store.query(GAMES, { where: [['status', '==', status]] })),
+  // Newest first. On Firestore this needs the composite (status, createdAt) index.
+  listWaiting: async ({ minCreatedAt = null, limit = null } = {}) => {
+    const where = [['status', '==', 'waiting']];
+    if (minCreatedAt) {
+      where.push(['createdAt', '>=', minCreatedAt]);
+    }
+    return toValues(
+      await store.query(GAMES, { where, orderBy: { field: 'createdAt', direction: 'desc' }, limit }),
+    );
+  },
+  listWaitingByInviteCode: async (inviteCode) =>
+    toValues(
+      await store.query(GAMES, {
+        where: [
+          ['inviteCode', '==', inviteCode],
+          ['status', '==', 'waiting'],
+        ],
+      }),
+    ),
+  // Forks of a story, at any depth (forks store the id of the original game).
+  listByRoot: async (rootGameId) => toValues(await store.query(GAMES, { where: [['rootGameId', '==', rootGameId]] })),
+  listWithDeadlineBefore: async (deadline, { limit = null } = {}) =>
+    toValues(await store.query(GAMES, { where: [['turnDeadline', '<=', deadline]], limit })),
+  // Games whose end-of-game ballot should have closed by `deadline`.
+  listVotingClosedBefore: async (deadline, { limit = null } = {}) =>
+    toValues(await store.query(GAMES, { where: [['votingClosesAt', '<=', deadline]], limit })),
+  deleteAll: async () => {
+    const entries = await store.query(GAMES);
+    await store.batch(entries.map(({ id }) => ({ type: 'delete', collection: GAMES, id })));
+  },
+});
@@ -0,0 +1,57 @@
+import { store as defaultStore } from '../storage/index.js';
+import { createDailyRepository } from './dailyRepository.js';
+import { createGalleryRepository } from './galleryRepository.js';
+import { createGameRepository } from './gameRepository.js';
+import { createLeaderboardRepository } from './leaderboardRepository.js';
+import { createMatchmakingRepository } from './matchmakingRepository.js';
+import { createRatingRepository } from './ratingRepository.js';
+import { createScoringJobRepository } from './scoringJobRepository.js';
+import { createSeasonRepository } from './seasonRepository.js';
+import { createStandingRepository } from './standingRepository.js';
+import { createStreamTicketRepository } from './streamTicketRepository.js';
+import { createTurnRepository } from './turnRepository.js';
+import { createUserRepository } from './userRepository.js';
+import { createVoteRepository } from './voteRepository.js';
+
+const bindRepositories = (target) => ({
+  games: createGameRepository(target),
+  turns: createTurnRepository(target),
+  users: createUserRepository(target),
+  leaderboard: createLeaderboardRepository(target),
+  ratings: createRatingRepository(target),
+  standings: createStandingRepository(target),
+  seasons: createSeasonRepository(target),
+  scoringJobs: createScoringJobRepository(target),
+  matchmaking: createMatchmakingRepository(target),
+  votes: createVoteRepository(target),
+  gallery: createGalleryRepository(target),
+  daily: createDailyRepository(target),
+  streamTickets: createStreamTicketRepository(target),
+});
+
+/**
+ * Repositories over a store (see src/storage). `runTransaction(fn)` hands `fn` the same
+ * repositories bound to a transaction, e.g. `tx.games.get(id)` / `tx.games.save(game)`;
+ * `fn` may be retried, so it must not have side effects outside `tx`.
+ */
+export const createRepositories = (store) => ({
+  ...bindRepositories(store),
+  runTransaction: (fn) => store.runTransaction((tx) => fn(bindRepositories(tx))),
+});
+
+const repositories = createRepositories(defaultStore);
+
+export const gameRepository = repositories.games;
+export const turnRepository = repositories.turns;
+export const userRepository = repositories.users;
+export const leaderboardRepository = repositories.leaderboard;
+export const ratingRepository = repositories.ratings;
+export const standingRepository = repositories.standings;
+export const seasonRepository = repositories.seasons;
+export const scoringJobRepository = repositories.scoringJobs;
+export const matchmakingRepository = repositories.matchmaking;
+export const voteRepository = repositories.votes;
+export const galleryRepository = repositories.gallery;
+export const dailyRepository = repositories.daily;
+export const streamTicketRepository = repositories.streamTickets;
+export const { runTransaction } = repositories;
@@ -0,0 +1,17 @@
+const LEADERBOARD = 'leaderboard';
+
+// Leaderboard rows (per-player stats and a display copy of their rating), keyed by user id.
+export const createLeaderboardRepository = (store) => ({
+  get: (userId) => store.get(LEADERBOARD, userId),
+  merge: (userId, updates) => store.set(LEADERBOARD, userId, updates, { merge: true }),
+  // Players with enough rated games, best rating first. On Firestore this needs the
+  // composite (ranked, rating) index.
+  listRanked: async ({ limit = null } = {}) => {
+    const entries = await store.query(LEADERBOARD, {
+      where: [['ranked', '==', true]],
+      orderBy: { field: 'rating', direction: 'desc' },
+      limit,
+    });
+    return entries.map(({ id, data }) => ({ id, ...data }));
+  },
+});
@@ -0,0 +1,12 @@
+const MATCHMAKING_QUEUE = 'matchmakingQueue';
+
+// One quick-play queue entry per user, keyed by user id (see services/matchmakingService.js).
+export const createMatchmakingRepository = (store) => ({
+  get: (userId) => store.get(MATCHMAKING_QUEUE, userId),
+  save: (entry) => store.set(MATCHMAKING_QUEUE, entry.userId, entry),
+  // Oldest first. Sorted here rather than in the query so Firestore needs no composite index.
+  listQueued: async () => {
+    const entries = await store.query(MATCHMAKING_QUEUE, { where: [['status', '==', 'queued']] });
+    return entries.map(({ data }) => data).sort((a, b) => a.enqueuedAt.localeCompare(b.enqueuedAt));
+  },
+});
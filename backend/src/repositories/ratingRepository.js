@@ -0,0 +1,8 @@
+const RATINGS = 'ratings';
+
+// Skill ratings keyed by user id (see services/ratingService.js). Kept apart from the
+// leaderboard rows, which only carry a display copy of the rating.
+export const createRatingRepository = (store) => ({
+  get: (userId) => store.get(RATINGS, userId),
+  save: (record) => store.set(RATINGS, record.userId, record),
+});
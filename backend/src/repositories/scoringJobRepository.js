@@ -0,0 +1,17 @@
+const SCORING_JOBS = 'scoringJobs';
+const SCORING_CREDITS = 'scoringCredits';
+
+const creditId = (gameId, key) => `${gameId}:${key}`;
+
+// One scoring job per finished game, keyed by game id (see services/scoringJobs.js), and a
+// marker for each result already credited from that game, so a retried job never credits twice.
+export const createScoringJobRepository = (store) => ({
+  get: (gameId) => store.get(SCORING_JOBS, gameId),
+  save: (job) => store.set(SCORING_JOBS, job.gameId, job),
+  listDue: async (now, { limit = null } = {}) => {
+    const entries = await store.query(SCORING_JOBS, { where: [['nextAttemptAt', '<=', now]], limit });
+    return entries.map(({ data }) => data);
+  },
+  getCredit: (gameId, key) => store.get(SCORING_CREDITS, creditId(gameId, key)),
+  saveCredit: (credit) => store.set(SCORING_CREDITS, creditId(credit.gameId, credit.key), credit),
+});
@@ -0,0 +1,16 @@
+const SEASONS = 'seasons';
+
+// Leaderboard seasons keyed by id (e.g. 2026-q4); archived ones hold their final standings.
+export const createSeasonRepository = (store) => ({
+  get: (seasonId) => store.get(SEASONS, seasonId),
+  save: (season) => store.set(SEASONS, season.id, season),
+  merge: (seasonId, updates) => store.set(SEASONS, seasonId, updates, { merge: true }),
+  list: async () => {
+    const entries = await store.query(SEASONS, { orderBy: { field: 'startsAt', direction: 'desc' } });
+    return entries.map(({ data }) => data);
+  },
+  listActive: async () => {
+    const entries = await store.query(SEASONS, { where: [['status', '==', 'active']] });
+    return entries.map(({ data }) => data);
+  },
+});
@@ -0,0 +1,18 @@
+const STANDINGS = 'standings';
+
+const standingId = (boardId, userId) => `${boardId}:${userId}`;
+
+// Per-board leaderboard rows (see services/standings.js), keyed by board and user id.
+export const createStandingRepository = (store) => ({
+  get: (boardId, userId) => store.get(STANDINGS, standingId(boardId, userId)),
+  save: (row) => store.set(STANDINGS, standingId(row.boardId, row.userId), row),
+  // Best score first. On Firestore this needs the composite (boardId, topScore) index.
+  listBoard: async (boardId, { limit = null } = {}) => {
+    const entries = await store.query(STANDINGS, {
+      where: [['boardId', '==', boardId]],
+      orderBy: { field: 'topScore', direction: 'desc' },
+      limit,
+    });
+    return entries.map(({ data }) => data);
+  },
+});
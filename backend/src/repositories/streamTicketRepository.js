@@ -0,0 +1,9 @@
+const STREAM_TICKETS = 'streamTickets';
+
+// Single-use tickets that open an event stream as a signed-in user, keyed by the ticket
+// itself (see services/streamTicketService.js).
+export const createStreamTicketRepository = (store) => ({
+  get: (ticket) => store.get(STREAM_TICKETS, ticket),
+  save: (entry) => store.set(STREAM_TICKETS, entry.ticket, entry),
+  delete: (ticket) => store.delete(STREAM_TICKETS, ticket),
+});
@@ -0,0 +1,10 @@
+const turnsPath = (gameId) => `games/${gameId}/turns`;
+
+// Submitted turns, stored under their game.
+export const createTurnRepository = (store) => ({
+  add: (gameId, turn) => store.set(turnsPath(gameId), turn.id, turn),
+  list: async (gameId) => {
+    const entries = await store.query(turnsPath(gameId), { orderBy: { field: 'order', direction: 'asc' } });
+    return entries.map(({ data }) => data);
+  },
+});
@@ -0,0 +1,27 @@
+const USERS = 'users';
+const savedGamesPath = (userId) => `users/${userId}/savedGames`;
+
+// Per-user data: the lifetime profile on users/{userId} (see services/profileService.js)
+// and the finished-game summaries under users/{userId}/savedGames.
+export const createUserRepository = (store) => ({
+  getProfile: (userId) => store.get(USERS, userId),
+  saveProfile: (profile) => store.set(USERS, profile.userId, profile),
+  // One page of history. `after` continues from a cursor: rows up to and including its
+  // value are fetched and the caller skips the ones it already returned. On Firestore each
+  // filter and sort combination needs its composite index.
+  listHistory: async (
+    userId,
+    { sortField = 'finishedAt', direction = 'desc', mode, from, to, coPlayerId, coPlayerName, after, limit = null } = {},
+  ) => {
+    const where = [];
+    if (mode) where.push(['mode', '==', mode]);
+    if (from) where.push(['finishedAt', '>=', from]);
+    if (to) where.push(['finishedAt', '<=', to]);
+    if (coPlayerId) where.push(['coPlayerIds', 'array-contains', coPlayerId]);
+    if (coPlayerName) where.push(['coPlayerNames', 'array-contains', coPlayerName]);
+    if (after !== undefined) where.push([sortField, direction === 'desc' ? '<=' : '>=', after]);
+    const entries = await store.query(savedGamesPath(userId), { where, orderBy: { field: sortField, direction }, limit });
+    return entries.map(({ id, data }) => ({ id, ...data }));
+  },
+  saveGameSummary: (userId, summary) => store.set(savedGamesPath(userId), summary.gameId, summary),
+});
@@ -0,0 +1,11 @@
+const votesPath = (gameId) => `games/${gameId}/votes`;
+
+// End-of-game ballots, stored under their game and keyed by voter id (see services/voting.js).
+export const createVoteRepository = (store) => ({
+  get: (gameId, voterId) => store.get(votesPath(gameId), voterId),
+  save: (gameId, ballot) => store.set(votesPath(gameId), ballot.voterId, ballot),
+  list: async (gameId) => {
+    const entries = await store.query(votesPath(gameId));
+    return entries.map(({ data }) => data);
+  },
+});
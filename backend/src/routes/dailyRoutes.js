@@ -0,0 +1,12 @@
+import express from 'express';
+import {getDailyChallenge, startDailyAttempt} from '../controllers/dailyController.js';
+import {requireAuth} from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/', getDailyChallenge);
+router.post('/attempts', startDailyAttempt);
+
+export default router;
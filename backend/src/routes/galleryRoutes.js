@@ -0,0 +1,13 @@
+import express from 'express';
+import {listGallery, getPublishedStory, recordView} from '../controllers/galleryController.js';
+import {optionalAuth} from '../middleware/auth.js';
+
+// Public: publishing itself lives on the authenticated game routes. Besides reads, readers
+// can only count a view (signed-in readers are told apart by account, others by address).
+const router = express.Router();
+
+router.get('/', listGallery);
+router.get('/:slug', getPublishedStory);
+router.post('/:slug/views', optionalAuth, recordView);
+
+export default router;
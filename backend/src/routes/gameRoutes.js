@@ -5,30 +5,69 @@ import {
     getGameState,
     joinGame,
     startGame,
+    claimTurn,
     previewTurn,
     requestToJoin,
+    joinByInviteCode,
     reviewJoinRequest,
+    kickPlayer,
+    banPlayer,
+    assignTeam,
     listLobbies,
     abandonGame,
+    leaveGame,
     cleanupWaitingLobbies,
     updateGameSettings,
     getUserHistory,
+    streamGameEvents,
+    streamLobbyEvents,
+    rescoreGame,
+    castVote,
+    forkGame,
+    getGameFamily,
+    exportStory,
+    spectateGame,
+    stopSpectating,
 } from '../controllers/gameController.js';
+import {getPublication, publishStory, unpublishStory} from '../controllers/galleryController.js';
+import {requireAuth, requireStreamAuth} from '../middleware/auth.js';
 
 const router = express.Router();
 
+// Event streams authenticate with a stream ticket, so they sit ahead of requireAuth.
+router.get('/lobbies/events', requireStreamAuth, streamLobbyEvents);
+router.get('/:gameId/events', requireStreamAuth, streamGameEvents);
+
+router.use(requireAuth);
+
 router.get('/lobbies', listLobbies);
 router.post('/cleanup-lobbies', cleanupWaitingLobbies);
 router.post('/create', createGame);
+router.post('/join-by-code', joinByInviteCode);
 router.post('/:gameId/settings', updateGameSettings);
 router.get('/user/:userId/history', getUserHistory);
 router.post('/:gameId/join', joinGame);
+router.post('/:gameId/spectate', spectateGame);
+router.delete('/:gameId/spectate', stopSpectating);
 router.post('/:gameId/request-join', requestToJoin);
 router.post('/:gameId/review-join', reviewJoinRequest);
+router.post('/:gameId/kick', kickPlayer);
+router.post('/:gameId/ban', banPlayer);
+router.post('/:gameId/teams', assignTeam);
 router.post('/:gameId/abandon', abandonGame);
+router.post('/:gameId/leave', leaveGame);
 router.post('/:gameId/start', startGame);
+router.post('/:gameId/claim', claimTurn);
 router.post('/:gameId/preview', previewTurn);
 router.post('/:gameId/turn', submitTurn);
+router.post('/:gameId/rescore', rescoreGame);
+router.post('/:gameId/vote', castVote);
+router.post('/:gameId/fork', forkGame);
+router.get('/:gameId/family', getGameFamily);
+router.get('/:gameId/export', exportStory);
+router.get('/:gameId/publish', getPublication);
+router.post('/:gameId/publish', publishStory);
+router.delete('/:gameId/publish', unpublishStory);
 router.get('/:gameId', getGameState);
 
 export default router;
@@ -1,8 +1,10 @@
 import express from 'express';
-import { getLeaderboard } from '../controllers/leaderboardController.js';
+import { getDailyLeaderboard, getLeaderboard, getSeasons } from '../controllers/leaderboardController.js';
 
 const router = express.Router();
 
 router.get('/', getLeaderboard);
+router.get('/seasons', getSeasons);
+router.get('/daily-challenge', getDailyLeaderboard);
 
 export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import {
+    enqueue,
+    cancelQueue,
+    getQueueStatus,
+    streamMatchmakingEvents,
+} from '../controllers/matchmakingController.js';
+import {requireAuth, requireStreamAuth} from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.get('/events', requireStreamAuth, streamMatchmakingEvents);
+
+router.use(requireAuth);
+
+router.post('/enqueue', enqueue);
+router.post('/cancel', cancelQueue);
+router.get('/status', getQueueStatus);
+
+export default router;
@@ -0,0 +1,11 @@
+import express from 'express';
+import {issueStreamTicket} from '../controllers/streamController.js';
+import {requireAuth} from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.post('/ticket', issueStreamTicket);
+
+export default router;
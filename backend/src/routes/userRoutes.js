@@ -0,0 +1,12 @@
+import express from 'express';
+import {getAchievements, getProfile} from '../controllers/userController.js';
+import {requireAuth} from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+router.get('/:userId/profile', getProfile);
+router.get('/:userId/achievements', getAchievements);
+
+export default router;
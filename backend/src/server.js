@@ -1,21 +1,46 @@
 import express from 'express';
+import dailyRoutes from './routes/dailyRoutes.js';
+import galleryRoutes from './routes/galleryRoutes.js';
 import gameRoutes from './routes/gameRoutes.js';
 import leaderboardRoutes from './routes/leaderboardRoutes.js';
+import matchmakingRoutes from './routes/matchmakingRoutes.js';
+import streamRoutes from './routes/streamRoutes.js';
+import userRoutes from './routes/userRoutes.js';
+import { startTurnScheduler } from './services/turnScheduler.js';
+import { startScoringWorker } from './services/scoringWorker.js';
+import { startMatchmakingWorker } from './services/matchmakingWorker.js';
 import cors from "cors";
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
-app.use(cors());
+// Behind a load balancer or proxy, TRUST_PROXY makes req.ip the client's address rather than
+// the proxy's: a hop count ("1"), "true", or addresses/subnets such as "loopback, 10.0.0.0/8".
+const parseTrustProxy = (value) => {
+    if (value === 'true' || value === 'false') return value === 'true';
+    return /^\d+$/.test(value) ? Number(value) : value;
+};
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+}
+
+// Story exports name their download in Content-Disposition; let the browser read it.
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
 app.use(express.json());
 
 app.use((req, res, next) => {
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
+    // Path only: query strings can carry credentials (e.g. stream tickets).
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
     next();
 })
 
 app.use('/api/game', gameRoutes);
+app.use('/api/daily', dailyRoutes);
+app.use('/api/gallery', galleryRoutes);
 app.use('/api/leaderboard', leaderboardRoutes);
+app.use('/api/matchmaking', matchmakingRoutes);
+app.use('/api/streams', streamRoutes);
+app.use('/api/users', userRoutes);
 app.get('/', (req, res) => {
     res.json({
         message: 'StoryGame API is running'
@@ -24,4 +49,10 @@ app.get('/', (req, res) => {
 
 app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
+    // Set TURN_SCHEDULER_INTERVAL_MS=0 to disable background deadline enforcement
+    startTurnScheduler({ intervalMs: Number(process.env.TURN_SCHEDULER_INTERVAL_MS ?? 5000) });
+    // Picks up scoring jobs left pending or failed (SCORING_WORKER_INTERVAL_MS=0 disables it)
+    startScoringWorker({ intervalMs: Number(process.env.SCORING_WORKER_INTERVAL_MS ?? 15000) });
+    // Times out and re-groups quick-play queue entries (MATCHMAKING_WORKER_INTERVAL_MS=0 disables it)
+    startMatchmakingWorker({ intervalMs: Number(process.env.MATCHMAKING_WORKER_INTERVAL_MS ?? 10000) });
 })
@@ -0,0 +1,125 @@
+// Achievements: badges a player unlocks once, checked after every finished game they were
+// credited for. Each rule sees that game from the player's side (`game`) and their lifetime
+// profile with the game already counted (`profile`), so rules can be about a single game
+// ("beat the AI") or a career ("finish 50 stories"). Unlocks are kept on the profile.
+
+/**
+ * @typedef {Object} GameResult
+ * @property {string} mode - single, multi, rapid or team
+ * @property {number|null} score - the player's total, or null when they weren't scored
+ * @property {boolean} won - top score outright (in single mode: beat the AI), or on the winning team
+ * @property {number} turnsWritten - turns the player wrote in this game
+ * @property {number} storyTurns - turns in the whole story
+ */
+
+export const ACHIEVEMENTS = [
+  {
+    id: 'first-story',
+    name: 'Once Upon a Time',
+    description: 'Finish your first story.',
+    icon: '📖',
+    test: ({ profile }) => profile.gamesPlayed >= 1,
+  },
+  {
+    id: 'regular',
+    name: 'Regular',
+    description: 'Finish 10 stories.',
+    icon: '📚',
+    test: ({ profile }) => profile.gamesPlayed >= 10,
+  },
+  {
+    id: 'veteran',
+    name: 'Veteran Storyteller',
+    description: 'Finish 50 stories.',
+    icon: '🏛️',
+    test: ({ profile }) => profile.gamesPlayed >= 50,
+  },
+  {
+    id: 'all-rounder',
+    name: 'All-Rounder',
+    description: 'Finish a story in every game mode.',
+    icon: '🧭',
+    test: ({ profile }) => ['single', 'multi', 'rapid', 'team'].every((mode) => profile.gamesByMode?.[mode]),
+  },
+  {
+    id: 'high-scorer',
+    name: 'High Scorer',
+    description: 'Score 80 or more in a game.',
+    icon: '⭐',
+    test: ({ game }) => game.score !== null && game.score >= 80,
+  },
+  {
+    id: 'masterpiece',
+    name: 'Masterpiece',
+    description: 'Score 95 or more in a game.',
+    icon: '🏆',
+    test: ({ game }) => game.score !== null && game.score >= 95,
+  },
+  {
+    id: 'ai-slayer',
+    name: 'Machine Breaker',
+    description: 'Outscore the AI in a single-player game.',
+    icon: '🤖',
+    test: ({ game }) => game.mode === 'single' && game.won,
+  },
+  {
+    id: 'table-topper',
+    name: 'Top of the Table',
+    description: 'Win a multiplayer game.',
+    icon: '🥇',
+    test: ({ game }) => game.mode === 'multi' && game.won,
+  },
+  {
+    id: 'team-victory',
+    name: 'Stronger Together',
+    description: 'Be on the winning team in a team game.',
+    icon: '🤝',
+    test: ({ game }) => game.mode === 'team' && game.won,
+  },
+  {
+    id: 'rapid-survivor',
+    name: 'Beat the Clock',
+    description: 'Keep a RapidFire story going for 10 turns.',
+    icon: '⚡',
+    test: ({ game }) => game.mode === 'rapid' && game.storyTurns >= 10,
+  },
+  {
+    id: 'rapid-legend',
+    name: 'Lightning Pen',
+    description: 'Keep a RapidFire story going for 20 turns.',
+    icon: '🌩️',
+    test: ({ game }) => game.mode === 'rapid' && game.storyTurns >= 20,
+  },
+  {
+    id: 'marathon',
+    name: 'Marathon Writer',
+    description: 'Write 10 turns in a single story.',
+    icon: '🏃',
+    test: ({ game }) => game.turnsWritten >= 10,
+  },
+  {
+    id: 'wordsmith',
+    name: 'Wordsmith',
+    description: 'Write 10,000 words across all your stories.',
+    icon: '🖋️',
+    test: ({ profile }) => (profile.wordsWritten || 0) >= 10000,
+  },
+];
+
+/**
+ * Achievements this game unlocks that the player doesn't have yet.
+ * @param {Object} profile - lifetime profile including this game, with `achievements` so far
+ * @param {GameResult} game
+ * @returns {string[]} achievement ids
+ */
+export const newAchievements = (profile, game) =>
+  ACHIEVEMENTS.filter(({ id, test }) => !profile.achievements?.[id] && test({ profile, game })).map(({ id }) => id);
+
+export const toAchievement = ({ id, name, description, icon }, unlock) => ({
+  id,
+  name,
+  description,
+  icon,
+  unlockedAt: unlock?.unlockedAt || null,
+  gameId: unlock?.gameId || null,
+});
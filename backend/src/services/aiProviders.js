@@ -0,0 +1,206 @@
+import { createHash } from 'crypto';
+
+// Chat-completion providers behind one interface:
+//   { name, defaultModel(), isConfigured(), complete(messages, { model, temperature, max_tokens, task }) }
+// aiService picks a provider + model per task via resolveTaskModel().
+
+export const AI_TASKS = {
+  GUIDE: 'guide',
+  AI_TURN: 'aiTurn',
+  INITIAL_PROMPT: 'initialPrompt',
+  SCORING: 'scoring',
+};
+
+// Env prefix per task, e.g. AI_GUIDE_PROVIDER / AI_GUIDE_MODEL
+const TASK_ENV_PREFIX = {
+  [AI_TASKS.GUIDE]: 'AI_GUIDE',
+  [AI_TASKS.AI_TURN]: 'AI_TURN',
+  [AI_TASKS.INITIAL_PROMPT]: 'AI_INITIAL_PROMPT',
+  [AI_TASKS.SCORING]: 'AI_SCORING',
+};
+
+const env = (key) => process.env[key]?.trim() || '';
+
+const timeoutMs = () => Number(env('AI_TIMEOUT_MS') || env('GROQ_TIMEOUT_MS') || 10000);
+
+const withTimeout = async (fn) => {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs());
+  try {
+    return await fn(controller.signal);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const postJson = async ({ label, url, headers = {}, body, model }) =>
+  withTimeout(async (signal) => {
+    const startedAt = Date.now();
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal,
+    });
+    const durationMs = Date.now() - startedAt;
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      console.warn('[aiProviders] model request failed', { provider: label, model, status: response.status, durationMs });
+      throw new Error(`${label} request failed: ${response.status} ${errorText}`);
+    }
+
+    const json = await response.json();
+    console.log('[aiProviders] model request success', {
+      provider: label,
+      model,
+      durationMs,
+      tokens: json?.usage || null,
+    });
+    return json;
+  });
+
+const createOpenAiCompatibleProvider = ({ name, label, baseUrl, apiKey, defaultModel, requiresKey }) => ({
+  name,
+  defaultModel,
+  isConfigured: () => (requiresKey ? !!apiKey() : !!(apiKey() || env('OPENAI_BASE_URL'))),
+  complete: async (messages, { model, temperature, max_tokens }) => {
+    const key = apiKey();
+    const json = await postJson({
+      label,
+      model,
+      url: `${baseUrl().replace(/\/$/, '')}/chat/completions`,
+      headers: key ? { Authorization: `Bearer ${key}` } : {},
+      body: { model, messages, temperature, max_tokens },
+    });
+    const content = json?.choices?.[0]?.message?.content?.trim();
+    if (!content) {
+      throw new Error(`Empty completion from ${label}`);
+    }
+    return content;
+  },
+});
+
+const groqProvider = createOpenAiCompatibleProvider({
+  name: 'groq',
+  label: 'Groq',
+  baseUrl: () => env('GROQ_BASE_URL') || 'https://api.groq.com/openai/v1',
+  apiKey: () => env('GROQ_API_KEY'),
+  defaultModel: () => env('GROQ_MODEL') || 'llama-3.1-8b-instant',
+  requiresKey: true,
+});
+
+// Any server speaking the OpenAI chat-completions API (OpenAI, vLLM, LM Studio, OpenRouter...).
+// Local servers usually need no key, so a custom OPENAI_BASE_URL alone is enough.
+const openAiProvider = createOpenAiCompatibleProvider({
+  name: 'openai',
+  label: 'OpenAI-compatible',
+  baseUrl: () => env('OPENAI_BASE_URL') || 'https://api.openai.com/v1',
+  apiKey: () => env('OPENAI_API_KEY'),
+  defaultModel: () => env('OPENAI_MODEL') || 'gpt-4o-mini',
+  requiresKey: false,
+});
+
+const ollamaProvider = {
+  name: 'ollama',
+  defaultModel: () => env('OLLAMA_MODEL') || 'llama3.1',
+  // Ollama runs locally without credentials; selecting it is the opt-in.
+  isConfigured: () => true,
+  complete: async (messages, { model, temperature, max_tokens }) => {
+    const baseUrl = (env('OLLAMA_BASE_URL') || 'http://localhost:11434').replace(/\/$/, '');
+    const json = await postJson({
+      label: 'Ollama',
+      model,
+      url: `${baseUrl}/api/chat`,
+      body: { model, messages, stream: false, options: { temperature, num_predict: max_tokens } },
+    });
+    const content = json?.message?.content?.trim();
+    if (!content) {
+      throw new Error('Empty completion from Ollama');
+    }
+    return content;
+  },
+};
+
+// Deterministic offline stand-in: the same seed + messages always yield the same text.
+const seededPicker = (seed, messages) => {
+  const digest = createHash('sha256')
+    .update(`${seed}\n${messages.map((m) => `${m.role}:${m.content}`).join('\n')}`)
+    .digest();
+  let cursor = 0;
+  return {
+    int: (min, max) => {
+      const byte = digest[cursor % digest.length];
+      cursor += 1;
+      return min + (byte % (max - min + 1));
+    },
+    pick(list) {
+      return list[this.int(0, list.length - 1)];
+    },
+  };
+};
+
+const MOCK_TWISTS = ['a talking umbrella', 'gravity taking a lunch break', 'a marching band of snails', 'a door that only opens on Tuesdays'];
+const MOCK_GENRES = ['fantasy', 'mystery', 'sci-fi', 'comedy', 'adventure'];
+
+const mockScores = (messages, rng) => {
+  const transcript = messages.map((m) => m.content).join('\n');
+  const names = [...new Set([...transcript.matchAll(/^Turn \d+ by (.+)$/gm)].map((match) => match[1].trim()))];
+  const players = Object.fromEntries(
+    names.map((name) => [
+      name,
+      {
+        creativity: rng.int(35, 85),
+        creativity_note: 'Mock judge: adds a few new details.',
+        cohesion: rng.int(35, 85),
+        cohesion_note: 'Mock judge: mostly follows the earlier turns.',
+        prompt_fit: rng.int(35, 85),
+        prompt_fit_note: 'Mock judge: touches on the prompt.',
+      },
+    ]),
+  );
+  return JSON.stringify({ players, summary: 'Mock judge summary' });
+};
+
+const mockProvider = {
+  name: 'mock',
+  defaultModel: () => 'mock',
+  isConfigured: () => true,
+  complete: async (messages, { task }) => {
+    const rng = seededPicker(env('AI_MOCK_SEED') || 'storygame', messages);
+    if (task === AI_TASKS.SCORING) return mockScores(messages, rng);
+    if (task === AI_TASKS.INITIAL_PROMPT) {
+      return `Begin writing a ${rng.pick(MOCK_GENRES)} story about a crew racing to recover something precious before it is lost for good.`;
+    }
+    if (task === AI_TASKS.AI_TURN) {
+      return `Without warning, ${rng.pick(MOCK_TWISTS)} changed everything. The others exchanged a look and pressed on, knowing the next step would decide who got there first.`;
+    }
+    return `Continue the story, but introduce ${rng.pick(MOCK_TWISTS)} right in the middle of the scene.`;
+  },
+};
+
+const PROVIDERS = {
+  [groqProvider.name]: groqProvider,
+  [openAiProvider.name]: openAiProvider,
+  [ollamaProvider.name]: ollamaProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+export const getProvider = (name) => PROVIDERS[String(name || '').toLowerCase()] || null;
+
+/**
+ * Provider + model for a task. Per-task env (AI_<TASK>_PROVIDER / AI_<TASK>_MODEL) wins over
+ * AI_PROVIDER / AI_MODEL, which default to Groq and that provider's default model.
+ */
+export const resolveTaskModel = (task) => {
+  const prefix = TASK_ENV_PREFIX[task];
+  const providerName = (prefix && env(`${prefix}_PROVIDER`)) || env('AI_PROVIDER') || groqProvider.name;
+  const provider = getProvider(providerName);
+  if (!provider) {
+    console.warn('[aiProviders] unknown provider, AI disabled for task', { task, provider: providerName });
+    return { task, provider: null, model: null, available: false };
+  }
+
+  const model = (prefix && env(`${prefix}_MODEL`)) || env('AI_MODEL') || provider.defaultModel();
+  return { task, provider, model, available: provider.isConfigured() };
+};
@@ -1,21 +1,7 @@
-const GROQ_API_KEY = process.env.GROQ_API_KEY;
-const GROQ_MODEL = process.env.GROQ_MODEL || 'llama-3.1-8b-instant';
-const GROQ_TIMEOUT_MS = Number(process.env.GROQ_TIMEOUT_MS || 10000);
-const GROQ_BASE_URL = process.env.GROQ_BASE_URL || 'https://api.groq.com/openai/v1';
-const GENRES = [
-  'fantasy',
-  'mystery',
-  'horror',
-  'historical',
-  'sci-fi',
-  'romance',
-  'noir',
-  'thriller',
-  'comedy',
-  'adventure',
-  'superhero',
-  'mythic',
-];
+import { AI_TASKS, resolveTaskModel } from './aiProviders.js';
+import { DEFAULT_TWIST_INTENSITY, GENRES } from './storySettings.js';
+
+export { GENRES };
 
 const truncate = (text, limit) => {
   if (!text) return '';
@@ -25,7 +11,44 @@ const truncate = (text, limit) => {
   return `${text.slice(0, limit - 3)}...`;
 };
 
-const buildMessages = ({ storySoFar, lastTurnText, previousPrompt, turnNumber, initialPrompt }) => {
+// How far a guide prompt's twist may stray from the story, per twist intensity (see storySettings.js).
+const TWIST_GUIDANCE = {
+  subtle: [
+    'Read the story context and craft ONE short instruction that forces the next player to add a small, believable complication that fits the story so far.',
+    'Keep it quiet and grounded: a hidden motive, an overlooked detail, a minor setback or a change in the weather.',
+  ],
+  moderate: [
+    'Read the story context and craft ONE short instruction that forces the next player to add a surprising complication that still makes sense in hindsight.',
+    'Aim for the unexpected but plausible: a new arrival, a lost item, a secret coming out or a plan going wrong.',
+  ],
+  bold: [
+    'Read the story context and craft ONE short instruction that forces the next player to add a dramatic complication that upends the current plan.',
+    "Go big but stay inside the story's world: a betrayal, a sudden danger, a startling discovery or a reversal of fortune.",
+  ],
+  absurd: [
+    'Read the story context and craft ONE short instruction that forces the next player to add a new absurd complication that does NOT logically follow from the context.',
+    'Prioritize strangeness over continuity: inject a wildly out-of-place element (object/material/event/rule/creature/condition) that would have less than a 1% chance of appearing naturally.',
+    'Acceptable twist types include: an impossible material, a contradictory event, a bizarre transformation, a strange rule everyone must obey, a misplaced modern object, or a surreal interruption.',
+  ],
+};
+
+const TONE_GUIDANCE = {
+  lighthearted: 'light and playful, with nothing grim',
+  dark: 'dark and ominous, with real stakes',
+  whimsical: 'whimsical and dreamlike, full of odd wonder',
+};
+
+// How hard the AI player leans into the guide prompt's twist when writing its turn.
+const AI_TURN_TWIST_GUIDANCE = {
+  subtle: 'Work the prompt in quietly so the story stays grounded.',
+  moderate: 'Let the prompt surprise the story without breaking its logic.',
+  bold: 'Let the prompt shake the story up dramatically.',
+  absurd: 'Lean fully into the prompt, however absurd it makes the story.',
+};
+
+const twistGuidance = (twistIntensity) => TWIST_GUIDANCE[twistIntensity] || TWIST_GUIDANCE[DEFAULT_TWIST_INTENSITY];
+
+const buildMessages = ({ storySoFar, lastTurnText, previousPrompt, turnNumber, initialPrompt, genre, tone, twistIntensity }) => {
   const safeStory = truncate(storySoFar || initialPrompt || 'The story begins...', 1200);
   const safeLastTurn = truncate(lastTurnText || safeStory || 'the latest beat', 240);
   const safePreviousPrompt = truncate(previousPrompt || 'No prior prompt', 200);
@@ -35,10 +58,9 @@ const buildMessages = ({ storySoFar, lastTurnText, previousPrompt, turnNumber, i
       role: 'system',
       content: [
         'You generate disruptive constraints for a telephone-style collaborative storytelling game.',
-        'Read the story context and craft ONE short instruction that forces the next player to add a new absurd complication that does NOT logically follow from the context.',
-        'Prioritize strangeness over continuity: inject a wildly out-of-place element (object/material/event/rule/creature/condition) that would have less than a 1% chance of appearing naturally.',
+        ...twistGuidance(twistIntensity),
         'The instruction must start with "Continue the story, but..." and MUST reference one concrete detail from the context.',
-        'Acceptable twist types include: an impossible material, a contradictory event, a bizarre transformation, a strange rule everyone must obey, a misplaced modern object, or a surreal interruption.',
+        ...(TONE_GUIDANCE[tone] ? [`Keep the twist ${TONE_GUIDANCE[tone]}.`] : []),
         'Keep it under 22 words. Do NOT continue the story—only output the instruction.',
       ].join(' ')
 
@@ -47,6 +69,7 @@ const buildMessages = ({ storySoFar, lastTurnText, previousPrompt, turnNumber, i
       role: 'user',
       content: [
         `Initial scene: ${truncate(initialPrompt || 'Unknown scene', 200)}`,
+        ...(genre ? [`Genre: ${genre}`] : []),
         `Story so far (${turnNumber - 1} turns): ${safeStory}`,
         `Last turn text: ${safeLastTurn}`,
         `Previous prompt: ${safePreviousPrompt}`,
@@ -56,70 +79,45 @@ const buildMessages = ({ storySoFar, lastTurnText, previousPrompt, turnNumber, i
   ];
 };
 
-const fallbackPrompt = ({ storySoFar, lastTurnText }) => {
-  const base = truncate(lastTurnText || storySoFar || 'the current scene', 160);
-  return `Continue the story, but collide ${base} with a wildly out-of-place element (think rubber ducks, quantum spaghetti, a disco anthem, or a sudden vow of silence).`;
+const FALLBACK_TWISTS = {
+  subtle: (base) => `Continue the story, but let ${base} reveal a small detail nobody had noticed before.`,
+  moderate: (base) => `Continue the story, but complicate ${base} with an unexpected yet believable setback.`,
+  bold: (base) => `Continue the story, but turn ${base} upside down with a dramatic reversal.`,
+  absurd: (base) =>
+    `Continue the story, but collide ${base} with a wildly out-of-place element (think rubber ducks, quantum spaghetti, a disco anthem, or a sudden vow of silence).`,
 };
 
-const callChatModel = async (messages, { temperature = 0.5, max_tokens = 100 } = {}) => {
-  const controller = new AbortController();
-  const timer = setTimeout(() => controller.abort(), GROQ_TIMEOUT_MS);
-  const startedAt = Date.now();
-
-  try {
-    const response = await fetch(`${GROQ_BASE_URL}/chat/completions`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        Authorization: `Bearer ${GROQ_API_KEY}`,
-      },
-      body: JSON.stringify({
-        model: GROQ_MODEL,
-        messages,
-        temperature,
-        max_tokens,
-      }),
-      signal: controller.signal,
-    });
-    const durationMs = Date.now() - startedAt;
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.warn('[aiService] model request failed', {
-        model: GROQ_MODEL,
-        status: response.status,
-        durationMs,
-      });
-      throw new Error(`Groq request failed: ${response.status} ${errorText}`);
-    }
-
-    const json = await response.json();
-    const content = json?.choices?.[0]?.message?.content?.trim();
-    console.log('[aiService] model request success', {
-      model: GROQ_MODEL,
-      durationMs,
-      tokens: json?.usage || null,
-    });
-    if (!content) {
-      throw new Error('Empty completion from OpenAI');
-    }
+const fallbackPrompt = ({ storySoFar, lastTurnText, tone, twistIntensity }) => {
+  const base = truncate(lastTurnText || storySoFar || 'the current scene', 160);
+  const twist = (FALLBACK_TWISTS[twistIntensity] || FALLBACK_TWISTS[DEFAULT_TWIST_INTENSITY])(base);
+  return TONE_GUIDANCE[tone] ? `${twist} Keep it ${tone}.` : twist;
+};
 
-    return content;
-  } finally {
-    clearTimeout(timer);
+// Sends a chat completion to whichever provider/model is configured for the task.
+const callChatModel = async (messages, { temperature = 0.5, max_tokens = 100, task = AI_TASKS.GUIDE } = {}) => {
+  const { provider, model, available } = resolveTaskModel(task);
+  if (!available) {
+    throw new Error(`No AI provider configured for ${task}`);
   }
+
+  return provider.complete(messages, { model, temperature, max_tokens, task });
 };
 
+export const isAiAvailable = (task) => resolveTaskModel(task).available;
+
 export const generateGuidePrompt = async ({
   storySoFar = '',
   lastTurnText = '',
   previousPrompt = '',
   turnNumber = 1,
   initialPrompt = '',
+  genre = null,
+  tone = null,
+  twistIntensity = DEFAULT_TWIST_INTENSITY,
 } = {}) => {
-  const fallback = fallbackPrompt({ storySoFar, lastTurnText });
+  const fallback = fallbackPrompt({ storySoFar, lastTurnText, tone, twistIntensity });
 
-  if (!GROQ_API_KEY) {
+  if (!isAiAvailable(AI_TASKS.GUIDE)) {
     return fallback;
   }
 
@@ -130,8 +128,11 @@ export const generateGuidePrompt = async ({
       previousPrompt,
       turnNumber,
       initialPrompt,
+      genre,
+      tone,
+      twistIntensity,
     });
-    const guide = await callChatModel(messages, { temperature: 0.65, max_tokens: 90 });
+    const guide = await callChatModel(messages, { temperature: 0.65, max_tokens: 90, task: AI_TASKS.GUIDE });
     console.log('[aiService] model guide:', guide);
     return guide;
   } catch (error) {
@@ -147,19 +148,24 @@ export const generateAiTurnText = async ({
   storySoFar = '',
   prompt = '',
   initialPrompt = '',
+  genre = null,
+  tone = null,
+  twistIntensity = DEFAULT_TWIST_INTENSITY,
 } = {}) => {
   const context = truncate(storySoFar || initialPrompt || 'The story begins...', 1600);
   const constraint = truncate(prompt || 'Continue the story with a playful twist.', 240);
   const fallback = `Using the prompt "${constraint}", continue the story: ${context}`.slice(0, 360);
 
-  if (!GROQ_API_KEY) {
+  const { available, provider, model } = resolveTaskModel(AI_TASKS.AI_TURN);
+  if (!available) {
     return fallback;
   }
 
   console.log('[aiService] generateAiTurnText start', {
     storyLength: context.length,
     promptLength: constraint.length,
-    model: GROQ_MODEL,
+    provider: provider.name,
+    model,
   });
 
   const messages = [
@@ -168,12 +174,16 @@ export const generateAiTurnText = async ({
       content: [
         'You are a concise collaborative storyteller. Continue the story for the AI player.',
         'Write 3-4 sentences (max ~90 words) that naturally weave in the provided prompt/constraint.',
-        'Keep the tone consistent with the story so far and avoid ending the plot; set up the next turn instead.',
+        AI_TURN_TWIST_GUIDANCE[twistIntensity] || AI_TURN_TWIST_GUIDANCE[DEFAULT_TWIST_INTENSITY],
+        TONE_GUIDANCE[tone]
+          ? `Keep the writing ${TONE_GUIDANCE[tone]}, and avoid ending the plot; set up the next turn instead.`
+          : 'Keep the tone consistent with the story so far and avoid ending the plot; set up the next turn instead.',
       ].join(' '),
     },
     {
       role: 'user',
       content: [
+        ...(genre ? [`Genre: ${genre}`] : []),
         `Story so far: ${context}`,
         `Prompt to incorporate: ${constraint}`,
         'Return only the continuation text (no titles or bullet points).',
@@ -182,7 +192,7 @@ export const generateAiTurnText = async ({
   ];
 
   try {
-    const completion = await callChatModel(messages, { temperature: 0.7, max_tokens: 160 });
+    const completion = await callChatModel(messages, { temperature: 0.7, max_tokens: 160, task: AI_TASKS.AI_TURN });
     return completion;
   } catch (error) {
     console.warn('[aiService] AI turn generation failed, using fallback:', error);
@@ -190,17 +200,18 @@ export const generateAiTurnText = async ({
   }
 };
 
-const pickGenres = (count = 1) => {
+// `random` may be swapped for a seeded generator so a daily challenge comes out the same.
+const pickGenres = (count = 1, random = Math.random) => {
   const pool = [...GENRES];
   const picks = [];
   while (pool.length > 0 && picks.length < count) {
-    const idx = Math.floor(Math.random() * pool.length);
+    const idx = Math.floor(random() * pool.length);
     picks.push(pool.splice(idx, 1)[0]);
   }
   return picks;
 };
 
-const buildInitialPromptMessages = (seed, genres = []) => {
+const buildInitialPromptMessages = (seed, genres = [], tone = null) => {
   const topic = truncate(seed || 'Invent a fresh, vivid setting with a clear goal and tension.', 200);
   const genreList = genres.length ? genres.join(', ') : 'any genre';
   return [
@@ -213,7 +224,8 @@ const buildInitialPromptMessages = (seed, genres = []) => {
         'Begin with “Begin writing a … story…” and keep the premise broad.',
         'Avoid in-world narration, character actions, sensory details, named characters, or specific plot events.',
         'Avoid adding lore, worldbuilding specifics, or invented terms.',
-        'Provide only a simple premise and the central goal or conflict.'
+        'Provide only a simple premise and the central goal or conflict.',
+        ...(TONE_GUIDANCE[tone] ? [`Set a ${tone} tone: ${TONE_GUIDANCE[tone]}.`] : []),
 ].join(' ')
 
     },
@@ -221,13 +233,14 @@ const buildInitialPromptMessages = (seed, genres = []) => {
       role: 'user',
       content: [
         `Create a new story opener based on this seed (optional): ${topic}`,
-        `Available genre to surface: ${genreList}.`
+        `Available genre to surface: ${genreList}.`,
+        ...(TONE_GUIDANCE[tone] ? [`Tone: ${tone}.`] : []),
       ].join('\n'),
     },
   ];
 };
 
-const localInitialPrompt = (seed, genres = []) => {
+const localInitialPrompt = (seed, genres = [], random = Math.random, tone = null) => {
   const base = truncate(seed || 'a fragile mission with everything on the line', 160).trim();
   const seedLine = base.endsWith('.') ? base.slice(0, -1) : base;
   const genreChoice = genres.length ? genres.join('/') : 'any genre';
@@ -245,25 +258,91 @@ const localInitialPrompt = (seed, genres = []) => {
     'Everyone senses the ground is about to shift.',
     'A rumour hints that nothing here is what it seems.',
   ];
-  const pick = (arr) => arr[Math.floor(Math.random() * arr.length)];
+  const pick = (arr) => arr[Math.floor(random() * arr.length)];
   const hook = pick(hooks).replace(/\.$/, '');
-  return `Begin writing a ${genreChoice} story: ${pick(openers)} ${seedLine}. ${hook}; lean into this genre's tone.`;
+  const toneLine = TONE_GUIDANCE[tone] ? `keep it ${TONE_GUIDANCE[tone]}` : "lean into this genre's tone";
+  return `Begin writing a ${genreChoice} story: ${pick(openers)} ${seedLine}. ${hook}; ${toneLine}.`;
 };
 
-export const generateInitialPrompt = async (seed) => {
-  const genres = pickGenres();
-  const fallback = localInitialPrompt(seed, genres);
+export const generateInitialPrompt = async (seed, { genres = null, tone = null, random = Math.random } = {}) => {
+  const picked = genres?.length ? genres : pickGenres(1, random);
+  const fallback = localInitialPrompt(seed, picked, random, tone);
 
-  if (!GROQ_API_KEY) {
+  if (!isAiAvailable(AI_TASKS.INITIAL_PROMPT)) {
     return fallback;
   }
 
   try {
-    const messages = buildInitialPromptMessages(seed, genres);
-    const prompt = await callChatModel(messages, { temperature: 0.8, max_tokens: 90 });
+    const messages = buildInitialPromptMessages(seed, picked, tone);
+    const prompt = await callChatModel(messages, { temperature: 0.8, max_tokens: 90, task: AI_TASKS.INITIAL_PROMPT });
     return prompt || fallback;
   } catch (error) {
     console.warn('[aiService] initial prompt generation failed, using fallback:', error);
     return fallback;
   }
 };
+
+const CHALLENGE_TWISTS = [
+  'a flock of paper cranes',
+  'a vending machine that only dispenses secrets',
+  'a sudden downpour of marbles',
+  'a rule that nobody may say the word "yes"',
+  'a lighthouse that walks',
+  'a cat elected mayor',
+  'a door painted on the wrong side of a wall',
+  'a clock that runs on gossip',
+  'a brass band that will not stop playing',
+  'a map that redraws itself',
+  'an eclipse that lasts exactly one breath',
+  'a library book demanding to be returned',
+  'a teacup that holds an ocean',
+  'a shadow that clocks out early',
+  'a stranger who remembers tomorrow',
+];
+
+const localChallengeGuides = (count, random) => {
+  let pool = [];
+  return Array.from({ length: count }, () => {
+    // Use every twist once before any repeats
+    if (!pool.length) pool = [...CHALLENGE_TWISTS];
+    const twist = pool.splice(Math.floor(random() * pool.length), 1)[0];
+    return `Continue the story, but ${twist} changes everything.`;
+  });
+};
+
+/**
+ * A fixed run of guide prompts for a daily challenge. Unlike generateGuidePrompt these
+ * can't react to the story, since every player gets the same ones in the same order.
+ */
+export const generateChallengeGuides = async ({ initialPrompt = '', count = 10, random = Math.random } = {}) => {
+  const fallback = localChallengeGuides(count, random);
+
+  if (!isAiAvailable(AI_TASKS.GUIDE)) {
+    return fallback;
+  }
+
+  try {
+    const messages = [
+      {
+        role: 'system',
+        content: [
+          'You write disruptive constraints for a collaborative storytelling game.',
+          `Write ${count} different instructions, one per line, each starting with "Continue the story, but..."`,
+          'Each one adds a wildly out-of-place element that would work at any point in the story.',
+          'Keep each under 22 words. Output only the instructions.',
+        ].join(' '),
+      },
+      { role: 'user', content: `Story premise: ${truncate(initialPrompt, 200)}` },
+    ];
+    const text = await callChatModel(messages, { temperature: 0.9, max_tokens: 60 * count, task: AI_TASKS.GUIDE });
+    const guides = String(text || '')
+      .split('\n')
+      .map((line) => line.replace(/^\s*(\d+[.)]|[-*])\s*/, '').trim())
+      .filter((line) => line.startsWith('Continue the story, but'));
+    // Top up from the local list if the model came back short
+    return [...guides, ...fallback].slice(0, count);
+  } catch (error) {
+    console.warn('[aiService] challenge guide generation failed, using fallback:', error);
+    return fallback;
+  }
+};
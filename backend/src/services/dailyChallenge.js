@@ -0,0 +1,74 @@
+// Daily challenge: one setup per UTC day (opening prompt plus a fixed run of guide prompts)
+// that every player gets exactly once, in single or rapid mode. Results go on a board of
+// their own in the standings collection, and players keep a streak of consecutive days.
+
+export const DAILY_MODES = ['single', 'rapid'];
+
+// Turns per attempt, so every score for the day comes from a story of the same length.
+export const DAILY_MAX_TURNS = {
+  single: 6,
+  rapid: 20,
+};
+
+export const ATTEMPT_STATUS = {
+  STARTING: 'starting',
+  PLAYING: 'playing',
+  FINISHED: 'finished',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** The challenge id for a moment: its UTC date, e.g. 2026-10-19. */
+export const challengeDateAt = (at = new Date()) => new Date(at).toISOString().slice(0, 10);
+
+export const isChallengeDate = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && challengeDateAt(Date.parse(value) || 0) === value;
+
+const previousDate = (date) => challengeDateAt(new Date(`${date}T00:00:00.000Z`).getTime() - DAY_MS);
+
+export const challengeBoardId = (date) => `challenge-${date}`;
+
+// FNV-1a, to turn the date into a 32-bit seed.
+const hashString = (value) => {
+  let hash = 2166136261;
+  for (const char of value) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+/** A repeatable stand-in for Math.random (mulberry32) so a day's fallback setup never changes. */
+export const seededRandom = (seed) => {
+  let state = hashString(String(seed));
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/** The fixed guide prompt for turn `turnNumber` (turn 1 writes from the opening). */
+export const challengeGuideFor = (guidePrompts, turnNumber) =>
+  guidePrompts[Math.min(turnNumber - 2, guidePrompts.length - 1)] || null;
+
+/** Extends (or restarts) a streak with a finished challenge. */
+export const extendStreak = (streak, { userId, date }) => {
+  if (streak?.lastDate && streak.lastDate >= date) return streak;
+  const current = streak?.lastDate === previousDate(date) ? streak.current + 1 : 1;
+  return {
+    userId,
+    current,
+    best: Math.max(streak?.best || 0, current),
+    lastDate: date,
+  };
+};
+
+/** A streak as of `today`: it stays alive until a whole day passes without a challenge. */
+export const toStreak = (streak, today) => ({
+  current: streak && [today, previousDate(today)].includes(streak.lastDate) ? streak.current : 0,
+  best: streak?.best || 0,
+  lastDate: streak?.lastDate || null,
+});
@@ -0,0 +1,119 @@
+import { dailyRepository, runTransaction } from '../repositories/index.js';
+import { GENRES, generateChallengeGuides, generateInitialPrompt } from './aiService.js';
+import { createGame } from './gameService.js';
+import {
+  ATTEMPT_STATUS,
+  DAILY_MAX_TURNS,
+  DAILY_MODES,
+  challengeDateAt,
+  seededRandom,
+  toStreak,
+} from './dailyChallenge.js';
+
+// Daily challenge endpoints (see dailyChallenge.js). The day's setup is built by the first
+// request that needs it; attempts are ordinary single or rapid games carrying the setup,
+// and gameService credits them to the daily board and streaks once they are scored.
+
+// Enough guides for the longest attempt; turn 1 writes from the opening.
+const GUIDE_COUNT = Math.max(...Object.values(DAILY_MAX_TURNS)) - 1;
+
+const nowIso = () => new Date().toISOString();
+
+const toPublicChallenge = ({ date, genre, initialPrompt }) => ({
+  date,
+  genre,
+  initialPrompt,
+  modes: DAILY_MODES,
+  maxTurns: DAILY_MAX_TURNS,
+});
+
+const toAttempt = (attempt) =>
+  attempt
+    ? {
+        gameId: attempt.gameId || null,
+        mode: attempt.mode,
+        status: attempt.status,
+        score: attempt.score ?? null,
+        startedAt: attempt.startedAt,
+        finishedAt: attempt.finishedAt || null,
+      }
+    : null;
+
+// The fallback opener and guides are seeded by the date, so rebuilding a day gives the same
+// setup; with a model configured, whichever request saves first fixes the day's wording.
+const ensureChallenge = async (date) => {
+  const existing = await dailyRepository.getChallenge(date);
+  if (existing) return existing;
+
+  const random = seededRandom(`daily-${date}`);
+  const genre = GENRES[Math.floor(random() * GENRES.length)];
+  const initialPrompt = await generateInitialPrompt('', { genres: [genre], random });
+  const guidePrompts = await generateChallengeGuides({ initialPrompt, count: GUIDE_COUNT, random });
+
+  const challenge = { date, genre, initialPrompt, guidePrompts, createdAt: nowIso() };
+  const saved = await runTransaction(async (tx) => {
+    const current = await tx.daily.getChallenge(date);
+    if (current) return current;
+    tx.daily.saveChallenge(challenge);
+    return challenge;
+  });
+  if (saved === challenge) {
+    console.log('[dailyChallengeService] daily challenge created', { date, genre });
+  }
+  return saved;
+};
+
+/** Today's challenge with the caller's attempt (if any) and streak. */
+export const getDailyChallenge = async (userId) => {
+  const today = challengeDateAt();
+  const [challenge, attempt, streak] = await Promise.all([
+    ensureChallenge(today),
+    dailyRepository.getAttempt(today, userId),
+    dailyRepository.getStreak(userId),
+  ]);
+  return { challenge: toPublicChallenge(challenge), attempt: toAttempt(attempt), streak: toStreak(streak, today) };
+};
+
+/** Starts the caller's one attempt at today's challenge. */
+export const startDailyAttempt = async (userId, { playerName, mode } = {}) => {
+  if (!userId) {
+    return { error: 'userId is required', status: 400 };
+  }
+  if (!DAILY_MODES.includes(mode)) {
+    return { error: `mode must be one of ${DAILY_MODES.join(', ')}`, status: 400 };
+  }
+
+  const today = challengeDateAt();
+  const challenge = await ensureChallenge(today);
+  const reservation = { date: today, userId, mode, status: ATTEMPT_STATUS.STARTING, startedAt: nowIso() };
+  // Reserve the attempt first so two quick requests can't both start a game
+  const existing = await runTransaction(async (tx) => {
+    const current = await tx.daily.getAttempt(today, userId);
+    if (!current) {
+      tx.daily.saveAttempt(reservation);
+    }
+    return current;
+  });
+  if (existing) {
+    return { error: "You've already played today's challenge", status: 409, attempt: toAttempt(existing) };
+  }
+
+  let game;
+  try {
+    game = await createGame({
+      hostName: playerName,
+      hostId: userId,
+      mode,
+      maxTurns: DAILY_MAX_TURNS[mode],
+      daily: challenge,
+    });
+  } catch (error) {
+    await dailyRepository.deleteAttempt(today, userId);
+    throw error;
+  }
+
+  const attempt = { ...reservation, gameId: game.id, status: ATTEMPT_STATUS.PLAYING };
+  await dailyRepository.saveAttempt(attempt);
+  const { dailyGuidePrompts: _guides, ...visibleGame } = game;
+  return { game: visibleGame, attempt: toAttempt(attempt) };
+};
@@ -0,0 +1,73 @@
+import { EventEmitter } from 'events';
+
+// In-process pub/sub for live game updates. Each server instance only sees events
+// for writes it handled itself, so clients keep a slow polling fallback.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const LOBBY_CHANNEL = 'lobbies';
+const gameChannel = (gameId) => `game:${gameId}`;
+const userChannel = (userId) => `user:${userId}`;
+
+export const GAME_EVENTS = {
+  PLAYER_JOINED: 'player_joined',
+  PLAYER_LEFT: 'player_left',
+  PLAYER_KICKED: 'player_kicked',
+  SPECTATORS_CHANGED: 'spectators_changed',
+  JOIN_REQUESTED: 'join_requested',
+  JOIN_DENIED: 'join_denied',
+  SETTINGS_UPDATED: 'settings_updated',
+  TEAMS_UPDATED: 'teams_updated',
+  GAME_STARTED: 'game_started',
+  TURN_SUBMITTED: 'turn_submitted',
+  PEN_CLAIMED: 'pen_claimed',
+  DEADLINE_CHANGED: 'deadline_changed',
+  GAME_FINISHED: 'game_finished',
+  VOTE_CAST: 'vote_cast',
+  VOTING_CLOSED: 'voting_closed',
+  SCORING_STATUS: 'scoring_status',
+  SCORES_READY: 'scores_ready',
+};
+
+export const LOBBY_EVENTS = {
+  UPDATED: 'lobby_updated',
+  REMOVED: 'lobby_removed',
+};
+
+// Events addressed to one signed-in user rather than a game (e.g. matchmaking results).
+export const USER_EVENTS = {
+  MATCH_FOUND: 'match_found',
+  QUEUE_TIMEOUT: 'queue_timeout',
+};
+
+export const publishGameEvent = (gameId, event) => {
+  if (!gameId || !event?.type) return;
+  emitter.emit(gameChannel(gameId), { ...event, gameId, sentAt: new Date().toISOString() });
+};
+
+export const publishLobbyEvent = (event) => {
+  if (!event?.type) return;
+  emitter.emit(LOBBY_CHANNEL, { ...event, sentAt: new Date().toISOString() });
+};
+
+export const publishUserEvent = (userId, event) => {
+  if (!userId || !event?.type) return;
+  emitter.emit(userChannel(userId), { ...event, sentAt: new Date().toISOString() });
+};
+
+export const subscribeToGame = (gameId, listener) => {
+  const channel = gameChannel(gameId);
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+};
+
+export const subscribeToLobbies = (listener) => {
+  emitter.on(LOBBY_CHANNEL, listener);
+  return () => emitter.off(LOBBY_CHANNEL, listener);
+};
+
+export const subscribeToUser = (userId, listener) => {
+  const channel = userChannel(userId);
+  emitter.on(channel, listener);
+  return () => emitter.off(channel, listener);
+};
@@ -0,0 +1,191 @@
+import { createHash } from 'crypto';
+import { galleryRepository, gameRepository, runTransaction, turnRepository } from '../repositories/index.js';
+import { AI_PLAYER } from './gameService.js';
+import { buildStoryDocument } from './storyExport.js';
+
+// Public story gallery. A finished story is published once every human who played in it
+// (seated at the end or credited with a turn) has agreed; any of them can take it down
+// again by withdrawing. The gallery keeps a snapshot under a stable slug with display
+// names only, and public reads go through that snapshot, never the game.
+
+export const GALLERY_SORT = {
+  RECENT: 'recent',
+  POPULAR: 'popular',
+};
+
+const nowIso = () => new Date().toISOString();
+
+const participantIdsOf = (game, turns) =>
+  [...new Set([...(game.players || []).map((p) => p.id), ...turns.map((t) => t.playerId)])].filter(
+    (id) => id && id !== AI_PLAYER.id,
+  );
+
+// The first words of the opening plus the game id, so republishing keeps the same link.
+export const slugFor = (game) => {
+  const words = (game.initialPrompt || '')
+    .toLowerCase()
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/[^a-z0-9\s]/g, '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 6)
+    .join('-')
+    .slice(0, 48)
+    .replace(/-+$/, '');
+  return [words || 'story', game.id.slice(0, 8)].join('-');
+};
+
+const toPublication = (game, participantIds, viewerId) => {
+  const consentIds = (game.publishConsentIds || []).filter((id) => participantIds.includes(id));
+  return {
+    status: game.publishedSlug ? 'published' : consentIds.length ? 'pending' : 'unpublished',
+    slug: game.publishedSlug || null,
+    publishedAt: game.publishedAt || null,
+    consents: consentIds.length,
+    participants: participantIds.length,
+    hasConsented: consentIds.includes(viewerId),
+  };
+};
+
+// The game's id stays in storage so the entry can be found again, but is never served.
+const toPublicStory = ({ gameId: _gameId, story: { gameId: _storyGameId, ...story }, ...entry }) => ({
+  ...entry,
+  ...story,
+});
+
+const toGalleryItem = (entry) => ({
+  slug: entry.slug,
+  title: entry.story.title,
+  opening: entry.story.opening.slice(0, 240),
+  mode: entry.story.mode,
+  players: entry.story.players,
+  turnsCount: entry.story.turns.length,
+  publishedAt: entry.publishedAt,
+  views: entry.views || 0,
+});
+
+const loadStory = async (gameId, playerId) => {
+  const game = await gameRepository.get(gameId);
+  if (!game) {
+    return { error: 'Game not found', status: 404 };
+  }
+  if (game.status !== 'finished') {
+    return { error: 'Only finished games can be published', status: 400 };
+  }
+
+  const turns = await turnRepository.list(gameId);
+  const participantIds = participantIdsOf(game, turns);
+  if (!participantIds.includes(playerId)) {
+    return { error: 'Only players in this story can publish it', status: 403 };
+  }
+  return { game, turns, participantIds };
+};
+
+export const getPublication = async (gameId, { playerId }) => {
+  const loaded = await loadStory(gameId, playerId);
+  if (loaded.error) return loaded;
+  return { publication: toPublication(loaded.game, loaded.participantIds, playerId) };
+};
+
+/** Records the caller's consent, and publishes the story once every participant agreed. */
+export const publishStory = async (gameId, { playerId }) => {
+  const loaded = await loadStory(gameId, playerId);
+  if (loaded.error) return loaded;
+  const { turns, participantIds } = loaded;
+
+  return runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    const consentIds = [...new Set([...(game.publishConsentIds || []), playerId])];
+    const ready = !game.publishedSlug && participantIds.every((id) => consentIds.includes(id));
+
+    const publishedAt = nowIso();
+    const updated = {
+      ...game,
+      publishConsentIds: consentIds,
+      ...(ready && { publishedSlug: slugFor(game), publishedAt }),
+      updatedAt: nowIso(),
+    };
+    if (ready) {
+      tx.gallery.save({
+        slug: updated.publishedSlug,
+        gameId,
+        publishedAt,
+        views: 0,
+        story: buildStoryDocument(game, turns),
+      });
+    }
+    tx.games.save(updated);
+    return { publication: toPublication(updated, participantIds, playerId), published: ready };
+  });
+};
+
+/** Withdraws the caller's consent; a published story leaves the gallery straight away. */
+export const unpublishStory = async (gameId, { playerId }) => {
+  const loaded = await loadStory(gameId, playerId);
+  if (loaded.error) return loaded;
+  const { participantIds } = loaded;
+
+  return runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (game.publishedSlug) {
+      tx.gallery.delete(game.publishedSlug);
+    }
+    const updated = {
+      ...game,
+      publishConsentIds: (game.publishConsentIds || []).filter((id) => id !== playerId),
+      publishedSlug: null,
+      publishedAt: null,
+      updatedAt: nowIso(),
+    };
+    tx.games.save(updated);
+    return { publication: toPublication(updated, participantIds, playerId) };
+  });
+};
+
+export const listGallery = async ({ sort = GALLERY_SORT.RECENT, limit = 24 } = {}) => {
+  if (!Object.values(GALLERY_SORT).includes(sort)) {
+    return { error: `sort must be one of ${Object.values(GALLERY_SORT).join(', ')}`, status: 400 };
+  }
+  const entries = await galleryRepository.list({
+    orderBy: sort === GALLERY_SORT.POPULAR ? 'views' : 'publishedAt',
+    limit: Math.max(1, Math.min(Number(limit) || 24, 50)),
+  });
+  return { stories: entries.map(toGalleryItem) };
+};
+
+/** A published story for its public page. Reading it doesn't count a view (see recordView). */
+export const getPublishedStory = async (slug) => {
+  const entry = await galleryRepository.get(slug);
+  if (!entry) {
+    return { error: 'Story not found', status: 404 };
+  }
+  return { story: toPublicStory(entry) };
+};
+
+/**
+ * Counts a view of a published story, at most once a day per reader. Signed-in readers are
+ * known by `userId`; anonymous ones by their client `ip`. Only a hash of either is stored.
+ */
+export const recordView = async (slug, { userId, ip }) => {
+  const viewer = userId ? `user:${userId}` : `ip:${ip || 'unknown'}`;
+  const viewerKey = createHash('sha256')
+    .update(viewer)
+    .digest('hex')
+    .slice(0, 24);
+  const viewedAt = nowIso();
+  const day = viewedAt.slice(0, 10);
+
+  return runTransaction(async (tx) => {
+    const entry = await tx.gallery.get(slug);
+    if (!entry) {
+      return { error: 'Story not found', status: 404 };
+    }
+    if (await tx.gallery.getView(slug, day, viewerKey)) {
+      return { views: entry.views || 0, counted: false };
+    }
+    const views = (entry.views || 0) + 1;
+    tx.gallery.save({ ...entry, views });
+    tx.gallery.saveView({ slug, day, viewerKey, viewedAt });
+    return { views, counted: true };
+  });
+};
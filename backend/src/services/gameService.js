@@ -1,11 +1,101 @@
-import { randomUUID } from 'crypto';
-import { db } from '../firebase.js';
+import { randomInt, randomUUID } from 'crypto';
+import {
+  dailyRepository,
+  gameRepository,
+  leaderboardRepository,
+  runTransaction,
+  scoringJobRepository,
+  seasonRepository,
+  standingRepository,
+  turnRepository,
+  userRepository,
+  voteRepository,
+} from '../repositories/index.js';
 import { generateGuidePrompt, generateInitialPrompt, generateAiTurnText } from './aiService.js';
 import { scoreGame } from './scoringService.js';
+import { GAME_EVENTS, LOBBY_EVENTS, publishGameEvent, publishLobbyEvent } from './eventService.js';
+import {
+  SCORING_STATUS,
+  claimJob,
+  completeJob,
+  createScoringJob,
+  failJob,
+  isJobClaimable,
+} from './scoringJobs.js';
+import {
+  TURN_ORDER,
+  assignOpenPen,
+  canClaim,
+  claimCap,
+  claimPen,
+  dropFromTurnOrder,
+  isPenOpen,
+  nextTurnOrder,
+  normalizeTurnOrder,
+  peekNextPlayer,
+  startTurnOrder,
+} from './turnOrder.js';
+import {
+  TEAM_STORY,
+  createTeamStories,
+  createTeams,
+  isParallelStory,
+  isTeamGame,
+  joinSmallestTeam,
+  leaveTeam,
+  moveToTeam,
+  normalizeTeamStory,
+  teamOf,
+  teamsReady,
+  withTeamPrompt,
+  withTeamScores,
+} from './teams.js';
+import {
+  SCORING_METHOD,
+  allVotesIn,
+  applyVotes,
+  closeVoting,
+  eligibleVoterIds,
+  isVotingDue,
+  isVotingOpen,
+  normalizeScoringMethod,
+  openVoting,
+  shouldOpenVoting,
+  tallyVotes,
+  usesVoting,
+  validateBallot,
+} from './voting.js';
+import { minRatedGames, rateGame } from './ratingService.js';
+import { metricsOf, recordProfileGames } from './profileService.js';
+import {
+  ARCHIVED_STANDINGS_LIMIT,
+  BOARD_MODES,
+  BOARD_WINDOWS,
+  addToStanding,
+  boardId,
+  boardIdsFor,
+  isRatingBoard,
+  seasonAt,
+  toStandingEntry,
+} from './standings.js';
+import { EXPORT_FORMATS, buildStoryDocument, renderStoryExport } from './storyExport.js';
+import {
+  DEFAULT_TWIST_INTENSITY,
+  isGenreChoice,
+  normalizeGenre,
+  normalizeTone,
+  normalizeTwistIntensity,
+  resolveGenre,
+} from './storySettings.js';
+import {
+  ATTEMPT_STATUS,
+  challengeBoardId,
+  challengeDateAt,
+  challengeGuideFor,
+  extendStreak,
+  isChallengeDate,
+} from './dailyChallenge.js';
 
-const gamesCollection = db.collection('games');
-const usersCollection = db.collection('users');
-const leaderboardCollection = db.collection('leaderboard');
 const getTestUserIds = () =>
   new Set(
     (process.env.TEST_USER_IDS || '')
@@ -18,15 +108,31 @@ const MODES = {
   SINGLE: 'single',
   MULTI: 'multi',
   RAPID: 'rapid',
+  TEAM: 'team',
 };
 
+// Modes played by humans gathered in a lobby (join requests, invite codes, lobby list).
+const hasLobby = (game) => [MODES.MULTI, MODES.TEAM].includes(game.mode || MODES.MULTI);
+
+// public lobbies are listed; unlisted ones are reachable by link or invite code; private
+// ones only accept join requests made with the invite code.
+const VISIBILITY = {
+  PUBLIC: 'public',
+  UNLISTED: 'unlisted',
+  PRIVATE: 'private',
+};
+
+// No 0/O or 1/I/L, so codes survive being read aloud or typed from a screenshot.
+const INVITE_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 6;
+
 const RAPID_CONFIG = {
   initialDurationSeconds: 60,
   decrementSeconds: 5,
   minimumSeconds: 20,
 };
 
-const clamp = (value, min, max, fallback) => {
+export const clamp = (value, min, max, fallback) => {
   const num = Number(value);
   if (Number.isFinite(num)) {
     return Math.min(max, Math.max(min, num));
@@ -36,20 +142,137 @@ const clamp = (value, min, max, fallback) => {
 
 const nowIso = () => new Date().toISOString();
 
-const AI_PLAYER = { id: 'ai-bot', name: 'AI Opponent' };
+const normalizeVisibility = (value) => (Object.values(VISIBILITY).includes(value) ? value : null);
+const isListedLobby = (game) => (game.visibility || VISIBILITY.PUBLIC) === VISIBILITY.PUBLIC;
+
+const normalizeInviteCode = (code) =>
+  String(code || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '');
+
+// Codes only need to be unique among open lobbies; retry the (unlikely) clash a few times.
+const generateInviteCode = async () => {
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const code = Array.from(
+      { length: INVITE_CODE_LENGTH },
+      () => INVITE_CODE_ALPHABET[randomInt(INVITE_CODE_ALPHABET.length)],
+    ).join('');
+    const clashes = await gameRepository.listWaitingByInviteCode(code);
+    if (!clashes.length) return code;
+  }
+  throw new Error('Could not allocate a unique invite code');
+};
+
+export const AI_PLAYER = { id: 'ai-bot', name: 'AI Opponent' };
 const isAiPlayer = (player) => player?.id === AI_PLAYER.id;
 
-const scrubGameForPlayer = (game) => {
+const isGameMember = (game, userId) =>
+  Boolean(userId) && (game.hostId === userId || (game.players || []).some((p) => p.id === userId));
+
+/** The game as `viewerId` may see it; every game the API returns goes through here. */
+export const scrubGameForPlayer = (game, viewerId) => {
   if (!game) return game;
-  const { storySoFar, ...rest } = game;
+  // A daily challenge's later guides stay hidden until their turn comes up, and the invite
+  // code is only handed to the host and seated players.
+  const { storySoFar, teamStories, dailyGuidePrompts: _dailyGuides, inviteCode, ...rest } = game;
   return {
     ...rest,
+    ...(inviteCode && isGameMember(game, viewerId) && { inviteCode }),
+    ...(teamStories && {
+      teamStories: Object.fromEntries(
+        Object.entries(teamStories).map(([teamId, { storySoFar: _story, ...story }]) => [teamId, story]),
+      ),
+    }),
     // For display purposes, show the opener as the active prompt until the first guide exists.
     guidePrompt: rest.guidePrompt ?? (rest.turnsCount ? null : rest.initialPrompt),
     pendingRequests: rest.pendingRequests || [],
   };
 };
 
+const buildGameInfo = (game) => {
+  const deadlineMs = game.turnDeadline ? new Date(game.turnDeadline).getTime() : null;
+  const timeRemainingSeconds = Number.isFinite(deadlineMs)
+    ? Math.max(0, Math.floor((deadlineMs - Date.now()) / 1000))
+    : null;
+  const playerCount = (game.players || []).length;
+  const remainingTurns = game.maxTurns
+    ? Math.max(0, game.maxTurns - (game.turnsCount || 0))
+    : null;
+
+  const turnOrder = game.turnOrder || TURN_ORDER.ROUND_ROBIN;
+
+  return {
+    status: game.status,
+    currentPlayer: game.currentPlayer,
+    turnOrder,
+    upNext: peekNextPlayer(game),
+    penOpen: isPenOpen(game),
+    claimCap: turnOrder === TURN_ORDER.CLAIM ? claimCap(game) : null,
+    currentTeamId: game.currentTeamId || null,
+    teamStory: isTeamGame(game) ? game.teamStory || TEAM_STORY.SHARED : null,
+    nextDeadline: game.turnDeadline,
+    timeRemainingSeconds,
+    remainingTurns,
+    maxTurns: game.maxTurns,
+    playerCount,
+    maxPlayers: game.maxPlayers,
+    isFull: playerCount >= game.maxPlayers,
+    allowSpectators: game.allowSpectators !== false,
+    spectatorCount: (game.spectators || []).length,
+    scores: game.scores || null,
+    scoringStatus: game.scoringStatus || null,
+    scoringMethod: game.scoringMethod || SCORING_METHOD.AI,
+    voting: game.votingStatus
+      ? {
+          status: game.votingStatus,
+          closesAt: game.votingClosesAt || null,
+          eligibleVoterIds: eligibleVoterIds(game),
+          votesCast: (game.voterIds || []).length,
+        }
+      : null,
+    lastTurn: game.lastTurn || null,
+  };
+};
+
+const toLobby = (game) => ({
+  id: game.id,
+  hostName: game.hostName || 'Host',
+  mode: game.mode || MODES.MULTI,
+  createdAt: game.createdAt || null,
+  playerCount: (game.players || []).length,
+  maxPlayers: game.maxPlayers || 0,
+  requiresApproval: game.requiresApproval ?? hasLobby(game),
+  pendingRequests: (game.pendingRequests || []).length,
+  allowSpectators: game.allowSpectators !== false,
+  spectatorCount: (game.spectators || []).length,
+  genre: game.genre || null,
+  tone: game.tone || null,
+  twistIntensity: game.twistIntensity || DEFAULT_TWIST_INTENSITY,
+});
+
+// Push the visible game + computed info to live subscribers (see eventService).
+const emitGameEvent = (type, game, extra = {}) => {
+  if (!game?.id) return;
+  publishGameEvent(game.id, {
+    type,
+    ...extra,
+    // Subscribers share one payload, so the stream re-scrubs the invite code per viewer.
+    game: { ...scrubGameForPlayer(game), ...(game.inviteCode && { inviteCode: game.inviteCode }) },
+    info: buildGameInfo(game),
+  });
+};
+
+const emitLobbyChange = (game) => {
+  if (!game?.id || !hasLobby(game)) return;
+  if (game.status === 'waiting' && isListedLobby(game)) {
+    publishLobbyEvent({ type: LOBBY_EVENTS.UPDATED, lobby: toLobby(game) });
+  } else {
+    publishLobbyEvent({ type: LOBBY_EVENTS.REMOVED, lobbyId: game.id });
+  }
+};
+
+const emitLobbyRemoved = (gameId) => publishLobbyEvent({ type: LOBBY_EVENTS.REMOVED, lobbyId: gameId });
+
 const advanceTurnState = (game) => {
   if (!game.players || game.players.length === 0) {
     return {
@@ -60,17 +283,134 @@ const advanceTurnState = (game) => {
       turnDeadline: null,
     };
   }
-  const nextIndex = (game.currentPlayerIndex + 1) % game.players.length;
-  const nextPlayer = game.players[nextIndex];
+  // In claim games this opens the pen, and the deadline becomes the window to claim it.
   return {
-    ...game,
-    currentPlayerIndex: nextIndex,
-    currentPlayer: nextPlayer.name,
-    currentPlayerId: nextPlayer.id,
+    ...withTeamPrompt(nextTurnOrder(game)),
     turnDeadline: new Date(Date.now() + game.turnDurationSeconds * 1000).toISOString(),
   };
 };
 
+// Takes a player out of the turn order without moving the pen. If the leaver was the one
+// writing, the next player in order takes over with a fresh deadline.
+const removeFromTurnOrder = (game, playerId) => {
+  const players = game.players || [];
+  const leftIndex = players.findIndex((p) => p.id === playerId);
+  const remaining = players.filter((p) => p.id !== playerId);
+  if (leftIndex === -1 || game.status === 'waiting' || remaining.length === 0) {
+    return leaveTeam({ ...game, players: remaining }, playerId);
+  }
+
+  const dropped = dropFromTurnOrder(game, playerId);
+  return dropped.advance ? advanceTurnState(dropped.game) : dropped.game;
+};
+
+// Next human after the leaving host, in seat order.
+const pickNextHost = (players, leavingId) => {
+  const from = players.findIndex((p) => p.id === leavingId);
+  for (let step = 1; step < players.length; step += 1) {
+    const candidate = players[(from + step) % players.length];
+    if (!isAiPlayer(candidate)) return candidate;
+  }
+  return null;
+};
+
+const hasEnoughPlayers = (game) => {
+  const players = game.players || [];
+  if (!players.some((p) => !isAiPlayer(p))) return false;
+  if (!hasLobby(game) || game.status === 'waiting') return true;
+  // A team game also ends once a whole team has left.
+  return players.length >= 2 && (!isTeamGame(game) || teamsReady(game));
+};
+
+// Everyone credited with a finished game: current players plus those who left mid-game.
+const gameParticipants = (game) => [...(game.players || []), ...(game.departedPlayers || [])];
+
+const isDeadlinePassed = (game) => {
+  if (!game?.turnDeadline) return false;
+  const deadlineMs = new Date(game.turnDeadline).getTime();
+  return Number.isFinite(deadlineMs) && Date.now() > deadlineMs;
+};
+
+// Only the most recent skips are kept on the game, so an idle game can't grow its document.
+const MAX_SKIPPED_TURNS = 50;
+
+// State after the current player's deadline passes: rapid games end, other modes
+// record the skipped turn and hand the pen to the next player. Once every seat has missed
+// its turn in a row the table is empty, and the game ends as timed out.
+const expireTurnState = (game) => {
+  if (game.mode === MODES.RAPID) {
+    return {
+      finished: true,
+      game: {
+        ...game,
+        status: 'finished',
+        currentPlayer: null,
+        currentPlayerId: null,
+        turnDeadline: null,
+        endedReason: 'timeout',
+        updatedAt: nowIso(),
+      },
+    };
+  }
+
+  // Nobody claimed the open pen in time; hand it out rather than skipping a turn.
+  if (isPenOpen(game)) {
+    return {
+      finished: false,
+      game: {
+        ...assignOpenPen(game),
+        turnDeadline: new Date(Date.now() + game.turnDurationSeconds * 1000).toISOString(),
+        updatedAt: nowIso(),
+      },
+    };
+  }
+
+  const skippedTurn = {
+    playerId: game.currentPlayerId || null,
+    playerName: game.currentPlayer || null,
+    order: (game.turnsCount || 0) + 1,
+    deadline: game.turnDeadline,
+    skippedAt: nowIso(),
+  };
+  const skippedTurns = [...(game.skippedTurns || []), skippedTurn].slice(-MAX_SKIPPED_TURNS);
+  // Skips since the last written turn all share its order, as turnsCount doesn't move.
+  const missedInARow = skippedTurns.filter((skip) => skip.order === skippedTurn.order).length;
+  if (missedInARow >= Math.max(1, (game.players || []).length)) {
+    return {
+      finished: true,
+      skippedTurn,
+      game: {
+        ...game,
+        status: 'finished',
+        skippedTurns,
+        currentPlayer: null,
+        currentPlayerId: null,
+        turnDeadline: null,
+        endedReason: 'timeout',
+        updatedAt: nowIso(),
+      },
+    };
+  }
+
+  return {
+    finished: false,
+    skippedTurn,
+    game: advanceTurnState({
+      ...game,
+      status: 'timeout',
+      skippedTurns,
+      updatedAt: nowIso(),
+    }),
+  };
+};
+
+// Records a scoring job for a game that just finished, inside the transaction that
+// finishes it, so the job survives even if this instance dies before running it.
+const withScoringQueued = (tx, game, previousJob = null) => {
+  tx.scoringJobs.save(createScoringJob(game.id, previousJob));
+  return { ...game, scoringStatus: SCORING_STATUS.PENDING };
+};
+
 const shouldTriggerAiTurn = (game) =>
   game &&
   game.mode === MODES.SINGLE &&
@@ -90,50 +430,164 @@ const addPlayerToGame = (game, { playerId, playerName }) => {
 
   return {
     game: {
-      ...game,
+      ...joinSmallestTeam(game, playerId),
       players: [...players, { id: playerId, name: playerName }],
+      // Someone watching the lobby who gets a seat stops being a spectator
+      spectators: (game.spectators || []).filter((s) => s.id !== playerId),
       updatedAt: nowIso(),
     },
   };
 };
 
+const isBanned = (game, playerId) => (game.bannedPlayerIds || []).includes(playerId);
+
+// Lobbies and finished stories are open to any signed-in user; in-progress games only to
+// their players, plus everyone else while the host allows spectators. Private games, in any
+// state, only to their players and whoever holds the invite code (a pending request to a
+// private lobby can only have been made with it). No viewer means an internal read.
+export const canViewGame = (game, viewerId, { inviteCode } = {}) => {
+  if (!viewerId) return true;
+  const isPlayer = (game.players || []).some((p) => p.id === viewerId);
+  if (game.visibility === VISIBILITY.PRIVATE) {
+    return (
+      isPlayer ||
+      (game.pendingRequests || []).some((r) => r.playerId === viewerId) ||
+      (Boolean(game.inviteCode) && normalizeInviteCode(inviteCode) === game.inviteCode)
+    );
+  }
+  if (isPlayer || ['waiting', 'finished'].includes(game.status)) return true;
+  return game.allowSpectators !== false;
+};
+
 const saveFinishedGameForUser = async (userId, summary) => {
   if (!userId) return;
-  const savedGamesRef = usersCollection.doc(userId).collection('savedGames');
-  const existing = await savedGamesRef.orderBy('createdAt', 'asc').get();
+  await userRepository.saveGameSummary(userId, summary);
+};
+
+const HISTORY_SORT_FIELDS = { date: 'finishedAt', score: 'score' };
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
 
-  if (existing.size >= 5) {
-    const oldest = existing.docs[0];
-    await savedGamesRef.doc(oldest.id).delete();
+// Cursors carry the sort, the last value returned and how many rows with that value were returned.
+const encodeHistoryCursor = (cursor) => Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeHistoryCursor = (value) => {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    return cursor && Number.isInteger(cursor.n) && cursor.v !== undefined ? cursor : null;
+  } catch {
+    return null;
   }
+};
+
+// Score order for history pages; unscored games (null) come last either way.
+const compareHistoryScores = (a, b, order) => {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return order === 'desc' ? b - a : a - b;
+};
 
-  await savedGamesRef.doc(summary.gameId).set(summary);
+const toHistoryDate = (value, { endOfDay = false } = {}) => {
+  if (!value) return null;
+  if (Number.isNaN(Date.parse(value))) return undefined;
+  // A bare date covers that whole (UTC) day
+  if (DATE_ONLY.test(value)) return `${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`;
+  return new Date(value).toISOString();
 };
 
-export const getUserHistory = async (userId, limit = 5) => {
+/**
+ * A page of a user's finished games. Sorted by `date` (finishedAt) or by the user's own
+ * `score`, with unscored games last; filters by mode, date range and co-player (id, or
+ * display name in any case). Pass the returned `nextCursor` back as `cursor` for the next page.
+ */
+export const getUserHistory = async (
+  userId,
+  { limit = 10, cursor = null, sort = 'date', order = 'desc', mode, from, to, coPlayerId, coPlayer } = {},
+) => {
   if (!userId) {
     return { error: 'userId is required', status: 400 };
   }
+  if (!HISTORY_SORT_FIELDS[sort]) {
+    return { error: `sort must be one of ${Object.keys(HISTORY_SORT_FIELDS).join(', ')}`, status: 400 };
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    return { error: 'order must be asc or desc', status: 400 };
+  }
+  if (mode && !Object.values(MODES).includes(mode)) {
+    return { error: `mode must be one of ${Object.values(MODES).join(', ')}`, status: 400 };
+  }
+  if (coPlayerId && coPlayer) {
+    return { error: 'Filter by coPlayerId or coPlayer, not both', status: 400 };
+  }
+  const fromDate = toHistoryDate(from);
+  const toDate = toHistoryDate(to, { endOfDay: true });
+  if (fromDate === undefined || toDate === undefined) {
+    return { error: 'from and to must be dates', status: 400 };
+  }
+  const after = cursor ? decodeHistoryCursor(cursor) : null;
+  if (cursor && (!after || after.s !== sort || after.o !== order)) {
+    return { error: 'Invalid cursor', status: 400 };
+  }
 
-  const savedGamesRef = usersCollection
-    .doc(userId)
-    .collection('savedGames')
-    .orderBy('createdAt', 'desc')
-    .limit(Math.max(1, Math.min(limit, 10)));
+  const sortField = HISTORY_SORT_FIELDS[sort];
+  const pageSize = Math.max(1, Math.min(Number(limit) || 10, 50));
+  const skip = after?.n || 0;
+  const filters = {
+    mode,
+    from: fromDate,
+    to: toDate,
+    coPlayerId,
+    coPlayerName: coPlayer?.trim().toLowerCase(),
+  };
+  let rows;
+  if (sortField === 'score') {
+    // Unscored games have no score field, so a query ordered by score would drop them, and a
+    // date range has to be ordered by date first. Read the filtered history by date and rank it here.
+    const byDate = await userRepository.listHistory(userId, { ...filters, sortField: 'finishedAt', direction: 'desc' });
+    rows = byDate
+      .sort((a, b) => compareHistoryScores(a.score ?? null, b.score ?? null, order))
+      .filter((row) => !after || compareHistoryScores(row.score ?? null, after.v, order) >= 0)
+      .slice(0, skip + pageSize + 1);
+  } else {
+    rows = await userRepository.listHistory(userId, {
+      ...filters,
+      sortField,
+      direction: order,
+      after: after?.v,
+      limit: skip + pageSize + 1,
+    });
+  }
 
-  const snap = await savedGamesRef.get();
-  const games = snap.docs.map((doc) => ({
-    id: doc.id,
-    ...doc.data(),
-  }));
+  const page = rows.slice(skip);
+  const games = page.slice(0, pageSize);
+  let nextCursor = null;
+  if (page.length > pageSize) {
+    const last = games[games.length - 1][sortField] ?? null;
+    const sameValue = games.filter((game) => (game[sortField] ?? null) === last).length;
+    nextCursor = encodeHistoryCursor({
+      s: sort,
+      o: order,
+      v: last,
+      n: sameValue + (after && after.v === last ? after.n : 0),
+    });
+  }
 
-  return { games };
+  return { games, nextCursor };
 };
 
-const updateLeaderboard = async (playerScores, players, summary) => {
+// Every credit below is saved with a scoring credit marker for its game in the same
+// transaction, and skipped when the marker exists, so a retried scoring job credits nothing twice.
+const updateLeaderboard = async (gameId, playerScores, players, summary) => {
   if (!playerScores?.players) return;
   const nameToId = new Map(players.map((p) => [p.name, p.id]));
   const entries = Object.entries(playerScores.players || {});
+  const placements = [];
+  const teamOfName = new Map(
+    Object.entries(playerScores.teams || {}).flatMap(([teamId, team]) => team.players.map((name) => [name, teamId])),
+  );
+  const creditedAt = nowIso();
+  await rollOverSeasons(creditedAt);
+  const boardIds = boardIdsFor(summary?.mode, creditedAt);
 
   for (const [name, scoreObj] of entries) {
     const userId = nameToId.get(name);
@@ -143,12 +597,18 @@ const updateLeaderboard = async (playerScores, players, summary) => {
     const cohesion = Number(scoreObj.cohesion ?? scoreObj.continuity) || 0;
     const promptFit = Number(scoreObj.prompt_fit ?? scoreObj.promptFit ?? scoreObj.momentum) || 0;
     const momentum = Number(scoreObj.momentum ?? promptFit) || 0;
-    const total = (creativity + cohesion + promptFit) / 3;
-
-    const ref = leaderboardCollection.doc(userId);
-    await db.runTransaction(async (tx) => {
-      const snap = await tx.get(ref);
-      const existing = snap.exists ? snap.data() : {};
+    // Player votes fold into `total`; judge-only scores are ranked on the metric average.
+    const total = scoreObj.voteScore !== undefined ? Number(scoreObj.total) || 0 : (creativity + cohesion + promptFit) / 3;
+    const teamId = teamOfName.get(name);
+
+    const creditKey = `leaderboard:${userId}`;
+    await runTransaction(async (tx) => {
+      if (await tx.scoringJobs.getCredit(gameId, creditKey)) return;
+      const existing = (await tx.leaderboard.get(userId)) || {};
+      const standings = [];
+      for (const id of boardIds) {
+        standings.push(await tx.standings.get(id, userId));
+      }
       const topScore = existing.topScore || 0;
       const isTop = total > topScore;
       const updated = {
@@ -159,61 +619,213 @@ const updateLeaderboard = async (playerScores, players, summary) => {
         gamesPlayed: (existing.gamesPlayed || 0) + 1,
         lastUpdated: nowIso(),
       };
+      if (teamId) {
+        updated.teamGames = (existing.teamGames || 0) + 1;
+        updated.teamWins = (existing.teamWins || 0) + (teamId === playerScores.winningTeamId ? 1 : 0);
+      }
       if (isTop && summary) {
         updated.topGameSummary = summary;
       }
-      tx.set(ref, updated, { merge: true });
+      tx.leaderboard.merge(userId, updated);
+      boardIds.forEach((id, index) => {
+        tx.standings.save(addToStanding(standings[index], { boardId: id, userId, username: name, score: total, at: creditedAt }));
+      });
+      tx.scoringJobs.saveCredit({ gameId, key: creditKey, creditedAt });
+    });
+    placements.push({
+      userId,
+      score: total,
+      ...(teamId && { teamId, teamScore: Number(playerScores.teams[teamId]?.total) || 0 }),
+    });
+  }
+
+  if (placements.length >= 2) {
+    await updateRatings(gameId, placements);
+  }
+};
+
+// Rates everyone in the game together and copies the new ratings onto their leaderboard rows.
+const updateRatings = async (gameId, placements) => {
+  const minGames = minRatedGames();
+  await runTransaction(async (tx) => {
+    if (await tx.scoringJobs.getCredit(gameId, 'ratings')) return;
+    const current = {};
+    for (const { userId } of placements) {
+      current[userId] = await tx.ratings.get(userId);
+    }
+
+    Object.values(rateGame(placements, current, nowIso())).forEach((record) => {
+      tx.ratings.save(record);
+      tx.leaderboard.merge(record.userId, {
+        rating: Math.round(record.rating),
+        ratingDeviation: Math.round(record.deviation),
+        ratedGames: record.gamesRated,
+        ranked: record.gamesRated >= minGames,
+      });
+    });
+    tx.scoringJobs.saveCredit({ gameId, key: 'ratings', creditedAt: nowIso() });
+  });
+};
+
+// Closes a daily challenge attempt: the score goes on that day's board and the day counts
+// towards the player's streak (see dailyChallenge.js).
+const recordDailyResult = async (game, scores, players) => {
+  const date = game.dailyChallengeId;
+  const boardKey = challengeBoardId(date);
+  const at = nowIso();
+  for (const player of players) {
+    const scoreObj = scores?.players?.[player.name];
+    const score = scoreObj ? Math.round(metricsOf(scoreObj).total * 10) / 10 : null;
+    const creditKey = `daily:${player.id}`;
+    await runTransaction(async (tx) => {
+      if (await tx.scoringJobs.getCredit(game.id, creditKey)) return;
+      const attempt = await tx.daily.getAttempt(date, player.id);
+      const streak = await tx.daily.getStreak(player.id);
+      const standing = score === null ? null : await tx.standings.get(boardKey, player.id);
+      if (score !== null) {
+        tx.standings.save(addToStanding(standing, { boardId: boardKey, userId: player.id, username: player.name, score, at }));
+      }
+      tx.daily.saveAttempt({ ...attempt, date, userId: player.id, status: ATTEMPT_STATUS.FINISHED, score, finishedAt: at });
+      tx.daily.saveStreak(extendStreak(streak, { userId: player.id, date }));
+      tx.scoringJobs.saveCredit({ gameId: game.id, key: creditKey, creditedAt: at });
     });
   }
+};
+
+const isTestUser = (entry, testUserIds = getTestUserIds()) => {
+  if (testUserIds.has(entry.userId)) return true;
+  if (typeof entry.userId === 'string' && entry.userId.startsWith('test-user')) return true;
+  if (typeof entry.username === 'string' && /^test[\s_-]?/i.test(entry.username.trim())) return true;
+  return false;
+};
+
+const toSeasonInfo = ({ id, name, startsAt, endsAt, status }) => ({ id, name, startsAt, endsAt, status });
+
+// Starts the season `at` falls in, archiving the final standings of any earlier season
+// that is still active. Runs before games are credited and before boards are read.
+const rollOverSeasons = async (at = nowIso()) => {
+  const current = seasonAt(at);
+  const active = await seasonRepository.listActive();
+
+  for (const season of active.filter((entry) => entry.id !== current.id)) {
+    const testUserIds = getTestUserIds();
+    const standings = {};
+    for (const mode of BOARD_MODES) {
+      const rows = await standingRepository.listBoard(boardId({ mode, seasonId: season.id }), {
+        limit: ARCHIVED_STANDINGS_LIMIT + testUserIds.size,
+      });
+      standings[mode] = rows
+        .filter((row) => !isTestUser(row, testUserIds))
+        .slice(0, ARCHIVED_STANDINGS_LIMIT)
+        .map((row, index) => toStandingEntry(row, index + 1));
+    }
+    await seasonRepository.merge(season.id, { status: 'archived', archivedAt: at, standings });
+    console.log('[gameService] leaderboard season archived', { seasonId: season.id });
+  }
 
-  // Trim leaderboard to top 10 by topScore
-  const snap = await leaderboardCollection.orderBy('topScore', 'desc').get();
-  const docs = snap.docs;
-  if (docs.length > 10) {
-    const excess = docs.slice(10);
-    const batch = db.batch();
-    excess.forEach((doc) => batch.delete(doc.ref));
-    await batch.commit();
+  if (!active.some((entry) => entry.id === current.id) && !(await seasonRepository.get(current.id))) {
+    await seasonRepository.save({ ...current, status: 'active' });
   }
+  return current;
+};
+
+export const listSeasons = async () => {
+  await rollOverSeasons();
+  const seasons = await seasonRepository.list();
+  return seasons.map(toSeasonInfo);
 };
 
-export const getLeaderboard = async ({ limit = 20 } = {}) => {
+const toRatingEntry = (data, rank) => ({
+  userId: data.userId,
+  username: data.username || 'Unknown',
+  rating: Number(data.rating) || 0,
+  ratingDeviation: Number(data.ratingDeviation) || 0,
+  ratedGames: Number(data.ratedGames) || 0,
+  topScore: Number(data.topScore) || 0,
+  lastScore: Number(data.lastScore) || 0,
+  gamesPlayed: Number(data.gamesPlayed) || 0,
+  teamGames: Number(data.teamGames) || 0,
+  teamWins: Number(data.teamWins) || 0,
+  lastUpdated: data.lastUpdated || null,
+  topGameSummary: data.topGameSummary || null,
+  rank,
+});
+
+/**
+ * One leaderboard board. The default (all modes, all time) ranks players by skill rating
+ * and only shows rows flagged `ranked` (enough rated games). Per-mode, daily, weekly and
+ * season boards rank by best single-game score on that board (see services/standings.js).
+ */
+export const getLeaderboard = async ({ limit = 20, mode = 'all', window = BOARD_WINDOWS.ALL, season = null } = {}) => {
+  if (!BOARD_MODES.includes(mode)) {
+    return { error: `mode must be one of ${BOARD_MODES.join(', ')}`, status: 400 };
+  }
+  if (!Object.values(BOARD_WINDOWS).includes(window)) {
+    return { error: `window must be one of ${Object.values(BOARD_WINDOWS).join(', ')}`, status: 400 };
+  }
+  if (season && window !== BOARD_WINDOWS.ALL) {
+    return { error: 'Pick either a season or a time window', status: 400 };
+  }
+
   const maxLimit = Math.max(1, Math.min(limit, 50));
   const testUserIds = getTestUserIds();
+  const current = await rollOverSeasons();
+  const seasonDoc = season ? await seasonRepository.get(season) : null;
+  if (season && !seasonDoc) {
+    return { error: 'Season not found', status: 404 };
+  }
+  const board = {
+    mode,
+    window,
+    season: seasonDoc ? toSeasonInfo(seasonDoc) : null,
+    currentSeasonId: current.id,
+    rankedBy: isRatingBoard({ mode, window, seasonId: season }) ? 'rating' : 'topScore',
+  };
+
+  if (seasonDoc?.status === 'archived') {
+    return { leaderboard: (seasonDoc.standings?.[mode] || []).slice(0, maxLimit), board };
+  }
 
   // Fetch a few extra rows in case we need to filter test users out
-  const snap = await leaderboardCollection
-    .orderBy('topScore', 'desc')
-    .limit(maxLimit + testUserIds.size)
-    .get();
-
-  const leaderboard = [];
-  const isTestUser = (entry) => {
-    if (testUserIds.has(entry.userId)) return true;
-    if (typeof entry.userId === 'string' && entry.userId.startsWith('test-user')) return true;
-    if (typeof entry.username === 'string' && /^test[\s_-]?/i.test(entry.username.trim())) return true;
-    return false;
-  };
-  for (const doc of snap.docs) {
-    const data = doc.data();
-    if (!data?.userId || typeof data.topScore === 'undefined') continue;
-    if (isTestUser(data)) continue;
-
-    leaderboard.push({
-      userId: data.userId,
-      username: data.username || 'Unknown',
-      topScore: Number(data.topScore) || 0,
-      lastScore: Number(data.lastScore) || 0,
-      gamesPlayed: Number(data.gamesPlayed) || 0,
-      lastUpdated: data.lastUpdated || null,
-      topGameSummary: data.topGameSummary || null,
-      rank: leaderboard.length + 1,
-    });
+  const fetchLimit = maxLimit + testUserIds.size;
+  const rows =
+    board.rankedBy === 'rating'
+      ? await leaderboardRepository.listRanked({ limit: fetchLimit })
+      : await standingRepository.listBoard(boardId({ mode, window, seasonId: seasonDoc?.id, at: nowIso() }), {
+          limit: fetchLimit,
+        });
+  const toEntry = board.rankedBy === 'rating' ? toRatingEntry : toStandingEntry;
 
-    if (leaderboard.length >= maxLimit) break;
+  const leaderboard = rows
+    .filter((data) => data?.userId && !isTestUser(data, testUserIds))
+    .filter((data) => board.rankedBy !== 'rating' || typeof data.rating !== 'undefined')
+    .slice(0, maxLimit)
+    .map((data, index) => toEntry(data, index + 1));
+
+  return { leaderboard, board };
+};
+
+/** The daily challenge board for a UTC date (default today), best score first. */
+export const getDailyLeaderboard = async ({ limit = 20, date = challengeDateAt() } = {}) => {
+  if (!isChallengeDate(date)) {
+    return { error: 'date must be a YYYY-MM-DD date', status: 400 };
   }
 
-  return leaderboard;
+  const maxLimit = Math.max(1, Math.min(limit, 50));
+  const testUserIds = getTestUserIds();
+  const [challenge, rows] = await Promise.all([
+    dailyRepository.getChallenge(date),
+    standingRepository.listBoard(challengeBoardId(date), { limit: maxLimit + testUserIds.size }),
+  ]);
+  const leaderboard = rows
+    .filter((data) => data?.userId && !isTestUser(data, testUserIds))
+    .slice(0, maxLimit)
+    .map((data, index) => toStandingEntry(data, index + 1));
+
+  return {
+    leaderboard,
+    board: { date, genre: challenge?.genre || null, rankedBy: 'topScore' },
+  };
 };
 
 export const createGame = async ({
@@ -224,22 +836,54 @@ export const createGame = async ({
   maxTurns,
   maxPlayers,
   mode = MODES.MULTI,
+  allowSpectators = true,
+  visibility = VISIBILITY.PUBLIC,
+  requiresApproval = true,
+  turnOrder = TURN_ORDER.ROUND_ROBIN,
+  teamStory = TEAM_STORY.SHARED,
+  scoringMethod = SCORING_METHOD.AI,
+  voteWeight,
+  votingSeconds,
+  genre,
+  tone,
+  twistIntensity,
+  fork = null,
+  daily = null,
 }) => {
   const cleanHost = hostName?.trim() || 'Host';
   if (!hostId) {
     throw new Error('hostId is required (Google user id)');
   }
+  // Like the settings endpoint, reject a style the host named but we don't offer (unset is fine).
+  if (genre !== undefined && genre !== null && !isGenreChoice(genre)) {
+    return { error: 'Invalid genre value', status: 400 };
+  }
+  if (tone !== undefined && tone !== null && !normalizeTone(tone)) {
+    return { error: 'Invalid tone value', status: 400 };
+  }
+  if (twistIntensity !== undefined && twistIntensity !== null && !normalizeTwistIntensity(twistIntensity)) {
+    return { error: 'Invalid twist intensity value', status: 400 };
+  }
   const seedPrompt = initialPrompt?.trim() || '';
-  const prompt = await generateInitialPrompt(seedPrompt);
+  // Forks (see forkGame) carry on from the parent's opening and turns instead of a fresh opener;
+  // daily challenges (see dailyChallengeService.js) use the day's fixed one.
+  const storyGenre = daily ? daily.genre : fork ? normalizeGenre(genre) : resolveGenre(genre);
+  const storyTone = normalizeTone(tone);
+  const prompt = fork
+    ? fork.initialPrompt
+    : daily
+      ? daily.initialPrompt
+      : await generateInitialPrompt(seedPrompt, { genres: [storyGenre], tone: storyTone });
 
   const isRapid = mode === MODES.RAPID;
   const isSingle = mode === MODES.SINGLE;
+  const isTeam = mode === MODES.TEAM;
   const duration = isRapid
     ? RAPID_CONFIG.initialDurationSeconds
     : clamp(turnDurationSeconds, 30, 600, 60);
-  const turnsCap = clamp(maxTurns, 1, 50, isRapid ? 50 : 5);
+  const turnsCap = Math.max(clamp(maxTurns, 1, 50, isRapid ? 50 : 5), (fork?.turnsCount || 0) + 1);
   const minPlayers = mode === MODES.SINGLE ? 2 : isRapid ? 1 : 2;
-  const defaultCap = isRapid ? 2 : mode === MODES.SINGLE ? 2 : 3;
+  const defaultCap = isRapid ? 2 : mode === MODES.SINGLE ? 2 : isTeam ? 4 : 3;
   const playerCap = clamp(maxPlayers, minPlayers, 7, defaultCap);
 
   const gameId = randomUUID();
@@ -247,7 +891,8 @@ export const createGame = async ({
 
   const players = isSingle ? [{ id: hostId, name: cleanHost }, AI_PLAYER] : [{ id: hostId, name: cleanHost }];
 
-  const gameMode = isRapid ? MODES.RAPID : isSingle ? MODES.SINGLE : MODES.MULTI;
+  const gameMode = isRapid ? MODES.RAPID : isSingle ? MODES.SINGLE : isTeam ? MODES.TEAM : MODES.MULTI;
+  const inviteCode = hasLobby({ mode: gameMode }) ? await generateInviteCode() : null;
   const initialStatus = isRapid || isSingle ? 'active' : 'waiting';
   const initialDeadline =
     initialStatus === 'active'
@@ -260,16 +905,42 @@ export const createGame = async ({
     hostName: cleanHost,
     status: initialStatus,
     initialPrompt: prompt,
-    guidePrompt: null,
-    storySoFar: prompt,
-    lastTurn: null,
+    guidePrompt: fork?.guidePrompt ?? null,
+    storySoFar: fork?.storySoFar ?? prompt,
+    lastTurn: fork?.lastTurn ?? null,
     players,
-    turnsCount: 0,
+    turnsCount: fork?.turnsCount ?? 0,
+    ...(fork && { parentGameId: fork.parentGameId, rootGameId: fork.rootGameId, forkedAtTurn: fork.turnsCount }),
+    ...(daily && { dailyChallengeId: daily.date, dailyGuidePrompts: daily.guidePrompts }),
+    // Story style (see storySettings.js).
+    genre: storyGenre,
+    tone: storyTone,
+    twistIntensity: normalizeTwistIntensity(twistIntensity) || DEFAULT_TWIST_INTENSITY,
     turnDurationSeconds: duration,
     maxTurns: turnsCap,
     maxPlayers: playerCap,
-    requiresApproval: gameMode === MODES.MULTI,
+    requiresApproval: hasLobby({ mode: gameMode }) && requiresApproval !== false,
     pendingRequests: [],
+    visibility: normalizeVisibility(visibility) || VISIBILITY.PUBLIC,
+    inviteCode,
+    allowSpectators: allowSpectators !== false,
+    spectators: [],
+    bannedPlayerIds: [],
+    // Solo and rapid games always alternate seats.
+    turnOrder: gameMode === MODES.MULTI ? normalizeTurnOrder(turnOrder) || TURN_ORDER.ROUND_ROBIN : TURN_ORDER.ROUND_ROBIN,
+    turnCounts: {},
+    // Lobby games may hold an end-of-game vote (see voting.js).
+    scoringMethod: hasLobby({ mode: gameMode })
+      ? normalizeScoringMethod(scoringMethod) || SCORING_METHOD.AI
+      : SCORING_METHOD.AI,
+    voteWeight: clamp(voteWeight, 0, 100, 50),
+    votingSeconds: clamp(votingSeconds, 30, 600, 120),
+    // Team games alternate between teams instead (see teams.js).
+    ...(isTeam && {
+      teams: createTeams(hostId),
+      teamStory: normalizeTeamStory(teamStory) || TEAM_STORY.SHARED,
+      currentTeamId: null,
+    }),
     turnDeadline: initialDeadline,
     currentPlayerIndex: 0,
     currentPlayer: cleanHost,
@@ -279,34 +950,188 @@ export const createGame = async ({
     updatedAt: createdAt,
   };
 
-  await gamesCollection.doc(gameId).set(game);
+  if (fork) {
+    await runTransaction(async (tx) => {
+      tx.games.save(game);
+      fork.turns.forEach((turn) => tx.turns.add(gameId, turn));
+    });
+  } else {
+    await gameRepository.save(game);
+  }
+  emitLobbyChange(game);
   return game;
 };
 
-export const updateGameSettings = async (gameId, { hostId, maxPlayers, turnDurationSeconds }) => {
-  const gameRef = gamesCollection.doc(gameId);
+/**
+ * Starts a new game (any mode, hosted by the caller) from a finished story as it stood
+ * after `atTurn` turns (default: all of them). The copied turns keep their authors and
+ * are scored with the new game; `forkedFromGameId` marks where each was first written.
+ */
+export const forkGame = async (gameId, { hostId, hostName, atTurn, ...settings }) => {
+  if (!hostId) {
+    return { error: 'Host id is required', status: 400 };
+  }
+
+  const source = await gameRepository.get(gameId);
+  if (!source) {
+    return { error: 'Game not found', status: 404 };
+  }
+  if (source.status !== 'finished') {
+    return { error: 'Only finished games can be forked', status: 400 };
+  }
+
+  const turns = await turnRepository.list(gameId);
+  const turnNumber = atTurn === undefined || atTurn === null ? turns.length : Number(atTurn);
+  if (!Number.isInteger(turnNumber) || turnNumber < 0 || turnNumber > turns.length) {
+    return { error: `atTurn must be a whole number from 0 to ${turns.length}`, status: 400 };
+  }
+
+  const kept = turns.slice(0, turnNumber);
+  const last = kept[kept.length - 1];
+  const game = await createGame({
+    ...settings,
+    hostName,
+    hostId,
+    maxTurns: settings.maxTurns ?? source.maxTurns,
+    genre: source.genre,
+    tone: settings.tone === undefined ? source.tone : settings.tone,
+    twistIntensity: settings.twistIntensity ?? source.twistIntensity,
+    fork: {
+      parentGameId: source.id,
+      rootGameId: source.rootGameId || source.id,
+      initialPrompt: source.initialPrompt,
+      storySoFar: [source.initialPrompt, ...kept.map((turn) => turn.text)].filter(Boolean).join('\n'),
+      // The guide the next writer saw in the parent, or the parent's last one after its final turn.
+      guidePrompt: turns[turnNumber]?.promptUsed ?? (last ? source.guidePrompt : null) ?? null,
+      lastTurn: last
+        ? { playerName: last.playerName, playerId: last.playerId, text: last.text, order: last.order, promptUsed: last.promptUsed }
+        : null,
+      turnsCount: turnNumber,
+      // Team ids belonged to the parent's teams.
+      turns: kept.map(({ teamId: _teamId, ...turn }) => ({
+        ...turn,
+        id: randomUUID(),
+        forkedFromGameId: turn.forkedFromGameId || source.id,
+      })),
+    },
+  });
+  if (game.error) {
+    return game;
+  }
+
+  return { game };
+};
+
+/** A finished story as a downloadable file (see storyExport.js). */
+export const exportStory = async (gameId, { format, attribution = true, prompts = true } = {}) => {
+  if (!EXPORT_FORMATS.includes(format)) {
+    return { error: `format must be one of ${EXPORT_FORMATS.join(', ')}`, status: 400 };
+  }
+
+  const game = await gameRepository.get(gameId);
+  if (!game) {
+    return { error: 'Game not found', status: 404 };
+  }
+  if (game.status !== 'finished') {
+    return { error: 'Only finished games can be exported', status: 400 };
+  }
+
+  const turns = await turnRepository.list(gameId);
+  return renderStoryExport(format, buildStoryDocument(game, turns, { attribution, prompts }));
+};
+
+const toFamilyMember = (game) => ({
+  id: game.id,
+  parentGameId: game.parentGameId || null,
+  forkedAtTurn: game.forkedAtTurn ?? null,
+  mode: game.mode || MODES.MULTI,
+  status: game.status,
+  hostName: game.hostName || 'Host',
+  turnsCount: game.turnsCount || 0,
+  maxTurns: game.maxTurns || 0,
+  createdAt: game.createdAt || null,
+});
+
+/** Every game in a fork family: the original story and all forks of it, oldest first. */
+export const getGameFamily = async (gameId) => {
+  const game = await gameRepository.get(gameId);
+  if (!game) {
+    return { error: 'Game not found', status: 404 };
+  }
+
+  const rootGameId = game.rootGameId || game.id;
+  const [root, forks] = await Promise.all([
+    rootGameId === game.id ? game : gameRepository.get(rootGameId),
+    gameRepository.listByRoot(rootGameId),
+  ]);
+  const games = [root, ...forks]
+    .filter(Boolean)
+    .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))
+    .map(toFamilyMember);
+  return { rootGameId, games };
+};
+
+export const updateGameSettings = async (
+  gameId,
+  {
+    hostId,
+    maxPlayers,
+    turnDurationSeconds,
+    allowSpectators,
+    visibility,
+    turnOrder,
+    teamStory,
+    scoringMethod,
+    voteWeight,
+    votingSeconds,
+    tone,
+    twistIntensity,
+  },
+) => {
   if (!hostId) {
     return { error: 'Host id is required', status: 400 };
   }
 
-  const result = await db.runTransaction(async (tx) => {
-    const snap = await tx.get(gameRef);
-    if (!snap.exists) {
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
       return { error: 'Game not found', status: 404 };
     }
 
-    const game = snap.data();
-
     if (game.hostId !== hostId) {
       return { error: 'Only the host can update lobby settings', status: 403 };
     }
 
-    if (game.status !== 'waiting') {
+    if (game.status === 'finished') {
+      return { error: 'Game has finished', status: 400 };
+    }
+
+    // Spectating can be switched at any time; everything else is fixed once the game starts.
+    const changesLobbySettings = [
+      maxPlayers,
+      turnDurationSeconds,
+      visibility,
+      turnOrder,
+      teamStory,
+      scoringMethod,
+      voteWeight,
+      votingSeconds,
+      tone,
+      twistIntensity,
+    ].some((value) => typeof value !== 'undefined');
+    if (changesLobbySettings && game.status !== 'waiting') {
       return { error: 'Game has already started', status: 400 };
     }
 
     const updates = {};
 
+    if (typeof allowSpectators !== 'undefined' && Boolean(allowSpectators) !== (game.allowSpectators !== false)) {
+      updates.allowSpectators = Boolean(allowSpectators);
+      if (!updates.allowSpectators) {
+        updates.spectators = [];
+      }
+    }
+
     if (typeof maxPlayers !== 'undefined') {
       const currentPlayers = (game.players || []).length;
       const minPlayers = game.mode === MODES.SINGLE ? 1 : 2;
@@ -322,6 +1147,81 @@ export const updateGameSettings = async (gameId, { hostId, maxPlayers, turnDurat
       }
     }
 
+    if (typeof visibility !== 'undefined') {
+      const requestedVisibility = normalizeVisibility(visibility);
+      if (!requestedVisibility) {
+        return { error: 'Invalid visibility value', status: 400 };
+      }
+      if (requestedVisibility !== (game.visibility || VISIBILITY.PUBLIC)) {
+        updates.visibility = requestedVisibility;
+      }
+    }
+
+    if (typeof turnOrder !== 'undefined') {
+      const requestedOrder = normalizeTurnOrder(turnOrder);
+      if (!requestedOrder || game.mode !== MODES.MULTI) {
+        return { error: 'Invalid turn order value', status: 400 };
+      }
+      if (requestedOrder !== (game.turnOrder || TURN_ORDER.ROUND_ROBIN)) {
+        updates.turnOrder = requestedOrder;
+      }
+    }
+
+    if (typeof teamStory !== 'undefined') {
+      const requestedStory = normalizeTeamStory(teamStory);
+      if (!requestedStory || !isTeamGame(game)) {
+        return { error: 'Invalid team story value', status: 400 };
+      }
+      if (requestedStory !== (game.teamStory || TEAM_STORY.SHARED)) {
+        updates.teamStory = requestedStory;
+      }
+    }
+
+    if (typeof scoringMethod !== 'undefined') {
+      const requestedMethod = normalizeScoringMethod(scoringMethod);
+      if (!requestedMethod || !hasLobby(game)) {
+        return { error: 'Invalid scoring method value', status: 400 };
+      }
+      if (requestedMethod !== (game.scoringMethod || SCORING_METHOD.AI)) {
+        updates.scoringMethod = requestedMethod;
+      }
+    }
+
+    if (typeof voteWeight !== 'undefined') {
+      const requestedWeight = clamp(voteWeight, 0, 100, game.voteWeight ?? 50);
+      if (requestedWeight !== game.voteWeight) {
+        updates.voteWeight = requestedWeight;
+      }
+    }
+
+    if (typeof votingSeconds !== 'undefined') {
+      const requestedWindow = clamp(votingSeconds, 30, 600, game.votingSeconds || 120);
+      if (requestedWindow !== game.votingSeconds) {
+        updates.votingSeconds = requestedWindow;
+      }
+    }
+
+    // The genre is fixed once the opener is written; tone and twists only shape later prompts.
+    if (typeof tone !== 'undefined') {
+      const requestedTone = tone === null ? null : normalizeTone(tone);
+      if (tone !== null && !requestedTone) {
+        return { error: 'Invalid tone value', status: 400 };
+      }
+      if (requestedTone !== (game.tone || null)) {
+        updates.tone = requestedTone;
+      }
+    }
+
+    if (typeof twistIntensity !== 'undefined') {
+      const requestedIntensity = normalizeTwistIntensity(twistIntensity);
+      if (!requestedIntensity) {
+        return { error: 'Invalid twist intensity value', status: 400 };
+      }
+      if (requestedIntensity !== (game.twistIntensity || DEFAULT_TWIST_INTENSITY)) {
+        updates.twistIntensity = requestedIntensity;
+      }
+    }
+
     if (typeof turnDurationSeconds !== 'undefined') {
       const requestedDuration = clamp(turnDurationSeconds, 30, 600, game.turnDurationSeconds || 60);
       if (!Number.isFinite(requestedDuration)) {
@@ -341,15 +1241,19 @@ export const updateGameSettings = async (gameId, { hostId, maxPlayers, turnDurat
       ...updates,
       updatedAt: nowIso(),
     };
-    tx.set(gameRef, updated);
-    return { game: updated };
+    tx.games.save(updated);
+    return { game: updated, changed: true };
   });
 
+  if (result.changed) {
+    emitGameEvent(GAME_EVENTS.SETTINGS_UPDATED, result.game);
+    emitLobbyChange(result.game);
+  }
+
   return result;
 };
 
 export const joinGame = async (gameId, { playerName = 'Anonymous', playerId }) => {
-  const gameRef = gamesCollection.doc(gameId);
   const trimmedName = playerName?.trim();
 
   if (!trimmedName) {
@@ -359,14 +1263,12 @@ export const joinGame = async (gameId, { playerName = 'Anonymous', playerId }) =
     return { error: 'Player id is required', status: 400 };
   }
 
-  const result = await db.runTransaction(async (tx) => {
-    const snap = await tx.get(gameRef);
-    if (!snap.exists) {
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
       return { error: 'Game not found', status: 404 };
     }
 
-    const game = snap.data();
-
     if (game.status === 'finished') {
       return { error: 'Game has finished', status: 400 };
     }
@@ -375,11 +1277,15 @@ export const joinGame = async (gameId, { playerName = 'Anonymous', playerId }) =
       return { error: 'Game is not accepting new players', status: 400 };
     }
 
-    if (game.mode !== MODES.MULTI) {
+    if (!hasLobby(game)) {
       return { error: 'Cannot join a single-player game', status: 400 };
     }
 
-    const requiresApproval = game.requiresApproval ?? game.mode === MODES.MULTI;
+    if (isBanned(game, playerId)) {
+      return { error: 'You have been banned from this game', status: 403 };
+    }
+
+    const requiresApproval = game.requiresApproval ?? hasLobby(game);
     if (requiresApproval && playerId !== game.hostId) {
       return { error: 'Host approval required', status: 403 };
     }
@@ -392,30 +1298,113 @@ export const joinGame = async (gameId, { playerName = 'Anonymous', playerId }) =
     const addition = addPlayerToGame(game, { playerId, playerName: trimmedName });
     if (addition.error) return addition;
 
-    tx.set(gameRef, addition.game);
-    return addition;
+    tx.games.save(addition.game);
+    return { ...addition, joined: true };
   });
 
+  if (result.joined) {
+    emitGameEvent(GAME_EVENTS.PLAYER_JOINED, result.game, { playerId, playerName: trimmedName });
+    emitLobbyChange(result.game);
+  }
+
   return result;
 };
 
-export const previewTurn = async (gameId, { playerName = 'Anonymous', playerId, text }) => {
-  const trimmedName = playerName?.trim();
+export const spectateGame = async (gameId, { spectatorId, spectatorName = 'Spectator' }) => {
+  if (!spectatorId) {
+    return { error: 'Spectator id is required', status: 400 };
+  }
+  const trimmedName = spectatorName?.trim() || 'Spectator';
 
-  if (!trimmedName) {
-    return { error: 'Player name is required', status: 400 };
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
+      return { error: 'Game not found', status: 404 };
+    }
+
+    if (game.status === 'finished') {
+      return { error: 'Game has finished', status: 400 };
+    }
+
+    if (game.allowSpectators === false) {
+      return { error: 'Spectators are not allowed in this game', status: 403 };
+    }
+
+    if (isBanned(game, spectatorId)) {
+      return { error: 'You have been banned from this game', status: 403 };
+    }
+
+    if ((game.players || []).some((p) => p.id === spectatorId)) {
+      return { error: 'Players cannot spectate their own game', status: 400 };
+    }
+
+    // Private games are closed to outsiders; the invite code only seats players.
+    if (game.visibility === VISIBILITY.PRIVATE) {
+      return { error: 'This game is private', status: 403 };
+    }
+
+    const spectators = game.spectators || [];
+    if (spectators.some((s) => s.id === spectatorId)) {
+      return { game };
+    }
+
+    const updated = {
+      ...game,
+      spectators: [...spectators, { id: spectatorId, name: trimmedName, joinedAt: nowIso() }],
+      updatedAt: nowIso(),
+    };
+    tx.games.save(updated);
+    return { game: updated, changed: true };
+  });
+
+  if (result.changed) {
+    emitGameEvent(GAME_EVENTS.SPECTATORS_CHANGED, result.game);
+    emitLobbyChange(result.game);
   }
+
+  return result;
+};
+
+export const stopSpectating = async (gameId, { spectatorId }) => {
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
+      return { error: 'Game not found', status: 404 };
+    }
+
+    const spectators = game.spectators || [];
+    if (!spectators.some((s) => s.id === spectatorId)) {
+      return { game };
+    }
+
+    const updated = {
+      ...game,
+      spectators: spectators.filter((s) => s.id !== spectatorId),
+      updatedAt: nowIso(),
+    };
+    tx.games.save(updated);
+    return { game: updated, changed: true };
+  });
+
+  if (result.changed) {
+    emitGameEvent(GAME_EVENTS.SPECTATORS_CHANGED, result.game);
+    emitLobbyChange(result.game);
+  }
+
+  return result;
+};
+
+// Turns are credited to the seated player's name (scores are keyed by it), never a name from the request.
+export const previewTurn = async (gameId, { playerId, text }) => {
   if (!playerId) {
     return { error: 'Player id is required', status: 400 };
   }
 
-  const snap = await gamesCollection.doc(gameId).get();
-  if (!snap.exists) {
+  const game = await gameRepository.get(gameId);
+  if (!game) {
     return { error: 'Game not found', status: 404 };
   }
 
-  const game = snap.data();
-
   if (game.status === 'finished') {
     return { error: 'Game has finished', status: 400 };
   }
@@ -431,15 +1420,21 @@ export const previewTurn = async (gameId, { playerName = 'Anonymous', playerId,
 
   const cleanText = text.trim();
   const order = (game.turnsCount || 0) + 1;
-  const storySoFar = game.storySoFar || game.initialPrompt || '';
+  const team = isParallelStory(game) ? teamOf(game, playerId) : null;
+  const storySoFar = (team ? game.teamStories?.[team.id] : game)?.storySoFar || game.initialPrompt || '';
   const combinedStory = [storySoFar, cleanText].filter(Boolean).join('\n');
-  const guidePrompt = await generateGuidePrompt({
-    storySoFar: combinedStory,
-    lastTurnText: cleanText,
-    previousPrompt: game.guidePrompt,
-    turnNumber: order + 1,
-    initialPrompt: game.initialPrompt,
-  });
+  const guidePrompt = game.dailyGuidePrompts
+    ? challengeGuideFor(game.dailyGuidePrompts, order + 1)
+    : await generateGuidePrompt({
+        storySoFar: combinedStory,
+        lastTurnText: cleanText,
+        previousPrompt: game.guidePrompt,
+        turnNumber: order + 1,
+        initialPrompt: game.initialPrompt,
+        genre: game.genre,
+        tone: game.tone,
+        twistIntensity: game.twistIntensity,
+      });
 
   return {
     preview: guidePrompt,
@@ -447,25 +1442,17 @@ export const previewTurn = async (gameId, { playerName = 'Anonymous', playerId,
   };
 };
 
-export const submitTurn = async (gameId, { playerName = 'Anonymous', playerId, text }) => {
-  const gameRef = gamesCollection.doc(gameId);
-  const trimmedName = playerName?.trim();
-
-  if (!trimmedName) {
-    return { error: 'Player name is required', status: 400 };
-  }
+export const submitTurn = async (gameId, { playerId, text }) => {
   if (!playerId) {
     return { error: 'Player id is required', status: 400 };
   }
 
-  const result = await db.runTransaction(async (tx) => {
-    const snap = await tx.get(gameRef);
-    if (!snap.exists) {
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
       return { error: 'Game not found', status: 404 };
     }
 
-    const game = snap.data();
-
     if (game.status === 'finished') {
       return { error: 'Game has finished', status: 400 };
     }
@@ -475,9 +1462,13 @@ export const submitTurn = async (gameId, { playerName = 'Anonymous', playerId, t
       return { error: 'Player must join the game before submitting a turn', status: 403 };
     }
 
+    if (isPenOpen(game)) {
+      return { error: 'Claim the pen before writing', status: 409 };
+    }
+
     if (playerId !== game.currentPlayerId) {
       return {
-        error: `It is not ${trimmedName}'s turn`,
+        error: `It is not ${playerObj.name}'s turn`,
         status: 403,
         currentPlayer: game.currentPlayer,
       };
@@ -488,178 +1479,471 @@ export const submitTurn = async (gameId, { playerName = 'Anonymous', playerId, t
       game.turnDeadline = new Date(Date.now() + game.turnDurationSeconds * 1000).toISOString();
     }
 
-    if (game.turnDeadline) {
-      const deadlineMs = new Date(game.turnDeadline).getTime();
-      if (Number.isFinite(deadlineMs) && Date.now() > deadlineMs) {
-        if (game.mode === MODES.RAPID) {
-          const finishedState = {
-            ...game,
-            status: 'finished',
-            currentPlayer: null,
-            currentPlayerId: null,
-            turnDeadline: null,
-            updatedAt: nowIso(),
-          };
-          tx.set(gameRef, finishedState);
-          return {
-            error: 'Turn timed out',
-            status: 409,
-            finished: true,
-          };
-        }
+    if (isDeadlinePassed(game)) {
+      const expired = expireTurnState(game);
+      if (expired.finished && game.turnsCount) {
+        expired.game = withScoringQueued(tx, expired.game);
+      }
+      tx.games.save(expired.game);
+      if (expired.finished) {
+        return {
+          error: 'Turn timed out',
+          status: 409,
+          finished: true,
+          game: expired.game,
+        };
+      }
+      return {
+        error: 'Turn timed out',
+        status: 409,
+        timedOutPlayer: game.currentPlayer,
+        nextPlayer: expired.game.currentPlayer,
+        turnDeadline: expired.game.turnDeadline,
+        game: expired.game,
+      };
+    }
+
+    if (!text || !text.trim()) {
+      return { error: 'Turn text is required', status: 400 };
+    }
+
+    const cleanText = text.trim();
+    const sanitizedText = cleanText.replace(/<[^>]*>/g, '').trim();
+    const order = (game.turnsCount || 0) + 1;
+    const currentPrompt = game.guidePrompt || game.initialPrompt;
+    const team = isTeamGame(game) ? teamOf(game, playerId) : null;
+    // Parallel team games continue the writing team's own story; storySoFar keeps every turn.
+    const ownStory = team && isParallelStory(game) ? game.teamStories?.[team.id] : null;
+    const storySoFar = game.storySoFar || game.initialPrompt || '';
+    const updatedStory = [storySoFar, sanitizedText].filter(Boolean).join('\n');
+    const updatedOwnStory = ownStory
+      ? [ownStory.storySoFar || game.initialPrompt, sanitizedText].filter(Boolean).join('\n')
+      : updatedStory;
+
+    const willFinish = game.maxTurns ? order >= game.maxTurns : false;
+    const nextPrompt = willFinish
+      ? null
+      : game.dailyGuidePrompts
+        ? challengeGuideFor(game.dailyGuidePrompts, order + 1)
+        : await generateGuidePrompt({
+            storySoFar: updatedOwnStory,
+            lastTurnText: sanitizedText,
+            previousPrompt: currentPrompt,
+            turnNumber: order + 1,
+            initialPrompt: game.initialPrompt,
+            genre: game.genre,
+            tone: game.tone,
+            twistIntensity: game.twistIntensity,
+          });
+
+    const turnId = randomUUID();
+    const turn = {
+      id: turnId,
+      order,
+      playerName: playerObj.name,
+      playerId,
+      text: sanitizedText,
+      promptUsed: currentPrompt,
+      guidePrompt: currentPrompt,
+      ...(team && { teamId: team.id }),
+      createdAt: nowIso(),
+    };
+
+    const nextDuration =
+      game.mode === MODES.RAPID
+        ? Math.max(
+            RAPID_CONFIG.minimumSeconds,
+            (game.turnDurationSeconds || RAPID_CONFIG.initialDurationSeconds) - RAPID_CONFIG.decrementSeconds,
+          )
+        : game.turnDurationSeconds;
+
+    const baseUpdate = {
+      ...game,
+      guidePrompt: nextPrompt,
+      storySoFar: updatedStory,
+      lastTurn: {
+        playerName: playerObj.name,
+        playerId,
+        text: sanitizedText,
+        order,
+        promptUsed: currentPrompt,
+      },
+      ...(ownStory && {
+        teamStories: {
+          ...game.teamStories,
+          [team.id]: {
+            storySoFar: updatedOwnStory,
+            guidePrompt: nextPrompt,
+            lastTurn: { playerName: playerObj.name, playerId, text: sanitizedText, order },
+          },
+        },
+      }),
+      turnsCount: order,
+      turnCounts: { ...game.turnCounts, [playerId]: (game.turnCounts?.[playerId] || 0) + 1 },
+      updatedAt: nowIso(),
+      status: willFinish ? 'finished' : 'active',
+      turnDurationSeconds: nextDuration,
+      turnDeadline: willFinish
+        ? null
+        : new Date(Date.now() + nextDuration * 1000).toISOString(),
+    };
+
+    const finishedGame = { ...baseUpdate, currentPlayerId: null, currentPlayer: null };
+    // Games scored by votes hold the ballot first; scoring is queued once it closes.
+    const progressed = !willFinish
+      ? advanceTurnState(baseUpdate)
+      : shouldOpenVoting(finishedGame)
+        ? openVoting(finishedGame)
+        : withScoringQueued(tx, finishedGame);
+
+    tx.games.save(progressed);
+    tx.turns.add(gameId, turn);
+    return { game: progressed, turn, finished: willFinish };
+  });
+
+  if (result?.error) {
+    if (result.finished || result.timedOutPlayer) {
+      afterTurnExpired(result.game, result.timedOutPlayer);
+    }
+    return result;
+  }
+
+  emitGameEvent(GAME_EVENTS.TURN_SUBMITTED, result.game, { turn: result.turn });
+  if (result.finished) {
+    emitGameEvent(GAME_EVENTS.GAME_FINISHED, result.game);
+  }
+
+  if (result.finished && result.game.scoringStatus === SCORING_STATUS.PENDING) {
+    queueScoringJob(gameId);
+  }
+
+  // If we're in a single-player (1v1 vs AI) game and it's now the AI's turn, queue an AI response.
+  if (!result?.finished && shouldTriggerAiTurn(result.game)) {
+    queueAiTurn(gameId);
+  }
+
+  return result;
+};
+
+const afterTurnExpired = (game, timedOutPlayer) => {
+  if (game.status === 'finished') {
+    emitGameEvent(GAME_EVENTS.GAME_FINISHED, game, { endedReason: 'timeout' });
+    if (game.scoringStatus === SCORING_STATUS.PENDING) {
+      queueScoringJob(game.id);
+    }
+    return;
+  }
+  emitGameEvent(GAME_EVENTS.DEADLINE_CHANGED, game, { timedOutPlayer });
+  if (shouldTriggerAiTurn(game)) {
+    queueAiTurn(game.id);
+  }
+};
+
+// Used by the turn scheduler: ids of in-progress games whose deadline has passed.
+export const findExpiredTurnGameIds = async ({ limit = 100 } = {}) => {
+  const games = await gameRepository.listWithDeadlineBefore(nowIso(), { limit });
+  return games
+    .filter((game) => ['active', 'timeout'].includes(game.status) && isDeadlinePassed(game))
+    .map((game) => game.id);
+};
+
+// Expires the current turn if its deadline has passed. The check and the write happen in
+// one transaction, so when several instances race on the same game only one advances it.
+export const expireTurnIfDue = async (gameId) => {
+
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
+      return { expired: false };
+    }
+    if (!['active', 'timeout'].includes(game.status) || !isDeadlinePassed(game)) {
+      return { expired: false };
+    }
+
+    const expired = expireTurnState(game);
+    if (expired.finished && game.turnsCount) {
+      expired.game = withScoringQueued(tx, expired.game);
+    }
+    tx.games.save(expired.game);
+    return { expired: true, timedOutPlayer: game.currentPlayer, ...expired };
+  });
+
+  if (result.expired) {
+    afterTurnExpired(result.game, result.timedOutPlayer);
+  }
+
+  return result;
+};
+
+// Add simple total metric for quick display
+const withScoreTotals = (scores) => ({
+  ...scores,
+  players: Object.fromEntries(
+    Object.entries(scores.players || {}).map(([name, metrics]) => {
+      const creativity = Number(metrics?.creativity) || 0;
+      const cohesion = Number(metrics?.cohesion ?? metrics?.continuity) || 0;
+      const promptFit = Number(metrics?.prompt_fit ?? metrics?.promptFit ?? metrics?.momentum) || 0;
+      const total = Math.round((creativity + cohesion + promptFit) / 3);
+      return [name, { ...metrics, total }];
+    }),
+  ),
+});
+
+// Saved-game history for every human player, and (once per game) the leaderboard and profiles.
+const recordGameResults = async (game, scores, { creditLeaderboard = true } = {}) => {
+  const storedTurns = await turnRepository.list(game.id);
+  const turnSummaries = storedTurns.map((t) => ({
+    order: t.order,
+    playerName: t.playerName,
+    text: t.text,
+    guidePrompt: t.promptUsed || t.guidePrompt,
+    promptUsed: t.promptUsed || t.guidePrompt,
+    ...(t.teamId && { teamId: t.teamId }),
+  }));
+  const summary = {
+    gameId: game.id,
+    createdAt: nowIso(),
+    finishedAt: nowIso(),
+    summary: scores?.summary || 'Game finished',
+    maxTurns: game.maxTurns,
+    maxPlayers: game.maxPlayers,
+    mode: game.mode,
+    hostId: game.hostId,
+    hostName: game.hostName,
+    playerCount: (game.players || []).length,
+    turnDurationSeconds: game.turnDurationSeconds,
+    turns: turnSummaries,
+    scores: scores?.players || null,
+    ...(scores?.teams && { teamScores: scores.teams, winningTeamId: scores.winningTeamId }),
+  };
+  const humanPlayers = gameParticipants(game).filter((p) => !isAiPlayer(p));
+  await Promise.all(
+    humanPlayers.map((p) => {
+      const others = humanPlayers.filter((other) => other.id !== p.id);
+      const playerScore = scores?.players?.[p.name];
+      return saveFinishedGameForUser(p.id, {
+        ...summary,
+        playerName: p.name,
+        // Index fields for history filters and sorting
+        ...(playerScore && { score: Math.round(metricsOf(playerScore).total * 10) / 10 }),
+        coPlayerIds: others.map((other) => other.id),
+        coPlayerNames: [...new Set(others.map((other) => (other.name || '').toLowerCase()).filter(Boolean))],
+      });
+    }),
+  );
+  if (creditLeaderboard) {
+    await updateLeaderboard(game.id, scores, humanPlayers, summary);
+    await recordProfileGames(game, scores, humanPlayers, storedTurns);
+    if (game.dailyChallengeId) {
+      await recordDailyResult(game, scores, humanPlayers);
+    }
+  }
+};
+
+const queueScoringJob = (gameId) => {
+  setTimeout(() => {
+    runScoringJob(gameId).catch((err) => console.warn('[gameService] scoring job crashed:', err?.message || err));
+  }, 0);
+};
+
+// The AI judge's scores, with the closed ballot folded in when the game was put to a vote.
+// A vote nobody took part in leaves the judge's scores as they are.
+const scoreFinishedGame = async (game) => {
+  if (!usesVoting(game) || !game.votingStatus) {
+    return withScoreTotals(await scoreGame(game));
+  }
+
+  const [turns, ballots] = await Promise.all([turnRepository.list(game.id), voteRepository.list(game.id)]);
+  if (ballots.length === 0) {
+    return withScoreTotals(await scoreGame(game));
+  }
+  const judged = game.scoringMethod === SCORING_METHOD.VOTES ? { players: {} } : withScoreTotals(await scoreGame(game));
+  return withTeamScores(applyVotes(judged, tallyVotes(ballots, turns), game), game, turns);
+};
+
+// Claims the game's scoring job (unless another instance holds it), scores the game and
+// records the results. Failures are stored on the job for the scoring worker to retry.
+export const runScoringJob = async (gameId) => {
+  const claim = await runTransaction(async (tx) => {
+    const job = await tx.scoringJobs.get(gameId);
+    const game = await tx.games.get(gameId);
+    if (!game || !isJobClaimable(job)) {
+      return { claimed: false };
+    }
+
+    const running = claimJob(job);
+    const updatedGame = { ...game, scoringStatus: SCORING_STATUS.RUNNING };
+    tx.scoringJobs.save(running);
+    tx.games.save(updatedGame);
+    return { claimed: true, job: running, game: updatedGame };
+  });
+
+  if (!claim.claimed) return claim;
+  emitGameEvent(GAME_EVENTS.SCORING_STATUS, claim.game);
+
+  const settle = (updateGame, updateJob) =>
+    runTransaction(async (tx) => {
+      const game = await tx.games.get(gameId);
+      const job = (await tx.scoringJobs.get(gameId)) || claim.job;
+      const updated = { ...updateGame(game), updatedAt: nowIso() };
+      tx.games.save(updated);
+      tx.scoringJobs.save(updateJob(job));
+      return updated;
+    });
+
+  try {
+    // Scores are kept on the job as soon as the judge returns them, so a run that fails while
+    // recording results is retried with the same scores instead of being judged again.
+    let { scores } = claim.job;
+    if (!scores) {
+      scores = await scoreFinishedGame(claim.game);
+      await settle((current) => ({ ...current, scores }), (job) => ({ ...job, scores }));
+    }
+    await recordGameResults(claim.game, scores, { creditLeaderboard: !claim.job.resultsRecorded });
+    const game = await settle((current) => ({ ...current, scores, scoringStatus: SCORING_STATUS.DONE }), completeJob);
+    emitGameEvent(GAME_EVENTS.SCORES_READY, game);
+    return { claimed: true, scoringStatus: SCORING_STATUS.DONE, game };
+  } catch (error) {
+    console.warn('[gameService] scoring failed', { gameId, attempt: claim.job.attempts, error: error?.message || error });
+    const game = await settle(
+      (current) => ({ ...current, scoringStatus: SCORING_STATUS.FAILED }),
+      (job) => failJob(job, error),
+    );
+    emitGameEvent(GAME_EVENTS.SCORING_STATUS, game);
+    return { claimed: true, scoringStatus: SCORING_STATUS.FAILED, game };
+  }
+};
+
+// Used by the scoring worker: games whose job is pending, due for a retry, or stuck running.
+export const findDueScoringGameIds = async ({ limit = 50 } = {}) => {
+  const jobs = await scoringJobRepository.listDue(nowIso(), { limit });
+  return jobs.filter((job) => isJobClaimable(job)).map((job) => job.gameId);
+};
+
+export const rescoreGame = async (gameId, { playerId } = {}) => {
+  if (!playerId) {
+    return { error: 'playerId is required', status: 400 };
+  }
+
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
+      return { error: 'Game not found', status: 404 };
+    }
+
+    const job = await tx.scoringJobs.get(gameId);
+
+    if (!gameParticipants(game).some((p) => p.id === playerId)) {
+      return { error: 'Only players in this game can re-run scoring', status: 403 };
+    }
+
+    if (game.status !== 'finished') {
+      return { error: 'Game has not finished', status: 400 };
+    }
+
+    if (!game.turnsCount) {
+      return { error: 'Game has no turns to score', status: 400 };
+    }
+
+    if (isVotingOpen(game)) {
+      return { error: 'Voting is still open', status: 409 };
+    }
+
+    if (job?.status === SCORING_STATUS.RUNNING && !isJobClaimable(job)) {
+      return { error: 'Scoring is already running', status: 409 };
+    }
+
+    const updated = withScoringQueued(tx, { ...game, updatedAt: nowIso() }, job);
+    tx.games.save(updated);
+    return { game: updated, queued: true };
+  });
+
+  if (result.queued) {
+    emitGameEvent(GAME_EVENTS.SCORING_STATUS, result.game);
+    queueScoringJob(gameId);
+  }
+
+  return result;
+};
+
+export const castVote = async (gameId, { playerId, ranking }) => {
+  if (!playerId) {
+    return { error: 'playerId is required', status: 400 };
+  }
+
+  // Turns are immutable once the game has finished, so they can be read outside the transaction.
+  const turns = await turnRepository.list(gameId);
+
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
+      return { error: 'Game not found', status: 404 };
+    }
 
-        const nextState = advanceTurnState({ ...game, status: 'timeout', updatedAt: nowIso() });
-        tx.set(gameRef, nextState);
-        return {
-          error: 'Turn timed out',
-          status: 409,
-          timedOutPlayer: game.currentPlayer,
-          nextPlayer: nextState.currentPlayer,
-          turnDeadline: nextState.turnDeadline,
-        };
-      }
+    if (!isVotingOpen(game) || isVotingDue(game)) {
+      return { error: 'Voting is not open for this game', status: 400 };
     }
 
-    if (!text || !text.trim()) {
-      return { error: 'Turn text is required', status: 400 };
+    if (!eligibleVoterIds(game).includes(playerId)) {
+      return { error: 'Only players in this game can vote', status: 403 };
     }
 
-    const cleanText = text.trim();
-    const sanitizedText = cleanText.replace(/<[^>]*>/g, '').trim();
-    const order = (game.turnsCount || 0) + 1;
-    const currentPrompt = game.guidePrompt || game.initialPrompt;
-    const storySoFar = game.storySoFar || game.initialPrompt || '';
-    const updatedStory = [storySoFar, sanitizedText].filter(Boolean).join('\n');
+    const existing = await tx.votes.get(gameId, playerId);
+    if (existing || (game.voterIds || []).includes(playerId)) {
+      return { error: 'You have already voted', status: 409 };
+    }
 
-    const willFinish = game.maxTurns ? order >= game.maxTurns : false;
-    const nextPrompt = willFinish
-      ? null
-      : await generateGuidePrompt({
-          storySoFar: updatedStory,
-          lastTurnText: sanitizedText,
-          previousPrompt: currentPrompt,
-          turnNumber: order + 1,
-          initialPrompt: game.initialPrompt,
-        });
+    const ballot = validateBallot(turns, playerId, ranking);
+    if (ballot.error) {
+      return { error: ballot.error, status: 400 };
+    }
 
-    const turnId = randomUUID();
-    const turn = {
-      id: turnId,
-      order,
-      playerName: trimmedName,
-      playerId,
-      text: sanitizedText,
-      promptUsed: currentPrompt,
-      guidePrompt: currentPrompt,
-      createdAt: nowIso(),
-    };
+    tx.votes.save(gameId, { voterId: playerId, ranking: ballot.ranking, createdAt: nowIso() });
+    const voted = { ...game, voterIds: [...(game.voterIds || []), playerId], updatedAt: nowIso() };
+    // The last ballot closes voting straight away instead of waiting out the window.
+    const closed = allVotesIn(voted);
+    const updated = closed ? withScoringQueued(tx, closeVoting(voted)) : voted;
+    tx.games.save(updated);
+    return { game: updated, closed };
+  });
 
-    const nextDuration =
-      game.mode === MODES.RAPID
-        ? Math.max(
-            RAPID_CONFIG.minimumSeconds,
-            (game.turnDurationSeconds || RAPID_CONFIG.initialDurationSeconds) - RAPID_CONFIG.decrementSeconds,
-          )
-        : game.turnDurationSeconds;
+  if (!result.error) {
+    emitGameEvent(GAME_EVENTS.VOTE_CAST, result.game, { playerId });
+    if (result.closed) {
+      emitGameEvent(GAME_EVENTS.VOTING_CLOSED, result.game);
+      queueScoringJob(gameId);
+    }
+  }
 
-    const baseUpdate = {
-      ...game,
-      guidePrompt: nextPrompt,
-      storySoFar: updatedStory,
-      lastTurn: {
-        playerName: trimmedName,
-        playerId,
-        text: sanitizedText,
-        order,
-        promptUsed: currentPrompt,
-      },
-      turnsCount: order,
-      updatedAt: nowIso(),
-      status: willFinish ? 'finished' : 'active',
-      turnDurationSeconds: nextDuration,
-      turnDeadline: willFinish
-        ? null
-        : new Date(Date.now() + nextDuration * 1000).toISOString(),
-    };
+  return result;
+};
 
-    let progressed = willFinish ? { ...baseUpdate, currentPlayerId: null, currentPlayer: null } : advanceTurnState(baseUpdate);
+// Closes a ballot whose window has passed and queues scoring. Like expireTurnIfDue, the
+// check and the write share a transaction so only one instance closes it.
+export const closeVotingIfDue = async (gameId) => {
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game || !isVotingDue(game)) {
+      return { closed: false };
+    }
 
-    tx.set(gameRef, progressed);
-    tx.set(gameRef.collection('turns').doc(turnId), turn);
-    return { game: progressed, turn, finished: willFinish };
+    const updated = withScoringQueued(tx, { ...closeVoting(game), updatedAt: nowIso() });
+    tx.games.save(updated);
+    return { closed: true, game: updated };
   });
 
-  if (result?.error) {
-    return result;
-  }
-
-  let scores = null;
-  if (result?.finished) {
-    try {
-      scores = await scoreGame(result.game);
-      // Add simple total metric for quick display
-      const scoresWithTotals = scores
-        ? {
-            ...scores,
-            players: Object.fromEntries(
-              Object.entries(scores.players || {}).map(([name, metrics]) => {
-                const creativity = Number(metrics?.creativity) || 0;
-                const cohesion = Number(metrics?.cohesion ?? metrics?.continuity) || 0;
-                const promptFit = Number(metrics?.prompt_fit ?? metrics?.promptFit ?? metrics?.momentum) || 0;
-                const total = Math.round((creativity + cohesion + promptFit) / 3);
-                return [name, { ...metrics, total }];
-              }),
-            ),
-          }
-        : null;
-
-      await gamesCollection.doc(gameId).set({ scores: scoresWithTotals }, { merge: true });
-      result.game.scores = scoresWithTotals;
-      // Persist last 5 games per player (exclude AI)
-      const turnsSnapshot = await gamesCollection
-        .doc(gameId)
-        .collection('turns')
-        .orderBy('order', 'asc')
-        .get();
-      const turnSummaries = turnsSnapshot.docs.map((d) => ({
-        order: d.data().order,
-        playerName: d.data().playerName,
-        text: d.data().text,
-        guidePrompt: d.data().promptUsed || d.data().guidePrompt,
-        promptUsed: d.data().promptUsed || d.data().guidePrompt,
-      }));
-      const summary = {
-        gameId,
-        createdAt: nowIso(),
-        finishedAt: nowIso(),
-        summary: scores?.summary || 'Game finished',
-        maxTurns: result.game.maxTurns,
-        maxPlayers: result.game.maxPlayers,
-        mode: result.game.mode,
-        hostId: result.game.hostId,
-        hostName: result.game.hostName,
-        playerCount: (result.game.players || []).length,
-        turnDurationSeconds: result.game.turnDurationSeconds,
-        turns: turnSummaries,
-        scores: scoresWithTotals?.players || null,
-      };
-      const humanPlayers = (result.game.players || []).filter((p) => p.id !== 'ai-bot');
-      await Promise.all(
-        humanPlayers.map((p) => saveFinishedGameForUser(p.id, { ...summary, playerName: p.name })),
-      );
-      // Leaderboard update
-      await updateLeaderboard(scoresWithTotals || scores, humanPlayers, summary);
-    } catch (error) {
-      console.warn('[gameService] scoring persistence failed:', error);
-    }
+  if (result.closed) {
+    emitGameEvent(GAME_EVENTS.VOTING_CLOSED, result.game);
+    queueScoringJob(gameId);
   }
 
-  // If we're in a single-player (1v1 vs AI) game and it's now the AI's turn, queue an AI response.
-  if (!result?.finished && shouldTriggerAiTurn(result.game)) {
-    queueAiTurn(gameId);
-  }
+  return result;
+};
 
-  return { ...result, scores };
+// Used by the scoring worker: games whose voting window has passed without every ballot in.
+export const findDueVotingGameIds = async ({ limit = 50 } = {}) => {
+  const games = await gameRepository.listVotingClosedBefore(nowIso(), { limit });
+  return games.filter((game) => isVotingDue(game)).map((game) => game.id);
 };
 
 const queueAiTurn = (gameId) => {
@@ -669,16 +1953,15 @@ const queueAiTurn = (gameId) => {
 };
 
 const performAiTurn = async (gameId) => {
-  const snap = await gamesCollection.doc(gameId).get();
-  if (!snap.exists) return;
-
-  const game = snap.data();
+  const game = await gameRepository.get(gameId);
+  if (!game) return;
   if (!shouldTriggerAiTurn(game)) return;
   const startedAt = Date.now();
 
   // Keep the AI's deadline fresh while it generates text
   const freshDeadline = new Date(Date.now() + (Math.max(10, game.turnDurationSeconds || 60)) * 1000).toISOString();
-  await gamesCollection.doc(gameId).set({ turnDeadline: freshDeadline, updatedAt: nowIso() }, { merge: true });
+  await gameRepository.merge(gameId, { turnDeadline: freshDeadline, updatedAt: nowIso() });
+  emitGameEvent(GAME_EVENTS.DEADLINE_CHANGED, { ...game, turnDeadline: freshDeadline });
 
   const promptForAi = game.guidePrompt || game.initialPrompt || 'Continue the story.';
   const storySoFar = game.storySoFar || game.initialPrompt || '';
@@ -691,6 +1974,9 @@ const performAiTurn = async (gameId) => {
     storySoFar,
     prompt: promptForAi,
     initialPrompt: game.initialPrompt,
+    genre: game.genre,
+    tone: game.tone,
+    twistIntensity: game.twistIntensity,
   });
 
   const aiText = (aiTextRaw || '').replace(/<[^>]*>/g, '').trim();
@@ -703,13 +1989,16 @@ const performAiTurn = async (gameId) => {
   });
 };
 
-export const getGameState = async (gameId, { includeTurns = false } = {}) => {
-  const snap = await gamesCollection.doc(gameId).get();
-  if (!snap.exists) {
+export const getGameState = async (gameId, { includeTurns = false, viewerId, inviteCode } = {}) => {
+  let game = await gameRepository.get(gameId);
+  if (!game) {
     return { error: 'Game not found', status: 404 };
   }
 
-  let game = snap.data();
+  if (!canViewGame(game, viewerId, { inviteCode })) {
+    const isPrivate = game.visibility === VISIBILITY.PRIVATE;
+    return { error: isPrivate ? 'This game is private' : 'Spectators are not allowed in this game', status: 403 };
+  }
 
   // Ensure active games always have a running deadline (especially for initial turn)
   if (game.status === 'active' && (!game.turnDeadline || !Number.isFinite(new Date(game.turnDeadline).getTime()))) {
@@ -719,89 +2008,78 @@ export const getGameState = async (gameId, { includeTurns = false } = {}) => {
       turnDeadline: restoredDeadline,
       updatedAt: nowIso(),
     };
-    await gamesCollection.doc(gameId).set({ turnDeadline: restoredDeadline, updatedAt: game.updatedAt }, { merge: true });
+    await gameRepository.merge(gameId, { turnDeadline: restoredDeadline, updatedAt: game.updatedAt });
+    emitGameEvent(GAME_EVENTS.DEADLINE_CHANGED, game);
   }
 
-  // Auto-finish rapid games when the timer expires
-  if (game.mode === MODES.RAPID && game.status === 'active' && game.turnDeadline) {
-    const deadlineMs = new Date(game.turnDeadline).getTime();
-    if (Number.isFinite(deadlineMs) && Date.now() > deadlineMs) {
-      const finished = {
-        ...game,
-        status: 'finished',
-        currentPlayer: null,
-        currentPlayerId: null,
-        turnDeadline: null,
-        updatedAt: nowIso(),
-      };
-      await gamesCollection.doc(gameId).set(finished);
-      game = finished;
+  // Auto-finish rapid games when the timer expires (the scheduler usually gets there first)
+  if (game.mode === MODES.RAPID && game.status === 'active' && isDeadlinePassed(game)) {
+    const expired = await expireTurnIfDue(gameId);
+    if (expired.expired) {
+      game = expired.game;
     }
   }
 
-  const deadlineMs = game.turnDeadline ? new Date(game.turnDeadline).getTime() : null;
-  const timeRemainingSeconds = Number.isFinite(deadlineMs)
-    ? Math.max(0, Math.floor((deadlineMs - Date.now()) / 1000))
-    : null;
-  const playerCount = (game.players || []).length;
-  const remainingTurns = game.maxTurns
-    ? Math.max(0, game.maxTurns - (game.turnsCount || 0))
-    : null;
-  const isFull = playerCount >= game.maxPlayers;
+  // Likewise close a ballot whose window has passed, so the result doesn't wait on the worker.
+  if (isVotingDue(game)) {
+    const closed = await closeVotingIfDue(gameId);
+    if (closed.closed) {
+      game = closed.game;
+    }
+  }
 
-  const visibleGame = scrubGameForPlayer(game);
+  const visibleGame = scrubGameForPlayer(game, viewerId);
   let turns = [];
   let storyText = null;
+  let teamStoryTexts = null;
 
   if (includeTurns) {
-    const turnsSnap = await gamesCollection.doc(gameId).collection('turns').orderBy('order', 'asc').get();
-    turns = turnsSnap.docs.map((d) => {
-      const t = d.data();
-      return {
-        order: t.order,
-        playerName: t.playerName,
-        playerId: t.playerId || null,
-        text: t.text,
-        promptUsed: t.promptUsed || t.guidePrompt || null,
-        createdAt: t.createdAt || null,
-      };
-    });
+    const storedTurns = await turnRepository.list(gameId);
+    turns = storedTurns.map((t) => ({
+      id: t.id,
+      order: t.order,
+      playerName: t.playerName,
+      playerId: t.playerId || null,
+      text: t.text,
+      promptUsed: t.promptUsed || t.guidePrompt || null,
+      teamId: t.teamId || null,
+      forkedFromGameId: t.forkedFromGameId || null,
+      createdAt: t.createdAt || null,
+    }));
     const parts = [game.initialPrompt || ''];
     turns.forEach((t) => parts.push(t.text));
     storyText = parts.filter(Boolean).join('\n');
+    if (isParallelStory(game)) {
+      teamStoryTexts = Object.fromEntries(
+        game.teams.map((team) => [
+          team.id,
+          [game.initialPrompt, ...turns.filter((t) => t.teamId === team.id).map((t) => t.text)]
+            .filter(Boolean)
+            .join('\n'),
+        ]),
+      );
+    }
   }
 
   return {
     game: visibleGame,
     info: {
-      status: game.status,
-      currentPlayer: game.currentPlayer,
-      nextDeadline: game.turnDeadline,
-      timeRemainingSeconds,
-      remainingTurns,
-      maxTurns: game.maxTurns,
-      playerCount,
-      maxPlayers: game.maxPlayers,
-      isFull,
-      scores: game.scores || null,
-      lastTurn: game.lastTurn || null,
+      ...buildGameInfo(game),
       turns: includeTurns ? turns : undefined,
       storyText: includeTurns ? storyText : undefined,
+      teamStoryTexts: includeTurns && teamStoryTexts ? teamStoryTexts : undefined,
     },
   };
 };
 
 export const startGame = async (gameId, { playerId } = {}) => {
-  const gameRef = gamesCollection.doc(gameId);
 
-  const result = await db.runTransaction(async (tx) => {
-    const snap = await tx.get(gameRef);
-    if (!snap.exists) {
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
       return { error: 'Game not found', status: 404 };
     }
 
-    const game = snap.data();
-
     if (game.status === 'finished') {
       return { error: 'Game has finished', status: 400 };
     }
@@ -810,7 +2088,7 @@ export const startGame = async (gameId, { playerId } = {}) => {
       return { game }; // Already started
     }
 
-    if (game.mode === MODES.MULTI) {
+    if (hasLobby(game)) {
       if (playerId && playerId !== game.hostId) {
         return { error: 'Only the host can start the game', status: 403 };
       }
@@ -818,36 +2096,92 @@ export const startGame = async (gameId, { playerId } = {}) => {
       if ((game.players || []).length < 2) {
         return { error: 'At least 2 players are required to start', status: 400 };
       }
+
+      if (isTeamGame(game) && !teamsReady(game)) {
+        return { error: 'Each team needs at least one player', status: 400 };
+      }
     }
 
     const updated = {
-      ...game,
+      ...startTurnOrder(game),
+      ...(isParallelStory(game) && { teamStories: createTeamStories(game.teams, game.storySoFar || game.initialPrompt) }),
       status: 'active',
       updatedAt: nowIso(),
       turnDeadline: new Date(Date.now() + game.turnDurationSeconds * 1000).toISOString(),
     };
 
-    tx.set(gameRef, updated);
-    return { game: updated };
+    tx.games.save(updated);
+    return { game: updated, started: true };
+  });
+
+  if (result.started) {
+    emitGameEvent(GAME_EVENTS.GAME_STARTED, result.game);
+    emitLobbyChange(result.game);
+  }
+
+  return result;
+};
+
+// "Claim the pen" games: the first player to claim an open pen writes the next turn.
+export const claimTurn = async (gameId, { playerId } = {}) => {
+  if (!playerId) {
+    return { error: 'Player id is required', status: 400 };
+  }
+
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
+      return { error: 'Game not found', status: 404 };
+    }
+
+    if ((game.turnOrder || TURN_ORDER.ROUND_ROBIN) !== TURN_ORDER.CLAIM) {
+      return { error: 'This game does not use claim-the-pen turns', status: 400 };
+    }
+
+    if (!['active', 'timeout'].includes(game.status)) {
+      return { error: 'Game is not in progress', status: 400 };
+    }
+
+    if (!(game.players || []).some((p) => p.id === playerId)) {
+      return { error: 'Player must join the game before claiming a turn', status: 403 };
+    }
+
+    if (!isPenOpen(game)) {
+      return { error: `${game.currentPlayer || 'Another player'} already holds the pen`, status: 409 };
+    }
+
+    if (!canClaim(game, playerId)) {
+      return { error: `You have already written your ${claimCap(game)} turns`, status: 409 };
+    }
+
+    const updated = {
+      ...claimPen(game, playerId),
+      status: 'active',
+      turnDeadline: new Date(Date.now() + game.turnDurationSeconds * 1000).toISOString(),
+      updatedAt: nowIso(),
+    };
+    tx.games.save(updated);
+    return { game: updated, claimed: true };
   });
 
+  if (result.claimed) {
+    emitGameEvent(GAME_EVENTS.PEN_CLAIMED, result.game, { playerId });
+  }
+
   return result;
 };
 
 export const abandonGame = async (gameId, { playerId, reason = 'host_left' } = {}) => {
-  const gameRef = gamesCollection.doc(gameId);
 
   if (!playerId) {
     return { error: 'playerId is required', status: 400 };
   }
 
-  const result = await db.runTransaction(async (tx) => {
-    const snap = await tx.get(gameRef);
-    if (!snap.exists) {
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
       return { error: 'Game not found', status: 404 };
     }
-
-    const game = snap.data();
     if (game.hostId !== playerId) {
       return { error: 'Only the host can close the lobby', status: 403 };
     }
@@ -866,21 +2200,98 @@ export const abandonGame = async (gameId, { playerId, reason = 'host_left' } = {
       updatedAt: nowIso(),
     };
 
-    tx.set(gameRef, updated);
-    return { game: updated };
+    tx.games.save(updated);
+    return { game: updated, abandoned: true };
+  });
+
+  if (result.abandoned) {
+    emitGameEvent(GAME_EVENTS.GAME_FINISHED, result.game, { endedReason: reason });
+    emitLobbyChange(result.game);
+  }
+
+  return result;
+};
+
+export const leaveGame = async (gameId, { playerId } = {}) => {
+  if (!playerId) {
+    return { error: 'playerId is required', status: 400 };
+  }
+
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
+      return { error: 'Game not found', status: 404 };
+    }
+
+    if (game.status === 'finished') {
+      return { error: 'Game has finished', status: 400 };
+    }
+
+    const player = (game.players || []).find((p) => p.id === playerId);
+    if (!player) {
+      return { error: 'You are not a player in this game', status: 400 };
+    }
+
+    const started = game.status !== 'waiting';
+    const newHost = game.hostId === playerId ? pickNextHost(game.players, playerId) : null;
+    let updated = {
+      ...removeFromTurnOrder(game, playerId),
+      // Turns already written stay in the story and are still scored for their author
+      departedPlayers: started
+        ? [...(game.departedPlayers || []), { id: player.id, name: player.name, leftAt: nowIso() }]
+        : game.departedPlayers || [],
+      updatedAt: nowIso(),
+    };
+    if (newHost) {
+      updated = { ...updated, hostId: newHost.id, hostName: newHost.name };
+    }
+
+    const finished = !hasEnoughPlayers(updated);
+    if (finished) {
+      updated = {
+        ...updated,
+        status: 'finished',
+        currentPlayer: null,
+        currentPlayerId: null,
+        turnDeadline: null,
+        endedReason: 'players_left',
+      };
+      if (started && updated.turnsCount) {
+        updated = withScoringQueued(tx, updated);
+      }
+    }
+
+    tx.games.save(updated);
+    return { game: updated, player, newHost, finished, left: true };
   });
 
+  if (result.left) {
+    emitGameEvent(GAME_EVENTS.PLAYER_LEFT, result.game, {
+      playerId,
+      playerName: result.player.name,
+      newHostId: result.newHost?.id || null,
+    });
+    emitLobbyChange(result.game);
+    if (result.finished) {
+      emitGameEvent(GAME_EVENTS.GAME_FINISHED, result.game, { endedReason: 'players_left' });
+      if (result.game.scoringStatus === SCORING_STATUS.PENDING) {
+        queueScoringJob(gameId);
+      }
+    } else if (shouldTriggerAiTurn(result.game)) {
+      queueAiTurn(gameId);
+    }
+  }
+
   return result;
 };
 
 export const cleanupWaitingLobbies = async ({ before = null } = {}) => {
-  const snap = await gamesCollection.where('status', '==', 'waiting').get();
-  const batch = db.batch();
+  const waiting = await gameRepository.listByStatus('waiting');
   const cutoffMs = before ? Date.parse(before) : null;
+  const clearedGames = [];
   let cleared = 0;
 
-  snap.docs.forEach((doc) => {
-    const data = doc.data();
+  waiting.forEach((data) => {
     if (cutoffMs) {
       const createdMs = Date.parse(data.createdAt || '');
       if (!Number.isFinite(createdMs) || createdMs >= cutoffMs) {
@@ -896,16 +2307,19 @@ export const cleanupWaitingLobbies = async ({ before = null } = {}) => {
       endedReason: 'cleanup',
       updatedAt: nowIso(),
     };
-    batch.set(doc.ref, updated);
+    clearedGames.push(updated);
     cleared += 1;
   });
 
-  await batch.commit();
+  await gameRepository.saveMany(clearedGames);
+  clearedGames.forEach((game) => {
+    emitGameEvent(GAME_EVENTS.GAME_FINISHED, game, { endedReason: 'cleanup' });
+    emitLobbyChange(game);
+  });
   return { cleared };
 };
 
-export const requestToJoin = async (gameId, { playerName = 'Anonymous', playerId }) => {
-  const gameRef = gamesCollection.doc(gameId);
+export const requestToJoin = async (gameId, { playerName = 'Anonymous', playerId, viaInviteCode = false }) => {
   const trimmedName = playerName?.trim();
 
   if (!trimmedName) {
@@ -915,14 +2329,12 @@ export const requestToJoin = async (gameId, { playerName = 'Anonymous', playerId
     return { error: 'Player id is required', status: 400 };
   }
 
-  const result = await db.runTransaction(async (tx) => {
-    const snap = await tx.get(gameRef);
-    if (!snap.exists) {
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
       return { error: 'Game not found', status: 404 };
     }
 
-    const game = snap.data();
-
     if (game.status === 'finished') {
       return { error: 'Game has finished', status: 400 };
     }
@@ -931,14 +2343,22 @@ export const requestToJoin = async (gameId, { playerName = 'Anonymous', playerId
       return { error: 'Game is not accepting new players', status: 400 };
     }
 
-    if (game.mode !== MODES.MULTI) {
+    if (!hasLobby(game)) {
       return { error: 'Cannot join a single-player game', status: 400 };
     }
 
+    if (isBanned(game, playerId)) {
+      return { error: 'You have been banned from this game', status: 403 };
+    }
+
     if ((game.players || []).some((p) => p.id === playerId || p.name === trimmedName)) {
       return { game };
     }
 
+    if (game.visibility === VISIBILITY.PRIVATE && !viaInviteCode) {
+      return { error: 'This lobby is private; join it with its invite code', status: 403 };
+    }
+
   if ((game.players || []).length >= game.maxPlayers) {
     return { error: 'Game is full', status: 400 };
   }
@@ -962,15 +2382,33 @@ export const requestToJoin = async (gameId, { playerName = 'Anonymous', playerId
       updatedAt: now,
     };
 
-    tx.set(gameRef, updated);
+    tx.games.save(updated);
     return { game: updated, requested: true };
   });
 
+  if (result.requested) {
+    emitGameEvent(GAME_EVENTS.JOIN_REQUESTED, result.game, { playerId, playerName: trimmedName });
+    emitLobbyChange(result.game);
+  }
+
   return result;
 };
 
+export const joinByInviteCode = async (code, { playerName, playerId }) => {
+  const inviteCode = normalizeInviteCode(code);
+  if (inviteCode.length !== INVITE_CODE_LENGTH) {
+    return { error: 'Invalid invite code', status: 400 };
+  }
+
+  const [game] = await gameRepository.listWaitingByInviteCode(inviteCode);
+  if (!game) {
+    return { error: 'No open lobby uses that invite code', status: 404 };
+  }
+
+  return requestToJoin(game.id, { playerName, playerId, viaInviteCode: true });
+};
+
 export const reviewJoinRequest = async (gameId, { hostId, playerId, approve = false }) => {
-  const gameRef = gamesCollection.doc(gameId);
 
   if (!hostId) {
     return { error: 'hostId is required', status: 400 };
@@ -979,13 +2417,11 @@ export const reviewJoinRequest = async (gameId, { hostId, playerId, approve = fa
     return { error: 'playerId is required', status: 400 };
   }
 
-  const result = await db.runTransaction(async (tx) => {
-    const snap = await tx.get(gameRef);
-    if (!snap.exists) {
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
       return { error: 'Game not found', status: 404 };
     }
-
-    const game = snap.data();
     if (game.hostId !== hostId) {
       return { error: 'Only the host can manage join requests', status: 403 };
     }
@@ -1016,10 +2452,117 @@ export const reviewJoinRequest = async (gameId, { hostId, playerId, approve = fa
       updatedGame = addition.game;
     }
 
-    tx.set(gameRef, updatedGame);
+    tx.games.save(updatedGame);
     return { game: updatedGame, approved: approve };
   });
 
+  if (!result.error) {
+    emitGameEvent(approve ? GAME_EVENTS.PLAYER_JOINED : GAME_EVENTS.JOIN_DENIED, result.game, { playerId });
+    emitLobbyChange(result.game);
+  }
+
+  return result;
+};
+
+/**
+ * Host-only removal of a player from a waiting lobby. With `ban`, the id is also stored in
+ * `bannedPlayerIds` so it can no longer request, join or spectate; banning works on pending
+ * requesters and spectators as well as seated players.
+ */
+export const kickPlayer = async (gameId, { hostId, playerId, ban = false }) => {
+  if (!hostId) {
+    return { error: 'hostId is required', status: 400 };
+  }
+  if (!playerId) {
+    return { error: 'playerId is required', status: 400 };
+  }
+  if (playerId === hostId) {
+    return { error: 'The host cannot remove themselves', status: 400 };
+  }
+
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
+      return { error: 'Game not found', status: 404 };
+    }
+    if (game.hostId !== hostId) {
+      return { error: 'Only the host can remove players', status: 403 };
+    }
+
+    if (game.status !== 'waiting') {
+      return { error: 'Players can only be removed before the game starts', status: 400 };
+    }
+
+    const player = (game.players || []).find((p) => p.id === playerId);
+    if (!player && !ban) {
+      return { error: 'Player not found in this game', status: 404 };
+    }
+
+    const updated = {
+      ...leaveTeam(game, playerId),
+      players: (game.players || []).filter((p) => p.id !== playerId),
+      pendingRequests: (game.pendingRequests || []).filter((req) => req.playerId !== playerId),
+      spectators: (game.spectators || []).filter((s) => s.id !== playerId),
+      bannedPlayerIds: ban && !isBanned(game, playerId)
+        ? [...(game.bannedPlayerIds || []), playerId]
+        : game.bannedPlayerIds || [],
+      updatedAt: nowIso(),
+    };
+
+    tx.games.save(updated);
+    return { game: updated, removed: Boolean(player), banned: ban };
+  });
+
+  if (!result.error) {
+    emitGameEvent(GAME_EVENTS.PLAYER_KICKED, result.game, { playerId, banned: result.banned });
+    emitLobbyChange(result.game);
+  }
+
+  return result;
+};
+
+// Team games: the host moves a seated player to another team before the game starts.
+export const assignTeam = async (gameId, { hostId, playerId, teamId }) => {
+  if (!hostId) {
+    return { error: 'hostId is required', status: 400 };
+  }
+  if (!playerId) {
+    return { error: 'playerId is required', status: 400 };
+  }
+
+  const result = await runTransaction(async (tx) => {
+    const game = await tx.games.get(gameId);
+    if (!game) {
+      return { error: 'Game not found', status: 404 };
+    }
+    if (game.hostId !== hostId) {
+      return { error: 'Only the host can assign teams', status: 403 };
+    }
+    if (!isTeamGame(game)) {
+      return { error: 'This game does not use teams', status: 400 };
+    }
+    if (game.status !== 'waiting') {
+      return { error: 'Teams can only be changed before the game starts', status: 400 };
+    }
+    if (!(game.players || []).some((p) => p.id === playerId)) {
+      return { error: 'Player not found in this game', status: 404 };
+    }
+    if (!game.teams.some((team) => team.id === teamId)) {
+      return { error: 'Team not found', status: 404 };
+    }
+    if (teamOf(game, playerId)?.id === teamId) {
+      return { game };
+    }
+
+    const updated = { ...moveToTeam(game, playerId, teamId), updatedAt: nowIso() };
+    tx.games.save(updated);
+    return { game: updated, changed: true };
+  });
+
+  if (result.changed) {
+    emitGameEvent(GAME_EVENTS.TEAMS_UPDATED, result.game, { playerId, teamId });
+  }
+
   return result;
 };
 
@@ -1045,29 +2588,15 @@ export const listLobbies = async ({ limit = 25, minCreatedAt = null } = {}) => {
   const cutoffMs = minCreatedAt ? Date.parse(minCreatedAt) : null;
   const staleMs = 5 * 60 * 1000; // 5 minutes
 
-  const toLobby = (game) => ({
-    id: game.id,
-    hostName: game.hostName || 'Host',
-    createdAt: game.createdAt || null,
-    playerCount: (game.players || []).length,
-    maxPlayers: game.maxPlayers || 0,
-    requiresApproval: game.requiresApproval ?? game.mode === MODES.MULTI,
-    pendingRequests: (game.pendingRequests || []).length,
-  });
-
   try {
-    let query = gamesCollection.where('status', '==', 'waiting');
-    if (minCreatedAt) {
-      query = query.where('createdAt', '>=', minCreatedAt);
-    }
-    query = query.orderBy('createdAt', 'desc').limit(maxLimit);
-
-    const snap = await query.get();
-    const raw = snap.docs.map((doc) => doc.data());
+    // Visibility is filtered here rather than in the query (older lobbies have no visibility
+    // field and count as public), so the limit is applied afterwards too. Waiting lobbies go
+    // stale within minutes, so the unlimited query stays small.
+    const raw = await gameRepository.listWaiting({ minCreatedAt });
     const now = Date.now();
     const staleIds = [];
     const filtered = raw
-      .filter((g) => (g.mode || MODES.MULTI) === MODES.MULTI)
+      .filter(hasLobby)
       .filter((g) => {
         const createdMs = createdToMs(g.createdAt);
         const updatedMs = createdToMs(g.updatedAt) || createdMs;
@@ -1079,29 +2608,29 @@ export const listLobbies = async ({ limit = 25, minCreatedAt = null } = {}) => {
         }
         if (cutoffMs && createdMs < cutoffMs) return false;
         return true;
-      });
+      })
+      .filter(isListedLobby)
+      .slice(0, maxLimit);
 
     if (staleIds.length) {
-      const batch = db.batch();
-      staleIds.forEach((id) => {
-        const ref = gamesCollection.doc(id);
-        batch.set(ref, {
+      gameRepository
+        .mergeMany(staleIds, {
           status: 'finished',
           currentPlayer: null,
           currentPlayerId: null,
           turnDeadline: null,
           endedReason: 'stale_cleanup',
           updatedAt: nowIso(),
-        }, { merge: true });
-      });
-      batch.commit().catch((err) => console.warn('[listLobbies] stale cleanup failed', err?.message));
+        })
+        .then(() => staleIds.forEach(emitLobbyRemoved))
+        .catch((err) => console.warn('[listLobbies] stale cleanup failed', err?.message));
     }
 
     console.info('[listLobbies]', {
       path: 'indexed',
       limit,
       minCreatedAt,
-      snapCount: snap.size,
+      snapCount: raw.length,
       returned: filtered.length,
       staleFiltered: staleIds.length,
       first: filtered.slice(0, 3).map((g) => ({
@@ -1121,12 +2650,11 @@ export const listLobbies = async ({ limit = 25, minCreatedAt = null } = {}) => {
       error: error?.message,
     });
 
-    const snap = await gamesCollection.where('status', '==', 'waiting').get();
-    const raw = snap.docs.map((doc) => doc.data());
+    const raw = await gameRepository.listByStatus('waiting');
     const now = Date.now();
     const staleIds = [];
     const filtered = raw
-      .filter((g) => (g.mode || MODES.MULTI) === MODES.MULTI)
+      .filter(hasLobby)
       .filter((g) => {
         const createdMs = createdToMs(g.createdAt);
         const updatedMs = createdToMs(g.updatedAt) || createdMs;
@@ -1139,6 +2667,7 @@ export const listLobbies = async ({ limit = 25, minCreatedAt = null } = {}) => {
         if (cutoffMs && createdMs < cutoffMs) return false;
         return true;
       })
+      .filter(isListedLobby)
       .sort((a, b) => {
         const aTime = createdToMs(a.createdAt);
         const bTime = createdToMs(b.createdAt);
@@ -1147,26 +2676,24 @@ export const listLobbies = async ({ limit = 25, minCreatedAt = null } = {}) => {
       .slice(0, maxLimit);
 
     if (staleIds.length) {
-      const batch = db.batch();
-      staleIds.forEach((id) => {
-        const ref = gamesCollection.doc(id);
-        batch.set(ref, {
+      gameRepository
+        .mergeMany(staleIds, {
           status: 'finished',
           currentPlayer: null,
           currentPlayerId: null,
           turnDeadline: null,
           endedReason: 'stale_cleanup',
           updatedAt: nowIso(),
-        }, { merge: true });
-      });
-      batch.commit().catch((err) => console.warn('[listLobbies] stale cleanup failed (fallback)', err?.message));
+        })
+        .then(() => staleIds.forEach(emitLobbyRemoved))
+        .catch((err) => console.warn('[listLobbies] stale cleanup failed (fallback)', err?.message));
     }
 
     console.info('[listLobbies]', {
       path: 'fallback',
       limit,
       minCreatedAt,
-      snapCount: snap.size,
+      snapCount: raw.length,
       returned: filtered.length,
       staleFiltered: staleIds.length,
       first: filtered.slice(0, 3).map((g) => ({
@@ -1183,16 +2710,5 @@ export const listLobbies = async ({ limit = 25, minCreatedAt = null } = {}) => {
 
 export const resetGames = async () => {
   // Caution: for testing only; deletes all games.
-  const snaps = await gamesCollection.listDocuments();
-  const batches = [];
-  let batch = db.batch();
-  snaps.forEach((doc, idx) => {
-    batch.delete(doc);
-    if ((idx + 1) % 400 === 0) {
-      batches.push(batch.commit());
-      batch = db.batch();
-    }
-  });
-  batches.push(batch.commit());
-  await Promise.all(batches);
+  await gameRepository.deleteAll();
 };
@@ -0,0 +1,109 @@
+// Deterministic stand-in for the AI judge, used when the model is unavailable or keeps
+// returning invalid output. It scores the same three metrics from simple text signals:
+// new vocabulary (creativity), overlap with the story so far (cohesion) and overlap with
+// the guide prompt (prompt fit). Same turns in, same scores out.
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'but', 'for', 'with', 'that', 'this', 'from', 'into', 'onto', 'then', 'than',
+  'was', 'were', 'are', 'has', 'had', 'have', 'his', 'her', 'hers', 'its', 'their', 'they',
+  'them', 'she', 'him', 'you', 'your', 'our', 'out', 'not', 'all', 'any', 'can', 'could',
+  'would', 'should', 'will', 'just', 'like', 'what', 'when', 'where', 'which', 'who', 'while',
+  'there', 'here', 'been', 'being', 'over', 'under', 'about', 'after', 'before', 'again',
+  'story', 'continue',
+]);
+
+const SHORT_TURN_WORDS = 15;
+const SHORT_TURN_CAP = 40;
+
+const tokenize = (text) => (text || '').toLowerCase().match(/[a-z0-9']+/g) || [];
+const contentWords = (text) => tokenize(text).filter((word) => word.length > 2 && !STOP_WORDS.has(word));
+
+const share = (words, reference) => {
+  if (!words.length || !reference.size) return 0;
+  return words.filter((word) => reference.has(word)).length / words.length;
+};
+
+const toScore = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+const scoreTurn = (turn, storyWords) => {
+  const words = tokenize(turn.text);
+  const content = contentWords(turn.text);
+  const unique = new Set(content);
+  const promptWords = new Set(contentWords(turn.promptUsed || turn.guidePrompt));
+
+  const novelty = content.length ? content.filter((word) => !storyWords.has(word)).length / content.length : 0;
+  const variety = content.length ? unique.size / content.length : 0;
+  const lengthBonus = Math.min(15, words.length / 4);
+
+  const metrics = {
+    creativity: 20 + 45 * novelty + 20 * variety + lengthBonus,
+    cohesion: 25 + 60 * Math.min(1, share(content, storyWords) * 2.5) + lengthBonus / 2,
+    prompt_fit: promptWords.size ? 20 + 70 * Math.min(1, share([...promptWords], unique) * 2) : 50,
+  };
+
+  if (words.length < SHORT_TURN_WORDS) {
+    Object.keys(metrics).forEach((key) => {
+      metrics[key] = Math.min(metrics[key], SHORT_TURN_CAP);
+    });
+  }
+
+  return { metrics, wordCount: words.length, newWords: content.filter((word) => !storyWords.has(word)).length };
+};
+
+// Why the fallback ran, for the summary: no judge configured at all, or a configured one that failed.
+const FALLBACK_SUMMARIES = {
+  model_unavailable: 'Scored by the fallback judge; no AI judge is configured.',
+  model_error: 'Scored by the fallback judge; the AI judge could not be reached.',
+  invalid_model_output: 'Scored by the fallback judge; the AI judge did not return valid scores.',
+  no_turns: 'Scored by the fallback judge; there were no turns to judge.',
+};
+
+const band = (score) => (score >= 70 ? 'strong' : score >= 45 ? 'moderate' : 'limited');
+
+/**
+ * Scores every turn author from their turns, in the same shape as the AI judge output,
+ * labelled with `judge: 'heuristic'` and the reason the fallback was used.
+ */
+export const scoreWithHeuristics = (game, turns, { reason = 'model_unavailable' } = {}) => {
+  const storyWords = new Set(contentWords(game.initialPrompt));
+  const perPlayer = new Map();
+
+  [...turns]
+    .sort((a, b) => (a.order || 0) - (b.order || 0))
+    .forEach((turn) => {
+      if (!turn.playerName) return;
+      const result = scoreTurn(turn, storyWords);
+      const entry = perPlayer.get(turn.playerName) || { turns: [], wordCount: 0, newWords: 0 };
+      entry.turns.push(result.metrics);
+      entry.wordCount += result.wordCount;
+      entry.newWords += result.newWords;
+      perPlayer.set(turn.playerName, entry);
+      contentWords(turn.text).forEach((word) => storyWords.add(word));
+    });
+
+  const players = {};
+  perPlayer.forEach((entry, name) => {
+    const average = (key) => toScore(entry.turns.reduce((sum, m) => sum + m[key], 0) / entry.turns.length);
+    const creativity = average('creativity');
+    const cohesion = average('cohesion');
+    const promptFit = average('prompt_fit');
+    const turnLabel = entry.turns.length === 1 ? 'turn' : 'turns';
+
+    players[name] = {
+      creativity,
+      creativity_note: `Added ${entry.newWords} new story words across ${entry.turns.length} ${turnLabel} (${band(creativity)} novelty).`,
+      cohesion,
+      cohesion_note: `Shows ${band(cohesion)} reuse of characters, places and details already in the story.`,
+      prompt_fit: promptFit,
+      prompt_fit_note: `Shows ${band(promptFit)} overlap with the guide prompts it was given.`,
+      momentum: promptFit,
+    };
+  });
+
+  return {
+    players,
+    summary: FALLBACK_SUMMARIES[reason] || FALLBACK_SUMMARIES.model_unavailable,
+    judge: 'heuristic',
+    fallbackReason: reason,
+  };
+};
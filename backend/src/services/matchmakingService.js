@@ -0,0 +1,250 @@
+import { randomUUID } from 'crypto';
+import { matchmakingRepository, runTransaction } from '../repositories/index.js';
+import { abandonGame, clamp, createGame, joinGame, startGame } from './gameService.js';
+import { USER_EVENTS, publishUserEvent } from './eventService.js';
+
+// Quick play: players queue with a preferred table size and turn length, and once enough
+// compatible entries are waiting they are dropped into a fresh, already-started `multi`
+// game. Entries live in the `matchmaking` repository, keyed by user id.
+
+export const QUEUE_STATUS = {
+  QUEUED: 'queued',
+  MATCHED: 'matched',
+  CANCELLED: 'cancelled',
+  EXPIRED: 'expired',
+};
+
+const PLAYER_COUNT = { min: 2, max: 5, fallback: 3 };
+const TURN_DURATION = { min: 30, max: 600, fallback: 60 };
+const MAX_WAIT = { min: 30, max: 600, fallback: 120 };
+
+const nowIso = () => new Date().toISOString();
+
+const clampSetting = (value, { min, max, fallback }) => Math.round(clamp(value, min, max, fallback));
+
+const isExpired = (entry, now = nowIso()) => entry.status === QUEUE_STATUS.QUEUED && entry.expiresAt <= now;
+
+const isCompatible = (a, b) =>
+  a.playerCount === b.playerCount && a.turnDurationSeconds === b.turnDurationSeconds;
+
+// Two queued players may share a display name; games key turns by name, so suffix repeats.
+const uniqueNames = (entries) => {
+  const seen = new Map();
+  return entries.map((entry) => {
+    const count = (seen.get(entry.playerName) || 0) + 1;
+    seen.set(entry.playerName, count);
+    return { ...entry, playerName: count > 1 ? `${entry.playerName} (${count})` : entry.playerName };
+  });
+};
+
+const toStatus = (entry) => ({
+  status: entry.status,
+  playerCount: entry.playerCount,
+  turnDurationSeconds: entry.turnDurationSeconds,
+  enqueuedAt: entry.enqueuedAt,
+  expiresAt: entry.expiresAt,
+  gameId: entry.gameId || null,
+});
+
+/**
+ * Marks the group matched in one transaction so two instances (or the worker and a
+ * request) can't hand the same player two games. Returns null if anyone left meanwhile.
+ */
+const claimGroup = (group) => {
+  const matchId = randomUUID();
+  return runTransaction(async (tx) => {
+    const current = await Promise.all(group.map((entry) => tx.matchmaking.get(entry.userId)));
+    const now = nowIso();
+    if (current.some((entry) => !entry || entry.status !== QUEUE_STATUS.QUEUED || isExpired(entry, now))) {
+      return null;
+    }
+    const claimed = current.map((entry) => ({ ...entry, status: QUEUE_STATUS.MATCHED, matchId, updatedAt: now }));
+    claimed.forEach((entry) => tx.matchmaking.save(entry));
+    return claimed;
+  });
+};
+
+const releaseGroup = async (group) => {
+  const updatedAt = nowIso();
+  await Promise.all(
+    group.map((entry) =>
+      matchmakingRepository.save({ ...entry, status: QUEUE_STATUS.QUEUED, matchId: null, updatedAt }),
+    ),
+  );
+};
+
+const startMatch = async (group) => {
+  const [host, ...guests] = uniqueNames(group);
+  const game = await createGame({
+    hostName: host.playerName,
+    hostId: host.userId,
+    turnDurationSeconds: host.turnDurationSeconds,
+    maxTurns: host.playerCount * 2,
+    maxPlayers: host.playerCount,
+    mode: 'multi',
+    // Matched games are private to the group; nobody else should find them in the lobby list.
+    visibility: 'unlisted',
+    requiresApproval: false,
+  });
+
+  try {
+    for (const guest of guests) {
+      const joined = await joinGame(game.id, { playerName: guest.playerName, playerId: guest.userId });
+      if (joined.error) throw new Error(joined.error);
+    }
+
+    const started = await startGame(game.id, { playerId: host.userId });
+    if (started.error) throw new Error(started.error);
+    return started.game;
+  } catch (error) {
+    // Close the half-built game so it doesn't linger once the group is requeued.
+    await abandonGame(game.id, { playerId: host.userId, reason: 'match_failed' }).catch((abandonError) =>
+      console.warn('[matchmaking] failed to close unstarted match', { gameId: game.id, error: abandonError?.message }),
+    );
+    throw error;
+  }
+};
+
+/**
+ * Looks for a full group compatible with `entry` (oldest entries first) and, if there is
+ * one, starts a game for it. Returns the game id, or null when the player keeps waiting.
+ */
+const tryMatch = async (entry) => {
+  const now = nowIso();
+  const candidates = (await matchmakingRepository.listQueued()).filter(
+    (other) => other.userId !== entry.userId && !isExpired(other, now) && isCompatible(other, entry),
+  );
+  if (candidates.length + 1 < entry.playerCount) return null;
+
+  const group = [...candidates.slice(0, entry.playerCount - 1), entry].sort((a, b) =>
+    a.enqueuedAt.localeCompare(b.enqueuedAt),
+  );
+  const claimed = await claimGroup(group);
+  if (!claimed) return null;
+
+  let game;
+  try {
+    game = await startMatch(claimed);
+  } catch (error) {
+    console.warn('[matchmaking] failed to start match, requeueing players', { error: error?.message });
+    await releaseGroup(claimed);
+    return null;
+  }
+
+  const updatedAt = nowIso();
+  await Promise.all(
+    claimed.map((member) => matchmakingRepository.save({ ...member, gameId: game.id, updatedAt })),
+  );
+  claimed.forEach((member) => {
+    publishUserEvent(member.userId, { type: USER_EVENTS.MATCH_FOUND, gameId: game.id });
+  });
+  return game.id;
+};
+
+export const enqueue = async ({ userId, playerName, playerCount, turnDurationSeconds, maxWaitSeconds }) => {
+  if (!userId) {
+    return { error: 'User id is required', status: 400 };
+  }
+  const trimmedName = playerName?.trim();
+  if (!trimmedName) {
+    return { error: 'Player name is required', status: 400 };
+  }
+
+  const existing = await matchmakingRepository.get(userId);
+  if (existing?.status === QUEUE_STATUS.QUEUED && !isExpired(existing)) {
+    return { error: 'Already in the matchmaking queue', status: 409 };
+  }
+
+  const now = Date.now();
+  const entry = {
+    userId,
+    playerName: trimmedName,
+    playerCount: clampSetting(playerCount, PLAYER_COUNT),
+    turnDurationSeconds: clampSetting(turnDurationSeconds, TURN_DURATION),
+    status: QUEUE_STATUS.QUEUED,
+    matchId: null,
+    gameId: null,
+    enqueuedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + clampSetting(maxWaitSeconds, MAX_WAIT) * 1000).toISOString(),
+    updatedAt: new Date(now).toISOString(),
+  };
+  await matchmakingRepository.save(entry);
+
+  const gameId = await tryMatch(entry);
+  if (gameId) {
+    return { entry: toStatus({ ...entry, status: QUEUE_STATUS.MATCHED, gameId }), matched: true };
+  }
+  return { entry: toStatus(entry), matched: false };
+};
+
+export const cancelQueue = (userId) =>
+  runTransaction(async (tx) => {
+    const entry = await tx.matchmaking.get(userId);
+    if (!entry || entry.status === QUEUE_STATUS.CANCELLED) {
+      return { error: 'Not in the matchmaking queue', status: 404 };
+    }
+    if (entry.status === QUEUE_STATUS.MATCHED) {
+      return { error: 'Already matched into a game', status: 409, entry: toStatus(entry) };
+    }
+    if (entry.status === QUEUE_STATUS.EXPIRED) {
+      return { entry: toStatus(entry) };
+    }
+
+    const cancelled = { ...entry, status: QUEUE_STATUS.CANCELLED, updatedAt: nowIso() };
+    tx.matchmaking.save(cancelled);
+    return { entry: toStatus(cancelled) };
+  });
+
+const expireEntry = async (entry) => {
+  const result = await runTransaction(async (tx) => {
+    const current = await tx.matchmaking.get(entry.userId);
+    if (!current || !isExpired(current)) return { entry: current || entry };
+    const updated = { ...current, status: QUEUE_STATUS.EXPIRED, updatedAt: nowIso() };
+    tx.matchmaking.save(updated);
+    return { entry: updated, expired: true };
+  });
+
+  if (result.expired) {
+    publishUserEvent(entry.userId, { type: USER_EVENTS.QUEUE_TIMEOUT });
+  }
+  return result.entry;
+};
+
+export const getQueueStatus = async (userId) => {
+  const entry = await matchmakingRepository.get(userId);
+  if (!entry) {
+    return { error: 'Not in the matchmaking queue', status: 404 };
+  }
+  if (isExpired(entry)) {
+    // The worker may not have swept yet; report the timeout as soon as it is due.
+    return { entry: toStatus(await expireEntry(entry)) };
+  }
+  return { entry: toStatus(entry) };
+};
+
+// Times out stale entries, then retries matching for whoever is still waiting (a group can
+// form after a failed start, or when entries from several instances meet in the store).
+export const sweepMatchmakingQueue = async () => {
+  const queued = await matchmakingRepository.listQueued();
+  const now = nowIso();
+  let expired = 0;
+  let matched = 0;
+
+  for (const entry of queued) {
+    if (isExpired(entry, now)) {
+      await expireEntry(entry);
+      expired += 1;
+    }
+  }
+
+  for (const entry of queued) {
+    // Entries matched earlier in this sweep fail the claim in tryMatch, which re-reads them.
+    if (isExpired(entry, now)) continue;
+    const gameId = await tryMatch(entry);
+    if (gameId) {
+      matched += 1;
+    }
+  }
+
+  return { expired, matched };
+};
@@ -0,0 +1,35 @@
+import { sweepMatchmakingQueue } from './matchmakingService.js';
+
+const DEFAULT_INTERVAL_MS = 10000;
+
+let timer = null;
+let sweeping = false;
+
+// Times out queue entries nobody matched and retries grouping the rest.
+// Safe on every instance: matchmakingService claims each group in a transaction first.
+export const sweepMatchmaking = async () => {
+  if (sweeping) return { expired: 0, matched: 0, skipped: true };
+  sweeping = true;
+
+  try {
+    return await sweepMatchmakingQueue();
+  } finally {
+    sweeping = false;
+  }
+};
+
+export const startMatchmakingWorker = ({ intervalMs = DEFAULT_INTERVAL_MS } = {}) => {
+  if (timer || !(intervalMs > 0)) return;
+
+  timer = setInterval(() => {
+    sweepMatchmaking().catch((error) => console.warn('[matchmakingWorker] sweep failed:', error?.message || error));
+  }, intervalMs);
+  timer.unref?.();
+  console.log('[matchmakingWorker] started', { intervalMs });
+};
+
+export const stopMatchmakingWorker = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+};
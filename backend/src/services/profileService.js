@@ -0,0 +1,166 @@
+import { leaderboardRepository, runTransaction, userRepository } from '../repositories/index.js';
+import { ACHIEVEMENTS, newAchievements, toAchievement } from './achievements.js';
+
+// Lifetime player profiles, kept on the users/{userId} document. gameService credits each
+// finished game once (alongside the leaderboard); metric sums are stored so averages stay
+// exact, and the API turns them into averages and bests. Achievements unlocked by the game
+// are recorded in the same write (see achievements.js).
+
+export const PROFILE_METRICS = ['creativity', 'cohesion', 'prompt_fit', 'total'];
+
+const nowIso = () => new Date().toISOString();
+
+const countWords = (html) =>
+  String(html || '')
+    .replace(/<[^>]*>/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean).length;
+
+// Same reading of judge output as the leaderboard: votes fold into `total` when present.
+export const metricsOf = (scoreObj) => {
+  const creativity = Number(scoreObj.creativity) || 0;
+  const cohesion = Number(scoreObj.cohesion ?? scoreObj.continuity) || 0;
+  const promptFit = Number(scoreObj.prompt_fit ?? scoreObj.promptFit ?? scoreObj.momentum) || 0;
+  const total = scoreObj.voteScore !== undefined ? Number(scoreObj.total) || 0 : (creativity + cohesion + promptFit) / 3;
+  return { creativity, cohesion, prompt_fit: promptFit, total };
+};
+
+const addGame = (profile, { userId, displayName, mode, genre, scoreObj, turns, at }) => {
+  const current = profile || { userId, gamesPlayed: 0, gamesByMode: {}, metrics: {}, genres: {}, firstPlayedAt: at };
+  const metrics = scoreObj ? metricsOf(scoreObj) : null;
+  return {
+    ...current,
+    userId,
+    displayName,
+    gamesPlayed: current.gamesPlayed + 1,
+    gamesByMode: { ...current.gamesByMode, [mode]: (current.gamesByMode[mode] || 0) + 1 },
+    metrics: metrics
+      ? Object.fromEntries(
+          PROFILE_METRICS.map((metric) => {
+            const { sum = 0, count = 0, best = null } = current.metrics[metric] || {};
+            const value = metrics[metric];
+            return [metric, { sum: sum + value, count: count + 1, best: best === null ? value : Math.max(best, value) }];
+          }),
+        )
+      : current.metrics,
+    turnsWritten: (current.turnsWritten || 0) + turns.length,
+    wordsWritten: (current.wordsWritten || 0) + turns.reduce((sum, turn) => sum + countWords(turn.text), 0),
+    // Games record the genre their opener was written in (older games have none)
+    genres: genre ? { ...current.genres, [genre]: (current.genres[genre] || 0) + 1 } : current.genres,
+    lastPlayedAt: at,
+    updatedAt: at,
+  };
+};
+
+// Outright top score, or a place on the winning team. In single mode the only other
+// scored player is the AI.
+const isWinner = (scores, name) => {
+  if (scores?.winningTeamId) {
+    return !!scores.teams?.[scores.winningTeamId]?.players?.includes(name);
+  }
+  const own = scores?.players?.[name];
+  const others = Object.entries(scores?.players || {}).filter(([other]) => other !== name);
+  if (!own || !others.length) return false;
+  const total = metricsOf(own).total;
+  return others.every(([, scoreObj]) => total > metricsOf(scoreObj).total);
+};
+
+/**
+ * Credits a finished game to each human player's profile and records any achievements it
+ * unlocks. Each profile is credited once per game, however often scoring is retried.
+ * @param {Array<{id: string, name: string}>} players - the game's human players
+ * @returns {Promise<Object<string, string[]>>} newly unlocked achievement ids by user id
+ */
+export const recordProfileGames = async (game, scores, players, turns) => {
+  const at = nowIso();
+  const mode = game.mode || 'multi';
+  const unlocked = await Promise.all(
+    players.map((player) =>
+      runTransaction(async (tx) => {
+        const creditKey = `profile:${player.id}`;
+        if (await tx.scoringJobs.getCredit(game.id, creditKey)) return [player.id, []];
+        const profile = await tx.users.getProfile(player.id);
+        const scoreObj = scores?.players?.[player.name] || null;
+        const playerTurns = turns.filter((turn) => turn.playerId === player.id);
+        const updated = addGame(profile, {
+          userId: player.id,
+          displayName: player.name,
+          mode,
+          genre: game.genre || null,
+          scoreObj,
+          turns: playerTurns,
+          at,
+        });
+        const ids = newAchievements(updated, {
+          mode,
+          score: scoreObj ? metricsOf(scoreObj).total : null,
+          won: isWinner(scores, player.name),
+          turnsWritten: playerTurns.length,
+          storyTurns: turns.length,
+        });
+        tx.users.saveProfile({
+          ...updated,
+          achievements: {
+            ...updated.achievements,
+            ...Object.fromEntries(ids.map((id) => [id, { unlockedAt: at, gameId: game.id }])),
+          },
+        });
+        tx.scoringJobs.saveCredit({ gameId: game.id, key: creditKey, creditedAt: at });
+        return [player.id, ids];
+      }),
+    ),
+  );
+
+  const byUser = Object.fromEntries(unlocked.filter(([, ids]) => ids.length));
+  if (Object.keys(byUser).length) {
+    console.log('[profileService] achievements unlocked', { gameId: game.id, unlocked: byUser });
+  }
+  return byUser;
+};
+
+const favoriteOf = (counts = {}) => {
+  const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  return top ? top[0] : null;
+};
+
+export const getProfile = async (userId) => {
+  const [profile, standing] = await Promise.all([userRepository.getProfile(userId), leaderboardRepository.get(userId)]);
+  if (!profile) {
+    return { error: 'Profile not found', status: 404 };
+  }
+
+  return {
+    profile: {
+      userId,
+      displayName: profile.displayName,
+      gamesPlayed: profile.gamesPlayed,
+      gamesByMode: profile.gamesByMode,
+      metrics: Object.fromEntries(
+        Object.entries(profile.metrics || {}).map(([metric, { sum, count, best }]) => [
+          metric,
+          { average: count ? Math.round((sum / count) * 10) / 10 : null, best: best === null ? null : Math.round(best * 10) / 10 },
+        ]),
+      ),
+      turnsWritten: profile.turnsWritten || 0,
+      wordsWritten: profile.wordsWritten || 0,
+      favoriteGenre: favoriteOf(profile.genres),
+      firstPlayedAt: profile.firstPlayedAt || null,
+      lastPlayedAt: profile.lastPlayedAt || null,
+      rating: standing?.rating === undefined
+        ? null
+        : { rating: standing.rating, deviation: standing.ratingDeviation, ratedGames: standing.ratedGames, ranked: !!standing.ranked },
+    },
+  };
+};
+
+/** Every achievement, with when (and in which game) the player unlocked it. */
+export const getAchievements = async (userId) => {
+  const profile = await userRepository.getProfile(userId);
+  const unlocks = profile?.achievements || {};
+  const achievements = ACHIEVEMENTS.map((achievement) => toAchievement(achievement, unlocks[achievement.id]));
+  return {
+    achievements,
+    unlocked: achievements.filter((achievement) => achievement.unlockedAt).length,
+    total: ACHIEVEMENTS.length,
+  };
+};
@@ -0,0 +1,110 @@
+// Skill ratings (Glicko-1). Every finished game with two or more scored humans counts as a
+// round of head-to-head results: each pair of players is a win, loss or draw by placement.
+// In team games teammates are not compared; each player is compared with the other teams
+// by team total. Ratings live in their own collection; leaderboard rows only show them.
+
+export const RATING_DEFAULTS = {
+  rating: 1500,
+  deviation: 350,
+};
+
+const MIN_DEVIATION = 30;
+// How far an idle player's deviation drifts back up per day (about three years from 50 back to 350)
+const DEVIATION_GROWTH_PER_DAY = 10;
+const Q = Math.log(10) / 400;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Rated games a player needs before they appear on the leaderboard (LEADERBOARD_MIN_GAMES). */
+export const minRatedGames = () => {
+  const configured = Number(process.env.LEADERBOARD_MIN_GAMES);
+  return Number.isInteger(configured) && configured >= 0 ? configured : 5;
+};
+
+const g = (deviation) => 1 / Math.sqrt(1 + (3 * Q * Q * deviation * deviation) / (Math.PI * Math.PI));
+
+const expectedScore = (rating, opponent) =>
+  1 / (1 + 10 ** ((-g(opponent.deviation) * (rating - opponent.rating)) / 400));
+
+// Uncertainty grows back while a player sits out, so returning players move faster.
+const deviationAt = (record, now) => {
+  if (!record?.lastRatedAt) return record?.deviation ?? RATING_DEFAULTS.deviation;
+  const idleDays = Math.max(0, (new Date(now) - new Date(record.lastRatedAt)) / DAY_MS);
+  return Math.min(
+    Math.sqrt(record.deviation ** 2 + DEVIATION_GROWTH_PER_DAY ** 2 * idleDays),
+    RATING_DEFAULTS.deviation,
+  );
+};
+
+const outcome = (a, b) => (a > b ? 1 : a < b ? 0 : 0.5);
+
+/**
+ * Pairwise results from one game's placement.
+ * @param {Array<{userId: string, score: number, teamId?: string, teamScore?: number}>} placements
+ * @returns {Map<string, Array<{opponentId: string, result: number}>>}
+ */
+export const pairwiseResults = (placements) =>
+  new Map(
+    placements.map((player) => [
+      player.userId,
+      placements
+        .filter((other) => other.userId !== player.userId && (!player.teamId || other.teamId !== player.teamId))
+        .map((other) => ({
+          opponentId: other.userId,
+          result: player.teamId
+            ? outcome(player.teamScore, other.teamScore)
+            : outcome(player.score, other.score),
+        })),
+    ]),
+  );
+
+/**
+ * New rating records for everyone in a game. Opponents are taken at their pre-game
+ * ratings, so the order players are processed in doesn't matter.
+ * @param {Array} placements - see pairwiseResults
+ * @param {Object<string, {rating: number, deviation: number, gamesRated: number, lastRatedAt: string}>} current
+ */
+export const rateGame = (placements, current, now = new Date().toISOString()) => {
+  const before = Object.fromEntries(
+    placements.map(({ userId }) => [
+      userId,
+      {
+        rating: current[userId]?.rating ?? RATING_DEFAULTS.rating,
+        deviation: deviationAt(current[userId], now),
+      },
+    ]),
+  );
+
+  const results = pairwiseResults(placements);
+  return Object.fromEntries(
+    placements.map(({ userId }) => {
+      const { rating, deviation } = before[userId];
+      const games = results.get(userId);
+      const previous = current[userId] || {};
+      if (!games.length) {
+        return [userId, { ...previous, userId, rating, deviation, lastRatedAt: now }];
+      }
+
+      let variance = 0;
+      let improvement = 0;
+      games.forEach(({ opponentId, result }) => {
+        const opponent = before[opponentId];
+        const expected = expectedScore(rating, opponent);
+        variance += g(opponent.deviation) ** 2 * expected * (1 - expected);
+        improvement += g(opponent.deviation) * (result - expected);
+      });
+      const dSquared = 1 / (Q * Q * variance);
+      const precision = 1 / (deviation * deviation) + 1 / dSquared;
+
+      return [
+        userId,
+        {
+          userId,
+          rating: rating + (Q / precision) * improvement,
+          deviation: Math.max(Math.sqrt(1 / precision), MIN_DEVIATION),
+          gamesRated: (previous.gamesRated || 0) + 1,
+          lastRatedAt: now,
+        },
+      ];
+    }),
+  );
+};
@@ -0,0 +1,86 @@
+// State transitions for the durable scoring job each finished game gets (stored in the
+// `scoringJobs` repository, keyed by game id). gameService runs the jobs; the scoring
+// worker picks up anything due. `nextAttemptAt` is the only field the worker queries on.
+// `scores` holds the judge's result once a run gets that far, so retries reuse it.
+
+export const SCORING_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+export const MAX_SCORING_ATTEMPTS = 3;
+
+// A run that hasn't finished by then is assumed dead (e.g. the instance restarted).
+const LEASE_MS = 2 * 60 * 1000;
+const RETRY_BASE_MS = 30 * 1000;
+
+const nowIso = () => new Date().toISOString();
+const isoAfter = (ms) => new Date(Date.now() + ms).toISOString();
+
+/**
+ * A fresh pending job. Pass the previous job when re-running scoring so its history
+ * (and whether the leaderboard was already credited) carries over.
+ */
+export const createScoringJob = (gameId, previous = null) => {
+  const now = nowIso();
+  return {
+    gameId,
+    status: SCORING_STATUS.PENDING,
+    attempts: 0,
+    maxAttempts: MAX_SCORING_ATTEMPTS,
+    resultsRecorded: previous?.resultsRecorded || false,
+    lastError: null,
+    nextAttemptAt: now,
+    leaseExpiresAt: null,
+    createdAt: previous?.createdAt || now,
+    updatedAt: now,
+    completedAt: null,
+  };
+};
+
+export const isJobClaimable = (job, nowMs = Date.now()) => {
+  if (!job) return false;
+  if (job.status === SCORING_STATUS.PENDING) return true;
+  if (job.status === SCORING_STATUS.FAILED) {
+    return job.attempts < job.maxAttempts && Date.parse(job.nextAttemptAt) <= nowMs;
+  }
+  if (job.status === SCORING_STATUS.RUNNING) {
+    return Date.parse(job.leaseExpiresAt) <= nowMs;
+  }
+  return false;
+};
+
+export const claimJob = (job) => {
+  const leaseExpiresAt = isoAfter(LEASE_MS);
+  return {
+    ...job,
+    status: SCORING_STATUS.RUNNING,
+    attempts: (job.attempts || 0) + 1,
+    leaseExpiresAt,
+    nextAttemptAt: leaseExpiresAt,
+    updatedAt: nowIso(),
+  };
+};
+
+export const completeJob = (job) => ({
+  ...job,
+  status: SCORING_STATUS.DONE,
+  resultsRecorded: true,
+  lastError: null,
+  leaseExpiresAt: null,
+  nextAttemptAt: null,
+  completedAt: nowIso(),
+  updatedAt: nowIso(),
+});
+
+// Failed jobs back off exponentially until maxAttempts; after that only a manual re-run helps.
+export const failJob = (job, error) => ({
+  ...job,
+  status: SCORING_STATUS.FAILED,
+  lastError: String(error?.message || error || 'Unknown error').slice(0, 500),
+  leaseExpiresAt: null,
+  nextAttemptAt: job.attempts < job.maxAttempts ? isoAfter(RETRY_BASE_MS * 2 ** (job.attempts - 1)) : null,
+  updatedAt: nowIso(),
+});
@@ -1,11 +1,18 @@
-import { callChatModel } from './aiService.js';
-import { db } from '../firebase.js';
+import { callChatModel, isAiAvailable } from './aiService.js';
+import { AI_TASKS } from './aiProviders.js';
+import { scoreWithHeuristics } from './heuristicJudge.js';
+import { turnRepository } from '../repositories/index.js';
+import { isParallelStory, withTeamScores } from './teams.js';
 
-const buildScoringMessages = (game, turns) => {
+const MAX_JUDGE_ATTEMPTS = 3;
+const METRICS = ['creativity', 'cohesion', 'prompt_fit'];
+
+const buildScoringMessages = (game, turns, playerNames) => {
   const turnsText = turns
     .map((t) => {
       const promptLine = t.promptUsed || t.guidePrompt || 'No prompt provided.';
-      return `Turn ${t.order} by ${t.playerName}\nPrompt: ${promptLine}\nText: ${t.text}`;
+      const team = t.teamId ? ` (Team ${t.teamId})` : '';
+      return `Turn ${t.order} by ${t.playerName}${team}\nPrompt: ${promptLine}\nText: ${t.text}`;
     })
     .join('\n\n');
 
@@ -35,6 +42,10 @@ const buildScoringMessages = (game, turns) => {
       content: [
         'Evaluate each player based on their contributions.',
         `Initial scene: ${game.initialPrompt || 'Unknown opening'}`,
+        `Score exactly these players, using these exact names: ${playerNames.join(', ')}`,
+        ...(isParallelStory(game)
+          ? ['Each team wrote its own story from the same opening; judge each turn against its own team\'s earlier turns.']
+          : []),
         'Here is the story so far (prompt then text for each turn):',
         turnsText || 'No turns.',
       ].join('\n\n'),
@@ -42,20 +53,16 @@ const buildScoringMessages = (game, turns) => {
   ];
 };
 
-const fetchTurns = async (gameId) => {
-  const snap = await db
-    .collection('games')
-    .doc(gameId)
-    .collection('turns')
-    .orderBy('order', 'asc')
-    .get();
-  return snap.docs.map((doc) => doc.data());
-};
+const buildRepairMessage = (errors) => ({
+  role: 'user',
+  content: [
+    'Your reply did not match the required JSON format:',
+    ...errors.slice(0, 8).map((error) => `- ${error}`),
+    'Reply again with the complete corrected JSON only.',
+  ].join('\n'),
+});
 
-export const scoreGame = async (game) => {
-  const turns = await fetchTurns(game.id);
-  const messages = buildScoringMessages(game, turns);
-  const raw = await callChatModel(messages, { temperature: 0.25, max_tokens: 320 });
+const extractJson = (raw) => {
   const tryParse = (text) => {
     try {
       return JSON.parse(text);
@@ -63,56 +70,155 @@ export const scoreGame = async (game) => {
       return null;
     }
   };
-  let parsed = tryParse(raw);
+  const text = String(raw || '');
+  const parsed = tryParse(text);
+  if (parsed) return parsed;
 
-  if (!parsed) {
-    const first = raw.indexOf('{');
-    const last = raw.lastIndexOf('}');
-    if (first !== -1 && last !== -1 && last > first) {
-      parsed = tryParse(raw.slice(first, last + 1));
-    }
+  const first = text.indexOf('{');
+  const last = text.lastIndexOf('}');
+  if (first !== -1 && last !== -1 && last > first) {
+    return tryParse(text.slice(first, last + 1));
   }
+  return null;
+};
 
-  if (parsed) {
-    const playersByName = new Map((game.players || []).map((p) => [p.name, p.id]));
-    const jitterScore = (score, name) => {
-      if (!Number.isFinite(score)) return score;
-      if (score % 10 !== 0) return score;
-      const id = playersByName.get(name) || name;
-      const hash = [...String(id)].reduce((acc, ch) => acc + ch.charCodeAt(0), 0);
-      const offset = hash % 2 === 0 ? -2 : 2;
-      const jittered = Math.max(0, Math.min(100, score + offset));
-      // ensure not landing on a half step like 41 for 40 per requirement while clamping to bounds
-      return jittered;
-    };
-
-    Object.entries(parsed.players || {}).forEach(([name, metrics]) => {
-      if (!metrics) return;
-      const promptFit =
-        metrics.prompt_fit ??
-        metrics.promptFit ??
-        metrics.prompt_alignment ??
-        metrics.promptAlignment ??
-        metrics.momentum;
-      const continuity = metrics.cohesion ?? metrics.continuity;
-      if (typeof metrics.prompt_fit === 'undefined' && typeof promptFit !== 'undefined') {
-        metrics.prompt_fit = promptFit;
-      }
-      if (typeof metrics.momentum === 'undefined' && typeof promptFit !== 'undefined') {
-        metrics.momentum = promptFit;
+// Older prompts and some models use other names for the same metrics.
+const normalizeMetricAliases = (metrics) => ({
+  ...metrics,
+  cohesion: metrics.cohesion ?? metrics.continuity,
+  cohesion_note: metrics.cohesion_note ?? metrics.continuity_note,
+  prompt_fit:
+    metrics.prompt_fit ?? metrics.promptFit ?? metrics.prompt_alignment ?? metrics.promptAlignment ?? metrics.momentum,
+  prompt_fit_note: metrics.prompt_fit_note ?? metrics.promptFitNote ?? metrics.momentum_note,
+  creativity_note: metrics.creativity_note ?? metrics.creativityNote,
+});
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Checks the judge reply against the strict schema: every expected player (and no one
+ * else), each metric an integer 0-100 with a note, and a summary.
+ * @returns {{ scores: object|null, errors: string[] }}
+ */
+export const validateJudgeOutput = (raw, playerNames) => {
+  const parsed = extractJson(raw);
+  if (!parsed || typeof parsed !== 'object') {
+    return { scores: null, errors: ['Reply is not valid JSON'] };
+  }
+
+  const errors = [];
+  const rawPlayers = parsed.players;
+  if (!rawPlayers || typeof rawPlayers !== 'object' || Array.isArray(rawPlayers)) {
+    return { scores: null, errors: ['"players" must be an object keyed by player name'] };
+  }
+
+  Object.keys(rawPlayers)
+    .filter((name) => !playerNames.includes(name))
+    .forEach((name) => errors.push(`Unexpected player "${name}"; only score: ${playerNames.join(', ')}`));
+
+  const players = {};
+  playerNames.forEach((name) => {
+    if (!rawPlayers[name] || typeof rawPlayers[name] !== 'object') {
+      errors.push(`Missing scores for player "${name}"`);
+      return;
+    }
+    const metrics = normalizeMetricAliases(rawPlayers[name]);
+    const clean = {};
+    METRICS.forEach((metric) => {
+      const value = metrics[metric];
+      if (!Number.isInteger(value) || value < 0 || value > 100) {
+        errors.push(`"${name}".${metric} must be an integer from 0 to 100`);
       }
-      if (typeof metrics.cohesion === 'undefined' && typeof continuity !== 'undefined') {
-        metrics.cohesion = continuity;
+      if (!isNonEmptyString(metrics[`${metric}_note`])) {
+        errors.push(`"${name}".${metric}_note must be a one-sentence note`);
       }
+      clean[metric] = value;
+      clean[`${metric}_note`] = metrics[`${metric}_note`];
+    });
+    players[name] = clean;
+  });
+
+  if (!isNonEmptyString(parsed.summary)) {
+    errors.push('"summary" must be a short sentence');
+  }
+
+  if (errors.length) {
+    return { scores: null, errors };
+  }
+  return { scores: { players, summary: parsed.summary.trim() }, errors };
+};
 
-      ['creativity', 'cohesion', 'momentum', 'prompt_fit'].forEach((k) => {
-        if (metrics && Object.prototype.hasOwnProperty.call(metrics, k)) {
-          metrics[k] = jitterScore(Number(metrics[k]), name);
-        }
+// Nudge round numbers (models love 40/50/60) so players with similar turns don't tie.
+const jitterScores = (scores, game) => {
+  const playersByName = new Map(
+    [...(game.players || []), ...(game.departedPlayers || [])].map((p) => [p.name, p.id]),
+  );
+  const jitterScore = (score, name) => {
+    if (score % 10 !== 0) return score;
+    const id = playersByName.get(name) || name;
+    const hash = [...String(id)].reduce((acc, ch) => acc + ch.charCodeAt(0), 0);
+    const offset = hash % 2 === 0 ? -2 : 2;
+    return Math.max(0, Math.min(100, score + offset));
+  };
+
+  const players = Object.fromEntries(
+    Object.entries(scores.players).map(([name, metrics]) => {
+      const jittered = { ...metrics };
+      METRICS.forEach((metric) => {
+        jittered[metric] = jitterScore(metrics[metric], name);
       });
-    });
-    return parsed;
+      // `momentum` is the legacy name for prompt fit; older clients still read it.
+      jittered.momentum = jittered.prompt_fit;
+      return [name, jittered];
+    }),
+  );
+  return { ...scores, players };
+};
+
+/**
+ * Scores a finished game. Asks the AI judge first, feeding schema errors back to it for up
+ * to MAX_JUDGE_ATTEMPTS tries; if the model is unavailable or never produces valid output,
+ * falls back to the local heuristic judge. Always resolves to valid scores, labelled with
+ * `judge: 'model' | 'heuristic'`, plus team scores for team games.
+ */
+export const scoreGame = async (game) => {
+  const turns = await turnRepository.list(game.id);
+  const playerNames = [...new Set(turns.map((t) => t.playerName).filter(Boolean))];
+
+  if (!playerNames.length || !isAiAvailable(AI_TASKS.SCORING)) {
+    const reason = playerNames.length ? 'model_unavailable' : 'no_turns';
+    return withTeamScores(scoreWithHeuristics(game, turns, { reason }), game, turns);
+  }
+
+  const baseMessages = buildScoringMessages(game, turns, playerNames);
+  let messages = baseMessages;
+  let reason = 'invalid_model_output';
+
+  for (let attempt = 1; attempt <= MAX_JUDGE_ATTEMPTS; attempt += 1) {
+    let raw;
+    try {
+      raw = await callChatModel(messages, {
+        temperature: 0.25,
+        // Room for three notes per player; truncated JSON cannot be repaired.
+        max_tokens: 320 + 80 * playerNames.length,
+        task: AI_TASKS.SCORING,
+      });
+    } catch (error) {
+      console.warn('[scoringService] judge call failed', { gameId: game.id, attempt, error: error?.message || error });
+      reason = 'model_error';
+      continue;
+    }
+
+    const { scores, errors } = validateJudgeOutput(raw, playerNames);
+    if (scores) {
+      return withTeamScores({ ...jitterScores(scores, game), judge: 'model' }, game, turns);
+    }
+
+    console.warn('[scoringService] judge output rejected', { gameId: game.id, attempt, errors: errors.slice(0, 5) });
+    reason = 'invalid_model_output';
+    messages = [...baseMessages, { role: 'assistant', content: String(raw || '') }, buildRepairMessage(errors)];
   }
 
-  return { error: 'Failed to parse model response', raw };
+  console.warn('[scoringService] using heuristic judge', { gameId: game.id, reason });
+  return withTeamScores(scoreWithHeuristics(game, turns, { reason }), game, turns);
 };
@@ -0,0 +1,54 @@
+import { closeVotingIfDue, findDueScoringGameIds, findDueVotingGameIds, runScoringJob } from './gameService.js';
+
+const DEFAULT_INTERVAL_MS = 15000;
+
+let timer = null;
+let sweeping = false;
+
+// Closes player votes whose window has passed, then runs scoring jobs that are pending, due
+// for a retry, or whose previous run died. Safe on every instance: runScoringJob claims each
+// job in a transaction first.
+export const sweepScoringJobs = async () => {
+  if (sweeping) return { ran: 0, skipped: true };
+  sweeping = true;
+
+  try {
+    for (const gameId of await findDueVotingGameIds()) {
+      try {
+        await closeVotingIfDue(gameId);
+      } catch (error) {
+        console.warn('[scoringWorker] failed to close voting', { gameId, error: error?.message });
+      }
+    }
+
+    const gameIds = await findDueScoringGameIds();
+    let ran = 0;
+    for (const gameId of gameIds) {
+      try {
+        const result = await runScoringJob(gameId);
+        if (result.claimed) ran += 1;
+      } catch (error) {
+        console.warn('[scoringWorker] failed to run scoring job', { gameId, error: error?.message });
+      }
+    }
+    return { ran };
+  } finally {
+    sweeping = false;
+  }
+};
+
+export const startScoringWorker = ({ intervalMs = DEFAULT_INTERVAL_MS } = {}) => {
+  if (timer || !(intervalMs > 0)) return;
+
+  timer = setInterval(() => {
+    sweepScoringJobs().catch((error) => console.warn('[scoringWorker] sweep failed:', error?.message || error));
+  }, intervalMs);
+  timer.unref?.();
+  console.log('[scoringWorker] started', { intervalMs });
+};
+
+export const stopScoringWorker = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,91 @@
+// Leaderboard boards beyond the all-time rating board: one per game mode and time window
+// (daily, weekly, all-time) plus one per season. Each credited game adds to a standings row
+// per board the player belongs to; rows rank by best single-game score on that board.
+// Seasons are calendar quarters in UTC. When one ends, its final standings are archived
+// on the season document and the next season starts.
+
+export const BOARD_MODES = ['all', 'multi', 'single', 'rapid', 'team'];
+
+export const BOARD_WINDOWS = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  ALL: 'all',
+};
+
+// How many rows each archived season keeps per mode.
+export const ARCHIVED_STANDINGS_LIMIT = 25;
+
+const SEASON_NAMES = ['Winter', 'Spring', 'Summer', 'Autumn'];
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// ISO 8601 week, e.g. 2026-W42 (weeks start on Monday; week 1 holds the first Thursday).
+const weekKey = (date) => {
+  const day = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const weekday = day.getUTCDay() || 7;
+  day.setUTCDate(day.getUTCDate() + 4 - weekday);
+  const yearStart = Date.UTC(day.getUTCFullYear(), 0, 1);
+  const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+  return `${day.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+};
+
+/** The season a moment falls in: `{ id, name, startsAt, endsAt }`. */
+export const seasonAt = (at) => {
+  const date = new Date(at);
+  const year = date.getUTCFullYear();
+  const quarter = Math.floor(date.getUTCMonth() / 3);
+  return {
+    id: `${year}-q${quarter + 1}`,
+    name: `${SEASON_NAMES[quarter]} ${year}`,
+    startsAt: new Date(Date.UTC(year, quarter * 3, 1)).toISOString(),
+    endsAt: new Date(Date.UTC(year, quarter * 3 + 3, 1)).toISOString(),
+  };
+};
+
+const periodKey = (window, date) => {
+  if (window === BOARD_WINDOWS.DAILY) return `day-${dayKey(date)}`;
+  if (window === BOARD_WINDOWS.WEEKLY) return `week-${weekKey(date)}`;
+  return 'all';
+};
+
+export const boardId = ({ mode = 'all', window = BOARD_WINDOWS.ALL, seasonId = null, at = new Date() }) =>
+  `${seasonId ? `season-${seasonId}` : periodKey(window, new Date(at))}:${mode}`;
+
+// The all-modes, all-time board is the rating leaderboard, so it has no standings rows.
+export const isRatingBoard = ({ mode = 'all', window = BOARD_WINDOWS.ALL, seasonId = null }) =>
+  mode === 'all' && window === BOARD_WINDOWS.ALL && !seasonId;
+
+/** Every standings board a game of `mode` finished at `at` counts towards. */
+export const boardIdsFor = (mode, at) => {
+  const seasonId = seasonAt(at).id;
+  const modes = ['all', ...(BOARD_MODES.includes(mode) && mode !== 'all' ? [mode] : [])];
+  return modes.flatMap((boardMode) => [
+    ...Object.values(BOARD_WINDOWS)
+      .filter((window) => !isRatingBoard({ mode: boardMode, window }))
+      .map((window) => boardId({ mode: boardMode, window, at })),
+    boardId({ mode: boardMode, seasonId }),
+  ]);
+};
+
+/** Adds one game's score to a standings row (or starts one). */
+export const addToStanding = (existing, { boardId: id, userId, username, score, at }) => ({
+  boardId: id,
+  userId,
+  username,
+  topScore: Math.max(existing?.topScore ?? score, score),
+  totalScore: (existing?.totalScore || 0) + score,
+  gamesPlayed: (existing?.gamesPlayed || 0) + 1,
+  lastScore: score,
+  updatedAt: at,
+});
+
+export const toStandingEntry = (row, rank) => ({
+  userId: row.userId,
+  username: row.username || 'Unknown',
+  topScore: Number(row.topScore) || 0,
+  averageScore: row.gamesPlayed ? Math.round((row.totalScore / row.gamesPlayed) * 10) / 10 : 0,
+  gamesPlayed: Number(row.gamesPlayed) || 0,
+  lastScore: Number(row.lastScore) || 0,
+  lastUpdated: row.updatedAt || null,
+  rank,
+});
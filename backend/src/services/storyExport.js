@@ -0,0 +1,249 @@
+import { createPdf } from '../tools/pdf.js';
+import { createZip } from '../tools/zip.js';
+
+// Downloadable copies of finished stories. gameService gathers the game and its turns into
+// a story document (see buildStoryDocument); each format here renders that document.
+
+export const EXPORT_FORMATS = ['md', 'txt', 'epub', 'pdf'];
+
+const CONTENT_TYPES = {
+  md: 'text/markdown; charset=utf-8',
+  txt: 'text/plain; charset=utf-8',
+  epub: 'application/epub+zip',
+  pdf: 'application/pdf',
+};
+
+const MODE_LABELS = { single: 'Single Player', multi: 'Multiplayer', rapid: 'Rapid Fire', team: 'Team Game' };
+
+// Turn text is stored with tags stripped, but AI turns and older games may still hold markup.
+const toPlainText = (html) =>
+  String(html || '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>/gi, '\n')
+    .replace(/<[^>]*>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+
+const totalOf = (metrics) => {
+  if (Number.isFinite(metrics?.total)) return metrics.total;
+  const values = [metrics?.creativity, metrics?.cohesion, metrics?.prompt_fit].map((value) => Number(value) || 0);
+  return Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+};
+
+/**
+ * The format-independent shape of an export. `attribution: false` leaves out who wrote each
+ * turn (and the player list); `prompts: false` leaves out the guide prompts.
+ */
+export const buildStoryDocument = (game, turns, { attribution = true, prompts = true } = {}) => {
+  const authors = [...(game.players || []).map((p) => p.name), ...turns.map((t) => t.playerName)];
+  const scores = game.scores;
+  return {
+    gameId: game.id,
+    title: `Co-Thread Story ${game.id.slice(0, 6)}`,
+    mode: MODE_LABELS[game.mode] || 'Story',
+    date: (game.updatedAt || game.createdAt || new Date().toISOString()).slice(0, 10),
+    opening: toPlainText(game.initialPrompt),
+    players: attribution ? [...new Set(authors.filter(Boolean))] : [],
+    turns: turns.map((turn) => ({
+      order: turn.order,
+      author: attribution ? turn.playerName || 'Anonymous' : null,
+      team: attribution && turn.teamId ? `Team ${turn.teamId}` : null,
+      prompt: prompts ? toPlainText(turn.promptUsed || turn.guidePrompt) || null : null,
+      text: toPlainText(turn.text),
+    })),
+    results: scores?.players
+      ? {
+          summary: scores.summary || null,
+          players: attribution
+            ? Object.entries(scores.players)
+                .map(([name, metrics]) => ({ name, total: totalOf(metrics) }))
+                .sort((a, b) => b.total - a.total)
+            : [],
+          teams: Object.values(scores.teams || {}).map((team) => ({ name: team.name, total: team.total })),
+        }
+      : null,
+  };
+};
+
+const turnHeading = (turn) => [`Turn ${turn.order}`, turn.author, turn.team].filter(Boolean).join(' - ');
+
+const toMarkdown = (doc) => {
+  const lines = [`# ${doc.title}`, '', `**Opening:** ${doc.opening}`, ''];
+  if (doc.players.length) lines.push(`**Players:** ${doc.players.join(', ')}  `);
+  lines.push(`**Mode:** ${doc.mode}  `, `**Date:** ${doc.date}`, '', '---', '');
+  doc.turns.forEach((turn) => {
+    lines.push(`## ${turnHeading(turn)}`, '');
+    if (turn.prompt) lines.push(`> *Prompt:* ${turn.prompt}`, '');
+    lines.push(turn.text, '');
+  });
+  if (doc.results) {
+    lines.push('---', '', '## Results', '');
+    if (doc.results.summary) lines.push(doc.results.summary, '');
+    const rows = [...doc.results.teams, ...doc.results.players];
+    if (rows.length) {
+      lines.push('| Name | Score |', '| --- | --- |', ...rows.map((row) => `| ${row.name} | ${row.total} |`), '');
+    }
+  }
+  return lines.join('\n');
+};
+
+const toText = (doc) => {
+  const underline = (text, char) => [text, char.repeat(text.length)];
+  const lines = [...underline(doc.title, '='), '', `Opening: ${doc.opening}`];
+  if (doc.players.length) lines.push(`Players: ${doc.players.join(', ')}`);
+  lines.push(`Mode: ${doc.mode}`, `Date: ${doc.date}`, '');
+  doc.turns.forEach((turn) => {
+    lines.push(...underline(turnHeading(turn), '-'));
+    if (turn.prompt) lines.push(`Prompt: ${turn.prompt}`, '');
+    lines.push(turn.text, '');
+  });
+  if (doc.results) {
+    lines.push(...underline('Results', '-'));
+    if (doc.results.summary) lines.push(doc.results.summary, '');
+    [...doc.results.teams, ...doc.results.players].forEach((row) => lines.push(`${row.name}: ${row.total}`));
+  }
+  return `${lines.join('\n').trimEnd()}\n`;
+};
+
+const toPdf = (doc) => {
+  const blocks = [
+    { text: doc.title, size: 24, bold: true },
+    { text: doc.opening, size: 13, spaceBefore: 18 },
+    ...(doc.players.length ? [{ text: `Players: ${doc.players.join(', ')}`, spaceBefore: 18 }] : []),
+    { text: `Mode: ${doc.mode}`, spaceBefore: 6 },
+    { text: `Date: ${doc.date}`, spaceBefore: 6 },
+  ];
+  doc.turns.forEach((turn, index) => {
+    blocks.push({ text: turnHeading(turn), size: 14, bold: true, spaceBefore: 18, pageBreak: index === 0 });
+    if (turn.prompt) blocks.push({ text: `Prompt: ${turn.prompt}`, size: 9, spaceBefore: 4 });
+    blocks.push({ text: turn.text, spaceBefore: 6 });
+  });
+  if (doc.results) {
+    blocks.push({ text: 'Results', size: 16, bold: true, pageBreak: true });
+    if (doc.results.summary) blocks.push({ text: doc.results.summary, spaceBefore: 8 });
+    [...doc.results.teams, ...doc.results.players].forEach((row) => {
+      blocks.push({ text: `${row.name}: ${row.total}`, spaceBefore: 4 });
+    });
+  }
+  return createPdf(blocks, { title: doc.title });
+};
+
+const escapeXml = (text) =>
+  String(text).replace(/[<>&"']/g, (char) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[char]);
+
+const paragraphs = (text) =>
+  String(text)
+    .split(/\n+/)
+    .filter(Boolean)
+    .map((line) => `<p>${escapeXml(line)}</p>`)
+    .join('\n');
+
+const xhtml = (title, body) => `<?xml version="1.0" encoding="utf-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" lang="en">
+<head><title>${escapeXml(title)}</title></head>
+<body>
+${body}
+</body>
+</html>
+`;
+
+const toEpub = (doc) => {
+  const chapters = [
+    {
+      id: 'title',
+      title: doc.title,
+      body: [
+        `<h1>${escapeXml(doc.title)}</h1>`,
+        paragraphs(doc.opening),
+        doc.players.length ? `<p>Players: ${escapeXml(doc.players.join(', '))}</p>` : '',
+        `<p>Mode: ${escapeXml(doc.mode)}</p>`,
+        `<p>Date: ${escapeXml(doc.date)}</p>`,
+      ].join('\n'),
+    },
+    {
+      id: 'story',
+      title: 'Story',
+      body: doc.turns
+        .map((turn) =>
+          [
+            `<section><h2>${escapeXml(turnHeading(turn))}</h2>`,
+            turn.prompt ? `<blockquote><p><em>Prompt:</em> ${escapeXml(turn.prompt)}</p></blockquote>` : '',
+            paragraphs(turn.text),
+            '</section>',
+          ].join('\n'),
+        )
+        .join('\n'),
+    },
+    ...(doc.results
+      ? [
+          {
+            id: 'results',
+            title: 'Results',
+            body: [
+              '<h2>Results</h2>',
+              doc.results.summary ? paragraphs(doc.results.summary) : '',
+              '<ul>',
+              ...[...doc.results.teams, ...doc.results.players].map(
+                (row) => `<li>${escapeXml(row.name)}: ${row.total}</li>`,
+              ),
+              '</ul>',
+            ].join('\n'),
+          },
+        ]
+      : []),
+  ];
+
+  const nav = xhtml(
+    doc.title,
+    `<nav epub:type="toc"><h1>Contents</h1><ol>${chapters
+      .map((chapter) => `<li><a href="${chapter.id}.xhtml">${escapeXml(chapter.title)}</a></li>`)
+      .join('')}</ol></nav>`,
+  );
+  const opf = `<?xml version="1.0" encoding="utf-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id">
+<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:identifier id="book-id">urn:uuid:${doc.gameId}</dc:identifier>
+<dc:title>${escapeXml(doc.title)}</dc:title>
+<dc:language>en</dc:language>
+${doc.players.map((name) => `<dc:creator>${escapeXml(name)}</dc:creator>`).join('\n')}
+<meta property="dcterms:modified">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</meta>
+</metadata>
+<manifest>
+<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>
+${chapters.map((chapter) => `<item id="${chapter.id}" href="${chapter.id}.xhtml" media-type="application/xhtml+xml"/>`).join('\n')}
+</manifest>
+<spine>
+${chapters.map((chapter) => `<itemref idref="${chapter.id}"/>`).join('\n')}
+</spine>
+</package>
+`;
+  const container = `<?xml version="1.0" encoding="utf-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>
+`;
+
+  // `mimetype` must come first and stay uncompressed.
+  return createZip([
+    { name: 'mimetype', data: 'application/epub+zip' },
+    { name: 'META-INF/container.xml', data: container },
+    { name: 'OEBPS/content.opf', data: opf },
+    { name: 'OEBPS/nav.xhtml', data: nav },
+    ...chapters.map((chapter) => ({ name: `OEBPS/${chapter.id}.xhtml`, data: xhtml(chapter.title, chapter.body) })),
+  ]);
+};
+
+const RENDERERS = { md: toMarkdown, txt: toText, epub: toEpub, pdf: toPdf };
+
+/** Renders a story document; `body` is a string for text formats and a Buffer otherwise. */
+export const renderStoryExport = (format, doc) => ({
+  filename: `co-thread-${doc.gameId.slice(0, 8)}.${format}`,
+  contentType: CONTENT_TYPES[format],
+  body: RENDERERS[format](doc),
+});
@@ -0,0 +1,48 @@
+import { randomInt } from 'crypto';
+
+// Story style a host picks for a game: the genre of the opener, an optional tone for the
+// opener and guide prompts, and how far the guide prompts' twists stray from the story.
+// The genre is drawn when the game is created ("surprise me" draws one at random), since the
+// opener is written then; tone and twist intensity may change until the game starts.
+
+export const GENRES = [
+  'fantasy',
+  'mystery',
+  'horror',
+  'historical',
+  'sci-fi',
+  'romance',
+  'noir',
+  'thriller',
+  'comedy',
+  'adventure',
+  'superhero',
+  'mythic',
+];
+
+export const SURPRISE_GENRE = 'surprise';
+
+export const TONES = ['lighthearted', 'dark', 'whimsical'];
+
+// Ordered from mildest to wildest.
+export const TWIST_INTENSITY = {
+  SUBTLE: 'subtle',
+  MODERATE: 'moderate',
+  BOLD: 'bold',
+  ABSURD: 'absurd',
+};
+
+// Guide prompts were always absurd before hosts could choose.
+export const DEFAULT_TWIST_INTENSITY = TWIST_INTENSITY.ABSURD;
+
+export const normalizeGenre = (value) => (GENRES.includes(value) ? value : null);
+
+export const normalizeTone = (value) => (TONES.includes(value) ? value : null);
+
+export const normalizeTwistIntensity = (value) => (Object.values(TWIST_INTENSITY).includes(value) ? value : null);
+
+/** Whether a host's genre pick is one we offer, counting "surprise me". */
+export const isGenreChoice = (value) => value === SURPRISE_GENRE || Boolean(normalizeGenre(value));
+
+/** The host's genre, or a random one for "surprise me" (or no pick). */
+export const resolveGenre = (value) => normalizeGenre(value) || GENRES[randomInt(GENRES.length)];
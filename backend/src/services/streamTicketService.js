@@ -0,0 +1,25 @@
+import { randomBytes } from 'crypto';
+import { runTransaction, streamTicketRepository } from '../repositories/index.js';
+
+// EventSource cannot send an Authorization header, so a client trades its ID token for a
+// ticket (POST /api/streams/ticket) and opens the stream with `?ticket=`. Tickets expire
+// within a minute and work once, so a stream URL that ends up in a log grants nothing.
+
+export const STREAM_TICKET_TTL_MS = 60 * 1000;
+
+/** Issues a ticket for `user` (the verified `req.user`). */
+export const issueStreamTicket = async (user) => {
+  const ticket = randomBytes(24).toString('base64url');
+  const expiresAt = new Date(Date.now() + STREAM_TICKET_TTL_MS).toISOString();
+  await streamTicketRepository.save({ ticket, user, expiresAt });
+  return { ticket, expiresAt };
+};
+
+/** Uses up a ticket; returns the user it was issued to, or null if unknown, used or expired. */
+export const redeemStreamTicket = (ticket) =>
+  runTransaction(async (tx) => {
+    const entry = await tx.streamTickets.get(ticket);
+    if (!entry) return null;
+    tx.streamTickets.delete(ticket);
+    return entry.expiresAt > new Date().toISOString() ? entry.user : null;
+  });
@@ -0,0 +1,111 @@
+// Team games: players are split into two teams that take turns alternately. Each team
+// keeps a rotation `cursor` so its members write in seat order on the team's turns.
+// With `teamStory: 'parallel'` each team also writes its own story (see `teamStories`),
+// both seeded from the story as it stood at the start (the opening, or a fork's copied turns).
+
+export const TEAM_STORY = {
+  SHARED: 'shared',
+  PARALLEL: 'parallel',
+};
+
+export const normalizeTeamStory = (value) => (Object.values(TEAM_STORY).includes(value) ? value : null);
+
+export const createTeams = (hostId) => [
+  { id: 'A', name: 'Team A', playerIds: hostId ? [hostId] : [], cursor: 0 },
+  { id: 'B', name: 'Team B', playerIds: [], cursor: 0 },
+];
+
+export const createTeamStories = (teams, opening) =>
+  Object.fromEntries(teams.map((team) => [team.id, { storySoFar: opening, guidePrompt: null, lastTurn: null }]));
+
+export const isTeamGame = (game) => Array.isArray(game?.teams) && game.teams.length > 1;
+
+export const teamOf = (game, playerId) => (game.teams || []).find((team) => team.playerIds.includes(playerId)) || null;
+
+// Every team needs a writer, both to start and to keep going.
+export const teamsReady = (game) => isTeamGame(game) && game.teams.every((team) => team.playerIds.length > 0);
+
+const removeMember = (teams, playerId) =>
+  teams.map((team) => {
+    const index = team.playerIds.indexOf(playerId);
+    if (index === -1) return team;
+    const playerIds = team.playerIds.filter((id) => id !== playerId);
+    // Keep the rotation pointing at the same next writer.
+    const next = team.playerIds.length ? team.cursor % team.playerIds.length : 0;
+    return { ...team, playerIds, cursor: index < next ? next - 1 : next };
+  });
+
+/** New players join the smaller team (Team A on a tie); the host can move them later. */
+export const joinSmallestTeam = (game, playerId) => {
+  if (!isTeamGame(game) || teamOf(game, playerId)) return game;
+  const smallest = game.teams.reduce((best, team) => (team.playerIds.length < best.playerIds.length ? team : best));
+  return {
+    ...game,
+    teams: game.teams.map((team) =>
+      team.id === smallest.id ? { ...team, playerIds: [...team.playerIds, playerId] } : team,
+    ),
+  };
+};
+
+export const moveToTeam = (game, playerId, teamId) => {
+  const teams = removeMember(game.teams, playerId).map((team) =>
+    team.id === teamId ? { ...team, playerIds: [...team.playerIds, playerId] } : team,
+  );
+  return { ...game, teams };
+};
+
+export const leaveTeam = (game, playerId) => (isTeamGame(game) ? { ...game, teams: removeMember(game.teams, playerId) } : game);
+
+/** The team after `teamId` that still has players (or the first such team when unset). */
+export const nextTeam = (game, teamId) => {
+  const teams = game.teams || [];
+  const from = teams.findIndex((team) => team.id === teamId);
+  for (let step = 1; step <= teams.length; step += 1) {
+    const team = teams[(from + step + teams.length) % teams.length];
+    if (team.playerIds.length) return team;
+  }
+  return null;
+};
+
+export const isParallelStory = (game) => isTeamGame(game) && game.teamStory === TEAM_STORY.PARALLEL;
+
+/** In parallel games the prompt on show is always the writing team's own. */
+export const withTeamPrompt = (game) => {
+  if (!isParallelStory(game) || !game.currentTeamId || !game.teamStories) return game;
+  return { ...game, guidePrompt: game.teamStories[game.currentTeamId]?.guidePrompt || game.initialPrompt };
+};
+
+export const nextMemberOf = (team) => team.playerIds[team.cursor % team.playerIds.length];
+
+const METRICS = ['creativity', 'cohesion', 'prompt_fit'];
+
+const mean = (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+/**
+ * Team games: each team scores the average of its writers' scores (their `total` once the
+ * scores have one, e.g. after player votes). Membership comes from the turns, so players
+ * who left mid-game still count for the team they wrote for. `winningTeamId` is null on a tie.
+ */
+export const withTeamScores = (scores, game, turns) => {
+  if (!isTeamGame(game)) return scores;
+
+  const teams = Object.fromEntries(
+    game.teams.map((team) => {
+      const names = [...new Set(turns.filter((t) => t.teamId === team.id).map((t) => t.playerName))].filter(
+        (name) => scores.players?.[name],
+      );
+      const members = names.map((name) => scores.players[name]);
+      const metrics = Object.fromEntries(
+        METRICS.map((metric) => [metric, Math.round(mean(members.map((m) => Number(m[metric]) || 0)))]),
+      );
+      const totals = members.map((m) =>
+        Number.isFinite(m.total) ? m.total : mean(METRICS.map((metric) => Number(m[metric]) || 0)),
+      );
+      return [team.id, { name: team.name, players: names, ...metrics, total: Math.round(mean(totals)) }];
+    }),
+  );
+
+  const [first, second] = Object.entries(teams).sort(([, a], [, b]) => b.total - a.total);
+  const winningTeamId = second && first[1].total === second[1].total ? null : first[0];
+  return { ...scores, teams, winningTeamId };
+};
@@ -0,0 +1,183 @@
+import { randomInt } from 'crypto';
+import { isTeamGame, leaveTeam, nextMemberOf, nextTeam, teamOf } from './teams.js';
+
+// Who writes next in a multiplayer game. `players` stays in seat order; the order of the
+// current round lives in `roundOrder` (player ids) with `roundPosition` pointing at the
+// writer, and `currentPlayerIndex` is always that writer's seat. Games stored before
+// `roundOrder` existed are treated as round robin over the seats.
+//
+// In `claim` games nobody holds the pen between turns: the first player to claim it writes
+// next, up to a per-player cap. Team games ignore `turnOrder`: the teams alternate and each
+// rotates through its own members. These helpers only move the pen; callers set deadlines.
+
+export const TURN_ORDER = {
+  ROUND_ROBIN: 'round_robin',
+  SHUFFLED: 'shuffled',
+  SNAKE: 'snake',
+  CLAIM: 'claim',
+};
+
+export const normalizeTurnOrder = (value) => (Object.values(TURN_ORDER).includes(value) ? value : null);
+
+const strategyOf = (game) => game.turnOrder || TURN_ORDER.ROUND_ROBIN;
+const seatOrder = (game) => (game.players || []).map((p) => p.id);
+
+const shuffle = (ids) => {
+  const result = [...ids];
+  for (let i = result.length - 1; i > 0; i -= 1) {
+    const j = randomInt(i + 1);
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const currentRound = (game) =>
+  game.roundOrder?.length
+    ? { order: game.roundOrder, position: game.roundPosition ?? 0 }
+    : { order: seatOrder(game), position: game.currentPlayerIndex ?? 0 };
+
+const nextRoundOrder = (game, previous) => {
+  const strategy = strategyOf(game);
+  if (strategy === TURN_ORDER.SNAKE) return [...previous].reverse();
+  if (strategy !== TURN_ORDER.SHUFFLED) return seatOrder(game);
+
+  const next = shuffle(seatOrder(game));
+  // Don't let a fresh shuffle hand the pen straight back to whoever just wrote.
+  if (next.length > 1 && next[0] === previous[previous.length - 1]) {
+    [next[0], next[1]] = [next[1], next[0]];
+  }
+  return next;
+};
+
+const holdPen = (game, order, position) => {
+  const playerId = order[position];
+  const seat = (game.players || []).findIndex((p) => p.id === playerId);
+  return {
+    ...game,
+    roundOrder: order,
+    roundPosition: position,
+    currentPlayerIndex: seat,
+    currentPlayer: game.players[seat]?.name || null,
+    currentPlayerId: playerId,
+  };
+};
+
+const openPen = (game) => ({
+  ...game,
+  roundOrder: null,
+  roundPosition: 0,
+  currentPlayerIndex: null,
+  currentPlayer: null,
+  currentPlayerId: null,
+});
+
+export const claimPen = (game, playerId) => {
+  const seat = (game.players || []).findIndex((p) => p.id === playerId);
+  return { ...game, currentPlayerIndex: seat, currentPlayer: game.players[seat].name, currentPlayerId: playerId };
+};
+
+export const isPenOpen = (game) =>
+  strategyOf(game) === TURN_ORDER.CLAIM && ['active', 'timeout'].includes(game.status) && !game.currentPlayerId;
+
+// Enough turns for everyone to share maxTurns evenly, rounded up.
+export const claimCap = (game) =>
+  Math.max(1, Math.ceil((game.maxTurns || 1) / Math.max(1, (game.players || []).length)));
+
+const turnsWritten = (game, playerId) => game.turnCounts?.[playerId] || 0;
+
+export const canClaim = (game, playerId) => turnsWritten(game, playerId) < claimCap(game);
+
+const teamTurn = (game, team) => {
+  const teams = game.teams.map((t) => (t.id === team.id ? { ...t, cursor: t.cursor + 1 } : t));
+  return { ...claimPen({ ...game, teams }, nextMemberOf(team)), currentTeamId: team.id };
+};
+
+/** Turn order for the first round, applied when a waiting game starts. */
+export const startTurnOrder = (game) => {
+  if (isTeamGame(game)) return teamTurn(game, nextTeam(game, null));
+  const strategy = strategyOf(game);
+  if (strategy === TURN_ORDER.CLAIM) return openPen(game);
+  const order = strategy === TURN_ORDER.SHUFFLED ? shuffle(seatOrder(game)) : seatOrder(game);
+  return holdPen(game, order, 0);
+};
+
+/** Hands the pen on after a turn is written or skipped. */
+export const nextTurnOrder = (game) => {
+  if (isTeamGame(game)) {
+    const team = nextTeam(game, game.currentTeamId);
+    return team ? teamTurn(game, team) : game;
+  }
+  if (strategyOf(game) === TURN_ORDER.CLAIM) return openPen(game);
+
+  const { order, position } = currentRound(game);
+  if (position + 1 < order.length) return holdPen(game, order, position + 1);
+  return holdPen(game, nextRoundOrder(game, order), 0);
+};
+
+// Nobody claimed in time: the pen goes to whoever has written least (seat order breaks ties).
+export const assignOpenPen = (game) => {
+  const players = game.players || [];
+  const eligible = players.filter((p) => canClaim(game, p.id));
+  const pool = eligible.length ? eligible : players;
+  const pick = pool.reduce((best, p) => (turnsWritten(game, p.id) < turnsWritten(game, best.id) ? p : best));
+  return claimPen(game, pick.id);
+};
+
+/**
+ * Drops a player from the turn order without moving the pen. Returns `advance: true` when
+ * the leaver was writing, in which case the caller hands the pen on with nextTurnOrder.
+ */
+export const dropFromTurnOrder = (game, playerId) => {
+  const players = (game.players || []).filter((p) => p.id !== playerId);
+  const holding = game.currentPlayerId === playerId;
+
+  if (isTeamGame(game)) {
+    const updated = leaveTeam({ ...game, players }, playerId);
+    if (!holding) return { game: claimPen(updated, game.currentPlayerId), advance: false };
+    // Point at the team before the leaver's, so a teammate picks up the pen if there is one.
+    const teams = game.teams;
+    const index = teams.findIndex((team) => team.id === teamOf(game, playerId)?.id);
+    return { game: { ...updated, currentTeamId: teams[(index - 1 + teams.length) % teams.length].id }, advance: true };
+  }
+
+  if (strategyOf(game) === TURN_ORDER.CLAIM) {
+    const updated = { ...game, players };
+    if (holding || !game.currentPlayerId) return { game: updated, advance: holding };
+    return { game: claimPen(updated, game.currentPlayerId), advance: false };
+  }
+
+  const { order, position } = currentRound(game);
+  const leftPosition = order.indexOf(playerId);
+  const rest = order.filter((id) => id !== playerId);
+  const base = { ...game, players, roundOrder: rest };
+
+  if (holding) {
+    // Whoever came after the leaver this round takes over.
+    return { game: { ...base, roundPosition: leftPosition - 1 }, advance: true };
+  }
+  const shifted = leftPosition !== -1 && leftPosition < position ? position - 1 : position;
+  return {
+    game: { ...base, roundPosition: shifted, currentPlayerIndex: players.findIndex((p) => p.id === game.currentPlayerId) },
+    advance: false,
+  };
+};
+
+/** Who writes after the current player, when it is already known. */
+export const peekNextPlayer = (game) => {
+  if (isTeamGame(game) && ['active', 'timeout'].includes(game.status)) {
+    const team = nextTeam(game, game.currentTeamId);
+    const player = team && (game.players || []).find((p) => p.id === nextMemberOf(team));
+    return player ? { id: player.id, name: player.name } : null;
+  }
+  if (strategyOf(game) === TURN_ORDER.CLAIM || !['active', 'timeout'].includes(game.status)) return null;
+
+  const { order, position } = currentRound(game);
+  let nextId = order[position + 1];
+  if (!nextId) {
+    // The next shuffle hasn't been drawn yet.
+    if (strategyOf(game) === TURN_ORDER.SHUFFLED) return null;
+    nextId = strategyOf(game) === TURN_ORDER.SNAKE ? order[order.length - 1] : seatOrder(game)[0];
+  }
+  const player = (game.players || []).find((p) => p.id === nextId);
+  return player ? { id: player.id, name: player.name } : null;
+};
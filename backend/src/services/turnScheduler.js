@@ -0,0 +1,45 @@
+import { expireTurnIfDue, findExpiredTurnGameIds } from './gameService.js';
+
+const DEFAULT_INTERVAL_MS = 5000;
+
+let timer = null;
+let sweeping = false;
+
+// One pass over games with an expired turnDeadline. Safe to run on every instance:
+// expireTurnIfDue re-checks the deadline inside a transaction before advancing.
+export const sweepExpiredTurns = async () => {
+  if (sweeping) return { expired: 0, skipped: true };
+  sweeping = true;
+
+  try {
+    const gameIds = await findExpiredTurnGameIds();
+    let expired = 0;
+    for (const gameId of gameIds) {
+      try {
+        const result = await expireTurnIfDue(gameId);
+        if (result.expired) expired += 1;
+      } catch (error) {
+        console.warn('[turnScheduler] failed to expire turn', { gameId, error: error?.message });
+      }
+    }
+    return { expired };
+  } finally {
+    sweeping = false;
+  }
+};
+
+export const startTurnScheduler = ({ intervalMs = DEFAULT_INTERVAL_MS } = {}) => {
+  if (timer || !(intervalMs > 0)) return;
+
+  timer = setInterval(() => {
+    sweepExpiredTurns().catch((error) => console.warn('[turnScheduler] sweep failed:', error?.message || error));
+  }, intervalMs);
+  timer.unref?.();
+  console.log('[turnScheduler] started', { intervalMs });
+};
+
+export const stopTurnScheduler = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+};
@@ -0,0 +1,112 @@
+// End-of-game player voting. Games whose host picked `scoringMethod` `votes` or `blend`
+// hold a ballot when they finish on their last turn: every seated player ranks all the
+// other players' turns, best first, until everyone has voted or `votingClosesAt` passes.
+// Only then is the scoring job queued. Ballots live in the `votes` repository.
+
+export const SCORING_METHOD = {
+  AI: 'ai',
+  VOTES: 'votes',
+  BLEND: 'blend',
+};
+
+export const VOTING_STATUS = {
+  OPEN: 'open',
+  CLOSED: 'closed',
+};
+
+export const normalizeScoringMethod = (value) => (Object.values(SCORING_METHOD).includes(value) ? value : null);
+
+export const usesVoting = (game) => [SCORING_METHOD.VOTES, SCORING_METHOD.BLEND].includes(game.scoringMethod);
+
+export const isVotingOpen = (game) => game.votingStatus === VOTING_STATUS.OPEN;
+
+export const isVotingDue = (game, now = new Date().toISOString()) =>
+  isVotingOpen(game) && Boolean(game.votingClosesAt) && game.votingClosesAt <= now;
+
+// Seated players with at least one turn by someone else to rank.
+export const eligibleVoterIds = (game) => {
+  const writers = Object.keys(game.turnCounts || {}).filter((id) => game.turnCounts[id] > 0);
+  return (game.players || []).map((p) => p.id).filter((id) => writers.some((writer) => writer !== id));
+};
+
+export const shouldOpenVoting = (game) => usesVoting(game) && eligibleVoterIds(game).length > 0;
+
+export const openVoting = (game) => ({
+  ...game,
+  votingStatus: VOTING_STATUS.OPEN,
+  votingClosesAt: new Date(Date.now() + (game.votingSeconds || 120) * 1000).toISOString(),
+  voterIds: [],
+});
+
+export const closeVoting = (game) => ({ ...game, votingStatus: VOTING_STATUS.CLOSED, votingClosesAt: null });
+
+export const allVotesIn = (game) => eligibleVoterIds(game).every((id) => (game.voterIds || []).includes(id));
+
+/** Checks a ranking of turn ids against the turns `voterId` may rank. */
+export const validateBallot = (turns, voterId, ranking) => {
+  if (!Array.isArray(ranking) || ranking.length === 0) {
+    return { error: 'ranking must be a non-empty array of turn ids' };
+  }
+  const byId = new Map(turns.map((turn) => [turn.id, turn]));
+  if (ranking.some((turnId) => byId.get(turnId)?.playerId === voterId)) {
+    return { error: 'You cannot vote for your own turns' };
+  }
+  const rankable = turns.filter((turn) => turn.playerId !== voterId).map((turn) => turn.id);
+  const unique = new Set(ranking);
+  if (unique.size !== ranking.length || unique.size !== rankable.length || !rankable.every((id) => unique.has(id))) {
+    return { error: "Rank every other player's turn exactly once" };
+  }
+  return { ranking };
+};
+
+/**
+ * Borda count: on a ballot ranking n turns the first gets n points and the last 1. Each
+ * player collects the points of their turns and how often one of them was ranked first.
+ */
+export const tallyVotes = (ballots, turns) => {
+  const byId = new Map(turns.map((turn) => [turn.id, turn]));
+  const players = Object.fromEntries(turns.map((turn) => [turn.playerName, { votePoints: 0, firstPlaceVotes: 0 }]));
+  const turnPoints = Object.fromEntries(turns.map((turn) => [turn.id, 0]));
+
+  ballots.forEach(({ ranking }) => {
+    ranking.forEach((turnId, index) => {
+      const turn = byId.get(turnId);
+      if (!turn) return;
+      const points = ranking.length - index;
+      turnPoints[turnId] += points;
+      players[turn.playerName].votePoints += points;
+      if (index === 0) players[turn.playerName].firstPlaceVotes += 1;
+    });
+  });
+
+  return { ballots: ballots.length, players, turns: turnPoints };
+};
+
+/**
+ * Folds a tally into judged scores. `voteScore` puts the most-voted player at 100. With
+ * `votes` it is the total; with `blend` the total mixes the judge's total and the vote
+ * score, the host's `voteWeight` (percent) going to the votes.
+ */
+export const applyVotes = (scores, tally, game) => {
+  const best = Math.max(0, ...Object.values(tally.players).map((entry) => entry.votePoints));
+  const weight = game.scoringMethod === SCORING_METHOD.VOTES ? 1 : (game.voteWeight ?? 50) / 100;
+  const names = [...new Set([...Object.keys(scores.players || {}), ...Object.keys(tally.players)])];
+
+  const players = Object.fromEntries(
+    names.map((name) => {
+      const metrics = scores.players?.[name] || {};
+      const votes = tally.players[name] || { votePoints: 0, firstPlaceVotes: 0 };
+      const voteScore = best ? Math.round((100 * votes.votePoints) / best) : 0;
+      const aiTotal = Number(metrics.total) || 0;
+      const total = Math.round((1 - weight) * aiTotal + weight * voteScore);
+      return [name, { ...metrics, ...votes, voteScore, total }];
+    }),
+  );
+
+  return {
+    ...scores,
+    ...(game.scoringMethod === SCORING_METHOD.VOTES && { summary: 'Scored by player votes.', judge: 'votes' }),
+    players,
+    votes: { method: game.scoringMethod, voteWeight: Math.round(weight * 100), ...tally },
+  };
+};
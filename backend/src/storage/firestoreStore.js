@@ -0,0 +1,72 @@
+// Store driver over a Firestore instance (firebase-admin, or tests/fakeFirestore.js).
+// Collection paths may be nested, e.g. `games/{gameId}/turns`.
+
+const BATCH_LIMIT = 400;
+
+const writeOptions = (merge) => (merge ? { merge: true } : {});
+
+export const createFirestoreStore = (db) => {
+  const docRef = (collection, id) => db.collection(collection).doc(id);
+
+  const runQuery = async (collection, { where = [], orderBy = null, limit = null } = {}) => {
+    let query = db.collection(collection);
+    where.forEach(([field, op, value]) => {
+      query = query.where(field, op, value);
+    });
+    if (orderBy) {
+      query = query.orderBy(orderBy.field, orderBy.direction || 'asc');
+    }
+    if (Number.isFinite(limit)) {
+      query = query.limit(limit);
+    }
+    const snap = await query.get();
+    return snap.docs.map((doc) => ({ id: doc.id, data: doc.data() }));
+  };
+
+  // Firestore caps a batch at 500 writes, so larger groups are split (and lose atomicity).
+  const commitBatch = async (ops) => {
+    for (let start = 0; start < ops.length; start += BATCH_LIMIT) {
+      const batch = db.batch();
+      ops.slice(start, start + BATCH_LIMIT).forEach(({ type, collection, id, data, merge }) => {
+        if (type === 'delete') {
+          batch.delete(docRef(collection, id));
+        } else {
+          batch.set(docRef(collection, id), data, writeOptions(merge));
+        }
+      });
+      await batch.commit();
+    }
+  };
+
+  return {
+    name: 'firestore',
+    get: async (collection, id) => {
+      const snap = await docRef(collection, id).get();
+      return snap.exists ? snap.data() : null;
+    },
+    set: async (collection, id, data, { merge = false } = {}) => {
+      await docRef(collection, id).set(data, writeOptions(merge));
+    },
+    delete: async (collection, id) => {
+      await docRef(collection, id).delete();
+    },
+    query: runQuery,
+    batch: commitBatch,
+    runTransaction: (fn) =>
+      db.runTransaction((tx) =>
+        fn({
+          get: async (collection, id) => {
+            const snap = await tx.get(docRef(collection, id));
+            return snap.exists ? snap.data() : null;
+          },
+          set: (collection, id, data, { merge = false } = {}) => {
+            tx.set(docRef(collection, id), data, writeOptions(merge));
+          },
+          delete: (collection, id) => {
+            tx.delete(docRef(collection, id));
+          },
+        }),
+      ),
+    close: async () => {},
+  };
+};
@@ -0,0 +1,29 @@
+import { createFirestoreStore } from './firestoreStore.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createSqliteStore } from './sqliteStore.js';
+
+export const STORAGE_DRIVERS = ['firestore', 'sqlite', 'memory'];
+
+const DEFAULT_SQLITE_PATH = 'data/storygame.sqlite';
+
+export const createStore = async (driver = 'firestore', { sqlitePath = DEFAULT_SQLITE_PATH } = {}) => {
+  switch (driver) {
+    case 'firestore': {
+      // Imported lazily so the local drivers never touch firebase-admin's Firestore client.
+      const { db } = await import('../firebase.js');
+      return createFirestoreStore(db);
+    }
+    case 'sqlite':
+      return createSqliteStore({ filename: sqlitePath });
+    case 'memory':
+      return createMemoryStore();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected one of: ${STORAGE_DRIVERS.join(', ')})`);
+  }
+};
+
+export const store = await createStore((process.env.STORAGE_DRIVER || 'firestore').trim().toLowerCase(), {
+  sqlitePath: process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH,
+});
+
+console.log(`[storage] using ${store.name} driver`);
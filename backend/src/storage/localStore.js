@@ -0,0 +1,88 @@
+import { applyQuery, mergeDeep } from './query.js';
+
+const MAX_TRANSACTION_ATTEMPTS = 5;
+
+const keyOf = (collection, id) => `${collection}/${id}`;
+const decode = (json) => (json === null || json === undefined ? null : JSON.parse(json));
+
+/**
+ * Document store on top of a synchronous key/value backend (see memoryStore/sqliteStore).
+ * Documents are kept as JSON so callers never share references with stored data.
+ *
+ * Transactions are optimistic like Firestore's: reads record a per-document version, the
+ * callback runs, and the buffered writes only commit if nothing it read changed meanwhile;
+ * otherwise the callback is retried.
+ *
+ * @param {{ read: Function, list: Function, commit: Function, close?: Function }} backend
+ * @param {{ name: string }} options
+ */
+export const createLocalStore = (backend, { name }) => {
+  const versions = new Map();
+  const versionOf = (key) => versions.get(key) || 0;
+
+  // Synchronous from read to commit, so concurrent requests can't interleave with it.
+  const applyWrites = (ops) => {
+    const pending = new Map();
+    ops.forEach((op) => {
+      const key = keyOf(op.collection, op.id);
+      if (op.type === 'delete') {
+        pending.set(key, { collection: op.collection, id: op.id, json: null });
+        return;
+      }
+      const base = pending.has(key) ? pending.get(key).json : backend.read(op.collection, op.id);
+      const next = op.merge ? mergeDeep(decode(base), op.data) : op.data;
+      pending.set(key, { collection: op.collection, id: op.id, json: JSON.stringify(next) });
+    });
+
+    const writes = [...pending.values()];
+    if (!writes.length) return;
+    backend.commit(writes);
+    pending.forEach((_, key) => versions.set(key, versionOf(key) + 1));
+  };
+
+  const runTransaction = async (fn) => {
+    for (let attempt = 1; ; attempt += 1) {
+      const reads = new Map();
+      const ops = [];
+      const tx = {
+        get: async (collection, id) => {
+          const key = keyOf(collection, id);
+          if (!reads.has(key)) reads.set(key, versionOf(key));
+          return decode(backend.read(collection, id));
+        },
+        set: (collection, id, data, { merge = false } = {}) => {
+          ops.push({ type: 'set', collection, id, data, merge });
+        },
+        delete: (collection, id) => {
+          ops.push({ type: 'delete', collection, id });
+        },
+      };
+
+      const result = await fn(tx);
+      const conflicted = [...reads].some(([key, version]) => versionOf(key) !== version);
+      if (!conflicted) {
+        applyWrites(ops);
+        return result;
+      }
+      if (attempt >= MAX_TRANSACTION_ATTEMPTS) {
+        throw new Error(`[${name}] transaction aborted after ${attempt} conflicting attempts`);
+      }
+    }
+  };
+
+  return {
+    name,
+    get: async (collection, id) => decode(backend.read(collection, id)),
+    set: async (collection, id, data, { merge = false } = {}) =>
+      applyWrites([{ type: 'set', collection, id, data, merge }]),
+    delete: async (collection, id) => applyWrites([{ type: 'delete', collection, id }]),
+    query: async (collection, options) =>
+      applyQuery(
+        backend.list(collection).map(({ id, json }) => ({ id, data: decode(json) })),
+        options,
+      ),
+    batch: async (ops) => applyWrites(ops),
+    runTransaction,
+    close: async () => backend.close?.(),
+  };
+};
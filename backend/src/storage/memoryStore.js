@@ -0,0 +1,28 @@
+import { createLocalStore } from './localStore.js';
+
+// Process-local store; everything is gone on restart. Handy for tests and quick local runs.
+export const createMemoryStore = () => {
+  const collections = new Map();
+  const docsOf = (collection) => {
+    if (!collections.has(collection)) {
+      collections.set(collection, new Map());
+    }
+    return collections.get(collection);
+  };
+
+  return createLocalStore(
+    {
+      read: (collection, id) => docsOf(collection).get(id) ?? null,
+      list: (collection) => Array.from(docsOf(collection), ([id, json]) => ({ id, json })),
+      commit: (writes) =>
+        writes.forEach(({ collection, id, json }) => {
+          if (json === null) {
+            docsOf(collection).delete(id);
+          } else {
+            docsOf(collection).set(id, json);
+          }
+        }),
+    },
+    { name: 'memory' },
+  );
+};
@@ -0,0 +1,67 @@
+// Query evaluation shared by the local (memory/SQLite) stores. Mirrors the subset of
+// Firestore semantics the services rely on: typed comparisons, single-field ordering, limit.
+
+const RANGE_OPS = new Set(['<', '<=', '>', '>=']);
+
+const sameType = (a, b) => a !== null && b !== null && typeof a === typeof b;
+
+const matches = (current, op, value) => {
+  if (RANGE_OPS.has(op) && !sameType(current, value)) return false;
+  switch (op) {
+    case '==':
+      return current === value;
+    case '!=':
+      return current !== undefined && current !== value;
+    case '<':
+      return current < value;
+    case '<=':
+      return current <= value;
+    case '>':
+      return current > value;
+    case '>=':
+      return current >= value;
+    case 'in':
+      return Array.isArray(value) && value.includes(current);
+    case 'array-contains':
+      return Array.isArray(current) && current.includes(value);
+    default:
+      throw new Error(`Unsupported query operator "${op}"`);
+  }
+};
+
+export const applyQuery = (entries, { where = [], orderBy = null, limit = null } = {}) => {
+  let results = entries.filter(({ data }) =>
+    where.every(([field, op, value]) => matches(data[field], op, value)),
+  );
+
+  if (orderBy) {
+    const { field, direction = 'asc' } = orderBy;
+    // Like Firestore, documents without the ordered field are left out.
+    results = results
+      .filter(({ data }) => data[field] !== undefined && data[field] !== null)
+      .sort((a, b) => {
+        const av = a.data[field];
+        const bv = b.data[field];
+        if (av === bv) return 0;
+        const ascending = av > bv ? 1 : -1;
+        return direction === 'desc' ? -ascending : ascending;
+      });
+  }
+
+  if (Number.isFinite(limit)) {
+    results = results.slice(0, limit);
+  }
+  return results;
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// `set(..., { merge: true })` merges nested maps and replaces everything else.
+export const mergeDeep = (existing, update) => {
+  const merged = { ...(existing || {}) };
+  Object.entries(update || {}).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? mergeDeep(merged[key], value) : value;
+  });
+  return merged;
+};
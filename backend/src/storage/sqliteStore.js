@@ -0,0 +1,80 @@
+import fs from 'fs';
+import path from 'path';
+import initSqlJs from 'sql.js';
+import { createLocalStore } from './localStore.js';
+
+/**
+ * File-backed SQLite store (sql.js, so there is no native build step). Documents live in a
+ * single `documents` table as JSON; queries load a collection and filter it in JS, which is
+ * fine at the sizes a local or CI instance sees.
+ *
+ * The database is held in memory and written back to `filename` after every commit
+ * (write-then-rename, so a crash never leaves a half-written file). Only one process
+ * should open a given file.
+ *
+ * @param {{ filename?: string }} [options] omit `filename` for a throwaway database
+ */
+export const createSqliteStore = async ({ filename } = {}) => {
+  const SQL = await initSqlJs();
+  const existing = filename && fs.existsSync(filename) ? fs.readFileSync(filename) : null;
+  const database = existing ? new SQL.Database(existing) : new SQL.Database();
+
+  database.run(`
+    CREATE TABLE IF NOT EXISTS documents (
+      collection TEXT NOT NULL,
+      id TEXT NOT NULL,
+      data TEXT NOT NULL,
+      PRIMARY KEY (collection, id)
+    )
+  `);
+
+  const persist = () => {
+    if (!filename) return;
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    const tmpFile = `${filename}.tmp`;
+    fs.writeFileSync(tmpFile, Buffer.from(database.export()));
+    fs.renameSync(tmpFile, filename);
+  };
+
+  const selectRows = (sql, params) => {
+    const [result] = database.exec(sql, params);
+    return result ? result.values : [];
+  };
+
+  return createLocalStore(
+    {
+      read: (collection, id) => {
+        const [row] = selectRows('SELECT data FROM documents WHERE collection = ? AND id = ?', [collection, id]);
+        return row ? row[0] : null;
+      },
+      list: (collection) =>
+        selectRows('SELECT id, data FROM documents WHERE collection = ?', [collection]).map(([id, json]) => ({
+          id,
+          json,
+        })),
+      commit: (writes) => {
+        database.run('BEGIN');
+        try {
+          writes.forEach(({ collection, id, json }) => {
+            if (json === null) {
+              database.run('DELETE FROM documents WHERE collection = ? AND id = ?', [collection, id]);
+            } else {
+              database.run(
+                'INSERT INTO documents (collection, id, data) VALUES (?, ?, ?) ' +
+                  'ON CONFLICT (collection, id) DO UPDATE SET data = excluded.data',
+                [collection, id, json],
+              );
+            }
+          });
+          database.run('COMMIT');
+        } catch (error) {
+          database.run('ROLLBACK');
+          throw error;
+        }
+        persist();
+      },
+      close: () => database.close(),
+    },
+    { name: 'sqlite' },
+  );
+};
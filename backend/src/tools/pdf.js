@@ -0,0 +1,120 @@
+// Minimal PDF writer for plain text documents (e.g. story exports): US Letter pages, the
+// built-in Helvetica fonts and simple word wrapping. Text outside Latin-1 becomes '?'.
+
+const PAGE = { width: 612, height: 792, margin: 72 };
+// Helvetica's average glyph is about half an em wide; close enough for wrapping prose.
+const AVERAGE_GLYPH_EM = 0.5;
+
+const TYPOGRAPHY = {
+    '‘': "'",
+    '’': "'",
+    '“': '"',
+    '”': '"',
+    '–': '-',
+    '—': '-',
+    '…': '...',
+};
+
+const toLatin1 = (text) =>
+    String(text)
+        .replace(/[‘’“”–—…]/g, (char) => TYPOGRAPHY[char])
+        .replace(/[^\x20-\xff]/g, '?');
+
+const escapeText = (text) => toLatin1(text).replace(/[\\()]/g, (char) => `\\${char}`);
+
+const wrap = (text, size) => {
+    const maxChars = Math.floor((PAGE.width - PAGE.margin * 2) / (size * AVERAGE_GLYPH_EM));
+    return String(text)
+        .split('\n')
+        .flatMap((paragraph) => {
+            const lines = [];
+            let line = '';
+            paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+                if (line && line.length + 1 + word.length > maxChars) {
+                    lines.push(line);
+                    line = '';
+                }
+                line = line ? `${line} ${word}` : word;
+                // Break words longer than a whole line
+                while (line.length > maxChars) {
+                    lines.push(line.slice(0, maxChars));
+                    line = line.slice(maxChars);
+                }
+            });
+            return [line];
+        });
+};
+
+// Lays blocks out top to bottom, starting a new page when one fills up or a block asks for it.
+const layout = (blocks) => {
+    const pages = [[]];
+    let y = PAGE.height - PAGE.margin;
+
+    blocks.forEach(({ text = '', size = 11, bold = false, spaceBefore = 0, pageBreak = false }) => {
+        if (pageBreak && pages[pages.length - 1].length) {
+            pages.push([]);
+            y = PAGE.height - PAGE.margin;
+        }
+        y -= spaceBefore;
+        const lineHeight = size * 1.4;
+        wrap(text, size).forEach((line) => {
+            if (y - lineHeight < PAGE.margin) {
+                pages.push([]);
+                y = PAGE.height - PAGE.margin;
+            }
+            y -= lineHeight;
+            pages[pages.length - 1].push({ line, size, bold, y });
+        });
+    });
+
+    return pages;
+};
+
+/**
+ * Builds a PDF from text blocks: `{ text, size, bold, spaceBefore, pageBreak }`.
+ * @returns {Buffer}
+ */
+export const createPdf = (blocks, { title = 'Document' } = {}) => {
+    const pages = layout(blocks);
+    const objects = [];
+    const add = (body) => {
+        objects.push(body);
+        return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const infoId = add(`<< /Title (${escapeText(title)}) /Producer (Co-Thread) >>`);
+
+    const pageIds = pages.map((lines) => {
+        const stream = lines
+            .map(({ line, size, bold, y }) =>
+                `BT /${bold ? 'F2' : 'F1'} ${size} Tf ${PAGE.margin} ${y.toFixed(2)} Td (${escapeText(line)}) Tj ET`,
+            )
+            .join('\n');
+        const contentId = add(`<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`);
+        return add(
+            `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE.width} ${PAGE.height}] ` +
+                `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`,
+        );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+        const offset = Buffer.byteLength(output, 'latin1');
+        output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+    });
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\n`;
+    output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+};
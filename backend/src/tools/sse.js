@@ -0,0 +1,21 @@
+const HEARTBEAT_MS = 25000;
+
+// Switches the response into a Server-Sent Events stream and returns a send function.
+// The heartbeat comment keeps proxies from closing idle connections.
+export const openEventStream = (req, res) => {
+    res.status(200);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders?.();
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => clearInterval(heartbeat));
+
+    return (payload) => {
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+    };
+};
@@ -0,0 +1,82 @@
+// Minimal ZIP writer for small generated archives (e.g. EPUB exports). Entries are stored
+// uncompressed, which EPUB requires for `mimetype` and readers accept for everything else.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+// MS-DOS date/time fields used by ZIP headers.
+const dosDateTime = (date) => ({
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+});
+
+/**
+ * Builds a ZIP archive from `[{ name, data }]` (data: string or Buffer), in the given order.
+ * @returns {Buffer}
+ */
+export const createZip = (entries, { modifiedAt = new Date() } = {}) => {
+    const { time, date } = dosDateTime(modifiedAt);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    entries.forEach(({ name, data }) => {
+        const nameBytes = Buffer.from(name, 'utf8');
+        const content = Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf8');
+        const crc = crc32(content);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // version needed
+        local.writeUInt16LE(0x0800, 6); // UTF-8 names
+        local.writeUInt16LE(0, 8); // stored
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(content.length, 18);
+        local.writeUInt32LE(content.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+        local.writeUInt16LE(0, 28);
+        locals.push(local, nameBytes, content);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4); // version made by
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x0800, 8);
+        central.writeUInt16LE(0, 10);
+        central.writeUInt16LE(time, 12);
+        central.writeUInt16LE(date, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(content.length, 20);
+        central.writeUInt32LE(content.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, nameBytes);
+
+        offset += local.length + nameBytes.length + content.length;
+    });
+
+    const centralSize = centrals.reduce((sum, part) => sum + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, ...centrals, end]);
+};
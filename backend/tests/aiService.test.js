@@ -0,0 +1,139 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+const AI_ENV_KEYS = [
+  'AI_PROVIDER',
+  'AI_MODEL',
+  'AI_GUIDE_PROVIDER',
+  'AI_GUIDE_MODEL',
+  'AI_SCORING_PROVIDER',
+  'AI_SCORING_MODEL',
+  'AI_MOCK_SEED',
+  'GROQ_API_KEY',
+  'OPENAI_API_KEY',
+  'OPENAI_BASE_URL',
+  'OLLAMA_BASE_URL',
+];
+
+const getModules = async () => {
+  const providers = await import('../src/services/aiProviders.js');
+  const ai = await import('../src/services/aiService.js');
+  return { ...providers, ...ai };
+};
+
+const okResponse = (json) => ({ ok: true, json: async () => json, text: async () => JSON.stringify(json) });
+
+describe('AI provider layer', () => {
+  let savedEnv;
+
+  beforeEach(() => {
+    savedEnv = Object.fromEntries(AI_ENV_KEYS.map((key) => [key, process.env[key]]));
+    AI_ENV_KEYS.forEach((key) => delete process.env[key]);
+    vi.resetModules();
+  });
+
+  afterEach(() => {
+    AI_ENV_KEYS.forEach((key) => {
+      if (typeof savedEnv[key] === 'undefined') delete process.env[key];
+      else process.env[key] = savedEnv[key];
+    });
+    vi.unstubAllGlobals();
+  });
+
+  it('falls back to local prompts when no provider is configured', async () => {
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    const { generateGuidePrompt, resolveTaskModel, AI_TASKS } = await getModules();
+
+    expect(resolveTaskModel(AI_TASKS.GUIDE)).toMatchObject({ available: false, model: 'llama-3.1-8b-instant' });
+    const guide = await generateGuidePrompt({ lastTurnText: 'The bridge collapsed.' });
+    expect(guide).toMatch(/^Continue the story, but collide The bridge collapsed\./);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+
+  it('shapes local prompts by twist intensity and tone', async () => {
+    const { generateGuidePrompt, generateInitialPrompt } = await getModules();
+
+    const subtle = await generateGuidePrompt({ lastTurnText: 'The bridge collapsed.', twistIntensity: 'subtle', tone: 'dark' });
+    expect(subtle).toBe(
+      'Continue the story, but let The bridge collapsed. reveal a small detail nobody had noticed before. Keep it dark.',
+    );
+    expect(await generateGuidePrompt({ lastTurnText: 'x', twistIntensity: 'unknown' })).toMatch(/wildly out-of-place/);
+
+    const opener = await generateInitialPrompt('a heist', { genres: ['noir'], tone: 'lighthearted' });
+    expect(opener).toMatch(/^Begin writing a noir story: .* a heist\. .*; keep it light and playful, with nothing grim\.$/);
+  });
+
+  it('selects provider and model per task', async () => {
+    process.env.GROQ_API_KEY = 'groq-key';
+    process.env.AI_GUIDE_MODEL = 'llama-3.1-8b-instant';
+    process.env.AI_SCORING_PROVIDER = 'openai';
+    process.env.AI_SCORING_MODEL = 'gpt-4o';
+    process.env.OPENAI_API_KEY = 'openai-key';
+    const { resolveTaskModel, AI_TASKS } = await getModules();
+
+    expect(resolveTaskModel(AI_TASKS.GUIDE)).toMatchObject({ provider: { name: 'groq' }, model: 'llama-3.1-8b-instant' });
+    expect(resolveTaskModel(AI_TASKS.SCORING)).toMatchObject({ provider: { name: 'openai' }, model: 'gpt-4o', available: true });
+    expect(resolveTaskModel(AI_TASKS.AI_TURN)).toMatchObject({ provider: { name: 'groq' }, available: true });
+  });
+
+  it('sends chat completions to an OpenAI-compatible base URL', async () => {
+    process.env.AI_PROVIDER = 'openai';
+    process.env.OPENAI_BASE_URL = 'http://localhost:8000/v1/';
+    const fetchMock = vi.fn(async () => okResponse({ choices: [{ message: { content: ' Continue the story, but... ' } }] }));
+    vi.stubGlobal('fetch', fetchMock);
+    const { callChatModel } = await getModules();
+
+    const content = await callChatModel([{ role: 'user', content: 'hi' }], { temperature: 0.1, max_tokens: 5 });
+    expect(content).toBe('Continue the story, but...');
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://localhost:8000/v1/chat/completions');
+    expect(init.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(init.body)).toMatchObject({ model: 'gpt-4o-mini', temperature: 0.1, max_tokens: 5 });
+  });
+
+  it('talks to Ollama through its chat endpoint', async () => {
+    process.env.AI_PROVIDER = 'ollama';
+    const fetchMock = vi.fn(async () => okResponse({ message: { content: 'A local twist.' } }));
+    vi.stubGlobal('fetch', fetchMock);
+    const { generateAiTurnText } = await getModules();
+
+    expect(await generateAiTurnText({ storySoFar: 'Once upon a time', prompt: 'add a dragon' })).toBe('A local twist.');
+    const [url, init] = fetchMock.mock.calls[0];
+    expect(url).toBe('http://localhost:11434/api/chat');
+    expect(JSON.parse(init.body)).toMatchObject({ model: 'llama3.1', stream: false, options: { num_predict: 160 } });
+
+    await generateAiTurnText({
+      storySoFar: 'Once upon a time',
+      prompt: 'add a dragon',
+      genre: 'noir',
+      tone: 'dark',
+      twistIntensity: 'subtle',
+    });
+    const [system, user] = JSON.parse(fetchMock.mock.calls[1][1].body).messages;
+    expect(system.content).toMatch(/dark and ominous/);
+    expect(system.content).toMatch(/quietly/);
+    expect(user.content).toMatch(/Genre: noir/);
+  });
+
+  it('mock provider is deterministic for a seed and returns parseable judge JSON', async () => {
+    process.env.AI_PROVIDER = 'mock';
+    process.env.AI_MOCK_SEED = 'seed-1';
+    const fetchMock = vi.fn();
+    vi.stubGlobal('fetch', fetchMock);
+    const { generateGuidePrompt, callChatModel, AI_TASKS } = await getModules();
+
+    const args = { storySoFar: 'A ship drifts', lastTurnText: 'A ship drifts', turnNumber: 2 };
+    const first = await generateGuidePrompt(args);
+    expect(await generateGuidePrompt(args)).toBe(first);
+    expect(first).toMatch(/^Continue the story, but/);
+
+    const raw = await callChatModel(
+      [{ role: 'user', content: 'Turn 1 by Ada\nPrompt: x\nText: y\n\nTurn 2 by Bo\nPrompt: x\nText: z' }],
+      { task: AI_TASKS.SCORING },
+    );
+    const parsed = JSON.parse(raw);
+    expect(Object.keys(parsed.players)).toEqual(['Ada', 'Bo']);
+    expect(parsed.players.Ada.creativity).toBeGreaterThanOrEqual(0);
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
+});
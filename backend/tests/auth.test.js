@@ -0,0 +1,163 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { createFakeDb } from './fakeFirestore.js';
+
+vi.mock('../src/firebase.js', () => ({ db: createFakeDb(), auth: { verifyIdToken: vi.fn() } }));
+
+const serviceMocks = {
+  submitTurn: vi.fn(async (gameId, { playerId, text }) => ({
+    game: { id: gameId, storySoFar: 'hidden' },
+    turn: { order: 1, playerName: 'Seated Name', playerId, text },
+  })),
+  joinGame: vi.fn(async (gameId) => ({ game: { id: gameId, storySoFar: 'hidden' } })),
+};
+
+vi.mock('../src/services/gameService.js', async (importOriginal) => ({
+  scrubGameForPlayer: (await importOriginal()).scrubGameForPlayer,
+  submitTurn: (...args) => serviceMocks.submitTurn(...args),
+  joinGame: (...args) => serviceMocks.joinGame(...args),
+}));
+
+// Local stand-in for Firebase Admin: tokens look like "valid:<uid>".
+const fakeVerifier = async (token) => {
+  if (!token.startsWith('valid:')) {
+    throw new Error('bad token');
+  }
+  return { uid: token.slice('valid:'.length), name: 'Verified Name' };
+};
+
+const makeRes = () => {
+  const res = {};
+  res.status = vi.fn(() => res);
+  res.json = vi.fn(() => res);
+  return res;
+};
+
+describe('auth middleware', () => {
+  beforeEach(() => {
+    serviceMocks.submitTurn.mockClear();
+    serviceMocks.joinGame.mockClear();
+  });
+
+  it('rejects requests without a bearer token', async () => {
+    const { createRequireAuth } = await import('../src/middleware/auth.js');
+    const next = vi.fn();
+    const res = makeRes();
+    await createRequireAuth(fakeVerifier)({ headers: {} }, res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('rejects tokens the verifier does not accept', async () => {
+    const { createRequireAuth } = await import('../src/middleware/auth.js');
+    const next = vi.fn();
+    const res = makeRes();
+    await createRequireAuth(fakeVerifier)({ headers: { authorization: 'Bearer forged' } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json).toHaveBeenCalledWith({ error: 'Invalid or expired token' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('attaches the verified identity as req.user', async () => {
+    const { createRequireAuth } = await import('../src/middleware/auth.js');
+    const next = vi.fn();
+    const req = { headers: { authorization: 'Bearer valid:user-42' } };
+    await createRequireAuth(fakeVerifier)(req, makeRes(), next);
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual({ id: 'user-42', name: 'Verified Name', email: null });
+  });
+
+  it('no longer accepts an ID token in the query string', async () => {
+    const { createRequireAuth } = await import('../src/middleware/auth.js');
+    const next = vi.fn();
+    const res = makeRes();
+    await createRequireAuth(fakeVerifier)({ headers: {}, query: { access_token: 'valid:user-42' } }, res, next);
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  it('picks a token verifier, and only allows the unverified local one outside production', async () => {
+    const { createVerifier } = await import('../src/auth/index.js');
+    const jwt = (claims) => ['header', Buffer.from(JSON.stringify(claims)).toString('base64url'), 'sig'].join('.');
+    const local = createVerifier('local');
+    expect(await local(jwt({ sub: 'dev-1', name: 'Dev', email: 'dev@example.com' }))).toEqual({
+      uid: 'dev-1',
+      name: 'Dev',
+      email: 'dev@example.com',
+    });
+    await expect(local(jwt({ sub: 'dev-1', exp: 1 }))).rejects.toThrow('Token expired');
+    await expect(local('not-a-token')).rejects.toThrow();
+
+    expect(() => createVerifier('local', { production: true })).toThrow('NODE_ENV=production');
+    expect(() => createVerifier('ldap')).toThrow('Unknown AUTH_DRIVER');
+
+    const { auth } = await import('../src/firebase.js');
+    auth.verifyIdToken.mockResolvedValueOnce({ uid: 'firebase-user' });
+    expect(await createVerifier('firebase')('token')).toEqual({ uid: 'firebase-user' });
+  });
+
+  it('lets optional-auth routes through, identifying only callers with a valid token', async () => {
+    const { createOptionalAuth } = await import('../src/middleware/auth.js');
+    const optionalAuth = createOptionalAuth(fakeVerifier);
+    const next = vi.fn();
+    const anonymous = { headers: {} };
+    const forged = { headers: { authorization: 'Bearer forged' } };
+    const signedIn = { headers: { authorization: 'Bearer valid:user-42' } };
+    for (const req of [anonymous, forged, signedIn]) {
+      await optionalAuth(req, makeRes(), next);
+    }
+    expect(next).toHaveBeenCalledTimes(3);
+    expect(anonymous.user).toBeUndefined();
+    expect(forged.user).toBeUndefined();
+    expect(signedIn.user).toMatchObject({ id: 'user-42' });
+  });
+
+  it('opens event streams with a single-use, short-lived ticket', async () => {
+    const { requireStreamAuth } = await import('../src/middleware/auth.js');
+    const { issueStreamTicket, STREAM_TICKET_TTL_MS } = await import('../src/services/streamTicketService.js');
+    const user = { id: 'user-42', name: 'Verified Name', email: null };
+
+    const { ticket } = await issueStreamTicket(user);
+    const req = { headers: {}, query: { ticket } };
+    const next = vi.fn();
+    await requireStreamAuth(req, makeRes(), next);
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual(user);
+
+    const replay = makeRes();
+    await requireStreamAuth({ headers: {}, query: { ticket } }, replay, next);
+    expect(replay.status).toHaveBeenCalledWith(401);
+
+    vi.useFakeTimers();
+    try {
+      const stale = await issueStreamTicket(user);
+      vi.advanceTimersByTime(STREAM_TICKET_TTL_MS + 1);
+      const expired = makeRes();
+      await requireStreamAuth({ headers: {}, query: { ticket: stale.ticket } }, expired, next);
+      expect(expired.status).toHaveBeenCalledWith(401);
+    } finally {
+      vi.useRealTimers();
+    }
+    expect(next).toHaveBeenCalledTimes(1);
+  });
+
+  it('makes controllers act as the verified user instead of the body playerId and playerName', async () => {
+    const { createRequireAuth } = await import('../src/middleware/auth.js');
+    const { submitTurn, joinGame } = await import('../src/controllers/gameController.js');
+    const req = {
+      headers: { authorization: 'Bearer valid:real-player' },
+      params: { gameId: 'g1' },
+      body: { playerName: 'Mallory', playerId: 'someone-else', text: 'Spoofed turn' },
+    };
+    const res = makeRes();
+    await createRequireAuth(fakeVerifier)(req, res, () => submitTurn(req, res));
+
+    expect(serviceMocks.submitTurn).toHaveBeenCalledWith('g1', {
+      playerId: 'real-player',
+      text: 'Spoofed turn',
+    });
+
+    const joinReq = { ...req, body: { playerName: 'Mallory' } };
+    await createRequireAuth(fakeVerifier)(joinReq, makeRes(), () => joinGame(joinReq, makeRes()));
+    expect(serviceMocks.joinGame).toHaveBeenCalledWith('g1', { playerName: 'Verified Name', playerId: 'real-player' });
+  });
+});
@@ -8,11 +8,12 @@ const makeDocRef = (collection, id) => {
     set: (data, opts = {}) => {
       const existing = collection._docs.get(id) || {};
       const next = opts.merge ? { ...existing, ...data } : data;
-      collection._docs.set(id, next);
+      // Copy like a real round-trip to the database, so callers never share references.
+      collection._docs.set(id, structuredClone(next));
     },
     get: () => {
       const data = collection._docs.get(id);
-      return { exists: !!data, data: () => data };
+      return { exists: !!data, data: () => structuredClone(data) };
     },
     delete: () => collection._docs.delete(id),
     collection: (name) => collection._db.collection(`${collection.path}/${id}/${name}`),
@@ -27,6 +28,11 @@ const applyFilters = (docs, filters) => {
       if (op === '==') return current === value;
       if (op === '>=') return current >= value;
       if (op === '<=') return current <= value;
+      if (op === '<') return current < value;
+      if (op === '>') return current > value;
+      if (op === '!=') return current !== value;
+      if (op === 'in') return value.includes(current);
+      if (op === 'array-contains') return Array.isArray(current) && current.includes(value);
       return false;
     }),
   );
@@ -39,7 +45,7 @@ const makeCollection = (db, path) => {
       buildQuery(col, filters, { field, direction }, limitVal),
     limit: (n) => buildQuery(col, filters, order, n),
     get: async () => {
-      let docs = Array.from(col._docs.entries()).map(([id, data]) => ({ id, data: () => data }));
+      let docs = Array.from(col._docs.entries()).map(([id, data]) => ({ id, data: () => structuredClone(data) }));
       docs = applyFilters(docs, filters);
       if (order) {
         docs.sort((a, b) => {
@@ -69,7 +75,7 @@ const makeCollection = (db, path) => {
     where: (field, op, value) => buildQuery(col, [{ field, op, value }]),
     orderBy: (field, direction = 'asc') => buildQuery(col, [], { field, direction }),
     get: async () => {
-      const docs = Array.from(col._docs.entries()).map(([id, data]) => ({ id, data: () => data }));
+      const docs = Array.from(col._docs.entries()).map(([id, data]) => ({ id, data: () => structuredClone(data) }));
       return { docs };
     },
     listDocuments: async () => Array.from(col._docs.keys()).map((id) => makeDocRef(col, id)),
@@ -86,11 +92,17 @@ export const createFakeDb = () => {
       }
       return collections.get(name);
     },
-    runTransaction: async (fn) =>
-      fn({
+    // Writes are buffered until the callback resolves, like a real transaction commit.
+    runTransaction: async (fn) => {
+      const writes = [];
+      const result = await fn({
         get: async (docRef) => docRef.get(),
-        set: (docRef, data, opts) => docRef.set(data, opts),
-      }),
+        set: (docRef, data, opts) => writes.push(() => docRef.set(data, opts)),
+        delete: (docRef) => writes.push(() => docRef.delete()),
+      });
+      writes.forEach((write) => write());
+      return result;
+    },
     batch: () => {
       const ops = [];
       return {
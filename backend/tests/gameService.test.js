@@ -16,12 +16,15 @@ const aiMocks = {
   guide: vi.fn(async ({ storySoFar, turnNumber }) => `GUIDE-${turnNumber}-${storySoFar || 'EMPTY'}`),
   initial: vi.fn(async (seed) => `INIT-${seed || 'DEFAULT'}`),
   turn: vi.fn(async ({ prompt }) => `<p>AI:${prompt}</p>`),
+  challengeGuides: vi.fn(async ({ count }) => Array.from({ length: count }, (_, i) => `DAILY-GUIDE-${i + 1}`)),
 };
 
 vi.mock('../src/services/aiService.js', () => ({
   generateGuidePrompt: (...args) => aiMocks.guide(...args),
   generateInitialPrompt: (...args) => aiMocks.initial(...args),
   generateAiTurnText: (...args) => aiMocks.turn(...args),
+  generateChallengeGuides: (...args) => aiMocks.challengeGuides(...args),
+  GENRES: ['mystery'],
   callChatModel: vi.fn(),
 }));
 
@@ -49,10 +52,12 @@ describe('gameService end-to-end flows', () => {
     aiMocks.guide.mockClear();
     aiMocks.initial.mockClear();
     aiMocks.turn.mockClear();
+    aiMocks.challengeGuides.mockClear();
   });
 
   afterEach(() => {
     vi.useRealTimers();
+    vi.unstubAllEnvs();
   });
 
   it('creates a single-player game with an AI opponent seeded and visible prompt for turn 1', async () => {
@@ -91,12 +96,13 @@ describe('gameService end-to-end flows', () => {
     });
 
     const first = await submitTurn(game.id, {
-      playerName: host.name,
+      playerName: 'AI Opponent', // ignored: turns are credited to the seated player
       playerId: host.id,
       text: '<p>The hero ventures forth.</p>',
     });
     expect(first.game.turnsCount).toBe(1);
     expect(first.game.status).toBe('active');
+    expect(first.turn.playerName).toBe(host.name);
 
     // Run queued AI turn
     await vi.runAllTimersAsync();
@@ -139,4 +145,1144 @@ describe('gameService end-to-end flows', () => {
     expect(state.info.storyText).toMatch(/First move/);
     expect(state.info.storyText).toMatch(/Second move/);
   });
+
+  it('publishes live events for join requests, approvals and turns', async () => {
+    const { createGame, requestToJoin, reviewJoinRequest, startGame, submitTurn } = await getServices();
+    const { subscribeToGame, subscribeToLobbies } = await import('../src/services/eventService.js');
+    const game = await createGame({ hostName: host.name, hostId: host.id, maxTurns: 3, mode: 'multi' });
+
+    const gameEvents = [];
+    const lobbyEvents = [];
+    const unsubscribeGame = subscribeToGame(game.id, (event) => gameEvents.push(event));
+    const unsubscribeLobbies = subscribeToLobbies((event) => lobbyEvents.push(event));
+
+    await requestToJoin(game.id, { playerName: 'P2', playerId: 'p2' });
+    await reviewJoinRequest(game.id, { hostId: host.id, playerId: 'p2', approve: true });
+    await startGame(game.id, { playerId: host.id });
+    await submitTurn(game.id, { playerName: host.name, playerId: host.id, text: 'Opening line' });
+    unsubscribeGame();
+    unsubscribeLobbies();
+
+    expect(gameEvents.map((e) => e.type)).toEqual([
+      'join_requested',
+      'player_joined',
+      'game_started',
+      'turn_submitted',
+    ]);
+    const turnEvent = gameEvents[3];
+    expect(turnEvent.game.storySoFar).toBeUndefined();
+    expect(turnEvent.game.currentPlayerId).toBe('p2');
+    expect(turnEvent.info.remainingTurns).toBe(2);
+    expect(turnEvent.turn.text).toBe('Opening line');
+    expect(lobbyEvents.map((e) => e.type)).toEqual(['lobby_updated', 'lobby_updated', 'lobby_removed']);
+    expect(lobbyEvents[1].lobby.playerCount).toBe(2);
+  });
+
+  it('lets outsiders watch live games until the host turns spectating off', async () => {
+    const services = await getServices();
+    const { createGame, startGame, spectateGame, stopSpectating, updateGameSettings, getGameState, listLobbies } = services;
+    const game = await createGame({ hostName: host.name, hostId: host.id, maxTurns: 3, mode: 'multi' });
+    await services.requestToJoin(game.id, { playerName: 'P2', playerId: 'p2' });
+    await services.reviewJoinRequest(game.id, { hostId: host.id, playerId: 'p2', approve: true });
+
+    const watching = await spectateGame(game.id, { spectatorId: 'viewer-1', spectatorName: 'Viewer' });
+    expect(watching.game.spectators).toEqual([expect.objectContaining({ id: 'viewer-1', name: 'Viewer' })]);
+    expect((await listLobbies())[0]).toMatchObject({ spectatorCount: 1, allowSpectators: true });
+    expect((await spectateGame(game.id, { spectatorId: host.id })).status).toBe(400);
+
+    await startGame(game.id, { playerId: host.id });
+    const live = await getGameState(game.id, { viewerId: 'viewer-1' });
+    expect(live.info.spectatorCount).toBe(1);
+
+    const locked = await updateGameSettings(game.id, { hostId: host.id, allowSpectators: false });
+    expect(locked.game.spectators).toEqual([]);
+    expect((await updateGameSettings(game.id, { hostId: host.id, maxPlayers: 5 })).error).toBe(
+      'Game has already started',
+    );
+    expect((await getGameState(game.id, { viewerId: 'viewer-1' })).status).toBe(403);
+    expect((await getGameState(game.id, { viewerId: host.id })).game.status).toBe('active');
+    expect((await spectateGame(game.id, { spectatorId: 'viewer-2' })).status).toBe(403);
+    expect((await stopSpectating(game.id, { spectatorId: 'viewer-1' })).game.spectators).toEqual([]);
+  });
+
+  it('repairs turn order and migrates the host as players leave mid-game', async () => {
+    const services = await getServices();
+    const { createGame, startGame, submitTurn, leaveGame, getUserHistory } = services;
+    const game = await createGame({ hostName: host.name, hostId: host.id, maxPlayers: 4, maxTurns: 5, mode: 'multi' });
+    for (const id of ['p2', 'p3', 'p4']) {
+      await services.requestToJoin(game.id, { playerName: id.toUpperCase(), playerId: id });
+      await services.reviewJoinRequest(game.id, { hostId: host.id, playerId: id, approve: true });
+    }
+    await startGame(game.id, { playerId: host.id });
+    await submitTurn(game.id, { playerName: host.name, playerId: host.id, text: 'Host opens.' });
+
+    // The writer leaves: the pen moves on to the next seat
+    let left = await leaveGame(game.id, { playerId: 'p2' });
+    expect(left.game).toMatchObject({ currentPlayerId: 'p3', currentPlayerIndex: 1 });
+
+    // The host leaves from an earlier seat: hosting moves on, the pen stays put
+    left = await leaveGame(game.id, { playerId: host.id });
+    expect(left.game).toMatchObject({ hostId: 'p3', hostName: 'P3', currentPlayerId: 'p3', currentPlayerIndex: 0 });
+    expect(left.game.players.map((p) => p.id)).toEqual(['p3', 'p4']);
+
+    await submitTurn(game.id, { playerName: 'P3', playerId: 'p3', text: 'P3 continues.' });
+    expect((await leaveGame(game.id, { playerId: 'stranger' })).status).toBe(400);
+
+    left = await leaveGame(game.id, { playerId: 'p4' });
+    expect(left.finished).toBe(true);
+    expect(left.game).toMatchObject({ status: 'finished', endedReason: 'players_left', scoringStatus: 'pending' });
+    expect(left.game.departedPlayers.map((p) => p.id)).toEqual(['p2', host.id, 'p4']);
+
+    // Departed authors still get the finished game in their history
+    await vi.runAllTimersAsync();
+    expect((await getUserHistory(host.id)).games.map((g) => g.gameId)).toEqual([game.id]);
+  });
+
+  it('reverses snake order each round and lets players claim the pen up to a cap', async () => {
+    const services = await getServices();
+    const { createGame, startGame, submitTurn, claimTurn, updateGameSettings, getGameState } = services;
+    const seat = async (game) => {
+      for (const id of ['p2', 'p3']) {
+        await services.requestToJoin(game.id, { playerName: id.toUpperCase(), playerId: id });
+        await services.reviewJoinRequest(game.id, { hostId: host.id, playerId: id, approve: true });
+      }
+    };
+    const write = (gameId, player) => submitTurn(gameId, { playerName: player.name, playerId: player.id, text: 'More story.' });
+
+    const snake = await createGame({ hostName: host.name, hostId: host.id, maxTurns: 6, mode: 'multi', turnOrder: 'snake' });
+    await seat(snake);
+    let state = (await startGame(snake.id, { playerId: host.id })).game;
+    const writers = [];
+    for (let turn = 0; turn < 5; turn += 1) {
+      writers.push(state.currentPlayerId);
+      state = (await write(snake.id, state.players[state.currentPlayerIndex])).game;
+    }
+    expect(writers).toEqual([host.id, 'p2', 'p3', 'p3', 'p2']);
+    expect((await getGameState(snake.id)).info).toMatchObject({
+      turnOrder: 'snake',
+      currentPlayer: 'Host',
+      upNext: { id: host.id }, // the end of a snake round writes twice in a row
+    });
+
+    const claim = await createGame({ hostName: host.name, hostId: host.id, maxTurns: 5, mode: 'multi' });
+    expect((await updateGameSettings(claim.id, { hostId: host.id, turnOrder: 'bidding' })).status).toBe(400);
+    await updateGameSettings(claim.id, { hostId: host.id, turnOrder: 'claim' });
+    await seat(claim);
+    await startGame(claim.id, { playerId: host.id });
+
+    expect((await getGameState(claim.id)).info).toMatchObject({ penOpen: true, claimCap: 2, upNext: null });
+    expect((await write(claim.id, host)).status).toBe(409);
+    expect((await claimTurn(claim.id, { playerId: 'p2' })).game.currentPlayerId).toBe('p2');
+    expect((await claimTurn(claim.id, { playerId: 'p3' })).status).toBe(409);
+
+    const p2 = { id: 'p2', name: 'P2' };
+    for (let turn = 0; turn < 2; turn += 1) {
+      await write(claim.id, p2);
+      if (turn === 0) await claimTurn(claim.id, { playerId: 'p2' });
+    }
+    expect((await claimTurn(claim.id, { playerId: 'p2' })).error).toMatch(/already written your 2 turns/);
+
+    // Nobody claims before the window closes: the pen goes to whoever has written least
+    const { expireTurnIfDue } = services;
+    vi.advanceTimersByTime(61 * 1000);
+    await expireTurnIfDue(claim.id);
+    const { game: assigned } = await getGameState(claim.id);
+    expect(assigned.currentPlayerId).toBe(host.id);
+    expect(assigned.skippedTurns).toBeUndefined();
+  });
+
+  it('alternates teams, keeps parallel team stories apart and credits team wins', async () => {
+    const services = await getServices();
+    const { createGame, startGame, submitTurn, assignTeam, getGameState, getLeaderboard } = services;
+    const { scoreGame } = await import('../src/services/scoringService.js');
+    const seat = async (game, ids) => {
+      for (const id of ids) {
+        await services.requestToJoin(game.id, { playerName: id.toUpperCase(), playerId: id });
+        await services.reviewJoinRequest(game.id, { hostId: host.id, playerId: id, approve: true });
+      }
+    };
+
+    const game = await createGame({ hostName: host.name, hostId: host.id, maxTurns: 4, mode: 'team', teamStory: 'parallel' });
+    expect(game).toMatchObject({ mode: 'team', teamStory: 'parallel', requiresApproval: true });
+    await seat(game, ['p2']);
+
+    expect((await assignTeam(game.id, { hostId: 'p2', playerId: 'p2', teamId: 'A' })).status).toBe(403);
+    await assignTeam(game.id, { hostId: host.id, playerId: 'p2', teamId: 'A' });
+    expect((await startGame(game.id, { playerId: host.id })).error).toBe('Each team needs at least one player');
+    await assignTeam(game.id, { hostId: host.id, playerId: 'p2', teamId: 'B' });
+
+    // Newcomers fill the smaller team
+    await seat(game, ['p3', 'p4']);
+    const { game: lobby } = await getGameState(game.id);
+    expect(lobby.teams.map((team) => team.playerIds)).toEqual([[host.id, 'p3'], ['p2', 'p4']]);
+
+    let state = (await startGame(game.id, { playerId: host.id })).game;
+    const writers = [];
+    for (let turn = 0; turn < 3; turn += 1) {
+      writers.push(state.currentPlayerId);
+      const player = state.players[state.currentPlayerIndex];
+      state = (await submitTurn(game.id, { playerName: player.name, playerId: player.id, text: `${player.name} line.` })).game;
+    }
+    expect(writers).toEqual([host.id, 'p2', 'p3']);
+    expect(state.currentTeamId).toBe('B');
+    // Team B's prompt follows its own story, not Team A's
+    expect(state.guidePrompt).toContain('P2 line.');
+    expect(state.guidePrompt).not.toContain('Host line.');
+
+    const { info } = await getGameState(game.id, { includeTurns: true });
+    expect(info.turns.map((t) => t.teamId)).toEqual(['A', 'B', 'A']);
+    expect(info.teamStoryTexts.A).toBe(`${game.initialPrompt}\nHost line.\nP3 line.`);
+
+    scoreGame.mockResolvedValueOnce({
+      players: { Host: { creativity: 80, cohesion: 80, prompt_fit: 80 }, P2: { creativity: 40, cohesion: 40, prompt_fit: 40 } },
+      teams: { A: { name: 'Team A', players: ['Host', 'P3'], total: 80 }, B: { name: 'Team B', players: ['P2', 'P4'], total: 40 } },
+      winningTeamId: 'A',
+      summary: 'ok',
+    });
+    await submitTurn(game.id, { playerName: 'P4', playerId: 'p4', text: 'P4 line.' });
+    await vi.runAllTimersAsync();
+
+    const { leaderboardRepository } = await import('../src/repositories/index.js');
+    expect(await leaderboardRepository.get(host.id)).toMatchObject({ teamGames: 1, teamWins: 1 });
+    expect(await leaderboardRepository.get('p2')).toMatchObject({ teamGames: 1, teamWins: 0 });
+    // One rated game is not enough to be ranked
+    expect((await getLeaderboard()).leaderboard).toEqual([]);
+  });
+
+  it('holds a player vote before scoring and blends it with the judge', async () => {
+    const { createGame, joinGame, startGame, submitTurn, castVote, getGameState } = await getServices();
+    const { scoreGame } = await import('../src/services/scoringService.js');
+    const { sweepScoringJobs } = await import('../src/services/scoringWorker.js');
+    const playGame = async (options, guests) => {
+      const game = await createGame({ hostName: host.name, hostId: host.id, requiresApproval: false, mode: 'multi', ...options });
+      for (const id of guests) {
+        await joinGame(game.id, { playerName: id.toUpperCase(), playerId: id });
+      }
+      let state = (await startGame(game.id, { playerId: host.id })).game;
+      let result;
+      for (let turn = 0; turn < game.maxTurns; turn += 1) {
+        const player = state.players[state.currentPlayerIndex];
+        result = await submitTurn(game.id, { playerName: player.name, playerId: player.id, text: `${player.name} line.` });
+        state = result.game;
+      }
+      const { info } = await getGameState(game.id, { includeTurns: true });
+      return { game, result, turnOf: Object.fromEntries(info.turns.map((t) => [t.playerId, t.id])) };
+    };
+    scoreGame.mockClear();
+
+    const { game, result, turnOf } = await playGame({ maxTurns: 3, scoringMethod: 'blend', voteWeight: 50 }, ['p2', 'p3']);
+    expect(result.game).toMatchObject({ status: 'finished', votingStatus: 'open' });
+    expect(result.game.scoringStatus).toBeUndefined();
+
+    expect((await castVote(game.id, { playerId: host.id, ranking: [turnOf[host.id], turnOf.p2] })).error).toBe(
+      'You cannot vote for your own turns',
+    );
+    expect((await castVote(game.id, { playerId: host.id, ranking: [turnOf.p2] })).status).toBe(400);
+    expect((await castVote(game.id, { playerId: 'stranger', ranking: [turnOf.p2] })).status).toBe(403);
+    await castVote(game.id, { playerId: host.id, ranking: [turnOf.p2, turnOf.p3] });
+    await castVote(game.id, { playerId: 'p2', ranking: [turnOf.p3, turnOf[host.id]] });
+    expect((await castVote(game.id, { playerId: 'p2', ranking: [turnOf.p3, turnOf[host.id]] })).status).toBe(409);
+    await vi.advanceTimersByTimeAsync(0);
+    expect(scoreGame).not.toHaveBeenCalled();
+
+    scoreGame.mockResolvedValueOnce({
+      players: {
+        Host: { creativity: 80, cohesion: 80, prompt_fit: 80 },
+        P2: { creativity: 40, cohesion: 40, prompt_fit: 40 },
+        P3: { creativity: 60, cohesion: 60, prompt_fit: 60 },
+      },
+      summary: 'ok',
+    });
+    const last = await castVote(game.id, { playerId: 'p3', ranking: [turnOf.p2, turnOf[host.id]] });
+    expect(last).toMatchObject({ closed: true, game: { votingStatus: 'closed', scoringStatus: 'pending' } });
+    await vi.runAllTimersAsync();
+
+    const { info } = await getGameState(game.id);
+    expect(info.scores.votes).toMatchObject({ method: 'blend', ballots: 3, turns: { [turnOf.p2]: 4 } });
+    expect(info.scores.players.P2).toMatchObject({ votePoints: 4, firstPlaceVotes: 2, voteScore: 100, total: 70 });
+    expect(info.scores.players.Host).toMatchObject({ voteScore: 50, total: 65 });
+    expect(info.scores.players.P3).toMatchObject({ voteScore: 75, total: 68 });
+    const { leaderboardRepository } = await import('../src/repositories/index.js');
+    expect(await leaderboardRepository.get('p2')).toMatchObject({ topScore: 70, ratedGames: 1 });
+
+    // Votes-only games close on their deadline and never call the judge
+    scoreGame.mockClear();
+    const timed = await playGame({ maxTurns: 2, scoringMethod: 'votes', votingSeconds: 30 }, ['p4']);
+    await castVote(timed.game.id, { playerId: host.id, ranking: [timed.turnOf.p4] });
+    await vi.advanceTimersByTimeAsync(31_000);
+    expect((await castVote(timed.game.id, { playerId: 'p4', ranking: [timed.turnOf[host.id]] })).status).toBe(400);
+    await sweepScoringJobs();
+    await vi.runAllTimersAsync();
+
+    const { info: timedInfo } = await getGameState(timed.game.id);
+    expect(timedInfo.voting).toMatchObject({ status: 'closed', votesCast: 1 });
+    expect(timedInfo.scores).toMatchObject({ judge: 'votes', players: { P4: { total: 100 }, Host: { total: 0 } } });
+    expect(scoreGame).not.toHaveBeenCalled();
+  });
+
+  it('forks a finished story at a chosen turn and lists the whole family', async () => {
+    const { createGame, submitTurn, forkGame, getGameFamily, getGameState } = await getServices();
+    const game = await createGame({ hostName: host.name, hostId: host.id, mode: 'rapid', maxTurns: 3 });
+    for (let turn = 1; turn <= 3; turn += 1) {
+      await submitTurn(game.id, { playerName: host.name, playerId: host.id, text: `Line ${turn}.` });
+    }
+    const { info: source } = await getGameState(game.id, { includeTurns: true });
+
+    expect((await forkGame(game.id, { hostId: 'p2', atTurn: 4 })).status).toBe(400);
+    const { game: branch } = await forkGame(game.id, { hostId: 'p2', hostName: 'P2', atTurn: 2, mode: 'multi' });
+    expect(branch).toMatchObject({
+      status: 'waiting',
+      parentGameId: game.id,
+      rootGameId: game.id,
+      forkedAtTurn: 2,
+      turnsCount: 2,
+      maxTurns: 3,
+      initialPrompt: game.initialPrompt,
+      guidePrompt: source.turns[2].promptUsed,
+      storySoFar: `${game.initialPrompt}\nLine 1.\nLine 2.`,
+    });
+    const { info } = await getGameState(branch.id, { includeTurns: true });
+    expect(info.turns.map((t) => [t.text, t.forkedFromGameId])).toEqual([
+      ['Line 1.', game.id],
+      ['Line 2.', game.id],
+    ]);
+    expect((await forkGame(branch.id, { hostId: 'p2' })).error).toBe('Only finished games can be forked');
+
+    // Forks of forks stay in the original's family
+    const { game: twig } = await forkGame(game.id, { hostId: host.id, atTurn: 0, mode: 'rapid' });
+    expect(twig).toMatchObject({ status: 'active', turnsCount: 0, guidePrompt: source.turns[0].promptUsed });
+    await submitTurn(twig.id, { playerName: host.name, playerId: host.id, text: 'Another way.' });
+    const family = await getGameFamily(twig.id);
+    expect(family.rootGameId).toBe(game.id);
+    expect(family.games.map((g) => [g.id, g.parentGameId, g.forkedAtTurn])).toEqual([
+      [game.id, null, null],
+      [branch.id, game.id, 2],
+      [twig.id, game.id, 0],
+    ]);
+  });
+
+  it('exports finished stories as markdown, text, EPUB and PDF', async () => {
+    const { createGame, submitTurn, exportStory } = await getServices();
+    const game = await createGame({ hostName: host.name, hostId: host.id, mode: 'rapid', maxTurns: 2 });
+    await submitTurn(game.id, { playerName: host.name, playerId: host.id, text: 'First line.' });
+    expect((await exportStory(game.id, { format: 'md' })).error).toBe('Only finished games can be exported');
+    await submitTurn(game.id, { playerName: host.name, playerId: host.id, text: 'Last line.' });
+    await vi.runAllTimersAsync();
+
+    expect((await exportStory(game.id, { format: 'docx' })).status).toBe(400);
+
+    const md = await exportStory(game.id, { format: 'md' });
+    expect(md).toMatchObject({ filename: `co-thread-${game.id.slice(0, 8)}.md`, contentType: 'text/markdown; charset=utf-8' });
+    expect(md.body).toContain(`**Opening:** ${game.initialPrompt}`);
+    expect(md.body).toContain('## Turn 2 - Host');
+    expect(md.body).toContain(`> *Prompt:* ${game.initialPrompt}`);
+    expect(md.body).toContain('| Tester | 60 |');
+
+    const anonymous = await exportStory(game.id, { format: 'txt', attribution: false, prompts: false });
+    expect(anonymous.body).toContain('Turn 1\n------\nFirst line.');
+    expect(anonymous.body).not.toContain('Host');
+    expect(anonymous.body).not.toContain('Prompt:');
+
+    const epub = await exportStory(game.id, { format: 'epub' });
+    expect(epub.body.subarray(0, 2).toString()).toBe('PK');
+    expect(epub.body.subarray(30, 58).toString()).toBe('mimetypeapplication/epub+zip');
+    expect(epub.body.toString()).toContain('<p>Last line.</p>');
+
+    const pdf = (await exportStory(game.id, { format: 'pdf' })).body.toString('latin1');
+    expect(pdf.startsWith('%PDF-1.4')).toBe(true);
+    expect(pdf).toContain('(Turn 1 - Host) Tj');
+    expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+  });
+
+  it('publishes a story to the gallery once every player agrees and hides player ids', async () => {
+    const { createGame, joinGame, startGame, submitTurn } = await getServices();
+    const gallery = await import('../src/services/galleryService.js');
+    const game = await createGame({ hostName: host.name, hostId: host.id, requiresApproval: false, mode: 'multi', maxTurns: 2 });
+    await joinGame(game.id, { playerName: 'Guest', playerId: 'p2' });
+    let state = (await startGame(game.id, { playerId: host.id })).game;
+    expect((await gallery.publishStory(game.id, { playerId: host.id })).error).toBe('Only finished games can be published');
+    for (let turn = 0; turn < 2; turn += 1) {
+      const player = state.players[state.currentPlayerIndex];
+      state = (await submitTurn(game.id, { playerName: player.name, playerId: player.id, text: `${player.name} line.` })).game;
+    }
+
+    expect((await gallery.publishStory(game.id, { playerId: 'outsider' })).status).toBe(403);
+    const pending = await gallery.publishStory(game.id, { playerId: host.id });
+    expect(pending.publication).toMatchObject({ status: 'pending', consents: 1, participants: 2, hasConsented: true });
+    expect((await gallery.listGallery()).stories).toEqual([]);
+
+    const { publication } = await gallery.publishStory(game.id, { playerId: 'p2' });
+    expect(publication).toMatchObject({ status: 'published', consents: 2 });
+    expect(publication.slug).toBe(gallery.slugFor(game));
+    expect((await gallery.getPublication(game.id, { playerId: host.id })).publication.slug).toBe(publication.slug);
+
+    const { story } = await gallery.getPublishedStory(publication.slug);
+    expect(story).toMatchObject({ slug: publication.slug, views: 0, players: ['Host', 'Guest'] });
+    expect(story.turns.map((t) => [t.author, t.text])).toEqual([
+      ['Host', 'Host line.'],
+      ['Guest', 'Guest line.'],
+    ]);
+    const serialized = JSON.stringify(story);
+    expect(serialized).not.toContain(host.id);
+    expect(serialized).not.toContain('p2');
+    expect(serialized).not.toContain(game.id);
+
+    // Views are counted separately from reads, once a day per reader.
+    expect(await gallery.recordView(publication.slug, { ip: '10.0.0.1' })).toMatchObject({ views: 1, counted: true });
+    expect(await gallery.recordView(publication.slug, { ip: '10.0.0.1' })).toMatchObject({ views: 1, counted: false });
+    expect((await gallery.recordView(publication.slug, { ip: '10.0.0.2' })).views).toBe(2);
+    // Signed-in readers count once per account, whatever address they read from
+    expect((await gallery.recordView(publication.slug, { userId: 'reader', ip: '10.0.0.1' })).views).toBe(3);
+    expect(await gallery.recordView(publication.slug, { userId: 'reader', ip: '10.0.0.9' })).toMatchObject({
+      views: 3,
+      counted: false,
+    });
+    expect((await gallery.recordView('no-such-story', { ip: '10.0.0.1' })).status).toBe(404);
+    const { stories } = await gallery.listGallery({ sort: 'popular' });
+    expect(stories).toEqual([expect.objectContaining({ slug: publication.slug, views: 3, turnsCount: 2 })]);
+    expect(JSON.stringify(stories)).not.toContain(game.id);
+    expect((await gallery.listGallery({ sort: 'oldest' })).status).toBe(400);
+
+    // Either author can take it down
+    const withdrawn = await gallery.unpublishStory(game.id, { playerId: 'p2' });
+    expect(withdrawn.publication).toMatchObject({ status: 'pending', slug: null, consents: 1 });
+    expect((await gallery.getPublishedStory(publication.slug)).status).toBe(404);
+    expect((await gallery.listGallery()).stories).toEqual([]);
+  });
+
+  it('lets the host kick players and ban them from requesting again', async () => {
+    const { createGame, requestToJoin, reviewJoinRequest, kickPlayer, joinGame, spectateGame } = await getServices();
+    const game = await createGame({ hostName: host.name, hostId: host.id, mode: 'multi' });
+    await requestToJoin(game.id, { playerName: 'P2', playerId: 'p2' });
+    await reviewJoinRequest(game.id, { hostId: host.id, playerId: 'p2', approve: true });
+    await requestToJoin(game.id, { playerName: 'Pest', playerId: 'pest' });
+
+    expect((await kickPlayer(game.id, { hostId: 'p2', playerId: host.id })).status).toBe(403);
+    expect((await kickPlayer(game.id, { hostId: host.id, playerId: host.id })).status).toBe(400);
+
+    const kicked = await kickPlayer(game.id, { hostId: host.id, playerId: 'p2' });
+    expect(kicked.game.players.map((p) => p.id)).toEqual([host.id]);
+    expect((await requestToJoin(game.id, { playerName: 'P2', playerId: 'p2' })).requested).toBe(true);
+
+    // Banning works on a pending request too, and sticks
+    const banned = await kickPlayer(game.id, { hostId: host.id, playerId: 'pest', ban: true });
+    expect(banned.game.pendingRequests.map((r) => r.playerId)).toEqual(['p2']);
+    expect(banned.game.bannedPlayerIds).toEqual(['pest']);
+    expect(await requestToJoin(game.id, { playerName: 'Pest', playerId: 'pest' })).toMatchObject({ status: 403 });
+    expect(await joinGame(game.id, { playerName: 'Pest', playerId: 'pest' })).toMatchObject({ status: 403 });
+    expect(await spectateGame(game.id, { spectatorId: 'pest' })).toMatchObject({ status: 403 });
+  });
+
+  it('hides private lobbies from the list and only admits them by invite code', async () => {
+    const { createGame, listLobbies, requestToJoin, joinByInviteCode, updateGameSettings, spectateGame, getGameState } =
+      await getServices();
+    const open = await createGame({ hostName: host.name, hostId: host.id, mode: 'multi' });
+    const secret = await createGame({ hostName: 'Other', hostId: 'host-2', mode: 'multi', visibility: 'private' });
+
+    expect(secret.inviteCode).toMatch(/^[A-HJKMNP-Z2-9]{6}$/);
+    expect((await listLobbies()).map((l) => l.id)).toEqual([open.id]);
+    expect((await listLobbies({ limit: 1 })).map((l) => l.id)).toEqual([open.id]);
+
+    // Lobbies stored before visibility existed count as public on the indexed and fallback paths alike.
+    const { gameRepository } = await import('../src/repositories/index.js');
+    vi.advanceTimersByTime(1000);
+    const legacy = await createGame({ hostName: 'Old', hostId: 'host-3', mode: 'multi' });
+    const { visibility: _visibility, ...legacyDoc } = await gameRepository.get(legacy.id);
+    await gameRepository.save(legacyDoc);
+    expect((await listLobbies()).map((l) => l.id)).toEqual([legacy.id, open.id]);
+    vi.spyOn(gameRepository, 'listWaiting').mockRejectedValueOnce(new Error('missing index'));
+    expect((await listLobbies()).map((l) => l.id)).toEqual([legacy.id, open.id]);
+    await gameRepository.merge(legacy.id, { status: 'finished' });
+    expect(await requestToJoin(secret.id, { playerName: 'P2', playerId: 'p2' })).toMatchObject({ status: 403 });
+    expect(await spectateGame(secret.id, { spectatorId: 'p2' })).toMatchObject({ status: 403 });
+    expect(await getGameState(secret.id, { viewerId: 'p2' })).toMatchObject({ status: 403 });
+    expect((await getGameState(secret.id, { viewerId: 'host-2' })).game.inviteCode).toBe(secret.inviteCode);
+
+    const viaCode = await joinByInviteCode(secret.inviteCode.toLowerCase(), { playerName: 'P2', playerId: 'p2' });
+    expect(viaCode.requested).toBe(true);
+    expect(viaCode.game.id).toBe(secret.id);
+    expect(await joinByInviteCode('ZZZZZZ', { playerName: 'P2', playerId: 'p2' })).toMatchObject({ status: 404 });
+
+    await updateGameSettings(open.id, { hostId: host.id, visibility: 'unlisted' });
+    expect(await listLobbies()).toEqual([]);
+    expect((await requestToJoin(open.id, { playerName: 'P3', playerId: 'p3' })).requested).toBe(true);
+    expect(await updateGameSettings(open.id, { hostId: host.id, visibility: 'secret' })).toMatchObject({ status: 400 });
+  });
+
+  it('keeps private games to their players and invite-code holders over GET and the event stream', async () => {
+    const { createGame, getGameState, joinByInviteCode, reviewJoinRequest, startGame, abandonGame } = await getServices();
+    const { streamGameEvents } = await import('../src/controllers/gameController.js');
+    const game = await createGame({ hostName: host.name, hostId: host.id, mode: 'multi', visibility: 'private' });
+
+    const openStream = async (userId, query = {}) => {
+      const req = { params: { gameId: game.id }, query, user: { id: userId }, on: vi.fn() };
+      const res = { write: vi.fn(), end: vi.fn(), set: vi.fn(), json: vi.fn() };
+      res.status = vi.fn(() => res);
+      await streamGameEvents(req, res);
+      return res;
+    };
+
+    expect(await getGameState(game.id, { viewerId: 'outsider' })).toMatchObject({ status: 403 });
+    expect((await openStream('outsider')).status).toHaveBeenCalledWith(403);
+    const withCode = await getGameState(game.id, { viewerId: 'outsider', inviteCode: game.inviteCode.toLowerCase() });
+    expect(withCode.game).toMatchObject({ id: game.id, visibility: 'private' });
+    expect(withCode.game.inviteCode).toBeUndefined();
+
+    // A pending request was made with the code, so the requester may watch the lobby until denied.
+    await joinByInviteCode(game.inviteCode, { playerName: 'Denied', playerId: 'denied' });
+    await joinByInviteCode(game.inviteCode, { playerName: 'P2', playerId: 'p2' });
+    const pending = await openStream('denied');
+    expect(pending.write).toHaveBeenCalledWith(expect.stringContaining('"type":"snapshot"'));
+    await reviewJoinRequest(game.id, { hostId: host.id, playerId: 'denied', approve: false });
+    expect(pending.end).toHaveBeenCalled();
+    expect(await getGameState(game.id, { viewerId: 'denied' })).toMatchObject({ status: 403 });
+
+    await reviewJoinRequest(game.id, { hostId: host.id, playerId: 'p2', approve: true });
+    await startGame(game.id, { playerId: host.id });
+    expect(await getGameState(game.id, { viewerId: 'outsider' })).toMatchObject({ status: 403 });
+    expect((await getGameState(game.id, { viewerId: 'p2' })).game.status).toBe('active');
+
+    await abandonGame(game.id, { playerId: host.id });
+    expect(await getGameState(game.id, { viewerId: 'outsider' })).toMatchObject({ status: 403 });
+    expect((await openStream('outsider')).status).toHaveBeenCalledWith(403);
+  });
+
+  it('writes openers and guides in the genre, tone and twist intensity the host picked', async () => {
+    const services = await getServices();
+    const { createGame, updateGameSettings, listLobbies, startGame, submitTurn } = services;
+
+    const game = await createGame({
+      hostName: host.name,
+      hostId: host.id,
+      initialPrompt: 'a lost key',
+      mode: 'multi',
+      genre: 'noir',
+      tone: 'dark',
+      twistIntensity: 'subtle',
+    });
+    expect(game).toMatchObject({ genre: 'noir', tone: 'dark', twistIntensity: 'subtle' });
+    expect(aiMocks.initial).toHaveBeenCalledWith('a lost key', { genres: ['noir'], tone: 'dark' });
+
+    const surprise = await createGame({ hostName: host.name, hostId: host.id, mode: 'multi', genre: 'surprise' });
+    expect(surprise).toMatchObject({ tone: null, twistIntensity: 'absurd' });
+    expect(aiMocks.initial).toHaveBeenLastCalledWith('', { genres: [surprise.genre], tone: null });
+
+    expect(await createGame({ hostName: host.name, hostId: host.id, tone: 'grim' })).toMatchObject({ status: 400 });
+    expect(await createGame({ hostName: host.name, hostId: host.id, genre: 'western' })).toMatchObject({ status: 400 });
+
+    expect(await updateGameSettings(game.id, { hostId: host.id, tone: 'grim' })).toMatchObject({ status: 400 });
+    await updateGameSettings(game.id, { hostId: host.id, tone: 'whimsical', twistIntensity: 'bold' });
+    expect((await listLobbies()).find((lobby) => lobby.id === game.id)).toMatchObject({
+      genre: 'noir',
+      tone: 'whimsical',
+      twistIntensity: 'bold',
+    });
+
+    await services.requestToJoin(game.id, { playerName: 'P2', playerId: 'p2' });
+    await services.reviewJoinRequest(game.id, { hostId: host.id, playerId: 'p2', approve: true });
+    await startGame(game.id, { playerId: host.id });
+    expect((await updateGameSettings(game.id, { hostId: host.id, twistIntensity: 'absurd' })).status).toBe(400);
+
+    await submitTurn(game.id, { playerName: host.name, playerId: host.id, text: 'Rain on the office window.' });
+    expect(aiMocks.guide).toHaveBeenLastCalledWith(
+      expect.objectContaining({ genre: 'noir', tone: 'whimsical', twistIntensity: 'bold' }),
+    );
+
+    const solo = await createGame({ hostName: host.name, hostId: host.id, mode: 'single', genre: 'noir', tone: 'dark' });
+    await submitTurn(solo.id, { playerId: host.id, text: 'A knock at midnight.' });
+    await vi.runAllTimersAsync();
+    expect(aiMocks.turn).toHaveBeenLastCalledWith(
+      expect.objectContaining({ genre: 'noir', tone: 'dark', twistIntensity: 'absurd' }),
+    );
+  });
+
+  it('groups compatible quick-play players into a started game and times out the rest', async () => {
+    const { getGameState } = await getServices();
+    const { enqueue, cancelQueue, getQueueStatus } = await import('../src/services/matchmakingService.js');
+    const { subscribeToUser } = await import('../src/services/eventService.js');
+    const found = [];
+    subscribeToUser('p1', (event) => found.push(event));
+
+    const first = await enqueue({ userId: 'p1', playerName: 'Sam', playerCount: 2, turnDurationSeconds: 90 });
+    expect(first).toMatchObject({ matched: false, entry: { status: 'queued' } });
+    expect(await enqueue({ userId: 'p1', playerName: 'Sam' })).toMatchObject({ status: 409 });
+    await enqueue({ userId: 'p3', playerName: 'Other', playerCount: 3, turnDurationSeconds: 90 });
+
+    const second = await enqueue({ userId: 'p2', playerName: 'Sam', playerCount: 2, turnDurationSeconds: 90 });
+    expect(second.matched).toBe(true);
+    expect(found).toEqual([expect.objectContaining({ type: 'match_found', gameId: second.entry.gameId })]);
+
+    const { game } = await getGameState(second.entry.gameId);
+    expect(game).toMatchObject({ status: 'active', requiresApproval: false, visibility: 'unlisted', hostId: 'p1' });
+    expect(game.players.map((p) => p.name)).toEqual(['Sam', 'Sam (2)']);
+    expect(await cancelQueue('p2')).toMatchObject({ status: 409 });
+
+    vi.advanceTimersByTime(121 * 1000);
+    expect((await getQueueStatus('p3')).entry.status).toBe('expired');
+    expect((await enqueue({ userId: 'p3', playerName: 'Other' })).entry.status).toBe('queued');
+    expect((await cancelQueue('p3')).entry.status).toBe('cancelled');
+    expect(await cancelQueue('nobody')).toMatchObject({ status: 404 });
+  });
+
+  it('closes a quick-play game that failed to start before requeueing its players', async () => {
+    const { getGameState } = await getServices();
+    const { enqueue, getQueueStatus, sweepMatchmakingQueue } = await import('../src/services/matchmakingService.js');
+    const { gameRepository } = await import('../src/repositories/index.js');
+    const { db } = await import('../src/firebase.js');
+
+    // The guest's join is the first game read after the lobby is created.
+    const games = db.collection('games');
+    const docOf = games.doc;
+    games.doc = (id) => ({
+      ...docOf(id),
+      get: () => {
+        games.doc = docOf;
+        return Promise.reject(new Error('games offline'));
+      },
+    });
+
+    await enqueue({ userId: 'p1', playerName: 'Sam', playerCount: 2 });
+    expect((await enqueue({ userId: 'p2', playerName: 'Alex', playerCount: 2 })).matched).toBe(false);
+    expect((await getQueueStatus('p1')).entry).toMatchObject({ status: 'queued', gameId: null });
+
+    const [orphan] = await gameRepository.listByStatus('finished');
+    expect(orphan).toMatchObject({ hostId: 'p1', endedReason: 'match_failed' });
+    expect(await gameRepository.listByStatus('waiting')).toEqual([]);
+
+    expect(await sweepMatchmakingQueue()).toMatchObject({ matched: 1 });
+    const { entry } = await getQueueStatus('p2');
+    expect((await getGameState(entry.gameId)).game.status).toBe('active');
+  });
+
+  it('skips an absent player once the deadline passes without any client request', async () => {
+    const { createGame, requestToJoin, reviewJoinRequest, startGame, getGameState } = await getServices();
+    const { sweepExpiredTurns } = await import('../src/services/turnScheduler.js');
+    const game = await createGame({ hostName: host.name, hostId: host.id, turnDurationSeconds: 30, mode: 'multi' });
+    await requestToJoin(game.id, { playerName: 'P2', playerId: 'p2' });
+    await reviewJoinRequest(game.id, { hostId: host.id, playerId: 'p2', approve: true });
+    await startGame(game.id, { playerId: host.id });
+
+    expect((await sweepExpiredTurns()).expired).toBe(0);
+
+    vi.advanceTimersByTime(31_000);
+    expect((await sweepExpiredTurns()).expired).toBe(1);
+    // A second sweep (or another instance) finds nothing left to expire
+    expect((await sweepExpiredTurns()).expired).toBe(0);
+
+    const state = await getGameState(game.id);
+    expect(state.game.currentPlayerId).toBe('p2');
+    expect(state.game.skippedTurns).toEqual([
+      expect.objectContaining({ playerId: host.id, playerName: host.name, order: 1 }),
+    ]);
+    expect(state.info.timeRemainingSeconds).toBeGreaterThan(0);
+  });
+
+  it('ends a game from the scheduler once every player has missed a turn in a row', async () => {
+    const { createGame, requestToJoin, reviewJoinRequest, startGame, submitTurn, getGameState } = await getServices();
+    const { sweepExpiredTurns } = await import('../src/services/turnScheduler.js');
+    const { gameRepository } = await import('../src/repositories/index.js');
+    const game = await createGame({ hostName: host.name, hostId: host.id, turnDurationSeconds: 30, mode: 'multi' });
+    await requestToJoin(game.id, { playerName: 'P2', playerId: 'p2' });
+    await reviewJoinRequest(game.id, { hostId: host.id, playerId: 'p2', approve: true });
+    await startGame(game.id, { playerId: host.id });
+    await submitTurn(game.id, { playerId: host.id, text: 'Then everyone wandered off.' });
+
+    // Old skips (from before the last written turn) neither count nor pile up without limit.
+    const oldSkips = Array.from({ length: 60 }, (_, i) => ({ playerId: 'p2', order: 1, skippedAt: `old-${i}` }));
+    await gameRepository.merge(game.id, { skippedTurns: oldSkips });
+
+    vi.advanceTimersByTime(31_000);
+    expect((await sweepExpiredTurns()).expired).toBe(1);
+    let { game: state } = await getGameState(game.id);
+    expect(state.status).toBe('timeout');
+    expect(state.skippedTurns).toHaveLength(50);
+    expect(state.skippedTurns.at(-1)).toMatchObject({ playerId: 'p2', order: 2 });
+
+    vi.advanceTimersByTime(31_000);
+    expect((await sweepExpiredTurns()).expired).toBe(1);
+    ({ game: state } = await getGameState(game.id));
+    expect(state).toMatchObject({ status: 'finished', endedReason: 'timeout', currentPlayerId: null, turnDeadline: null });
+    expect(state.skippedTurns.at(-1)).toMatchObject({ playerId: host.id, order: 2 });
+
+    vi.advanceTimersByTime(31_000);
+    expect((await sweepExpiredTurns()).expired).toBe(0);
+  });
+
+  it('finishes rapid games from the scheduler when the timer runs out', async () => {
+    const { createGame, expireTurnIfDue } = await getServices();
+    const { sweepExpiredTurns } = await import('../src/services/turnScheduler.js');
+    const game = await createGame({ hostName: host.name, hostId: host.id, mode: 'rapid' });
+
+    vi.advanceTimersByTime(61_000);
+    expect((await sweepExpiredTurns()).expired).toBe(1);
+
+    const { db } = await import('../src/firebase.js');
+    const stored = (await db.collection('games').doc(game.id).get()).data();
+    expect(stored.status).toBe('finished');
+    expect(stored.endedReason).toBe('timeout');
+    expect((await expireTurnIfDue(game.id)).expired).toBe(false);
+  });
+
+  it('scores finished games through a durable job and retries failed runs', async () => {
+    const { createGame, submitTurn, getGameState } = await getServices();
+    const { scoreGame } = await import('../src/services/scoringService.js');
+    const { sweepScoringJobs } = await import('../src/services/scoringWorker.js');
+    scoreGame.mockClear();
+    scoreGame.mockRejectedValueOnce(new Error('judge offline'));
+
+    const game = await createGame({ hostName: host.name, hostId: host.id, mode: 'rapid', maxTurns: 1 });
+    const finished = await submitTurn(game.id, { playerName: host.name, playerId: host.id, text: 'The end.' });
+    expect(finished.finished).toBe(true);
+    expect(finished.game.scoringStatus).toBe('pending');
+
+    // First run fails and is recorded on the game instead of being lost
+    await vi.advanceTimersByTimeAsync(0);
+    let state = await getGameState(game.id);
+    expect(state.info.scoringStatus).toBe('failed');
+    expect(state.info.scores).toBeNull();
+
+    // Not due yet, then retried by the worker once the backoff passes
+    expect((await sweepScoringJobs()).ran).toBe(0);
+    await vi.advanceTimersByTimeAsync(31_000);
+    expect((await sweepScoringJobs()).ran).toBe(1);
+
+    state = await getGameState(game.id);
+    expect(state.info.scoringStatus).toBe('done');
+    expect(state.info.scores.players.Tester.total).toBe(60);
+    expect(scoreGame).toHaveBeenCalledTimes(2);
+  });
+
+  it('retries a run that failed while recording results without judging or crediting twice', async () => {
+    const { createGame, submitTurn, getGameState, db } = await getServices();
+    const { scoreGame } = await import('../src/services/scoringService.js');
+    const { sweepScoringJobs } = await import('../src/services/scoringWorker.js');
+    const { leaderboardRepository, userRepository } = await import('../src/repositories/index.js');
+    scoreGame.mockClear();
+    scoreGame.mockResolvedValueOnce({
+      players: { [host.name]: { creativity: 80, cohesion: 70, prompt_fit: 60 } },
+      summary: 'ok',
+    });
+
+    const game = await createGame({ hostName: host.name, hostId: host.id, mode: 'rapid', maxTurns: 1 });
+    await submitTurn(game.id, { playerId: host.id, text: 'The end.' });
+
+    // The leaderboard is credited, then the profile read fails once
+    const users = db.collection('users');
+    const docOf = users.doc;
+    users.doc = (id) => {
+      users.doc = docOf;
+      return { ...docOf(id), get: () => Promise.reject(new Error('profiles offline')) };
+    };
+    await vi.advanceTimersByTimeAsync(0);
+    let state = await getGameState(game.id);
+    expect(state.info.scoringStatus).toBe('failed');
+    expect(state.info.scores.players[host.name].total).toBe(70);
+    expect(await leaderboardRepository.get(host.id)).toMatchObject({ gamesPlayed: 1 });
+
+    await vi.advanceTimersByTimeAsync(31_000);
+    expect((await sweepScoringJobs()).ran).toBe(1);
+    state = await getGameState(game.id);
+    expect(state.info.scoringStatus).toBe('done');
+    expect(scoreGame).toHaveBeenCalledTimes(1);
+    expect(await leaderboardRepository.get(host.id)).toMatchObject({ gamesPlayed: 1 });
+    expect(await userRepository.getProfile(host.id)).toMatchObject({ gamesPlayed: 1 });
+  });
+
+  it('rates multiplayer games by placement and ranks players once they have enough games', async () => {
+    vi.stubEnv('LEADERBOARD_MIN_GAMES', '2');
+    const { createGame, joinGame, startGame, submitTurn, getLeaderboard } = await getServices();
+    const { scoreGame } = await import('../src/services/scoringService.js');
+    const { leaderboardRepository, ratingRepository } = await import('../src/repositories/index.js');
+    const playGame = async (totals) => {
+      scoreGame.mockResolvedValueOnce({
+        players: Object.fromEntries(
+          Object.entries(totals).map(([name, total]) => [name, { creativity: total, cohesion: total, prompt_fit: total }]),
+        ),
+        summary: 'ok',
+      });
+      const game = await createGame({ hostName: host.name, hostId: host.id, requiresApproval: false, mode: 'multi', maxTurns: 3 });
+      await joinGame(game.id, { playerName: 'P2', playerId: 'p2' });
+      await joinGame(game.id, { playerName: 'P3', playerId: 'p3' });
+      let state = (await startGame(game.id, { playerId: host.id })).game;
+      for (let turn = 0; turn < 3; turn += 1) {
+        const player = state.players[state.currentPlayerIndex];
+        state = (await submitTurn(game.id, { playerName: player.name, playerId: player.id, text: 'A line.' })).game;
+      }
+      await vi.runAllTimersAsync();
+    };
+
+    await playGame({ Host: 80, P2: 60, P3: 40 });
+    const [first, second, third] = await Promise.all([host.id, 'p2', 'p3'].map((id) => ratingRepository.get(id)));
+    expect(first.rating).toBeGreaterThan(1500);
+    expect(second.rating).toBeCloseTo(1500, 5);
+    expect(third.rating).toBeLessThan(1500);
+    expect(first.rating - 1500).toBeCloseTo(1500 - third.rating, 5);
+    expect(first.deviation).toBeLessThan(350);
+    expect(first).toMatchObject({ userId: host.id, gamesRated: 1 });
+    expect((await getLeaderboard()).leaderboard).toEqual([]);
+
+    // Deviation narrows with each game; nobody's row is trimmed
+    await playGame({ Host: 40, P2: 80, P3: 60 });
+    const { leaderboard: board } = await getLeaderboard();
+    expect(board.map((entry) => entry.userId)).toEqual(['p2', host.id, 'p3']);
+    expect(board[0]).toMatchObject({ rank: 1, ratedGames: 2, gamesPlayed: 2 });
+    expect(board[0].ratingDeviation).toBeLessThan(first.deviation);
+    expect(await leaderboardRepository.get('p3')).toMatchObject({ ranked: true, ratedGames: 2 });
+  });
+
+  it('keeps per-mode, daily, weekly and season boards and archives a season when it ends', async () => {
+    vi.setSystemTime(new Date('2026-09-30T10:00:00.000Z'));
+    const { createGame, submitTurn, getLeaderboard, listSeasons } = await getServices();
+    const { scoreGame } = await import('../src/services/scoringService.js');
+    const playRapid = async (playerId, playerName, score) => {
+      scoreGame.mockResolvedValueOnce({
+        players: { [playerName]: { creativity: score, cohesion: score, prompt_fit: score } },
+        summary: 'ok',
+      });
+      const game = await createGame({ hostName: playerName, hostId: playerId, mode: 'rapid', maxTurns: 1 });
+      await submitTurn(game.id, { playerName, playerId, text: 'The end.' });
+      await vi.runAllTimersAsync();
+    };
+
+    await playRapid('p1', 'Ada', 60);
+    await playRapid('p2', 'Bo', 80);
+    await playRapid('p1', 'Ada', 90);
+
+    const rapid = await getLeaderboard({ mode: 'rapid' });
+    expect(rapid.board).toMatchObject({ mode: 'rapid', window: 'all', rankedBy: 'topScore', currentSeasonId: '2026-q3' });
+    expect(rapid.leaderboard).toEqual([
+      expect.objectContaining({ userId: 'p1', topScore: 90, averageScore: 75, gamesPlayed: 2, rank: 1 }),
+      expect.objectContaining({ userId: 'p2', topScore: 80, gamesPlayed: 1, rank: 2 }),
+    ]);
+    expect((await getLeaderboard({ mode: 'multi' })).leaderboard).toEqual([]);
+    expect((await getLeaderboard({ window: 'daily' })).leaderboard.map((e) => e.userId)).toEqual(['p1', 'p2']);
+    expect((await getLeaderboard({ mode: 'chess' })).status).toBe(400);
+    expect((await getLeaderboard({ season: '2026-q3', window: 'weekly' })).status).toBe(400);
+    expect((await getLeaderboard({ season: '1999-q1' })).status).toBe(404);
+
+    // A new day (and season) starts empty; the old season keeps its final standings
+    vi.setSystemTime(new Date('2026-10-01T09:00:00.000Z'));
+    await playRapid('p2', 'Bo', 70);
+    expect((await getLeaderboard({ window: 'daily' })).leaderboard.map((e) => e.userId)).toEqual(['p2']);
+    // Same ISO week, so the weekly board carries on across the season change
+    expect((await getLeaderboard({ window: 'weekly' })).leaderboard.map((e) => e.userId)).toEqual(['p1', 'p2']);
+
+    expect(await listSeasons()).toEqual([
+      expect.objectContaining({ id: '2026-q4', name: 'Autumn 2026', status: 'active' }),
+      expect.objectContaining({ id: '2026-q3', name: 'Summer 2026', status: 'archived' }),
+    ]);
+    const archived = await getLeaderboard({ season: '2026-q3', mode: 'rapid' });
+    expect(archived.board.season).toMatchObject({ id: '2026-q3', status: 'archived' });
+    expect(archived.leaderboard.map((e) => [e.userId, e.topScore])).toEqual([
+      ['p1', 90],
+      ['p2', 80],
+    ]);
+    const live = await getLeaderboard({ season: '2026-q4' });
+    expect(live.leaderboard.map((e) => [e.userId, e.topScore])).toEqual([['p2', 70]]);
+  });
+
+  it('keeps lifetime profiles with games per mode, metric averages and words written', async () => {
+    const { createGame, joinGame, startGame, submitTurn, rescoreGame } = await getServices();
+    const { getProfile } = await import('../src/services/profileService.js');
+    const { scoreGame } = await import('../src/services/scoringService.js');
+    scoreGame
+      .mockResolvedValueOnce({ players: { Host: { creativity: 60, cohesion: 70, prompt_fit: 80 } }, summary: 'ok' })
+      .mockResolvedValueOnce({
+        players: {
+          Host: { creativity: 90, cohesion: 80, prompt_fit: 70 },
+          P2: { creativity: 50, cohesion: 50, prompt_fit: 50 },
+        },
+        summary: 'ok',
+      })
+      .mockResolvedValueOnce({ players: { Host: { creativity: 0, cohesion: 0, prompt_fit: 0 } }, summary: 'ok' });
+
+    const rapid = await createGame({ hostName: host.name, hostId: host.id, mode: 'rapid', maxTurns: 1, genre: 'noir' });
+    await submitTurn(rapid.id, { playerName: host.name, playerId: host.id, text: 'One two three.' });
+    await vi.runAllTimersAsync();
+
+    const multi = await createGame({
+      hostName: host.name,
+      hostId: host.id,
+      requiresApproval: false,
+      mode: 'multi',
+      maxTurns: 2,
+      genre: 'noir',
+    });
+    await joinGame(multi.id, { playerName: 'P2', playerId: 'p2' });
+    let state = (await startGame(multi.id, { playerId: host.id })).game;
+    for (const text of ['<p>Four five</p>', 'Six seven eight nine.']) {
+      const player = state.players[state.currentPlayerIndex];
+      state = (await submitTurn(multi.id, { playerName: player.name, playerId: player.id, text })).game;
+    }
+    await vi.runAllTimersAsync();
+    // Re-scoring does not count the game again
+    await rescoreGame(multi.id, { playerId: host.id });
+    await vi.runAllTimersAsync();
+
+    expect((await getProfile('nobody')).status).toBe(404);
+    const { profile } = await getProfile(host.id);
+    expect(profile).toMatchObject({
+      userId: host.id,
+      displayName: 'Host',
+      gamesPlayed: 2,
+      gamesByMode: { rapid: 1, multi: 1 },
+      turnsWritten: 2,
+      wordsWritten: 5,
+      favoriteGenre: 'noir',
+      rating: { ranked: false, ratedGames: 1 },
+    });
+    expect(profile.metrics).toEqual({
+      creativity: { average: 75, best: 90 },
+      cohesion: { average: 75, best: 80 },
+      prompt_fit: { average: 75, best: 80 },
+      total: { average: 75, best: 80 },
+    });
+    expect((await getProfile('p2')).profile).toMatchObject({ gamesPlayed: 1, wordsWritten: 4 });
+  });
+
+  it('unlocks achievements after finished games and keeps when each was earned', async () => {
+    const { createGame, joinGame, startGame, submitTurn } = await getServices();
+    const { getAchievements } = await import('../src/services/profileService.js');
+    const { ACHIEVEMENTS } = await import('../src/services/achievements.js');
+    const { scoreGame } = await import('../src/services/scoringService.js');
+    const scored = (totals) => ({
+      players: Object.fromEntries(
+        Object.entries(totals).map(([name, total]) => [name, { creativity: total, cohesion: total, prompt_fit: total }]),
+      ),
+      summary: 'ok',
+    });
+    const unlockedIds = async (userId) =>
+      (await getAchievements(userId)).achievements.filter((a) => a.unlockedAt).map((a) => a.id);
+
+    vi.setSystemTime(new Date('2026-05-01T12:00:00.000Z'));
+    scoreGame.mockResolvedValueOnce(scored({ Host: 85, 'AI Opponent': 60 }));
+    const single = await createGame({ hostName: host.name, hostId: host.id, mode: 'single', maxTurns: 2 });
+    await submitTurn(single.id, { playerName: host.name, playerId: host.id, text: 'A door creaks open.' });
+    await vi.runAllTimersAsync();
+    expect(await unlockedIds(host.id)).toEqual(['first-story', 'high-scorer', 'ai-slayer']);
+
+    // Ten turns before the clock wins; nothing already earned unlocks twice
+    vi.setSystemTime(new Date('2026-05-02T12:00:00.000Z'));
+    scoreGame.mockResolvedValueOnce(scored({ Host: 90 }));
+    const rapid = await createGame({ hostName: host.name, hostId: host.id, mode: 'rapid', maxTurns: 10 });
+    for (let turn = 0; turn < 10; turn += 1) {
+      await submitTurn(rapid.id, { playerName: host.name, playerId: host.id, text: `Line ${turn}.` });
+    }
+    await vi.runAllTimersAsync();
+
+    scoreGame.mockResolvedValueOnce(scored({ Host: 70, P2: 75 }));
+    const multi = await createGame({ hostName: host.name, hostId: host.id, requiresApproval: false, mode: 'multi', maxTurns: 2 });
+    await joinGame(multi.id, { playerName: 'P2', playerId: 'p2' });
+    let state = (await startGame(multi.id, { playerId: host.id })).game;
+    for (let turn = 0; turn < 2; turn += 1) {
+      const player = state.players[state.currentPlayerIndex];
+      state = (await submitTurn(multi.id, { playerName: player.name, playerId: player.id, text: 'And then.' })).game;
+    }
+    await vi.runAllTimersAsync();
+
+    const { achievements, unlocked, total } = await getAchievements(host.id);
+    expect(total).toBe(ACHIEVEMENTS.length);
+    expect(unlocked).toBe(5);
+    expect(achievements.find((a) => a.id === 'ai-slayer')).toMatchObject({
+      name: 'Machine Breaker',
+      unlockedAt: '2026-05-01T12:00:00.000Z',
+      gameId: single.id,
+    });
+    expect(achievements.find((a) => a.id === 'rapid-survivor')).toMatchObject({ gameId: rapid.id });
+    expect(achievements.find((a) => a.id === 'marathon')).toMatchObject({ gameId: rapid.id });
+    expect(achievements.find((a) => a.id === 'high-scorer').gameId).toBe(single.id);
+    expect(achievements.find((a) => a.id === 'table-topper').unlockedAt).toBeNull();
+    expect(await unlockedIds('p2')).toEqual(['first-story', 'table-topper']);
+    expect(await getAchievements('nobody')).toMatchObject({ unlocked: 0, total: ACHIEVEMENTS.length });
+  });
+
+  it('gives everyone the same daily challenge once, with its own board and streaks', async () => {
+    const { submitTurn, getGameState, getDailyLeaderboard } = await getServices();
+    const { getDailyChallenge, startDailyAttempt } = await import('../src/services/dailyChallengeService.js');
+    const { scoreGame } = await import('../src/services/scoringService.js');
+    const scored = (totals) => ({
+      players: Object.fromEntries(
+        Object.entries(totals).map(([name, total]) => [name, { creativity: total, cohesion: total, prompt_fit: total }]),
+      ),
+      summary: 'ok',
+    });
+    const playSingle = async (total) => {
+      scoreGame.mockResolvedValueOnce(scored({ Host: total, 'AI Opponent': 50 }));
+      const { game } = await startDailyAttempt(host.id, { playerName: host.name, mode: 'single' });
+      for (let turn = 0; turn < 3; turn += 1) {
+        await submitTurn(game.id, { playerName: host.name, playerId: host.id, text: `Host line ${turn}.` });
+        await vi.runAllTimersAsync();
+      }
+      return game;
+    };
+
+    vi.setSystemTime(new Date('2026-04-10T09:00:00.000Z'));
+    const before = await getDailyChallenge(host.id);
+    expect(before).toEqual({
+      challenge: {
+        date: '2026-04-10',
+        genre: 'mystery',
+        initialPrompt: 'INIT-DEFAULT',
+        modes: ['single', 'rapid'],
+        maxTurns: { single: 6, rapid: 20 },
+      },
+      attempt: null,
+      streak: { current: 0, best: 0, lastDate: null },
+    });
+
+    const single = await playSingle(80);
+    expect(single).toMatchObject({ mode: 'single', maxTurns: 6, dailyChallengeId: '2026-04-10', genre: 'mystery' });
+    expect(single.dailyGuidePrompts).toBeUndefined();
+    const again = await startDailyAttempt(host.id, { playerName: host.name, mode: 'rapid' });
+    expect(again).toMatchObject({ status: 409, attempt: { gameId: single.id } });
+    expect((await startDailyAttempt('p2', { playerName: 'P2', mode: 'multi' })).status).toBe(400);
+
+    // Guides come from the day's fixed list, in order, instead of reacting to the story
+    const { info } = await getGameState(single.id, { includeTurns: true });
+    expect(info.turns.map((turn) => turn.promptUsed)).toEqual([
+      'INIT-DEFAULT',
+      ...[1, 2, 3, 4, 5].map((n) => `DAILY-GUIDE-${n}`),
+    ]);
+    expect(aiMocks.guide).not.toHaveBeenCalled();
+    expect(aiMocks.challengeGuides).toHaveBeenCalledTimes(1);
+
+    scoreGame.mockResolvedValueOnce(scored({ P2: 90 }));
+    const { game: rapid } = await startDailyAttempt('p2', { playerName: 'P2', mode: 'rapid' });
+    expect(rapid.initialPrompt).toBe('INIT-DEFAULT');
+    for (let turn = 0; turn < 20; turn += 1) {
+      await submitTurn(rapid.id, { playerName: 'P2', playerId: 'p2', text: `Quick ${turn}.` });
+    }
+    await vi.runAllTimersAsync();
+
+    const board = await getDailyLeaderboard();
+    expect(board.board).toEqual({ date: '2026-04-10', genre: 'mystery', rankedBy: 'topScore' });
+    expect(board.leaderboard.map((row) => [row.userId, row.topScore])).toEqual([['p2', 90], [host.id, 80]]);
+    expect(await getDailyChallenge(host.id)).toMatchObject({
+      attempt: { gameId: single.id, mode: 'single', status: 'finished', score: 80 },
+      streak: { current: 1, best: 1, lastDate: '2026-04-10' },
+    });
+
+    vi.setSystemTime(new Date('2026-04-11T23:00:00.000Z'));
+    expect((await getDailyChallenge(host.id)).attempt).toBeNull();
+    await playSingle(60);
+    expect((await getDailyChallenge(host.id)).streak).toEqual({ current: 2, best: 2, lastDate: '2026-04-11' });
+    expect((await getDailyLeaderboard({ date: '2026-04-11' })).leaderboard.map((row) => row.userId)).toEqual([host.id]);
+
+    // A day without a finished challenge breaks the streak
+    vi.setSystemTime(new Date('2026-04-13T08:00:00.000Z'));
+    expect((await getDailyChallenge(host.id)).streak).toEqual({ current: 0, best: 2, lastDate: '2026-04-11' });
+    expect((await getDailyLeaderboard({ date: '2026-04-31' })).status).toBe(400);
+  });
+
+  it('keeps every finished game in a paginated history with filters and score sorting', async () => {
+    const { createGame, joinGame, startGame, submitTurn, getUserHistory } = await getServices();
+    const { scoreGame } = await import('../src/services/scoringService.js');
+    const scored = (totals) => ({
+      players: Object.fromEntries(
+        Object.entries(totals).map(([name, total]) => [name, { creativity: total, cohesion: total, prompt_fit: total }]),
+      ),
+      summary: 'ok',
+    });
+    const playRapid = async (day, total) => {
+      vi.setSystemTime(new Date(`2026-03-${day}T12:00:00.000Z`));
+      scoreGame.mockResolvedValueOnce(scored({ Host: total }));
+      const game = await createGame({ hostName: host.name, hostId: host.id, mode: 'rapid', maxTurns: 1 });
+      await submitTurn(game.id, { playerName: host.name, playerId: host.id, text: 'The end.' });
+      await vi.runAllTimersAsync();
+      return game.id;
+    };
+
+    // Seven games, more than the old cap of five; the last two finish at the same moment
+    const ids = [];
+    for (const [day, total] of [['01', 50], ['02', 70], ['03', 60], ['04', 70], ['05', 40], ['06', 90]]) {
+      ids.push(await playRapid(day, total));
+    }
+    vi.setSystemTime(new Date('2026-03-06T12:00:00.000Z'));
+    scoreGame.mockResolvedValueOnce(scored({ Host: 80, Guest: 30 }));
+    const multi = await createGame({ hostName: host.name, hostId: host.id, requiresApproval: false, mode: 'multi', maxTurns: 2 });
+    await joinGame(multi.id, { playerName: 'Guest', playerId: 'p2' });
+    let state = (await startGame(multi.id, { playerId: host.id })).game;
+    for (let turn = 0; turn < 2; turn += 1) {
+      const player = state.players[state.currentPlayerIndex];
+      state = (await submitTurn(multi.id, { playerName: player.name, playerId: player.id, text: 'A line.' })).game;
+    }
+    await vi.runAllTimersAsync();
+
+    const readAll = async (options) => {
+      const seen = [];
+      let cursor = null;
+      do {
+        const page = await getUserHistory(host.id, { ...options, limit: 2, cursor });
+        seen.push(...page.games.map((g) => g.gameId));
+        cursor = page.nextCursor;
+      } while (cursor);
+      return seen;
+    };
+
+    const byDate = await readAll({});
+    expect(byDate).toHaveLength(7);
+    expect(new Set(byDate).size).toBe(7);
+    expect(byDate.slice(2)).toEqual([ids[4], ids[3], ids[2], ids[1], ids[0]]);
+
+    // Ties on score page through without repeats or gaps
+    const byScore = await getUserHistory(host.id, { sort: 'score', limit: 10 });
+    expect(byScore.games.map((g) => g.score)).toEqual([90, 80, 70, 70, 60, 50, 40]);
+    expect(await readAll({ sort: 'score' })).toEqual(byScore.games.map((g) => g.gameId));
+    const scoreOf = Object.fromEntries(byScore.games.map((g) => [g.gameId, g.score]));
+    expect((await readAll({ sort: 'score', order: 'asc' })).map((id) => scoreOf[id])).toEqual([40, 50, 60, 70, 70, 80, 90]);
+
+    expect((await getUserHistory(host.id, { mode: 'multi' })).games.map((g) => g.gameId)).toEqual([multi.id]);
+    expect((await getUserHistory(host.id, { coPlayer: 'GUEST' })).games.map((g) => g.gameId)).toEqual([multi.id]);
+    expect((await getUserHistory('p2', { coPlayerId: host.id })).games[0]).toMatchObject({ gameId: multi.id, score: 30 });
+    expect((await getUserHistory(host.id, { from: '2026-03-02', to: '2026-03-03' })).games.map((g) => g.gameId)).toEqual([
+      ids[2],
+      ids[1],
+    ]);
+
+    // A game the judge left the player out of has no score, and still sorts (last) by score
+    vi.setSystemTime(new Date('2026-03-07T12:00:00.000Z'));
+    scoreGame.mockResolvedValueOnce(scored({}));
+    const unscored = await createGame({ hostName: host.name, hostId: host.id, mode: 'rapid', maxTurns: 1 });
+    await submitTurn(unscored.id, { playerName: host.name, playerId: host.id, text: 'The end.' });
+    await vi.runAllTimersAsync();
+    expect((await getUserHistory(host.id, { limit: 1 })).games[0]).toMatchObject({ gameId: unscored.id });
+    expect((await getUserHistory(host.id, { limit: 1 })).games[0].score).toBeUndefined();
+    expect((await readAll({ sort: 'score' })).slice(-2)).toEqual([ids[4], unscored.id]);
+    expect((await readAll({ sort: 'score', order: 'asc' })).slice(-2)).toEqual([ids[5], unscored.id]);
+    expect(
+      (await getUserHistory(host.id, { sort: 'score', from: '2026-03-05', to: '2026-03-07' })).games.map((g) => g.score),
+    ).toEqual([90, 80, 40, undefined]);
+
+    expect((await getUserHistory(host.id, { sort: 'length' })).status).toBe(400);
+    expect((await getUserHistory(host.id, { from: 'yesterday' })).status).toBe(400);
+    const { nextCursor } = await getUserHistory(host.id, { limit: 1 });
+    expect((await getUserHistory(host.id, { sort: 'score', cursor: nextCursor })).error).toBe('Invalid cursor');
+  });
+
+  it('lets players re-run scoring without crediting the leaderboard twice', async () => {
+    const { createGame, submitTurn, rescoreGame } = await getServices();
+    const { scoreGame } = await import('../src/services/scoringService.js');
+    const hostScores = {
+      players: { [host.name]: { creativity: 80, cohesion: 70, prompt_fit: 60 } },
+      summary: 'ok',
+    };
+    scoreGame.mockClear();
+    scoreGame.mockResolvedValueOnce(hostScores).mockResolvedValueOnce(hostScores);
+
+    const game = await createGame({ hostName: host.name, hostId: host.id, mode: 'rapid', maxTurns: 1 });
+    await submitTurn(game.id, { playerName: host.name, playerId: host.id, text: 'The end.' });
+    await vi.runAllTimersAsync();
+
+    expect(await rescoreGame(game.id, { playerId: 'stranger' })).toMatchObject({ status: 403 });
+
+    const requeued = await rescoreGame(game.id, { playerId: host.id });
+    expect(requeued.game.scoringStatus).toBe('pending');
+    await vi.runAllTimersAsync();
+
+    expect(scoreGame).toHaveBeenCalledTimes(2);
+    const { leaderboardRepository, ratingRepository } = await import('../src/repositories/index.js');
+    expect(await leaderboardRepository.get(host.id)).toMatchObject({ gamesPlayed: 1, topScore: 70 });
+    // Solo games are not rated
+    expect(await ratingRepository.get(host.id)).toBeNull();
+  });
 });
@@ -0,0 +1,155 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { createFakeDb } from './fakeFirestore.js';
+
+vi.mock('../src/firebase.js', () => ({ db: createFakeDb() }));
+
+const aiMocks = {
+  available: vi.fn(() => true),
+  chat: vi.fn(),
+};
+
+vi.mock('../src/services/aiService.js', () => ({
+  callChatModel: (...args) => aiMocks.chat(...args),
+  isAiAvailable: (...args) => aiMocks.available(...args),
+}));
+
+const getModules = async () => {
+  const { db } = await import('../src/firebase.js');
+  const { turnRepository } = await import('../src/repositories/index.js');
+  const scoring = await import('../src/services/scoringService.js');
+  return { db, turnRepository, ...scoring };
+};
+
+const game = {
+  id: 'game-1',
+  initialPrompt: 'A lighthouse keeper finds a map washed ashore.',
+  players: [
+    { id: 'u1', name: 'Ada' },
+    { id: 'u2', name: 'Bo' },
+  ],
+};
+
+const turns = [
+  {
+    id: 't1',
+    order: 1,
+    playerName: 'Ada',
+    text: 'The keeper unrolled the map on the lighthouse table and traced a red line toward a reef nobody had charted, whispering the name inked beside it.',
+    promptUsed: game.initialPrompt,
+  },
+  {
+    id: 't2',
+    order: 2,
+    playerName: 'Bo',
+    text: 'Fine.',
+    promptUsed: 'Continue the story, but the map starts singing.',
+  },
+];
+
+const metrics = (overrides = {}) => ({
+  creativity: 71,
+  creativity_note: 'Adds a vivid new hook.',
+  cohesion: 64,
+  cohesion_note: 'Follows the opening closely.',
+  prompt_fit: 58,
+  prompt_fit_note: 'Uses the map from the prompt.',
+  ...overrides,
+});
+
+const validReply = JSON.stringify({
+  players: { Ada: metrics(), Bo: metrics({ creativity: 33, cohesion: 41, prompt_fit: 27 }) },
+  summary: 'A promising start that fizzled.',
+});
+
+describe('scoringService judge pipeline', () => {
+  beforeEach(async () => {
+    const { db, turnRepository } = await getModules();
+    db._reset();
+    aiMocks.available.mockReset().mockReturnValue(true);
+    aiMocks.chat.mockReset();
+    await Promise.all(turns.map((turn) => turnRepository.add(game.id, turn)));
+  });
+
+  it('accepts a valid judge reply and labels it as the model judge', async () => {
+    aiMocks.chat.mockResolvedValueOnce(`Here you go: ${validReply}`);
+    const { scoreGame } = await getModules();
+
+    const scores = await scoreGame(game);
+
+    expect(aiMocks.chat).toHaveBeenCalledTimes(1);
+    expect(scores.judge).toBe('model');
+    expect(scores.summary).toBe('A promising start that fizzled.');
+    expect(scores.players.Ada).toMatchObject({ creativity: 71, cohesion: 64, prompt_fit: 58, momentum: 58 });
+    expect(aiMocks.chat.mock.calls[0][0][1].content).toContain('Score exactly these players, using these exact names: Ada, Bo');
+  });
+
+  it('feeds schema errors back to the model and retries', async () => {
+    aiMocks.chat
+      .mockResolvedValueOnce(JSON.stringify({ players: { Ada: metrics({ creativity: 140 }) }, summary: 'x' }))
+      .mockResolvedValueOnce(validReply);
+    const { scoreGame } = await getModules();
+
+    const scores = await scoreGame(game);
+
+    expect(aiMocks.chat).toHaveBeenCalledTimes(2);
+    const repairPrompt = aiMocks.chat.mock.calls[1][0].at(-1).content;
+    expect(repairPrompt).toContain('"Ada".creativity must be an integer from 0 to 100');
+    expect(repairPrompt).toContain('Missing scores for player "Bo"');
+    expect(scores.judge).toBe('model');
+  });
+
+  it('falls back to the heuristic judge after repeated invalid replies or errors', async () => {
+    aiMocks.chat
+      .mockResolvedValueOnce('not json at all')
+      .mockRejectedValueOnce(new Error('timeout'))
+      .mockResolvedValueOnce(JSON.stringify({ players: { Ada: metrics(), Bo: metrics(), Eve: metrics() }, summary: 'x' }));
+    const { scoreGame } = await getModules();
+
+    const scores = await scoreGame(game);
+
+    expect(aiMocks.chat).toHaveBeenCalledTimes(3);
+    expect(scores.judge).toBe('heuristic');
+    expect(scores.fallbackReason).toBe('invalid_model_output');
+    expect(scores.summary).toBe('Scored by the fallback judge; the AI judge did not return valid scores.');
+    expect(Object.keys(scores.players).sort()).toEqual(['Ada', 'Bo']);
+  });
+
+  it('scores deterministically without a model and caps very short turns', async () => {
+    aiMocks.available.mockReturnValue(false);
+    const { scoreGame, validateJudgeOutput } = await getModules();
+
+    const first = await scoreGame(game);
+    const second = await scoreGame(game);
+
+    expect(aiMocks.chat).not.toHaveBeenCalled();
+    expect(first).toEqual(second);
+    expect(first).toMatchObject({
+      judge: 'heuristic',
+      fallbackReason: 'model_unavailable',
+      summary: 'Scored by the fallback judge; no AI judge is configured.',
+    });
+    ['creativity', 'cohesion', 'prompt_fit'].forEach((metric) => {
+      expect(first.players.Bo[metric]).toBeLessThanOrEqual(40);
+      expect(first.players.Ada[metric]).toBeGreaterThan(first.players.Bo[metric]);
+    });
+    // Fallback output satisfies the same schema as the model's.
+    expect(validateJudgeOutput(JSON.stringify(first), ['Ada', 'Bo']).errors).toEqual([]);
+  });
+
+  it('averages team scores from the turns each player wrote for their team', async () => {
+    aiMocks.chat.mockResolvedValueOnce(validReply);
+    const { db, turnRepository, scoreGame } = await getModules();
+    db._reset();
+    const teamGame = { ...game, id: 'game-2', mode: 'team', teams: [{ id: 'A', name: 'Team A' }, { id: 'B', name: 'Team B' }] };
+    await Promise.all(turns.map((turn, index) => turnRepository.add(teamGame.id, { ...turn, teamId: index ? 'B' : 'A' })));
+
+    const scores = await scoreGame(teamGame);
+
+    expect(aiMocks.chat.mock.calls[0][0][1].content).toContain('Turn 2 by Bo (Team B)');
+    expect(scores.teams).toEqual({
+      A: { name: 'Team A', players: ['Ada'], creativity: 71, cohesion: 64, prompt_fit: 58, total: 64 },
+      B: { name: 'Team B', players: ['Bo'], creativity: 33, cohesion: 41, prompt_fit: 27, total: 34 },
+    });
+    expect(scores.winningTeamId).toBe('A');
+  });
+});
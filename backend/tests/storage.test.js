@@ -0,0 +1,288 @@
+import { describe, it, expect, beforeEach, afterEach, afterAll, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createFakeDb } from './fakeFirestore.js';
+import { createFirestoreStore } from '../src/storage/firestoreStore.js';
+import { createMemoryStore } from '../src/storage/memoryStore.js';
+import { createSqliteStore } from '../src/storage/sqliteStore.js';
+import { createRepositories } from '../src/repositories/index.js';
+
+vi.mock('../src/firebase.js', () => ({ db: createFakeDb() }));
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storygame-storage-'));
+let sqliteFileCount = 0;
+const nextSqliteFile = () => path.join(tmpDir, `store-${(sqliteFileCount += 1)}.sqlite`);
+
+afterAll(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const drivers = [
+  ['firestore', async () => createFirestoreStore(createFakeDb())],
+  ['memory', async () => createMemoryStore()],
+  ['sqlite', async () => createSqliteStore({ filename: nextSqliteFile() })],
+];
+
+const makeGame = (id, overrides = {}) => ({
+  id,
+  status: 'waiting',
+  mode: 'multi',
+  players: [{ id: `${id}-host`, name: 'Host' }],
+  turnDeadline: null,
+  createdAt: '2024-01-01T00:00:00.000Z',
+  ...overrides,
+});
+
+// One contract for every driver: the services only rely on what is exercised here.
+describe.each(drivers)('%s storage contract', (_driverName, createStore) => {
+  let store;
+  let repos;
+
+  beforeEach(async () => {
+    store = await createStore();
+    repos = createRepositories(store);
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  it('saves, reads and merges games', async () => {
+    expect(await repos.games.get('missing')).toBeNull();
+
+    await repos.games.save(makeGame('g1'));
+    await repos.games.merge('g1', { status: 'active', turnDeadline: '2024-01-01T00:01:00.000Z' });
+
+    const game = await repos.games.get('g1');
+    expect(game).toMatchObject({
+      id: 'g1',
+      status: 'active',
+      turnDeadline: '2024-01-01T00:01:00.000Z',
+      players: [{ id: 'g1-host', name: 'Host' }],
+    });
+  });
+
+  it('lists waiting games newest first with createdAt cutoff and limit', async () => {
+    await repos.games.saveMany([
+      makeGame('old', { createdAt: '2024-01-01T00:00:00.000Z' }),
+      makeGame('mid', { createdAt: '2024-01-02T00:00:00.000Z' }),
+      makeGame('new', { createdAt: '2024-01-03T00:00:00.000Z' }),
+      makeGame('started', { status: 'active', createdAt: '2024-01-04T00:00:00.000Z' }),
+    ]);
+
+    expect((await repos.games.listWaiting()).map((g) => g.id)).toEqual(['new', 'mid', 'old']);
+    expect((await repos.games.listWaiting({ limit: 2 })).map((g) => g.id)).toEqual(['new', 'mid']);
+    expect(
+      (await repos.games.listWaiting({ minCreatedAt: '2024-01-02T00:00:00.000Z' })).map((g) => g.id),
+    ).toEqual(['new', 'mid']);
+    expect((await repos.games.listByStatus('active')).map((g) => g.id)).toEqual(['started']);
+  });
+
+  it('finds open lobbies by invite code', async () => {
+    await repos.games.saveMany([
+      makeGame('open', { inviteCode: 'ABC234' }),
+      makeGame('closed', { inviteCode: 'ABC234', status: 'finished' }),
+      makeGame('other', { inviteCode: 'XYZ789' }),
+    ]);
+
+    expect((await repos.games.listWaitingByInviteCode('ABC234')).map((g) => g.id)).toEqual(['open']);
+    expect(await repos.games.listWaitingByInviteCode('NOPE99')).toEqual([]);
+  });
+
+  it('finds games by deadline and skips games without one', async () => {
+    await repos.games.saveMany([
+      makeGame('due', { status: 'active', turnDeadline: '2024-01-01T00:00:30.000Z' }),
+      makeGame('later', { status: 'active', turnDeadline: '2024-01-01T00:05:00.000Z' }),
+      makeGame('none', { status: 'waiting', turnDeadline: null }),
+    ]);
+
+    const due = await repos.games.listWithDeadlineBefore('2024-01-01T00:01:00.000Z');
+    expect(due.map((g) => g.id)).toEqual(['due']);
+  });
+
+  it('lists queued matchmaking entries oldest first', async () => {
+    await repos.matchmaking.save({ userId: 'late', status: 'queued', enqueuedAt: '2024-01-01T00:02:00.000Z' });
+    await repos.matchmaking.save({ userId: 'early', status: 'queued', enqueuedAt: '2024-01-01T00:01:00.000Z' });
+    await repos.matchmaking.save({ userId: 'gone', status: 'cancelled', enqueuedAt: '2024-01-01T00:00:00.000Z' });
+
+    expect((await repos.matchmaking.listQueued()).map((e) => e.userId)).toEqual(['early', 'late']);
+    expect(await repos.matchmaking.get('gone')).toMatchObject({ status: 'cancelled' });
+  });
+
+  it('bulk merges and deletes games', async () => {
+    await repos.games.saveMany([makeGame('a'), makeGame('b'), makeGame('c')]);
+    await repos.games.mergeMany(['a', 'b'], { status: 'finished', endedReason: 'cleanup' });
+
+    expect((await repos.games.listByStatus('finished')).map((g) => g.id).sort()).toEqual(['a', 'b']);
+    expect(await repos.games.get('a')).toMatchObject({ mode: 'multi', endedReason: 'cleanup' });
+
+    await repos.games.deleteAll();
+    expect(await repos.games.listByStatus('waiting')).toEqual([]);
+    expect(await repos.games.get('a')).toBeNull();
+  });
+
+  it('keeps turns per game in order', async () => {
+    await repos.turns.add('g1', { id: 't2', order: 2, text: 'second' });
+    await repos.turns.add('g1', { id: 't1', order: 1, text: 'first' });
+    await repos.turns.add('g2', { id: 't3', order: 1, text: 'other game' });
+
+    expect((await repos.turns.list('g1')).map((t) => t.text)).toEqual(['first', 'second']);
+    expect(await repos.turns.list('missing')).toEqual([]);
+  });
+
+  it('keeps ballots per game and finds games whose voting has closed', async () => {
+    await repos.votes.save('g1', { voterId: 'u1', ranking: ['t2', 't3'] });
+    await repos.votes.save('g1', { voterId: 'u1', ranking: ['t3', 't2'] });
+    await repos.votes.save('g2', { voterId: 'u2', ranking: ['t9'] });
+    expect(await repos.votes.list('g1')).toEqual([{ voterId: 'u1', ranking: ['t3', 't2'] }]);
+    expect(await repos.votes.get('g2', 'u2')).toMatchObject({ ranking: ['t9'] });
+
+    await repos.games.saveMany([
+      makeGame('closed', { status: 'finished', votingClosesAt: '2024-01-01T00:00:30.000Z' }),
+      makeGame('open', { status: 'finished', votingClosesAt: '2024-01-01T00:05:00.000Z' }),
+    ]);
+    const due = await repos.games.listVotingClosedBefore('2024-01-01T00:01:00.000Z');
+    expect(due.map((g) => g.id)).toEqual(['closed']);
+  });
+
+  it('stores profiles and saved games per user', async () => {
+    await repos.users.saveGameSummary('u1', { gameId: 'g1', finishedAt: '2024-01-01T00:00:00.000Z' });
+    await repos.users.saveGameSummary('u1', { gameId: 'g2', finishedAt: '2024-01-02T00:00:00.000Z' });
+    await repos.users.saveGameSummary('u2', { gameId: 'g3', finishedAt: '2024-01-03T00:00:00.000Z' });
+    expect((await repos.users.listHistory('u1')).map((g) => g.id)).toEqual(['g2', 'g1']);
+
+    // The profile sits on the user document itself, beside the savedGames collection
+    await repos.users.saveProfile({ userId: 'u1', gamesPlayed: 2 });
+    expect(await repos.users.getProfile('u1')).toEqual({ userId: 'u1', gamesPlayed: 2 });
+    expect(await repos.users.getProfile('u2')).toBeNull();
+    expect(await repos.users.listHistory('u1')).toHaveLength(2);
+  });
+
+  it('lists ranked leaderboard rows by rating and keeps ratings apart', async () => {
+    await repos.leaderboard.merge('u1', { userId: 'u1', topScore: 90, rating: 1480, ranked: true });
+    await repos.leaderboard.merge('u2', { userId: 'u2', topScore: 40, rating: 1620, ranked: true });
+    await repos.leaderboard.merge('u3', { userId: 'u3', topScore: 70, rating: 1700, ranked: false });
+    await repos.leaderboard.merge('u1', { gamesPlayed: 2 });
+    expect(await repos.leaderboard.get('u1')).toMatchObject({ rating: 1480, ranked: true, gamesPlayed: 2 });
+    expect((await repos.leaderboard.listRanked()).map((e) => e.id)).toEqual(['u2', 'u1']);
+    expect((await repos.leaderboard.listRanked({ limit: 1 })).map((e) => e.id)).toEqual(['u2']);
+
+    await repos.ratings.save({ userId: 'u1', rating: 1480, deviation: 120, gamesRated: 6 });
+    expect(await repos.ratings.get('u1')).toEqual({ userId: 'u1', rating: 1480, deviation: 120, gamesRated: 6 });
+    expect(await repos.ratings.get('u2')).toBeNull();
+  });
+
+  it('keeps standings per board and lists seasons newest first', async () => {
+    await repos.standings.save({ boardId: 'all:rapid', userId: 'u1', topScore: 60 });
+    await repos.standings.save({ boardId: 'all:rapid', userId: 'u2', topScore: 85 });
+    await repos.standings.save({ boardId: 'day-2026-10-01:rapid', userId: 'u1', topScore: 99 });
+    expect((await repos.standings.listBoard('all:rapid')).map((row) => row.userId)).toEqual(['u2', 'u1']);
+    expect(await repos.standings.get('day-2026-10-01:rapid', 'u1')).toMatchObject({ topScore: 99 });
+
+    await repos.seasons.save({ id: '2026-q3', startsAt: '2026-07-01T00:00:00.000Z', status: 'active' });
+    await repos.seasons.save({ id: '2026-q4', startsAt: '2026-10-01T00:00:00.000Z', status: 'active' });
+    await repos.seasons.merge('2026-q3', { status: 'archived', standings: { all: [] } });
+    expect((await repos.seasons.list()).map((season) => season.id)).toEqual(['2026-q4', '2026-q3']);
+    expect((await repos.seasons.listActive()).map((season) => season.id)).toEqual(['2026-q4']);
+  });
+
+  it('lists gallery entries by recency or views', async () => {
+    await repos.gallery.save({ slug: 'old-tale', publishedAt: '2024-01-01T00:00:00.000Z', views: 9 });
+    await repos.gallery.save({ slug: 'new-tale', publishedAt: '2024-01-02T00:00:00.000Z', views: 3 });
+    await repos.gallery.save({ slug: 'mid-tale', publishedAt: '2024-01-01T12:00:00.000Z', views: 5 });
+
+    expect((await repos.gallery.list()).map((e) => e.slug)).toEqual(['new-tale', 'mid-tale', 'old-tale']);
+    expect((await repos.gallery.list({ orderBy: 'views', limit: 2 })).map((e) => e.slug)).toEqual([
+      'old-tale',
+      'mid-tale',
+    ]);
+
+    await repos.gallery.delete('old-tale');
+    expect(await repos.gallery.get('old-tale')).toBeNull();
+    expect(await repos.gallery.get('new-tale')).toMatchObject({ views: 3 });
+  });
+
+  it('commits transaction writes together and returns the callback result', async () => {
+    await repos.games.save(makeGame('g1', { turnsCount: 0 }));
+
+    const result = await repos.runTransaction(async (tx) => {
+      const game = await tx.games.get('g1');
+      tx.games.save({ ...game, turnsCount: 1 });
+      tx.turns.add('g1', { id: 't1', order: 1, text: 'hello' });
+      return { ok: true };
+    });
+
+    expect(result).toEqual({ ok: true });
+    expect((await repos.games.get('g1')).turnsCount).toBe(1);
+    expect(await repos.turns.list('g1')).toHaveLength(1);
+  });
+
+  it('discards transaction writes when the callback throws', async () => {
+    await repos.games.save(makeGame('g1', { turnsCount: 0 }));
+
+    await expect(
+      repos.runTransaction(async (tx) => {
+        const game = await tx.games.get('g1');
+        tx.games.save({ ...game, turnsCount: 5 });
+        throw new Error('boom');
+      }),
+    ).rejects.toThrow('boom');
+
+    expect((await repos.games.get('g1')).turnsCount).toBe(0);
+  });
+
+  it('does not hand out references to stored documents', async () => {
+    const game = makeGame('g1');
+    await repos.games.save(game);
+    game.status = 'mutated';
+
+    const loaded = await repos.games.get('g1');
+    loaded.players.push({ id: 'x', name: 'X' });
+
+    const fresh = await repos.games.get('g1');
+    expect(fresh.status).toBe('waiting');
+    expect(fresh.players).toHaveLength(1);
+  });
+});
+
+describe('local store transactions', () => {
+  it('retries a transaction whose reads changed before it committed', async () => {
+    const repos = createRepositories(createMemoryStore());
+    await repos.games.save(makeGame('g1', { turnsCount: 0 }));
+
+    let attempts = 0;
+    let releaseFirst;
+    const firstRead = new Promise((resolve) => {
+      releaseFirst = resolve;
+    });
+
+    const slow = repos.runTransaction(async (tx) => {
+      attempts += 1;
+      const game = await tx.games.get('g1');
+      if (attempts === 1) await firstRead;
+      tx.games.save({ ...game, turnsCount: game.turnsCount + 1 });
+    });
+
+    await repos.runTransaction(async (tx) => {
+      const game = await tx.games.get('g1');
+      tx.games.save({ ...game, turnsCount: game.turnsCount + 1 });
+    });
+    releaseFirst();
+    await slow;
+
+    expect(attempts).toBe(2);
+    expect((await repos.games.get('g1')).turnsCount).toBe(2);
+  });
+
+  it('sqlite keeps documents in its file across restarts', async () => {
+    const filename = nextSqliteFile();
+    const first = createRepositories(await createSqliteStore({ filename }));
+    await first.games.save(makeGame('persisted', { status: 'active' }));
+    await first.turns.add('persisted', { id: 't1', order: 1, text: 'still here' });
+
+    const reopened = createRepositories(await createSqliteStore({ filename }));
+    expect(await reopened.games.get('persisted')).toMatchObject({ status: 'active' });
+    expect((await reopened.turns.list('persisted'))[0].text).toBe('still here');
+  });
+});
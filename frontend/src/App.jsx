@@ -12,7 +12,12 @@ import SinglePlayer from './pages/SinglePlayer/SinglePlayer'
 import RapidFire from './pages/RapidFire/RapidFire'
 import Leaderboard from './pages/Leaderboard/Leaderboard'
 import History from './pages/History/History'
+import DailyChallenge from './pages/DailyChallenge/DailyChallenge'
 import StoryView from './pages/StoryView/StoryView'
+import Spectate from './pages/Spectate/Spectate'
+import Gallery from './pages/Gallery/Gallery'
+import GalleryStory from './pages/GalleryStory/GalleryStory'
+import Profile from './pages/Profile/Profile'
 
 const queryClient = new QueryClient()
 
@@ -27,6 +32,8 @@ function App() {
                 <Route path="/" element={<Home />} />
                 <Route path="/login" element={<Login />} />
                 <Route path="/leaderboard" element={<Leaderboard />} />
+                <Route path="/gallery" element={<Gallery />} />
+                <Route path="/gallery/:slug" element={<GalleryStory />} />
                 <Route 
                   path="/lobby" 
                   element={
@@ -35,6 +42,14 @@ function App() {
                     </ProtectedRoute>
                   } 
                 />
+                <Route 
+                  path="/join/:code" 
+                  element={
+                    <ProtectedRoute>
+                      <Lobby />
+                    </ProtectedRoute>
+                  } 
+                />
                 <Route 
                   path="/multiplayer" 
                   element={
@@ -59,6 +74,14 @@ function App() {
                     </ProtectedRoute>
                   } 
                 />
+                <Route 
+                  path="/daily" 
+                  element={
+                    <ProtectedRoute>
+                      <DailyChallenge />
+                    </ProtectedRoute>
+                  } 
+                />
                 <Route 
                   path="/history" 
                   element={
@@ -75,6 +98,22 @@ function App() {
                     </ProtectedRoute>
                   } 
                 />
+                <Route 
+                  path="/profile/:userId" 
+                  element={
+                    <ProtectedRoute>
+                      <Profile />
+                    </ProtectedRoute>
+                  } 
+                />
+                <Route 
+                  path="/watch/:gameId" 
+                  element={
+                    <ProtectedRoute>
+                      <Spectate />
+                    </ProtectedRoute>
+                  } 
+                />
               </Routes>
             </Router>
           </MatchProvider>
@@ -0,0 +1,80 @@
+import { useEffect, useState } from 'react'
+import { motion, AnimatePresence } from 'framer-motion'
+import { useQueryClient } from '@tanstack/react-query'
+import { useAchievements } from '../../hooks/useProfile'
+import { useThemeClasses } from '../../hooks/useThemeClasses'
+
+const SEEN_KEY = 'cothread-achievement-toasts'
+const TOAST_MS = 6000
+// Opening an old story later doesn't toast its unlocks
+const RECENT_MS = 15 * 60 * 1000
+
+const seenGameIds = () => {
+  try {
+    return JSON.parse(localStorage.getItem(SEEN_KEY)) || []
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Toasts for the achievements a finished game unlocked. Unlocks are recorded while the
+ * game is scored, so this waits for the game to settle; each game only toasts once.
+ */
+const AchievementToasts = ({ userId, gameId, settled }) => {
+  const themeClasses = useThemeClasses()
+  const queryClient = useQueryClient()
+  const [toasts, setToasts] = useState([])
+  const [settledAt, setSettledAt] = useState(null)
+  const { data, dataUpdatedAt } = useAchievements(userId, { enabled: settled })
+
+  // Anything cached from before the game was scored is out of date
+  useEffect(() => {
+    if (settled) {
+      setSettledAt(Date.now())
+      queryClient.invalidateQueries({ queryKey: ['achievements', userId] })
+    }
+  }, [settled, userId, queryClient])
+
+  useEffect(() => {
+    if (!data || !settledAt || dataUpdatedAt < settledAt || seenGameIds().includes(gameId)) return
+    const unlocked = data.achievements.filter(
+      (achievement) => achievement.gameId === gameId && Date.now() - new Date(achievement.unlockedAt) < RECENT_MS,
+    )
+    localStorage.setItem(SEEN_KEY, JSON.stringify([...seenGameIds(), gameId].slice(-50)))
+    setToasts(unlocked)
+  }, [data, dataUpdatedAt, settledAt, gameId])
+
+  useEffect(() => {
+    if (!toasts.length) return undefined
+    const timer = setTimeout(() => setToasts((current) => current.slice(1)), TOAST_MS)
+    return () => clearTimeout(timer)
+  }, [toasts])
+
+  return (
+    <div className="fixed bottom-6 right-6 z-50 flex flex-col gap-3">
+      <AnimatePresence>
+        {toasts.slice(0, 3).map((achievement) => (
+          <motion.button
+            key={achievement.id}
+            type="button"
+            initial={{ opacity: 0, x: 80 }}
+            animate={{ opacity: 1, x: 0 }}
+            exit={{ opacity: 0, x: 80 }}
+            onClick={() => setToasts((current) => current.filter((toast) => toast.id !== achievement.id))}
+            className={`flex items-center gap-4 rounded-card-lg px-5 py-4 text-left shadow-lg border border-sunbeam-yellow/60 ${themeClasses.card}`}
+          >
+            <span className="text-3xl">{achievement.icon}</span>
+            <span>
+              <span className="block text-xs uppercase tracking-wide text-sunbeam-yellow">Achievement unlocked</span>
+              <span className={`block font-header font-bold ${themeClasses.text}`}>{achievement.name}</span>
+              <span className={`block text-sm ${themeClasses.textSecondary}`}>{achievement.description}</span>
+            </span>
+          </motion.button>
+        ))}
+      </AnimatePresence>
+    </div>
+  )
+}
+
+export default AchievementToasts
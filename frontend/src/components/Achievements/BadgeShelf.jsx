@@ -0,0 +1,31 @@
+import { useThemeClasses } from '../../hooks/useThemeClasses'
+
+/**
+ * Every achievement as a badge; locked ones are greyed out
+ */
+const BadgeShelf = ({ achievements }) => {
+  const themeClasses = useThemeClasses()
+
+  return (
+    <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-4">
+      {achievements.map((achievement) => {
+        const unlocked = !!achievement.unlockedAt
+        return (
+          <div
+            key={achievement.id}
+            title={unlocked ? `Unlocked ${new Date(achievement.unlockedAt).toLocaleDateString()}` : 'Locked'}
+            className={`rounded-lg p-4 text-center border ${
+              unlocked ? 'border-sunbeam-yellow/60' : 'border-transparent opacity-40 grayscale'
+            }`}
+          >
+            <div className="text-4xl mb-2">{achievement.icon}</div>
+            <div className={`font-bold text-sm ${themeClasses.text}`}>{achievement.name}</div>
+            <div className={`text-xs mt-1 ${themeClasses.textSecondary}`}>{achievement.description}</div>
+          </div>
+        )
+      })}
+    </div>
+  )
+}
+
+export default BadgeShelf
@@ -0,0 +1,2 @@
+export { default as AchievementToasts } from './AchievementToasts'
+export { default as BadgeShelf } from './BadgeShelf'
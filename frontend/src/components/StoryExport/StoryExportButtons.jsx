@@ -0,0 +1,58 @@
+import { useState } from 'react'
+import Button from '../Buttons/Button'
+import { gameAPI } from '../../utils/api'
+
+const FORMATS = [
+  { value: 'md', label: 'Markdown' },
+  { value: 'txt', label: 'Text' },
+  { value: 'epub', label: 'EPUB' },
+  { value: 'pdf', label: 'PDF' },
+]
+
+/**
+ * Download buttons for a finished story, one per export format
+ */
+const StoryExportButtons = ({ gameId, attribution = true, className = '' }) => {
+  const [downloading, setDownloading] = useState(null)
+  const [error, setError] = useState(null)
+
+  const handleDownload = async (format) => {
+    if (downloading) return
+    setDownloading(format)
+    setError(null)
+    try {
+      const { blob, filename } = await gameAPI.exportStory(gameId, format, { attribution })
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = filename
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setError(err.message)
+    } finally {
+      setDownloading(null)
+    }
+  }
+
+  return (
+    <div className={className}>
+      <div className="flex flex-wrap gap-2">
+        {FORMATS.map((format) => (
+          <Button
+            key={format.value}
+            variant="ghost"
+            size="sm"
+            disabled={!!downloading}
+            onClick={() => handleDownload(format.value)}
+          >
+            {downloading === format.value ? 'Preparing…' : `⬇ ${format.label}`}
+          </Button>
+        ))}
+      </div>
+      {error && <div className="text-xs text-laser-coral mt-2">{error}</div>}
+    </div>
+  )
+}
+
+export default StoryExportButtons
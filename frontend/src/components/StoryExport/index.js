@@ -0,0 +1 @@
+export { default as StoryExportButtons } from './StoryExportButtons'
@@ -0,0 +1,75 @@
+import Button from '../Buttons/Button'
+import { useThemeClasses } from '../../hooks/useThemeClasses'
+import { GENRE_OPTIONS, TONE_OPTIONS, TWIST_OPTIONS } from './options'
+
+/**
+ * Genre, tone and twist intensity pickers for a new game. The genre can only be chosen
+ * before the game is created (its opening prompt is written then), so `genreLocked`
+ * shows it read-only.
+ */
+const StoryStylePicker = ({ genre, tone, twistIntensity, onChange, disabled = false, genreLocked = false }) => {
+  const themeClasses = useThemeClasses()
+  const selectClass = `w-full rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-mint-pop ${
+    themeClasses.isDark
+      ? 'bg-deep-graphite border border-soft-charcoal text-white'
+      : 'bg-light-card border border-gray-200 text-light-text'
+  }`
+
+  return (
+    <div className="space-y-4">
+      <label className={`block text-sm ${themeClasses.textSecondary}`}>
+        Genre
+        <select
+          value={genre || ''}
+          onChange={(event) => onChange({ genre: event.target.value })}
+          disabled={disabled || genreLocked}
+          className={`${selectClass} mt-1`}
+        >
+          {!genre && <option value="">Unknown</option>}
+          {GENRE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <div>
+        <div className={`text-sm mb-1 ${themeClasses.textSecondary}`}>Tone</div>
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+          {TONE_OPTIONS.map((option) => (
+            <Button
+              key={option.label}
+              variant={(tone || null) === option.value ? 'primary' : 'ghost'}
+              size="sm"
+              onClick={() => onChange({ tone: option.value })}
+              disabled={disabled}
+            >
+              {option.label}
+            </Button>
+          ))}
+        </div>
+      </div>
+
+      <div>
+        <div className={`text-sm mb-1 ${themeClasses.textSecondary}`}>Twists</div>
+        <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+          {TWIST_OPTIONS.map((option) => (
+            <Button
+              key={option.value}
+              variant={twistIntensity === option.value ? 'primary' : 'ghost'}
+              size="sm"
+              onClick={() => onChange({ twistIntensity: option.value })}
+              disabled={disabled}
+            >
+              {option.label}
+            </Button>
+          ))}
+        </div>
+        <div className={`text-xs mt-2 ${themeClasses.textSecondary}`}>
+          {TWIST_OPTIONS.find((option) => option.value === twistIntensity)?.hint}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default StoryStylePicker
@@ -0,0 +1,2 @@
+export { default as StoryStylePicker } from './StoryStylePicker'
+export { describeStoryStyle, GENRE_OPTIONS, SURPRISE_GENRE, TONE_OPTIONS, TWIST_OPTIONS } from './options'
@@ -0,0 +1,46 @@
+export const SURPRISE_GENRE = 'surprise'
+
+export const GENRE_OPTIONS = [
+  { value: SURPRISE_GENRE, label: '🎲 Surprise me' },
+  { value: 'fantasy', label: 'Fantasy' },
+  { value: 'mystery', label: 'Mystery' },
+  { value: 'horror', label: 'Horror' },
+  { value: 'historical', label: 'Historical' },
+  { value: 'sci-fi', label: 'Sci-Fi' },
+  { value: 'romance', label: 'Romance' },
+  { value: 'noir', label: 'Noir' },
+  { value: 'thriller', label: 'Thriller' },
+  { value: 'comedy', label: 'Comedy' },
+  { value: 'adventure', label: 'Adventure' },
+  { value: 'superhero', label: 'Superhero' },
+  { value: 'mythic', label: 'Mythic' },
+]
+
+// `null` leaves the tone to the genre
+export const TONE_OPTIONS = [
+  { value: null, label: 'Any' },
+  { value: 'lighthearted', label: 'Lighthearted' },
+  { value: 'dark', label: 'Dark' },
+  { value: 'whimsical', label: 'Whimsical' },
+]
+
+export const TWIST_OPTIONS = [
+  { value: 'subtle', label: 'Subtle', hint: 'Small, believable complications that fit the story.' },
+  { value: 'moderate', label: 'Moderate', hint: 'Surprising turns that still make sense in hindsight.' },
+  { value: 'bold', label: 'Bold', hint: 'Dramatic reversals that upend the plan.' },
+  { value: 'absurd', label: 'Absurd', hint: 'Wildly out-of-place chaos: rubber ducks, quantum spaghetti.' },
+]
+
+const labelOf = (options, value) => options.find((option) => option.value === value)?.label
+
+/**
+ * One-line summary of a game's story style, e.g. "Noir · Dark · Subtle twists"
+ */
+export const describeStoryStyle = ({ genre, tone, twistIntensity } = {}) =>
+  [
+    labelOf(GENRE_OPTIONS, genre),
+    tone && labelOf(TONE_OPTIONS, tone),
+    `${labelOf(TWIST_OPTIONS, twistIntensity || 'absurd')} twists`,
+  ]
+    .filter(Boolean)
+    .join(' · ')
@@ -14,9 +14,6 @@ export const UserProvider = ({ children }) => {
     username: null,
     email: null,
     avatar: null,
-    score: 0,
-    coins: 0,
-    level: 1,
     isAuthenticated: false,
     loading: true,
   })
@@ -30,9 +27,6 @@ export const UserProvider = ({ children }) => {
           username: firebaseUser.displayName || firebaseUser.email?.split('@')[0] || 'User',
           email: firebaseUser.email,
           avatar: firebaseUser.photoURL,
-          score: 0, // These would come from your database
-          coins: 0,
-          level: 1,
           isAuthenticated: true,
           loading: false,
         })
@@ -42,9 +36,6 @@ export const UserProvider = ({ children }) => {
           username: null,
           email: null,
           avatar: null,
-          score: 0,
-          coins: 0,
-          level: 1,
           isAuthenticated: false,
           loading: false,
         })
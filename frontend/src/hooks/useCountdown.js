@@ -0,0 +1,27 @@
+import { useEffect, useState } from 'react'
+
+/**
+ * Tick a server-provided "seconds remaining" value down locally between updates
+ * @param {number|null} seconds - Latest timeRemainingSeconds from the backend
+ * @param {number} syncedAt - When that value was received (e.g. query dataUpdatedAt)
+ */
+export const useCountdown = (seconds, syncedAt) => {
+  const [remaining, setRemaining] = useState(seconds)
+
+  useEffect(() => {
+    if (typeof seconds !== 'number') {
+      setRemaining(seconds)
+      return undefined
+    }
+    const startedAt = syncedAt || Date.now()
+    const tick = () => {
+      const elapsed = Math.floor((Date.now() - startedAt) / 1000)
+      setRemaining(Math.max(0, seconds - elapsed))
+    }
+    tick()
+    const interval = setInterval(tick, 1000)
+    return () => clearInterval(interval)
+  }, [seconds, syncedAt])
+
+  return remaining
+}
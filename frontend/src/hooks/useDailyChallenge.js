@@ -0,0 +1,29 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { dailyAPI, leaderboardAPI } from '../utils/api'
+
+export const useDailyChallenge = () => {
+  return useQuery({
+    queryKey: ['daily'],
+    queryFn: () => dailyAPI.getChallenge(),
+    staleTime: 30_000,
+  })
+}
+
+export const useDailyLeaderboard = (date = null, limit = 20) => {
+  return useQuery({
+    queryKey: ['leaderboard', 'daily-challenge', date, limit],
+    queryFn: () => leaderboardAPI.getDailyChallengeLeaderboard(limit, date),
+    staleTime: 10_000,
+  })
+}
+
+export const useStartDailyAttempt = () => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: ({ mode, playerName }) => dailyAPI.startAttempt(mode, playerName),
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ['daily'] })
+    },
+  })
+}
@@ -0,0 +1,38 @@
+import { useEffect } from 'react'
+import { useQuery, useQueryClient } from '@tanstack/react-query'
+import { galleryAPI } from '../utils/api'
+
+export const useGallery = (sort = 'recent', limit = 24) => {
+  return useQuery({
+    queryKey: ['gallery', sort, limit],
+    queryFn: () => galleryAPI.listStories(sort, limit),
+    staleTime: 10_000,
+  })
+}
+
+export const usePublishedStory = (slug) => {
+  return useQuery({
+    queryKey: ['gallery', 'story', slug],
+    queryFn: () => galleryAPI.getStory(slug),
+    enabled: !!slug,
+    staleTime: 60_000,
+  })
+}
+
+/**
+ * Count one view per visit to a published story and show the new total
+ * (the server ignores repeat visits from the same reader that day)
+ */
+export const useStoryViewCounter = (slug) => {
+  const queryClient = useQueryClient()
+
+  useEffect(() => {
+    if (!slug) return
+    galleryAPI.recordView(slug)
+      .then(({ views }) => {
+        queryClient.setQueryData(['gallery', 'story', slug], (previous) =>
+          previous?.story ? { ...previous, story: { ...previous.story, views } } : previous)
+      })
+      .catch(() => {})
+  }, [slug, queryClient])
+}
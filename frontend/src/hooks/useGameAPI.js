@@ -3,8 +3,19 @@
  * Provides convenient hooks for fetching and mutating game data
  */
 
-import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import { useInfiniteQuery, useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
 import { gameAPI } from '../utils/api';
+import { useGameEvents, useLobbyEvents } from './useGameEvents';
+
+// Safety-net refresh while an event stream is connected
+const LIVE_HEARTBEAT_MS = 30_000;
+// Fallback poll while a finished game is still being judged
+const SCORING_POLL_MS = 3000;
+
+// Scoring runs as a job after the game finishes (and after any player vote), so finished games may still change
+const isScoringPending = (game) =>
+  ['pending', 'running'].includes(game?.scoringStatus) || game?.votingStatus === 'open';
+const isSettled = (game) => game?.status === 'finished' && !isScoringPending(game);
 
 /**
  * Hook to create a new game
@@ -80,6 +91,21 @@ export const useStartGame = () => {
   });
 };
 
+/**
+ * Claim the open pen in a "claim the pen" game
+ */
+export const useClaimTurn = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ gameId }) => gameAPI.claimTurn(gameId),
+    onSettled: (_data, _error, variables) => {
+      // Refetch on a lost race too, to show who got the pen
+      queryClient.invalidateQueries({ queryKey: ['game', variables.gameId] });
+    },
+  });
+};
+
 /**
  * Hook to update lobby settings (e.g., max players)
  */
@@ -110,6 +136,22 @@ export const useRequestJoin = () => {
   });
 };
 
+/**
+ * Hook to request to join a lobby by invite code
+ */
+export const useJoinByCode = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ code, playerData }) => gameAPI.joinByCode(code, playerData),
+    onSuccess: (data) => {
+      if (data?.game?.id) {
+        queryClient.invalidateQueries({ queryKey: ['game', data.game.id] });
+      }
+    },
+  });
+};
+
 /**
  * Hook for hosts to review join requests
  */
@@ -124,24 +166,92 @@ export const useReviewJoinRequest = () => {
   });
 };
 
+/**
+ * Hook for hosts to kick (or ban, with `ban: true`) a player from their lobby
+ */
+export const useKickPlayer = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ gameId, playerId, ban = false }) =>
+      ban ? gameAPI.banPlayer(gameId, playerId) : gameAPI.kickPlayer(gameId, playerId),
+    onSuccess: (_data, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['game', variables.gameId] });
+      queryClient.invalidateQueries({ queryKey: ['lobbies'] });
+    },
+  });
+};
+
+/**
+ * Hook for hosts to move a player between teams in a team game lobby
+ */
+export const useAssignTeam = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ gameId, playerId, teamId }) => gameAPI.assignTeam(gameId, playerId, teamId),
+    onSuccess: (_data, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['game', variables.gameId] });
+    },
+  });
+};
+
+/**
+ * Hook to register as a spectator of a game
+ */
+export const useSpectateGame = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ gameId, playerName }) => gameAPI.spectateGame(gameId, { playerName }),
+    onSuccess: (_data, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['game', variables.gameId] });
+    },
+  });
+};
+
 /**
  * Hook to fetch game state
- * Automatically polls if game is active
+ * Live updates arrive over the game event stream; polling is only a fallback
+ * (when the stream is down) plus a refetch right after each turn deadline.
  */
 export const useGameState = (gameId, options = {}) => {
-  const { enabled = true, refetchInterval = null, refetchWhileWaiting = false, includeTurns = false } = options;
+  const {
+    enabled = true,
+    refetchInterval = null,
+    refetchWhileWaiting = false,
+    includeTurns = false,
+    live = true,
+  } = options;
+  const queryClient = useQueryClient();
+  const cachedGame = queryClient.getQueryData(['game', gameId])?.game;
+  const isLive = useGameEvents(gameId, {
+    enabled: enabled && live && !!gameId && !isSettled(cachedGame),
+  });
 
   return useQuery({
     queryKey: ['game', gameId],
     queryFn: () => gameAPI.getGameState(gameId, { includeTurns }),
     enabled: enabled && !!gameId,
     refetchInterval: (query) => {
+      const game = query?.state?.data?.game;
+
+      if (isLive) {
+        if (!game || isSettled(game)) return false;
+        // Deadlines are enforced server-side on read, so check back once the timer runs out
+        const seconds = query.state.data?.info?.timeRemainingSeconds;
+        if (typeof seconds !== 'number') return LIVE_HEARTBEAT_MS;
+        const untilDeadline = seconds * 1000 - (Date.now() - query.state.dataUpdatedAt) + 1000;
+        return Math.min(LIVE_HEARTBEAT_MS, Math.max(1000, untilDeadline));
+      }
+
+      if (game?.status === 'finished' && isScoringPending(game)) return SCORING_POLL_MS;
+
       // Explicit interval overrides
       if (typeof refetchInterval === 'function') return refetchInterval(query);
       if (refetchInterval) return refetchInterval;
 
       // Auto-refetch if game is active or if caller wants updates while waiting
-      const game = query?.state?.data?.game;
       if (game && (game.status === 'active' || (refetchWhileWaiting && game.status === 'waiting'))) {
         return 2000; // Poll every 2 seconds
       }
@@ -165,13 +275,15 @@ export const usePollGameState = (gameId, interval = 2000) => {
  * Hook to fetch open multiplayer lobbies
  */
 export const useAvailableLobbies = (options = {}) => {
-  const { enabled = true, refetchInterval = 5000, minCreatedAt = null } = options;
+  const { enabled = true, refetchInterval = 5000, minCreatedAt = null, live = true } = options;
+  const isLive = useLobbyEvents({ enabled: enabled && live });
 
   return useQuery({
     queryKey: ['lobbies', minCreatedAt],
     queryFn: () => gameAPI.listLobbies(undefined, { minCreatedAt }),
     enabled,
-    refetchInterval,
+    // The list also drops stale lobbies server-side, so keep a slow refresh while live
+    refetchInterval: isLive ? LIVE_HEARTBEAT_MS : refetchInterval,
     refetchIntervalInBackground: true,
   });
 };
@@ -192,12 +304,121 @@ export const useAbandonGame = () => {
 };
 
 /**
- * Hook to fetch recent games for a user
+ * Leave a lobby or a game in progress
+ */
+export const useLeaveGame = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ gameId }) => gameAPI.leaveGame(gameId),
+    onSuccess: (_data, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['game', variables.gameId] });
+      queryClient.invalidateQueries({ queryKey: ['lobbies'] });
+    },
+  });
+};
+
+/**
+ * Re-run scoring for a finished game
+ */
+export const useRescoreGame = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ gameId }) => gameAPI.rescoreGame(gameId),
+    onSuccess: (data, variables) => {
+      if (data?.game) {
+        queryClient.setQueryData(['game', variables.gameId], (previous) => ({
+          ...previous,
+          game: data.game,
+          info: { ...previous?.info, scoringStatus: data.game.scoringStatus },
+        }));
+      }
+    },
+  });
+};
+
+/**
+ * Hook to fork a finished story into a new game
  */
-export const useUserHistory = (userId, limit = 5) => {
+export const useForkGame = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ gameId, ...data }) => gameAPI.forkGame(gameId, data),
+    onSuccess: (data) => {
+      queryClient.invalidateQueries({ queryKey: ['game-family'] });
+      if (data?.game?.id) {
+        queryClient.setQueryData(['game', data.game.id], data);
+      }
+    },
+  });
+};
+
+/**
+ * Hook to fetch a story's fork family (the original and all its forks)
+ */
+export const useGameFamily = (gameId) => {
   return useQuery({
-    queryKey: ['user-history', userId, limit],
-    queryFn: () => gameAPI.getUserHistory(userId, limit),
+    queryKey: ['game-family', gameId],
+    queryFn: () => gameAPI.getGameFamily(gameId),
+    enabled: !!gameId,
+    staleTime: 30_000,
+  });
+};
+
+/**
+ * Hook to fetch a finished story's gallery status for the signed-in player
+ */
+export const usePublication = (gameId, options = {}) => {
+  return useQuery({
+    queryKey: ['publication', gameId],
+    queryFn: () => gameAPI.getPublication(gameId),
+    enabled: !!gameId && options.enabled !== false,
+    staleTime: 10_000,
+  });
+};
+
+/**
+ * Hook to agree to (or withdraw from) publishing a story to the gallery
+ */
+export const useSetPublished = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ gameId, publish }) =>
+      publish ? gameAPI.publishStory(gameId) : gameAPI.unpublishStory(gameId),
+    onSuccess: (data, variables) => {
+      queryClient.setQueryData(['publication', variables.gameId], data);
+      queryClient.invalidateQueries({ queryKey: ['gallery'] });
+    },
+  });
+};
+
+/**
+ * Hook to submit a player's ranking in an end-of-game vote
+ */
+export const useCastVote = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ gameId, ranking }) => gameAPI.castVote(gameId, ranking),
+    onSuccess: (_data, variables) => {
+      queryClient.invalidateQueries({ queryKey: ['game', variables.gameId] });
+    },
+  });
+};
+
+/**
+ * Hook to page through a user's finished games
+ * @param {Object} filters - sort, order, mode, from, to, coPlayer (see gameAPI.getUserHistory)
+ */
+export const useUserHistory = (userId, filters = {}, limit = 10) => {
+  return useInfiniteQuery({
+    queryKey: ['user-history', userId, filters, limit],
+    queryFn: ({ pageParam }) => gameAPI.getUserHistory(userId, { ...filters, limit, cursor: pageParam }),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) => lastPage.nextCursor || undefined,
     enabled: !!userId,
     staleTime: 60_000,
   });
@@ -0,0 +1,152 @@
+/**
+ * Live game/lobby updates over Server-Sent Events
+ * Writes pushed events into the React Query cache so pages only poll as a fallback
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { openEventStream } from '../utils/api';
+
+const RECONNECT_DELAY_MS = 5000;
+
+/**
+ * Keep an EventSource open for an endpoint, reopening it with a fresh token if it closes
+ * @returns {boolean} Whether the stream is currently connected
+ */
+const useEventStream = (endpoint, onEvent, enabled = true) => {
+  const [connected, setConnected] = useState(false);
+  // Latest handler, so a new callback each render doesn't reopen the stream
+  const onEventRef = useRef(onEvent);
+
+  useEffect(() => {
+    onEventRef.current = onEvent;
+  });
+
+  useEffect(() => {
+    if (!enabled || !endpoint) {
+      setConnected(false);
+      return undefined;
+    }
+
+    let source = null;
+    let retryTimer = null;
+    let cancelled = false;
+
+    const connect = async () => {
+      try {
+        source = await openEventStream(endpoint);
+      } catch (error) {
+        console.error(`Event stream failed [${endpoint}]:`, error);
+        retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+        return;
+      }
+      if (cancelled) {
+        source.close();
+        return;
+      }
+
+      source.onopen = () => setConnected(true);
+      source.onmessage = (message) => {
+        try {
+          onEventRef.current(JSON.parse(message.data));
+        } catch (error) {
+          console.error(`Bad event payload [${endpoint}]:`, error);
+        }
+      };
+      source.onerror = () => {
+        setConnected(false);
+        // The browser retries on its own unless the server rejected the stream (e.g. expired token)
+        if (source.readyState === EventSource.CLOSED && !cancelled) {
+          retryTimer = setTimeout(connect, RECONNECT_DELAY_MS);
+        }
+      };
+    };
+
+    connect();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(retryTimer);
+      source?.close();
+      setConnected(false);
+    };
+  }, [endpoint, enabled]);
+
+  return connected;
+};
+
+/**
+ * Subscribe to a single game's events and merge them into ['game', gameId]
+ */
+export const useGameEvents = (gameId, { enabled = true } = {}) => {
+  const queryClient = useQueryClient();
+
+  const handleEvent = (event) => {
+    if (!event?.game) return;
+    const queryKey = ['game', event.game.id || gameId];
+    const previous = queryClient.getQueryData(queryKey);
+
+    queryClient.setQueryData(queryKey, {
+      ...previous,
+      game: event.game,
+      info: { ...previous?.info, ...event.info },
+    });
+
+    // Turn history is not part of the event payload; refetch it if this view shows turns
+    if (previous?.info?.turns && ['turn_submitted', 'scores_ready', 'game_finished'].includes(event.type)) {
+      queryClient.invalidateQueries({ queryKey });
+    }
+  };
+
+  return useEventStream(gameId ? `/api/game/${gameId}/events` : null, handleEvent, enabled);
+};
+
+/**
+ * Subscribe to lobby list changes and patch every cached ['lobbies', ...] query
+ */
+export const useLobbyEvents = ({ enabled = true } = {}) => {
+  const queryClient = useQueryClient();
+
+  const handleEvent = (event) => {
+    if (event?.type === 'lobby_updated' && event.lobby) {
+      queryClient.setQueriesData({ queryKey: ['lobbies'] }, (previous) => {
+        if (!previous) return previous;
+        const lobbies = previous.lobbies || [];
+        const exists = lobbies.some((lobby) => lobby.id === event.lobby.id);
+        return {
+          ...previous,
+          lobbies: exists
+            ? lobbies.map((lobby) => (lobby.id === event.lobby.id ? event.lobby : lobby))
+            : [event.lobby, ...lobbies],
+        };
+      });
+    }
+
+    if (event?.type === 'lobby_removed' && event.lobbyId) {
+      queryClient.setQueriesData({ queryKey: ['lobbies'] }, (previous) => {
+        if (!previous) return previous;
+        return {
+          ...previous,
+          lobbies: (previous.lobbies || []).filter((lobby) => lobby.id !== event.lobbyId),
+        };
+      });
+    }
+  };
+
+  return useEventStream('/api/game/lobbies/events', handleEvent, enabled);
+};
+
+/**
+ * Subscribe to the signed-in user's matchmaking events and refresh ['matchmaking']
+ */
+export const useMatchmakingEvents = ({ enabled = true } = {}) => {
+  const queryClient = useQueryClient();
+
+  const handleEvent = (event) => {
+    if (['match_found', 'queue_timeout'].includes(event?.type)) {
+      queryClient.invalidateQueries({ queryKey: ['matchmaking'] });
+    }
+  };
+
+  return useEventStream('/api/matchmaking/events', handleEvent, enabled);
+};
@@ -1,10 +1,19 @@
 import { useQuery } from '@tanstack/react-query'
 import { leaderboardAPI } from '../utils/api'
 
-export const useLeaderboard = (limit = 20) => {
+export const useLeaderboard = (limit = 20, board = {}) => {
+  const { mode = 'all', window = 'all', season = null } = board
   return useQuery({
-    queryKey: ['leaderboard', limit],
-    queryFn: () => leaderboardAPI.getLeaderboard(limit),
+    queryKey: ['leaderboard', limit, mode, window, season],
+    queryFn: () => leaderboardAPI.getLeaderboard(limit, { mode, window, season }),
     staleTime: 10_000,
   })
 }
+
+export const useLeaderboardSeasons = () => {
+  return useQuery({
+    queryKey: ['leaderboard', 'seasons'],
+    queryFn: () => leaderboardAPI.getSeasons(),
+    staleTime: 60_000,
+  })
+}
@@ -0,0 +1,45 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { matchmakingAPI } from '../utils/api'
+import { useMatchmakingEvents } from './useGameEvents'
+
+// Fallback poll while queued, in case the event stream is down
+const QUEUE_POLL_MS = 5000
+
+/**
+ * The signed-in user's quick-play queue entry, or null when they never queued
+ */
+export const useMatchmakingStatus = ({ enabled = true } = {}) => {
+  const query = useQuery({
+    queryKey: ['matchmaking'],
+    // A 404 just means "not queued"
+    queryFn: () => matchmakingAPI.getStatus().catch(() => ({ queue: null })),
+    enabled,
+    refetchInterval: (q) => (q.state.data?.queue?.status === 'queued' ? QUEUE_POLL_MS : false),
+  })
+  const isQueued = query.data?.queue?.status === 'queued'
+  useMatchmakingEvents({ enabled: enabled && isQueued })
+  return query
+}
+
+export const useEnqueueMatchmaking = () => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: (preferences) => matchmakingAPI.enqueue(preferences),
+    onSuccess: (data) => {
+      queryClient.setQueryData(['matchmaking'], data)
+    },
+  })
+}
+
+export const useCancelMatchmaking = () => {
+  const queryClient = useQueryClient()
+
+  return useMutation({
+    mutationFn: () => matchmakingAPI.cancel(),
+    onSettled: () => {
+      // A 409 means a match landed first; refetch to pick up its game id
+      queryClient.invalidateQueries({ queryKey: ['matchmaking'] })
+    },
+  })
+}
@@ -0,0 +1,21 @@
+import { useQuery } from '@tanstack/react-query'
+import { userAPI } from '../utils/api'
+
+export const useProfile = (userId) => {
+  return useQuery({
+    queryKey: ['profile', userId],
+    queryFn: () => userAPI.getProfile(userId),
+    enabled: !!userId,
+    staleTime: 30_000,
+    retry: false,
+  })
+}
+
+export const useAchievements = (userId, { enabled = true } = {}) => {
+  return useQuery({
+    queryKey: ['achievements', userId],
+    queryFn: () => userAPI.getAchievements(userId),
+    enabled: enabled && !!userId,
+    staleTime: 30_000,
+  })
+}
@@ -0,0 +1,165 @@
+import { useNavigate } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import Button from '../../components/Buttons/Button'
+import Card from '../../components/Cards/Card'
+import Container from '../../components/Layout/Container'
+import { AnimatedBackground } from '../../components/Background'
+import { ThemeToggle } from '../../components/ThemeToggle'
+import { useThemeClasses } from '../../hooks/useThemeClasses'
+import { useUser } from '../../context/UserContext'
+import { useDailyChallenge, useDailyLeaderboard, useStartDailyAttempt } from '../../hooks/useDailyChallenge'
+
+const MODES = [
+  { id: 'single', label: 'Versus AI', icon: '⚔️', path: (id) => `/singleplayer?gameId=${id}` },
+  { id: 'rapid', label: 'RapidFire', icon: '⚡', path: (id) => `/rapidfire?gameId=${id}` },
+]
+
+const DailyChallenge = () => {
+  const navigate = useNavigate()
+  const themeClasses = useThemeClasses()
+  const { user } = useUser()
+  const { data, isLoading, isError, error, refetch } = useDailyChallenge()
+  const { data: boardData } = useDailyLeaderboard(data?.challenge?.date)
+  const startMutation = useStartDailyAttempt()
+
+  const challenge = data?.challenge
+  const attempt = data?.attempt
+  const streak = data?.streak
+  const leaderboard = boardData?.leaderboard || []
+  const attemptMode = MODES.find((mode) => mode.id === attempt?.mode)
+
+  const handleStart = (mode) => {
+    startMutation.mutate(
+      { mode: mode.id, playerName: user.username },
+      { onSuccess: (result) => navigate(mode.path(result.game.id)) },
+    )
+  }
+
+  return (
+    <div className={`min-h-screen relative transition-colors ${themeClasses.bg}`}>
+      <div className="absolute top-4 right-4 z-20">
+        <ThemeToggle />
+      </div>
+      <AnimatedBackground variant="default" />
+
+      <Container className="relative z-10">
+        <div className="py-8 space-y-6">
+          <div className="flex justify-between items-center mb-2">
+            <Button variant="ghost" onClick={() => navigate('/')}>
+              ← Back to Home
+            </Button>
+            <h1 className={`text-4xl font-header font-bold ${
+              themeClasses.isDark ? 'gradient-text' : 'text-electric-purple'
+            }`}>
+              🗓️ Daily Challenge
+            </h1>
+            <div className="w-24" />
+          </div>
+
+          {isLoading ? (
+            <div className={`h-64 rounded-lg animate-pulse ${themeClasses.card}`} />
+          ) : isError ? (
+            <Card className="p-8 text-center space-y-4">
+              <p className={`text-lg ${themeClasses.text}`}>Could not load today&apos;s challenge.</p>
+              <p className="text-sm text-red-400">{error?.message || 'Unknown error'}</p>
+              <Button variant="primary" onClick={() => refetch()}>
+                Retry
+              </Button>
+            </Card>
+          ) : (
+            <>
+              <Card className="p-8" hoverable={false}>
+                <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+                  <div className={`text-sm ${themeClasses.textSecondary}`}>
+                    {new Date(`${challenge.date}T00:00:00Z`).toLocaleDateString(undefined, { dateStyle: 'full', timeZone: 'UTC' })}
+                    <span className="ml-3 text-xs bg-electric-purple/20 text-electric-purple px-2 py-1 rounded-full capitalize">
+                      {challenge.genre}
+                    </span>
+                  </div>
+                  <div className="text-right">
+                    <div className="text-2xl font-bold text-sunbeam-yellow">🔥 {streak.current} day{streak.current === 1 ? '' : 's'}</div>
+                    <div className={`text-xs ${themeClasses.textSecondary}`}>best streak {streak.best}</div>
+                  </div>
+                </div>
+                <p className={`text-xl font-header mb-6 ${themeClasses.text}`}>{challenge.initialPrompt}</p>
+
+                {!attempt ? (
+                  <>
+                    <p className={`text-sm mb-4 ${themeClasses.textSecondary}`}>
+                      Everyone gets the same opening and the same twists, in the same order. You get one attempt today.
+                    </p>
+                    <div className="flex flex-wrap gap-4">
+                      {MODES.map((mode) => (
+                        <Button
+                          key={mode.id}
+                          variant="primary"
+                          disabled={startMutation.isPending}
+                          onClick={() => handleStart(mode)}
+                        >
+                          {mode.icon} {mode.label} · {challenge.maxTurns[mode.id]} turns
+                        </Button>
+                      ))}
+                    </div>
+                    {startMutation.isError && (
+                      <div className="text-sm text-laser-coral mt-3">{startMutation.error.message}</div>
+                    )}
+                  </>
+                ) : attempt.status === 'finished' ? (
+                  <div className="flex flex-wrap items-center gap-4">
+                    <span className={themeClasses.text}>
+                      Today&apos;s attempt is in{attempt.score !== null && (
+                        <>: <span className="font-bold text-sunbeam-yellow">{attempt.score} pts</span></>
+                      )}. Come back tomorrow for a new challenge.
+                    </span>
+                    <Button variant="secondary" onClick={() => navigate(`/story/${attempt.gameId}`)}>
+                      Read your story
+                    </Button>
+                  </div>
+                ) : (
+                  <div className="flex flex-wrap items-center gap-4">
+                    <span className={themeClasses.text}>
+                      Your {attemptMode?.label} attempt is underway.
+                    </span>
+                    {attempt.gameId && attemptMode && (
+                      <Button variant="primary" onClick={() => navigate(attemptMode.path(attempt.gameId))}>
+                        Continue →
+                      </Button>
+                    )}
+                  </div>
+                )}
+              </Card>
+
+              <Card className="p-8" hoverable={false}>
+                <h3 className={`text-2xl font-header font-bold mb-4 ${themeClasses.text}`}>Today&apos;s Leaderboard</h3>
+                {leaderboard.length === 0 ? (
+                  <p className={`text-sm ${themeClasses.textSecondary}`}>No scores yet today. Be the first!</p>
+                ) : (
+                  <div className="space-y-2">
+                    {leaderboard.map((entry, index) => (
+                      <motion.div
+                        key={entry.userId}
+                        initial={{ opacity: 0, x: -20 }}
+                        animate={{ opacity: 1, x: 0 }}
+                        transition={{ delay: index * 0.05 }}
+                        onClick={() => navigate(`/profile/${entry.userId}`)}
+                        className={`flex items-center gap-4 p-3 rounded-lg cursor-pointer ${
+                          entry.userId === user.id ? 'bg-mint-pop/10 border border-mint-pop/40' : ''
+                        }`}
+                      >
+                        <span className={`w-8 text-center font-bold ${themeClasses.textSecondary}`}>#{entry.rank}</span>
+                        <span className={`flex-1 font-semibold ${themeClasses.text}`}>{entry.username}</span>
+                        <span className="font-bold text-sunbeam-yellow">{entry.topScore}</span>
+                      </motion.div>
+                    ))}
+                  </div>
+                )}
+              </Card>
+            </>
+          )}
+        </div>
+      </Container>
+    </div>
+  )
+}
+
+export default DailyChallenge
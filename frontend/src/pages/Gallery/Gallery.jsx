@@ -0,0 +1,109 @@
+import { useState } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import Button from '../../components/Buttons/Button'
+import Card from '../../components/Cards/Card'
+import Container from '../../components/Layout/Container'
+import { AnimatedBackground } from '../../components/Background'
+import { ThemeToggle } from '../../components/ThemeToggle'
+import { useThemeClasses } from '../../hooks/useThemeClasses'
+import { useGallery } from '../../hooks/useGallery'
+
+const SORTS = [
+  { id: 'recent', label: 'Recent', icon: '🆕' },
+  { id: 'popular', label: 'Popular', icon: '🔥' },
+]
+
+const Gallery = () => {
+  const navigate = useNavigate()
+  const themeClasses = useThemeClasses()
+  const [sort, setSort] = useState('recent')
+  const { data, isLoading, isError, error, refetch } = useGallery(sort)
+  const stories = data?.stories || []
+
+  return (
+    <div className={`min-h-screen relative transition-colors ${themeClasses.bg}`}>
+      <div className="absolute top-4 right-4 z-20">
+        <ThemeToggle />
+      </div>
+      <AnimatedBackground variant="default" />
+
+      <Container className="relative z-10">
+        <div className="py-8">
+          <div className="flex justify-between items-center mb-8">
+            <Button variant="ghost" onClick={() => navigate('/')}>
+              ← Back to Home
+            </Button>
+            <h1 className={`text-4xl font-header font-bold ${
+              themeClasses.isDark ? 'gradient-text' : 'text-electric-purple'
+            }`}>
+              📚 Story Gallery
+            </h1>
+            <div className="w-24" />
+          </div>
+
+          <div className="flex gap-4 mb-8">
+            {SORTS.map((option) => (
+              <Button
+                key={option.id}
+                variant={sort === option.id ? 'primary' : 'ghost'}
+                onClick={() => setSort(option.id)}
+              >
+                {option.icon} {option.label}
+              </Button>
+            ))}
+          </div>
+
+          {isLoading ? (
+            <div className="grid gap-6 md:grid-cols-2">
+              {[...Array(4)].map((_, idx) => (
+                <div key={idx} className={`h-40 rounded-lg animate-pulse ${themeClasses.card}`} />
+              ))}
+            </div>
+          ) : isError ? (
+            <Card className="p-8 text-center space-y-4">
+              <p className={`text-lg ${themeClasses.text}`}>Could not load the gallery.</p>
+              <p className="text-sm text-red-400">{error?.message || 'Unknown error'}</p>
+              <Button variant="primary" onClick={() => refetch()}>
+                Retry
+              </Button>
+            </Card>
+          ) : stories.length === 0 ? (
+            <Card className="p-8 text-center">
+              <p className={`text-lg ${themeClasses.text}`}>No stories have been published yet.</p>
+            </Card>
+          ) : (
+            <div className="grid gap-6 md:grid-cols-2">
+              {stories.map((story, index) => (
+                <motion.div
+                  key={story.slug}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: index * 0.05 }}
+                >
+                  <Card
+                    className="p-6 h-full cursor-pointer"
+                    onClick={() => navigate(`/gallery/${story.slug}`)}
+                  >
+                    <div className={`text-xs mb-2 ${themeClasses.textSecondary}`}>
+                      {story.mode} · {story.turnsCount} turns · {story.views} view{story.views === 1 ? '' : 's'}
+                    </div>
+                    <p className={`text-sm line-clamp-4 mb-4 ${themeClasses.text}`}>{story.opening}</p>
+                    <div className="text-xs text-mint-pop">
+                      {story.players.join(', ')}
+                    </div>
+                    <div className={`text-xs mt-1 ${themeClasses.textSecondary}`}>
+                      Published {new Date(story.publishedAt).toLocaleDateString()}
+                    </div>
+                  </Card>
+                </motion.div>
+              ))}
+            </div>
+          )}
+        </div>
+      </Container>
+    </div>
+  )
+}
+
+export default Gallery
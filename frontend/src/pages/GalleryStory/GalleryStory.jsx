@@ -0,0 +1,87 @@
+import { useNavigate, useParams } from 'react-router-dom'
+import Button from '../../components/Buttons/Button'
+import Card from '../../components/Cards/Card'
+import Container from '../../components/Layout/Container'
+import { AnimatedBackground } from '../../components/Background'
+import { ThemeToggle } from '../../components/ThemeToggle'
+import { useThemeClasses } from '../../hooks/useThemeClasses'
+import { usePublishedStory, useStoryViewCounter } from '../../hooks/useGallery'
+
+/**
+ * Public, read-only page for a story published to the gallery
+ */
+const GalleryStory = () => {
+  const { slug } = useParams()
+  const navigate = useNavigate()
+  const themeClasses = useThemeClasses()
+  const { data, isLoading, isError, error } = usePublishedStory(slug)
+  useStoryViewCounter(slug)
+  const story = data?.story
+
+  return (
+    <div className={`min-h-screen relative transition-colors ${themeClasses.bg}`}>
+      <div className="absolute top-4 right-4 z-20">
+        <ThemeToggle />
+      </div>
+      <AnimatedBackground variant="default" />
+
+      <Container className="relative z-10 py-8 space-y-6">
+        <Button variant="ghost" onClick={() => navigate('/gallery')}>
+          ← Back to Gallery
+        </Button>
+
+        {isLoading ? (
+          <div className={`h-64 rounded-lg animate-pulse ${themeClasses.card}`} />
+        ) : isError || !story ? (
+          <Card className="p-8 text-center">
+            <p className={`text-lg ${themeClasses.text}`}>This story is not in the gallery.</p>
+            <p className={`text-sm mt-2 ${themeClasses.textSecondary}`}>{error?.message}</p>
+          </Card>
+        ) : (
+          <>
+            <Card className="p-8">
+              <h1 className={`text-3xl font-header font-bold mb-2 ${themeClasses.text}`}>{story.title}</h1>
+              <div className={`text-sm mb-6 ${themeClasses.textSecondary}`}>
+                {story.mode} · {story.date} · {story.views} view{story.views === 1 ? '' : 's'}
+                {story.players.length > 0 && ` · by ${story.players.join(', ')}`}
+              </div>
+              <p className={`italic ${themeClasses.text}`}>{story.opening}</p>
+            </Card>
+
+            <Card className="p-8 space-y-6">
+              {story.turns.map((turn) => (
+                <div key={turn.order}>
+                  <div className="text-xs uppercase tracking-wide text-mint-pop mb-1">
+                    Turn {turn.order}
+                    {turn.author && ` · ${turn.author}`}
+                    {turn.team && ` · ${turn.team}`}
+                  </div>
+                  <p className={`whitespace-pre-wrap ${themeClasses.text}`}>{turn.text}</p>
+                </div>
+              ))}
+            </Card>
+
+            {story.results && (
+              <Card className="p-8">
+                <h3 className={`text-2xl font-header font-bold mb-4 ${themeClasses.text}`}>Results</h3>
+                {story.results.summary && (
+                  <p className={`text-sm mb-4 ${themeClasses.textSecondary}`}>{story.results.summary}</p>
+                )}
+                <div className="space-y-2">
+                  {[...story.results.teams, ...story.results.players].map((row) => (
+                    <div key={row.name} className={`flex justify-between ${themeClasses.text}`}>
+                      <span>{row.name}</span>
+                      <span className="font-bold text-sunbeam-yellow">{row.total}</span>
+                    </div>
+                  ))}
+                </div>
+              </Card>
+            )}
+          </>
+        )}
+      </Container>
+    </div>
+  )
+}
+
+export default GalleryStory
@@ -1,6 +1,8 @@
+import { useEffect, useRef, useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import Button from '../../components/Buttons/Button'
+import { StoryExportButtons } from '../../components/StoryExport'
 import Card from '../../components/Cards/Card'
 import Container from '../../components/Layout/Container'
 import { AnimatedBackground } from '../../components/Background'
@@ -9,13 +11,70 @@ import { useThemeClasses } from '../../hooks/useThemeClasses'
 import { useUser } from '../../context/UserContext'
 import { useUserHistory } from '../../hooks/useGameAPI'
 
+const SORTS = [
+  { id: 'date-desc', label: 'Newest', icon: '🆕', sort: 'date', order: 'desc' },
+  { id: 'date-asc', label: 'Oldest', icon: '🕰️', sort: 'date', order: 'asc' },
+  { id: 'score-desc', label: 'Top score', icon: '⭐', sort: 'score', order: 'desc' },
+]
+
+const MODES = [
+  { id: '', label: 'All modes' },
+  { id: 'single', label: 'Single Player' },
+  { id: 'multi', label: 'Multiplayer' },
+  { id: 'team', label: 'Team Game' },
+  { id: 'rapid', label: 'RapidFire' },
+]
+
 const History = () => {
   const navigate = useNavigate()
   const themeClasses = useThemeClasses()
   const { user } = useUser()
-  const { data, isLoading, isError } = useUserHistory(user?.id, 5)
+  const [sortId, setSortId] = useState('date-desc')
+  const [mode, setMode] = useState('')
+  const [from, setFrom] = useState('')
+  const [to, setTo] = useState('')
+  const [coPlayerInput, setCoPlayerInput] = useState('')
+  const [coPlayer, setCoPlayer] = useState('')
+  const { sort, order } = SORTS.find((option) => option.id === sortId)
+  const {
+    data,
+    isLoading,
+    isError,
+    fetchNextPage,
+    hasNextPage,
+    isFetchingNextPage,
+  } = useUserHistory(user?.id, { sort, order, mode, from, to, coPlayer })
+  const loadMoreRef = useRef(null)
+
+  const historyItems = data?.pages.flatMap((page) => page.games) || []
+  const hasFilters = mode || from || to || coPlayer
+
+  // Fetch the next page as the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current
+    if (!sentinel || !hasNextPage) return undefined
+    const observer = new IntersectionObserver(([entry]) => {
+      if (entry.isIntersecting && !isFetchingNextPage) {
+        fetchNextPage()
+      }
+    }, { rootMargin: '200px' })
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage])
 
-  const historyItems = data?.games || []
+  const clearFilters = () => {
+    setMode('')
+    setFrom('')
+    setTo('')
+    setCoPlayerInput('')
+    setCoPlayer('')
+  }
+
+  const inputClass = `rounded-lg px-3 py-1 text-sm focus:outline-none focus:border-mint-pop ${
+    themeClasses.isDark
+      ? 'bg-deep-graphite border border-soft-charcoal text-white'
+      : 'bg-light-card border border-gray-200 text-light-text'
+  }`
 
   const stripHtml = (value) => {
     if (typeof value !== 'string') return value
@@ -24,6 +83,7 @@ const History = () => {
 
   const getModeIcon = (mode) => {
     if (mode === 'multi' || mode === 'Multiplayer') return '👥'
+    if (mode === 'team') return '🤝'
     if (mode === 'rapid' || mode === 'RapidFire') return '⚡'
     return '⚔️'
   }
@@ -80,8 +140,61 @@ const History = () => {
           {!user?.id && (
             <Card className="p-6">
               <div className="text-center">
-                <div className="text-lg font-semibold">Sign in to view your recent games</div>
-                <p className={themeClasses.textSecondary}>We show the last 5 games linked to your Google account.</p>
+                <div className="text-lg font-semibold">Sign in to view your games</div>
+                <p className={themeClasses.textSecondary}>We keep every game you finish with your Google account.</p>
+              </div>
+            </Card>
+          )}
+
+          {user?.id && (
+            <Card className="p-4 mb-6 space-y-4">
+              <div className="flex flex-wrap gap-2">
+                {SORTS.map((option) => (
+                  <Button
+                    key={option.id}
+                    size="sm"
+                    variant={sortId === option.id ? 'primary' : 'ghost'}
+                    onClick={() => setSortId(option.id)}
+                  >
+                    {option.icon} {option.label}
+                  </Button>
+                ))}
+              </div>
+              <div className={`flex flex-wrap items-center gap-3 text-sm ${themeClasses.textSecondary}`}>
+                <select value={mode} onChange={(event) => setMode(event.target.value)} className={inputClass}>
+                  {MODES.map((option) => (
+                    <option key={option.id} value={option.id}>{option.label}</option>
+                  ))}
+                </select>
+                <label className="flex items-center gap-2">
+                  From
+                  <input type="date" value={from} max={to || undefined} onChange={(event) => setFrom(event.target.value)} className={inputClass} />
+                </label>
+                <label className="flex items-center gap-2">
+                  To
+                  <input type="date" value={to} min={from || undefined} onChange={(event) => setTo(event.target.value)} className={inputClass} />
+                </label>
+                <form
+                  className="flex items-center gap-2"
+                  onSubmit={(event) => {
+                    event.preventDefault()
+                    setCoPlayer(coPlayerInput.trim())
+                  }}
+                >
+                  <input
+                    type="text"
+                    value={coPlayerInput}
+                    onChange={(event) => setCoPlayerInput(event.target.value)}
+                    onBlur={() => setCoPlayer(coPlayerInput.trim())}
+                    placeholder="Played with…"
+                    className={`w-36 ${inputClass}`}
+                  />
+                </form>
+                {hasFilters && (
+                  <Button size="sm" variant="ghost" onClick={clearFilters}>
+                    Clear filters
+                  </Button>
+                )}
               </div>
             </Card>
           )}
@@ -96,19 +209,21 @@ const History = () => {
               )}
               {!isLoading && !isError && historyItems.length === 0 && (
                 <Card className="p-6 text-center">
-                  <div className="text-lg font-semibold">No games yet</div>
-                  <p className={themeClasses.textSecondary}>Finish a game to see it here.</p>
+                  <div className="text-lg font-semibold">{hasFilters ? 'No games match these filters' : 'No games yet'}</div>
+                  <p className={themeClasses.textSecondary}>
+                    {hasFilters ? 'Try a wider date range or another mode.' : 'Finish a game to see it here.'}
+                  </p>
                 </Card>
               )}
               {historyItems.map((item, index) => {
-                const modeLabel = item.mode === 'multi' ? 'Multiplayer' : item.mode === 'rapid' ? 'RapidFire' : 'Single Player'
+                const modeLabel = item.mode === 'multi' ? 'Multiplayer' : item.mode === 'team' ? 'Team Game' : item.mode === 'rapid' ? 'RapidFire' : 'Single Player'
                 const created = item.finishedAt || item.createdAt
                 const preview = stripHtml(item.turns?.[0]?.text || item.summary) || 'Story preview unavailable.'
                 const players = item.playerCount || Object.keys(item.scores || {}).length || '—'
                 const playerScores = item.scores || {}
                 const userKey = item.playerName || user?.username
                 const myScoreEntry = userKey && playerScores[userKey] ? playerScores[userKey] : null
-                const myScore = myScoreEntry
+                const myScore = item.score ?? (myScoreEntry
                   ? Math.round(
                       myScoreEntry.total ??
                       (
@@ -117,7 +232,7 @@ const History = () => {
                         (Number(myScoreEntry.prompt_fit ?? myScoreEntry.promptFit ?? myScoreEntry.momentum) || 0)
                       ) / 3
                     )
-                  : null
+                  : null)
                 const scoreDisplay = myScore ?? (playerScores
                   ? Math.round(Object.values(playerScores).reduce((acc, s) => acc + (Number(s?.total) || 0), 0))
                   : null)
@@ -128,7 +243,7 @@ const History = () => {
                     key={item.id}
                     initial={{ opacity: 0, y: 20 }}
                     animate={{ opacity: 1, y: 0 }}
-                    transition={{ delay: index * 0.05 }}
+                    transition={{ delay: (index % 10) * 0.05 }}
                   >
                     <Card className="p-6 hover:scale-[1.02] transition-transform">
                       <div className="flex items-start gap-6">
@@ -161,6 +276,7 @@ const History = () => {
                               </span>
                             )}
                           </div>
+                          <StoryExportButtons gameId={item.gameId || item.id} className="mt-4" />
                         </div>
                         <Button
                           variant="secondary"
@@ -173,6 +289,13 @@ const History = () => {
                   </motion.div>
                 )
               })}
+              {hasNextPage && (
+                <div ref={loadMoreRef} className="flex justify-center pt-2">
+                  <Button variant="ghost" disabled={isFetchingNextPage} onClick={() => fetchNextPage()}>
+                    {isFetchingNextPage ? 'Loading more…' : 'Load more'}
+                  </Button>
+                </div>
+              )}
             </div>
           )}
         </div>
@@ -59,11 +59,15 @@ const Home = () => {
                 className="w-10 h-10 rounded-full border-2 border-electric-purple"
               />
             )}
-            <span className={`hidden md:block font-header ${
-              isDark ? 'text-white' : 'text-light-text'
-            }`}>
+            <button
+              type="button"
+              onClick={() => navigate(`/profile/${user.id}`)}
+              className={`hidden md:block font-header hover:underline ${
+                isDark ? 'text-white' : 'text-light-text'
+              }`}
+            >
               {user.username}
-            </span>
+            </button>
             <Button
               variant="ghost"
               size="sm"
@@ -250,12 +254,24 @@ const Home = () => {
           animate={{ opacity: 1 }}
           transition={{ delay: 0.5 }}
         >
+          <Button
+            variant="ghost"
+            onClick={() => navigate('/daily')}
+          >
+            🗓️ Daily Challenge
+          </Button>
           <Button
             variant="ghost"
             onClick={() => navigate('/leaderboard')}
           >
             🏆 Leaderboard
           </Button>
+          <Button
+            variant="ghost"
+            onClick={() => navigate('/gallery')}
+          >
+            📚 Gallery
+          </Button>
           <Button
             variant="ghost"
             onClick={() => navigate('/history')}
@@ -8,29 +8,48 @@ import Container from '../../components/Layout/Container'
 import { AnimatedBackground } from '../../components/Background'
 import { ThemeToggle } from '../../components/ThemeToggle'
 import { useThemeClasses } from '../../hooks/useThemeClasses'
-import { useLeaderboard } from '../../hooks/useLeaderboard'
+import { useLeaderboard, useLeaderboardSeasons } from '../../hooks/useLeaderboard'
 import { useUser } from '../../context/UserContext'
 
 const Leaderboard = () => {
   const navigate = useNavigate()
   const themeClasses = useThemeClasses()
   const { user } = useUser()
-  const [activeTab, setActiveTab] = useState('global')
-  const { data, isLoading, isError, error, refetch, isFetching } = useLeaderboard(20)
+  const [mode, setMode] = useState('all')
+  // A time window ('all', 'weekly', 'daily') or `season:<id>`
+  const [period, setPeriod] = useState('all')
+  const season = period.startsWith('season:') ? period.slice('season:'.length) : null
+  const { data, isLoading, isError, error, refetch, isFetching } = useLeaderboard(20, {
+    mode,
+    window: season ? 'all' : period,
+    season,
+  })
+  const { data: seasonsData } = useLeaderboardSeasons()
 
-  const tabs = [
-    { id: 'global', label: 'Global', icon: '🌍', available: true },
-    { id: 'friends', label: 'Friends', icon: '👥', available: false },
-    { id: 'weekly', label: 'Weekly', icon: '📅', available: false },
-    { id: 'rapidfire', label: 'RapidFire', icon: '⚡', available: false },
+  const modeTabs = [
+    { id: 'all', label: 'All Modes', icon: '🌍' },
+    { id: 'multi', label: 'Multiplayer', icon: '👥' },
+    { id: 'single', label: 'Single Player', icon: '🤖' },
+    { id: 'rapid', label: 'RapidFire', icon: '⚡' },
+    { id: 'team', label: 'Teams', icon: '🤝' },
   ]
 
-  const leaderboardEntries = useMemo(
+  const periodTabs = [
+    { id: 'all', label: 'All Time', icon: '♾️' },
+    { id: 'weekly', label: 'This Week', icon: '📅' },
+    { id: 'daily', label: 'Today', icon: '☀️' },
+    ...(seasonsData?.seasons || []).map((entry) => ({
+      id: `season:${entry.id}`,
+      label: entry.name,
+      icon: entry.status === 'active' ? '🏁' : '🗄️',
+    })),
+  ]
+
+  const currentData = useMemo(
     () => data?.leaderboard || [],
     [data]
   )
-
-  const currentData = activeTab === 'global' ? leaderboardEntries : []
+  const rankedByRating = data?.board?.rankedBy === 'rating'
 
   const isCurrentUser = (entry) => {
     if (!user) return false
@@ -95,20 +114,37 @@ const Leaderboard = () => {
           </div>
 
           {/* Tabs */}
-          <div className="flex gap-4 mb-8 overflow-x-auto">
-            {tabs.map((tab) => (
+          <div className="flex gap-4 mb-4 overflow-x-auto">
+            {modeTabs.map((tab) => (
+              <Button
+                key={tab.id}
+                variant={mode === tab.id ? 'primary' : 'ghost'}
+                onClick={() => setMode(tab.id)}
+                className="whitespace-nowrap"
+              >
+                {tab.icon} {tab.label}
+              </Button>
+            ))}
+          </div>
+          <div className="flex gap-2 mb-8 overflow-x-auto">
+            {periodTabs.map((tab) => (
               <Button
                 key={tab.id}
-                variant={activeTab === tab.id ? 'primary' : 'ghost'}
-                onClick={() => tab.available && setActiveTab(tab.id)}
+                size="sm"
+                variant={period === tab.id ? 'secondary' : 'ghost'}
+                onClick={() => setPeriod(tab.id)}
                 className="whitespace-nowrap"
-                disabled={!tab.available}
               >
                 {tab.icon} {tab.label}
-                {!tab.available && <span className="ml-1 text-xs opacity-70">(soon)</span>}
               </Button>
             ))}
           </div>
+          <p className={`text-sm mb-4 ${themeClasses.textSecondary}`}>
+            {rankedByRating
+              ? 'Ranked by skill rating from multiplayer games.'
+              : 'Ranked by best single-game score on this board.'}
+            {data?.board?.season?.status === 'archived' && ' Final standings for a finished season.'}
+          </p>
 
           {/* Leaderboard */}
           <Card className="p-8">
@@ -132,8 +168,10 @@ const Leaderboard = () => {
             ) : currentData.length === 0 ? (
               <div className="text-center">
                 <p className={`text-lg ${themeClasses.text}`}>No leaderboard entries yet.</p>
-                {activeTab !== 'global' && (
-                  <p className="text-sm text-mint-pop mt-2">This view is coming soon.</p>
+                {rankedByRating && (
+                  <p className={`text-sm mt-2 ${themeClasses.textSecondary}`}>
+                    Players are ranked by skill rating once they have played a few multiplayer games.
+                  </p>
                 )}
               </div>
             ) : (
@@ -144,8 +182,9 @@ const Leaderboard = () => {
                     initial={{ opacity: 0, x: -20 }}
                     animate={{ opacity: 1, x: 0 }}
                     transition={{ delay: index * 0.05 }}
+                    onClick={() => user?.isAuthenticated && navigate(`/profile/${entry.userId}`)}
                     className={`
-                      flex items-center gap-6 p-6 rounded-lg
+                      flex items-center gap-6 p-6 rounded-lg ${user?.isAuthenticated ? 'cursor-pointer' : ''}
                       ${isCurrentUser(entry) 
                         ? 'bg-gradient-purple-mint bg-opacity-20 border-2 border-mint-pop' 
                         : themeClasses.card
@@ -165,10 +204,21 @@ const Leaderboard = () => {
                       </div>
                       <div className={`text-xs ${themeClasses.textSecondary}`}>
                         {entry.gamesPlayed} game{entry.gamesPlayed === 1 ? '' : 's'}
+                        {entry.teamGames > 0 && ` · ${entry.teamWins}/${entry.teamGames} team wins`}
+                        {rankedByRating
+                          ? ` · best game ${Math.round(entry.topScore || 0)}`
+                          : ` · average ${Math.round(entry.averageScore || 0)}`}
                       </div>
                     </div>
-                    <div className="text-2xl font-decorative font-bold text-sunbeam-yellow">
-                      {Math.round(entry.topScore || 0).toLocaleString()}
+                    <div className="text-right">
+                      <div className="text-2xl font-decorative font-bold text-sunbeam-yellow">
+                        {Math.round((rankedByRating ? entry.rating : entry.topScore) || 0).toLocaleString()}
+                      </div>
+                      {rankedByRating && (
+                        <div className={`text-xs ${themeClasses.textSecondary}`}>
+                          ± {entry.ratingDeviation} · {entry.ratedGames} rated
+                        </div>
+                      )}
                     </div>
                   </motion.div>
                 ))}
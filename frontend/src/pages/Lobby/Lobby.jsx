@@ -1,5 +1,5 @@
-import { useState, useEffect } from 'react'
-import { useNavigate, useSearchParams } from 'react-router-dom'
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { useNavigate, useParams, useSearchParams } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import Card from '../../components/Cards/Card'
 import Button from '../../components/Buttons/Button'
@@ -9,9 +9,32 @@ import { AnimatedBackground } from '../../components/Background'
 import { ThemeToggle } from '../../components/ThemeToggle'
 import { useTheme } from '../../context/ThemeContext'
 import { useUser } from '../../context/UserContext'
-import { useCreateGame, useGameState, useStartGame, useRequestJoin, useReviewJoinRequest, useAvailableLobbies, useAbandonGame, useUpdateGameSettings } from '../../hooks/useGameAPI'
+import { useCreateGame, useGameState, useStartGame, useRequestJoin, useReviewJoinRequest, useAvailableLobbies, useAbandonGame, useUpdateGameSettings, useLeaveGame, useKickPlayer, useJoinByCode, useAssignTeam } from '../../hooks/useGameAPI'
+import { useCancelMatchmaking, useEnqueueMatchmaking, useMatchmakingStatus } from '../../hooks/useMatchmaking'
 import { useMatch } from '../../context/MatchContext'
 import { useThemeClasses } from '../../hooks/useThemeClasses'
+import { getAuthHeaders } from '../../utils/api'
+import { StoryStylePicker, describeStoryStyle, SURPRISE_GENRE } from '../../components/StoryStyle'
+
+const TURN_ORDER_OPTIONS = [
+  { value: 'round_robin', label: 'Round Robin', hint: 'Everyone writes in seat order, every round.' },
+  { value: 'shuffled', label: 'Shuffled', hint: 'The order is reshuffled at the start of each round.' },
+  { value: 'snake', label: 'Snake', hint: 'The order reverses each round, so the last writer goes again first.' },
+  { value: 'claim', label: 'Claim the Pen', hint: 'First to claim writes next, up to an even share of the turns.' },
+]
+
+const TEAM_STORY_OPTIONS = [
+  { value: 'shared', label: 'Shared Story', hint: 'Both teams take turns on one story.' },
+  { value: 'parallel', label: 'Parallel Stories', hint: 'Each team writes its own story from the same opening.' },
+]
+
+const SCORING_OPTIONS = [
+  { value: 'ai', label: 'AI Judge', hint: 'The AI judge scores every turn once the story ends.' },
+  { value: 'votes', label: 'Player Votes', hint: "Players rank each other's turns when the story ends." },
+  { value: 'blend', label: 'Blend', hint: 'Player votes and the AI judge share the final score.' },
+]
+
+const VOTE_WEIGHT_OPTIONS = [25, 50, 75]
 
 const Lobby = () => {
   const navigate = useNavigate()
@@ -23,9 +46,25 @@ const Lobby = () => {
   const isDark = theme === 'dark'
   
   const gameId = searchParams.get('gameId')
+  const { code: inviteCodeParam } = useParams()
   
   const [timeLimit, setTimeLimit] = useState(10) // minutes
   const [maxPlayers, setMaxPlayers] = useState(4)
+  const [allowSpectators, setAllowSpectators] = useState(true)
+  const [visibility, setVisibility] = useState('public')
+  const [turnOrder, setTurnOrder] = useState('round_robin')
+  const [teamStory, setTeamStory] = useState('shared')
+  const [scoringMethod, setScoringMethod] = useState('ai')
+  const [voteWeight, setVoteWeight] = useState(50)
+  const [genre, setGenre] = useState(SURPRISE_GENRE)
+  const [tone, setTone] = useState(null)
+  const [twistIntensity, setTwistIntensity] = useState('absurd')
+  const [codeInput, setCodeInput] = useState('')
+  const [linkCopied, setLinkCopied] = useState(false)
+  const [quickPlayers, setQuickPlayers] = useState(3)
+  const [quickTurnSeconds, setQuickTurnSeconds] = useState(60)
+  const usedInviteCode = useRef(null)
+  const sawQueued = useRef(false)
   
   const createGameMutation = useCreateGame()
   const startGameMutation = useStartGame()
@@ -33,6 +72,13 @@ const Lobby = () => {
   const requestJoinMutation = useRequestJoin()
   const reviewJoinMutation = useReviewJoinRequest()
   const abandonGameMutation = useAbandonGame()
+  const leaveGameMutation = useLeaveGame()
+  const kickPlayerMutation = useKickPlayer()
+  const assignTeamMutation = useAssignTeam()
+  const joinByCodeMutation = useJoinByCode()
+  const enqueueMutation = useEnqueueMatchmaking()
+  const cancelQueueMutation = useCancelMatchmaking()
+  const { data: matchmakingData } = useMatchmakingStatus({ enabled: !!user.id })
   const { data: lobbiesData, isLoading: isLoadingLobbies } = useAvailableLobbies({
     enabled: true,
     refetchInterval: 4000,
@@ -52,11 +98,19 @@ const Lobby = () => {
   const isHost = gameData?.game?.hostId === user.id
   const isPlayer = players.some(p => p.id === user.id)
   const isFull = gameInfo?.isFull || false
-  const canStart = players.length >= 2 && isHost && game?.status === 'waiting'
+  const isTeamGame = game?.mode === 'team'
+  const teams = game?.teams || []
+  const teamsReady = !isTeamGame || teams.every(team => team.playerIds.length > 0)
+  const canStart = players.length >= 2 && teamsReady && isHost && game?.status === 'waiting'
   const myPendingRequest = pendingRequests.find(req => req.playerId === user.id)
   const canEditLobbySettings = isHost && game?.status === 'waiting'
+  const canToggleSpectators = isHost && !!game && game.status !== 'finished'
   const displayMaxPlayers = canEditLobbySettings ? maxPlayers : game?.maxPlayers || maxPlayers
   const waitingForApproval = !isHost && !isPlayer && !!myPendingRequest
+  const isBanned = (game?.bannedPlayerIds || []).includes(user.id)
+  const queue = matchmakingData?.queue
+  const isSearching = queue?.status === 'queued'
+  const inviteLink = game?.inviteCode ? `${window.location.origin}/join/${game.inviteCode}` : ''
   const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001'
 
   // Keep maxPlayers in sync with server once the game loads
@@ -66,13 +120,67 @@ const Lobby = () => {
     }
   }, [game?.maxPlayers])
 
+  useEffect(() => {
+    if (game?.visibility) {
+      setVisibility(game.visibility)
+    }
+  }, [game?.visibility])
+
+  useEffect(() => {
+    if (game?.turnOrder) {
+      setTurnOrder(game.turnOrder)
+    }
+  }, [game?.turnOrder])
+
+  useEffect(() => {
+    if (game?.teamStory) {
+      setTeamStory(game.teamStory)
+    }
+  }, [game?.teamStory])
+
+  useEffect(() => {
+    if (game?.scoringMethod) {
+      setScoringMethod(game.scoringMethod)
+    }
+  }, [game?.scoringMethod])
+
+  useEffect(() => {
+    if (typeof game?.voteWeight === 'number') {
+      setVoteWeight(game.voteWeight)
+    }
+  }, [game?.voteWeight])
+
+  useEffect(() => {
+    if (game?.genre) {
+      setGenre(game.genre)
+    }
+  }, [game?.genre])
+
+  useEffect(() => {
+    if (typeof game?.tone !== 'undefined') {
+      setTone(game.tone)
+    }
+  }, [game?.tone])
+
+  useEffect(() => {
+    if (game?.twistIntensity) {
+      setTwistIntensity(game.twistIntensity)
+    }
+  }, [game?.twistIntensity])
+
+  useEffect(() => {
+    if (typeof game?.allowSpectators === 'boolean') {
+      setAllowSpectators(game.allowSpectators)
+    }
+  }, [game?.allowSpectators])
+
   useEffect(() => {
     if (game?.turnDurationSeconds) {
       setTimeLimit(Math.round(game.turnDurationSeconds / 60))
     }
   }, [game?.turnDurationSeconds])
 
-  const handleCreateLobby = () => {
+  const handleCreateLobby = (mode = 'multi') => {
     if (createGameMutation.isPending || !user.id) return
 
     createGameMutation.mutate({
@@ -82,7 +190,16 @@ const Lobby = () => {
       turnDurationSeconds: timeLimit * 60,
       maxTurns: 5,
       maxPlayers,
-      mode: 'multi',
+      mode,
+      allowSpectators,
+      visibility,
+      turnOrder,
+      teamStory,
+      scoringMethod,
+      voteWeight,
+      genre,
+      tone,
+      twistIntensity,
     }, {
       onSuccess: (data) => {
         if (data?.game?.id) {
@@ -124,6 +241,182 @@ const Lobby = () => {
     }
   }
 
+  const handleVisibilityChange = (value) => {
+    setVisibility(value)
+
+    if (game && canEditLobbySettings) {
+      updateGameSettingsMutation.mutate({
+        gameId: game.id,
+        settings: {
+          hostId: user.id,
+          visibility: value,
+        },
+      })
+    }
+  }
+
+  const handleTurnOrderChange = (value) => {
+    setTurnOrder(value)
+
+    if (game && canEditLobbySettings) {
+      updateGameSettingsMutation.mutate({
+        gameId: game.id,
+        settings: {
+          hostId: user.id,
+          turnOrder: value,
+        },
+      })
+    }
+  }
+
+  const handleTeamStoryChange = (value) => {
+    setTeamStory(value)
+
+    if (game && canEditLobbySettings) {
+      updateGameSettingsMutation.mutate({
+        gameId: game.id,
+        settings: {
+          hostId: user.id,
+          teamStory: value,
+        },
+      })
+    }
+  }
+
+  const handleScoringChange = (settings) => {
+    if (settings.scoringMethod) setScoringMethod(settings.scoringMethod)
+    if (typeof settings.voteWeight === 'number') setVoteWeight(settings.voteWeight)
+
+    if (game && canEditLobbySettings) {
+      updateGameSettingsMutation.mutate({
+        gameId: game.id,
+        settings: {
+          hostId: user.id,
+          ...settings,
+        },
+      })
+    }
+  }
+
+  // The genre is fixed once the lobby exists (its opening prompt is already written)
+  const handleStoryStyleChange = (settings) => {
+    if (settings.genre) setGenre(settings.genre)
+    if ('tone' in settings) setTone(settings.tone)
+    if (settings.twistIntensity) setTwistIntensity(settings.twistIntensity)
+
+    if (game && canEditLobbySettings && !settings.genre) {
+      updateGameSettingsMutation.mutate({
+        gameId: game.id,
+        settings: {
+          hostId: user.id,
+          ...settings,
+        },
+      })
+    }
+  }
+
+  const handleAssignTeam = (player, teamId) => {
+    if (!game?.id || assignTeamMutation.isPending) return
+    assignTeamMutation.mutate({ gameId: game.id, playerId: player.id, teamId }, {
+      onError: (error) => {
+        console.error('Failed to move player:', error)
+        alert(error.message || 'Failed to move player. Please try again.')
+      },
+    })
+  }
+
+  const handleJoinByCode = useCallback((code) => {
+    const trimmed = (code || '').trim()
+    if (!trimmed || joinByCodeMutation.isPending || !user.id) return
+
+    joinByCodeMutation.mutate({
+      code: trimmed,
+      playerData: {
+        playerName: user.username || 'Player',
+        playerId: user.id,
+      },
+    }, {
+      onSuccess: (data) => {
+        setCodeInput('')
+        if (data?.game?.id) {
+          navigate(`/lobby?gameId=${data.game.id}`, { replace: true })
+        }
+      },
+      onError: (error) => {
+        console.error('Failed to join by code:', error)
+        alert(error.message || 'Could not join with that code. Please check it and try again.')
+        if (inviteCodeParam) {
+          navigate('/lobby', { replace: true })
+        }
+      },
+    })
+  }, [joinByCodeMutation, user.id, user.username, inviteCodeParam, navigate])
+
+  const handleQuickPlay = () => {
+    if (enqueueMutation.isPending || !user.id) return
+
+    enqueueMutation.mutate({
+      playerName: user.username || 'Player',
+      playerCount: quickPlayers,
+      turnDurationSeconds: quickTurnSeconds,
+    }, {
+      onSuccess: (data) => {
+        // Enough players were already waiting, so the game exists now
+        if (data?.queue?.status === 'matched' && data.queue.gameId) {
+          navigate(`/lobby?gameId=${data.queue.gameId}`)
+        }
+      },
+      onError: (error) => {
+        console.error('Failed to join matchmaking:', error)
+        alert(error.message || 'Could not start matchmaking. Please try again.')
+      },
+    })
+  }
+
+  // Once a queued search turns into a match, open the game; the lobby view hands off to it.
+  // Only for searches seen on this page, so an old match doesn't pull the player back in.
+  useEffect(() => {
+    if (queue?.status === 'queued') {
+      sawQueued.current = true
+      return
+    }
+    if (queue?.status === 'matched' && queue.gameId && sawQueued.current) {
+      sawQueued.current = false
+      navigate(`/lobby?gameId=${queue.gameId}`)
+    }
+  }, [queue?.status, queue?.gameId, navigate])
+
+  // /join/:code deep links go straight into the request-to-join flow, once per code
+  useEffect(() => {
+    if (!inviteCodeParam || !user.id || usedInviteCode.current === inviteCodeParam) return
+    usedInviteCode.current = inviteCodeParam
+    handleJoinByCode(inviteCodeParam)
+  }, [inviteCodeParam, user.id, handleJoinByCode])
+
+  const handleCopyInviteLink = () => {
+    if (!inviteLink) return
+    navigator.clipboard?.writeText(inviteLink)
+      .then(() => {
+        setLinkCopied(true)
+        setTimeout(() => setLinkCopied(false), 2000)
+      })
+      .catch(() => alert(`Invite link: ${inviteLink}`))
+  }
+
+  const handleSpectatorsChange = (allowed) => {
+    setAllowSpectators(allowed)
+
+    if (game && canToggleSpectators) {
+      updateGameSettingsMutation.mutate({
+        gameId: game.id,
+        settings: {
+          hostId: user.id,
+          allowSpectators: allowed,
+        },
+      })
+    }
+  }
+
   const handleRequestJoin = () => {
     if (!gameId || requestJoinMutation.isPending || myPendingRequest || isPlayer) return
     if (game && game.status !== 'waiting') return
@@ -142,35 +435,30 @@ const Lobby = () => {
     })
   }
 
-  // Ensure host closes lobby when leaving the page/tab
+  // When the host leaves the page/tab, hand the lobby to the next player (or close it if empty)
   useEffect(() => {
-    const shouldCloseLobby = () => isHost && gameId && game?.status === 'waiting'
-
-    const sendBeaconClose = () => {
-      if (!shouldCloseLobby()) return
-      const url = `${apiBaseUrl}/api/game/${gameId}/abandon`
-      const payload = JSON.stringify({ playerId: user.id, reason: 'host_left' })
-      if (navigator.sendBeacon) {
-        const blob = new Blob([payload], { type: 'application/json' })
-        navigator.sendBeacon(url, blob)
-      } else {
-        fetch(url, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: payload,
-          keepalive: true,
-        }).catch(() => {})
-      }
+    const shouldLeaveLobby = () => isHost && gameId && game?.status === 'waiting'
+
+    // sendBeacon cannot carry the Authorization header, so use a keepalive fetch instead
+    const sendBeaconLeave = async () => {
+      if (!shouldLeaveLobby()) return
+      const url = `${apiBaseUrl}/api/game/${gameId}/leave`
+      const authHeaders = await getAuthHeaders().catch(() => ({}))
+      fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
+        keepalive: true,
+      }).catch(() => {})
     }
 
     const handleBeforeUnload = () => {
-      sendBeaconClose()
+      sendBeaconLeave()
     }
 
     const handlePageHide = (event) => {
       // Only fire on full page unloads (tab close, navigation), not simple visibility changes
       if (event.persisted) return
-      sendBeaconClose()
+      sendBeaconLeave()
     }
 
     window.addEventListener('beforeunload', handleBeforeUnload)
@@ -184,6 +472,31 @@ const Lobby = () => {
     }
   }, [isHost, gameId, game?.status, user.id, abandonGameMutation, apiBaseUrl])
 
+  const handleLeaveLobby = () => {
+    if (!gameId || leaveGameMutation.isPending) return
+
+    leaveGameMutation.mutate({ gameId }, {
+      onSuccess: () => setSearchParams({}),
+      onError: (error) => {
+        console.error('Failed to leave lobby:', error)
+        alert(error.message || 'Failed to leave lobby. Please try again.')
+      },
+    })
+  }
+
+  const handleRemovePlayer = (player, ban = false) => {
+    if (!game?.id || kickPlayerMutation.isPending) return
+    const action = ban ? 'Ban' : 'Kick'
+    if (!window.confirm(`${action} ${player.name} from this lobby?`)) return
+
+    kickPlayerMutation.mutate({ gameId: game.id, playerId: player.id, ban }, {
+      onError: (error) => {
+        console.error(`Failed to ${action.toLowerCase()} player:`, error)
+        alert(error.message || `Failed to ${action.toLowerCase()} player. Please try again.`)
+      },
+    })
+  }
+
   const handleReviewRequest = (playerId, approve) => {
     if (!game?.id || reviewJoinMutation.isPending) return
 
@@ -216,8 +529,14 @@ const Lobby = () => {
     }
   }
 
-  // Navigate everyone to the game once the backend flips to active
+  // Navigate players to the game once the backend flips to active; everyone else can watch
   useEffect(() => {
+    if (game?.status === 'active' && game.id && !isPlayer) {
+      if (game.allowSpectators !== false) {
+        navigate(`/watch/${game.id}`)
+      }
+      return
+    }
     if (game?.status === 'active' && game.id) {
       const timeLimitMinutes = game.turnDurationSeconds ? Math.round(game.turnDurationSeconds / 60) : timeLimit
       startMatch({
@@ -238,12 +557,14 @@ const Lobby = () => {
     game?.guidePrompt,
     game?.initialPrompt,
     game?.players,
+    game?.allowSpectators,
+    isPlayer,
     navigate,
     startMatch,
     timeLimit,
   ])
 
-  const isLoading = isLoadingGame || createGameMutation.isPending || startGameMutation.isPending || requestJoinMutation.isPending || reviewJoinMutation.isPending || abandonGameMutation.isPending || updateGameSettingsMutation.isPending
+  const isLoading = isLoadingGame || createGameMutation.isPending || startGameMutation.isPending || requestJoinMutation.isPending || reviewJoinMutation.isPending || abandonGameMutation.isPending || updateGameSettingsMutation.isPending || leaveGameMutation.isPending || kickPlayerMutation.isPending || joinByCodeMutation.isPending
   const startButtonLabel = !gameId
     ? 'Select a lobby to begin'
     : isLoading
@@ -251,7 +572,9 @@ const Lobby = () => {
       : canStart
         ? '🚀 Start Game'
         : isHost
-          ? `Waiting for players... (${players.length}/${displayMaxPlayers})`
+          ? players.length >= 2 && !teamsReady
+            ? 'Each team needs a player'
+            : `Waiting for players... (${players.length}/${displayMaxPlayers})`
           : waitingForApproval
             ? 'Waiting for approval...'
             : 'Waiting for host...'
@@ -300,6 +623,68 @@ const Lobby = () => {
             ← Back to Home
           </Button>
 
+          <Card className="p-6 mb-8">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
+              <div>
+                <h2 className="text-2xl font-header font-bold">Quick Play</h2>
+                <p className={`text-sm ${isDark ? 'text-cloud-gray' : 'text-light-text-secondary'}`}>
+                  {isSearching
+                    ? `Searching for ${queue.playerCount} players with ${queue.turnDurationSeconds}s turns...`
+                    : queue?.status === 'expired'
+                      ? 'No match found in time. Try again or pick different settings.'
+                      : 'Get matched with other players. The game starts as soon as the table fills.'}
+                </p>
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <div className="flex gap-1">
+                  {[2, 3, 4, 5].map((count) => (
+                    <Button
+                      key={count}
+                      variant={quickPlayers === count ? 'primary' : 'ghost'}
+                      size="sm"
+                      onClick={() => setQuickPlayers(count)}
+                      disabled={isSearching}
+                    >
+                      {count}P
+                    </Button>
+                  ))}
+                </div>
+                <div className="flex gap-1">
+                  {[30, 60, 120].map((seconds) => (
+                    <Button
+                      key={seconds}
+                      variant={quickTurnSeconds === seconds ? 'primary' : 'ghost'}
+                      size="sm"
+                      onClick={() => setQuickTurnSeconds(seconds)}
+                      disabled={isSearching}
+                    >
+                      {seconds}s
+                    </Button>
+                  ))}
+                </div>
+                {isSearching ? (
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() => cancelQueueMutation.mutate()}
+                    disabled={cancelQueueMutation.isPending}
+                  >
+                    {cancelQueueMutation.isPending ? 'Cancelling...' : 'Cancel'}
+                  </Button>
+                ) : (
+                  <Button
+                    variant="primary"
+                    size="sm"
+                    onClick={handleQuickPlay}
+                    disabled={enqueueMutation.isPending}
+                  >
+                    {enqueueMutation.isPending ? 'Searching...' : 'Find Match'}
+                  </Button>
+                )}
+              </div>
+            </div>
+          </Card>
+
           <Card className="p-6 mb-8">
             <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-4">
               <div>
@@ -309,13 +694,49 @@ const Lobby = () => {
                 </p>
               </div>
               <div className="flex gap-2">
+                <form
+                  className="flex gap-2"
+                  onSubmit={(event) => {
+                    event.preventDefault()
+                    handleJoinByCode(codeInput)
+                  }}
+                >
+                  <input
+                    type="text"
+                    value={codeInput}
+                    onChange={(event) => setCodeInput(event.target.value.toUpperCase())}
+                    placeholder="Invite code"
+                    maxLength={8}
+                    className={`w-32 rounded-lg px-3 py-1 text-sm uppercase tracking-widest focus:outline-none focus:border-mint-pop ${
+                      isDark
+                        ? 'bg-deep-graphite border border-soft-charcoal text-white'
+                        : 'bg-light-card border border-gray-200 text-light-text'
+                    }`}
+                  />
+                  <Button
+                    type="submit"
+                    variant="secondary"
+                    size="sm"
+                    disabled={!codeInput.trim() || joinByCodeMutation.isPending}
+                  >
+                    {joinByCodeMutation.isPending ? 'Joining...' : 'Join'}
+                  </Button>
+                </form>
                 <Button variant="ghost" size="sm" onClick={() => setSearchParams({})}>
                   Clear Selection
                 </Button>
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  onClick={() => handleCreateLobby('team')}
+                  disabled={createGameMutation.isPending}
+                >
+                  Host Team Game
+                </Button>
                 <Button
                   variant="primary"
                   size="sm"
-                  onClick={handleCreateLobby}
+                  onClick={() => handleCreateLobby('multi')}
                   disabled={createGameMutation.isPending}
                 >
                   {createGameMutation.isPending ? 'Hosting...' : 'Host New Lobby'}
@@ -337,29 +758,45 @@ const Lobby = () => {
                       <div className="flex items-center justify-between mb-2">
                         <div>
                           <div className="text-sm uppercase tracking-wide text-electric-purple font-semibold">Host</div>
-                          <div className="text-lg font-bold">{lobby.hostName}</div>
+                          <div className="text-lg font-bold">
+                            {lobby.hostName}
+                            {lobby.mode === 'team' && <span className="ml-2 text-xs text-mint-pop">Teams</span>}
+                          </div>
                         </div>
                         <div className="text-right">
                           <div className="text-sm">Players</div>
                           <div className="text-xl font-bold">{lobby.playerCount} / {lobby.maxPlayers}</div>
                         </div>
                       </div>
+                      <div className="text-xs mb-1 text-electric-purple">📖 {describeStoryStyle(lobby)}</div>
                       <div className="text-xs mb-3 flex items-center justify-between">
                         <span className={isDark ? 'text-cloud-gray' : 'text-light-text-secondary'}>
                           Requests waiting: {lobby.pendingRequests}
+                          {lobby.allowSpectators && ` · 👀 ${lobby.spectatorCount || 0} watching`}
                         </span>
                         <span className="opacity-60">
                           {lobby.createdAt ? new Date(lobby.createdAt).toLocaleTimeString() : 'Just now'}
                         </span>
                       </div>
-                      <Button
-                        variant={isSelected ? 'primary' : 'ghost'}
-                        size="sm"
-                        className="w-full"
-                        onClick={() => setSearchParams({ gameId: lobby.id })}
-                      >
-                        {isSelected ? 'Viewing lobby' : 'View lobby'}
-                      </Button>
+                      <div className="flex gap-2">
+                        <Button
+                          variant={isSelected ? 'primary' : 'ghost'}
+                          size="sm"
+                          className="flex-1"
+                          onClick={() => setSearchParams({ gameId: lobby.id })}
+                        >
+                          {isSelected ? 'Viewing lobby' : 'View lobby'}
+                        </Button>
+                        {lobby.allowSpectators && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            onClick={() => navigate(`/watch/${lobby.id}`)}
+                          >
+                            Watch
+                          </Button>
+                        )}
+                      </div>
                     </Card>
                   )
                 })}
@@ -388,6 +825,11 @@ const Lobby = () => {
                   <h2 className="text-3xl font-header font-bold mb-6 text-center">
                     {game ? (isHost ? 'Your Lobby' : 'Waiting Room') : 'Pick a Lobby'}
                   </h2>
+                  {game && (
+                    <div className={`text-center text-sm -mt-4 mb-6 ${isDark ? 'text-cloud-gray' : 'text-light-text-secondary'}`}>
+                      📖 {describeStoryStyle(game)}
+                    </div>
+                  )}
                 
                 {!gameId ? (
                   <div className="text-center py-8">
@@ -411,6 +853,8 @@ const Lobby = () => {
                         const player = players[index]
                         const isEmpty = !player
                         const isCurrentUser = player?.id === user.id
+                        const playerTeam = player && teams.find(team => team.playerIds.includes(player.id))
+                        const otherTeam = playerTeam && teams.find(team => team.id !== playerTeam.id)
                         
                         return (
                           <motion.div
@@ -439,6 +883,39 @@ const Lobby = () => {
                                   {player.name}
                                   {isCurrentUser && ' (You)'}
                                 </div>
+                                {playerTeam && (
+                                  <div className="text-xs text-electric-purple font-semibold">{playerTeam.name}</div>
+                                )}
+                                {isHost && otherTeam && game.status === 'waiting' && (
+                                  <Button
+                                    variant="ghost"
+                                    size="sm"
+                                    disabled={assignTeamMutation.isPending}
+                                    onClick={() => handleAssignTeam(player, otherTeam.id)}
+                                  >
+                                    Move to {otherTeam.name}
+                                  </Button>
+                                )}
+                                {isHost && !isCurrentUser && game.status === 'waiting' && (
+                                  <div className="mt-1 flex gap-1">
+                                    <Button
+                                      variant="ghost"
+                                      size="sm"
+                                      disabled={kickPlayerMutation.isPending}
+                                      onClick={() => handleRemovePlayer(player)}
+                                    >
+                                      Kick
+                                    </Button>
+                                    <Button
+                                      variant="ghost"
+                                      size="sm"
+                                      disabled={kickPlayerMutation.isPending}
+                                      onClick={() => handleRemovePlayer(player, true)}
+                                    >
+                                      Ban
+                                    </Button>
+                                  </div>
+                                )}
                               </>
                             )}
                           </motion.div>
@@ -483,11 +960,38 @@ const Lobby = () => {
                           Game ID: {gameId.slice(0, 8)}...
                         </div>
                       )}
+                      {(isHost || isPlayer) && game?.inviteCode && game.status === 'waiting' && (
+                        <div className="mt-3 flex items-center justify-center gap-2">
+                          <span className="text-sm">
+                            Invite code: <span className="font-mono font-bold tracking-widest text-mint-pop">{game.inviteCode}</span>
+                          </span>
+                          <Button variant="ghost" size="sm" onClick={handleCopyInviteLink}>
+                            {linkCopied ? 'Copied!' : 'Copy link'}
+                          </Button>
+                        </div>
+                      )}
                       {!isHost && !isPlayer && myPendingRequest && (
                         <div className="text-xs mt-1 text-mint-pop">Waiting for host approval...</div>
                       )}
                     </div>
-                    {!isHost && !isPlayer && game?.status === 'waiting' && (
+                    {isPlayer && game?.status === 'waiting' && (
+                      <div className="mt-4 flex justify-center">
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          disabled={leaveGameMutation.isPending}
+                          onClick={handleLeaveLobby}
+                        >
+                          {isHost && players.length > 1 ? 'Leave (hand over hosting)' : 'Leave Lobby'}
+                        </Button>
+                      </div>
+                    )}
+                    {isBanned && (
+                      <div className="mt-4 text-center text-sm text-laser-coral">
+                        The host has banned you from this lobby.
+                      </div>
+                    )}
+                    {!isHost && !isPlayer && !isBanned && game?.status === 'waiting' && (
                       <div className="mt-4 flex justify-center">
                         <Button
                           variant="primary"
@@ -551,6 +1055,14 @@ const Lobby = () => {
                             </div>
                           </div>
                           <div className="flex gap-2">
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              disabled={kickPlayerMutation.isPending}
+                              onClick={() => handleRemovePlayer({ id: req.playerId, name: req.playerName }, true)}
+                            >
+                              Ban
+                            </Button>
                             <Button
                               variant="ghost"
                               size="sm"
@@ -636,6 +1148,176 @@ const Lobby = () => {
                 </Card>
               )}
 
+              {/* Visibility Setting */}
+              {isHost && (
+                <Card className="p-6">
+                  <h3 className="text-xl font-header font-bold mb-4">
+                    Visibility
+                  </h3>
+                  <div className="flex gap-2">
+                    {['public', 'unlisted', 'private'].map((option) => (
+                      <Button
+                        key={option}
+                        variant={visibility === option ? 'primary' : 'ghost'}
+                        size="sm"
+                        onClick={() => handleVisibilityChange(option)}
+                        disabled={game ? (!canEditLobbySettings || updateGameSettingsMutation.isPending) : false}
+                        className="flex-1 capitalize"
+                      >
+                        {option}
+                      </Button>
+                    ))}
+                  </div>
+                  <div className={`text-xs mt-3 ${isDark ? 'text-cloud-gray' : 'text-light-text-secondary'}`}>
+                    {visibility === 'public'
+                      ? 'Listed under Open Lobbies.'
+                      : visibility === 'unlisted'
+                        ? 'Hidden from the list; anyone with the link or code can ask to join.'
+                        : 'Hidden from the list; join requests need the invite code.'}
+                  </div>
+                </Card>
+              )}
+
+              {/* Team Story Setting */}
+              {isHost && isTeamGame && (
+                <Card className="p-6">
+                  <h3 className="text-xl font-header font-bold mb-4">
+                    Team Stories
+                  </h3>
+                  <div className="flex gap-2">
+                    {TEAM_STORY_OPTIONS.map((option) => (
+                      <Button
+                        key={option.value}
+                        variant={teamStory === option.value ? 'primary' : 'ghost'}
+                        size="sm"
+                        onClick={() => handleTeamStoryChange(option.value)}
+                        disabled={!canEditLobbySettings || updateGameSettingsMutation.isPending}
+                        className="flex-1"
+                      >
+                        {option.label}
+                      </Button>
+                    ))}
+                  </div>
+                  <div className={`text-xs mt-3 ${isDark ? 'text-cloud-gray' : 'text-light-text-secondary'}`}>
+                    {TEAM_STORY_OPTIONS.find(option => option.value === teamStory)?.hint} Teams alternate turns.
+                  </div>
+                </Card>
+              )}
+
+              {/* Turn Order Setting (team games alternate teams instead) */}
+              {isHost && !isTeamGame && (
+                <Card className="p-6">
+                  <h3 className="text-xl font-header font-bold mb-4">
+                    Turn Order
+                  </h3>
+                  <div className="grid grid-cols-2 gap-2">
+                    {TURN_ORDER_OPTIONS.map((option) => (
+                      <Button
+                        key={option.value}
+                        variant={turnOrder === option.value ? 'primary' : 'ghost'}
+                        size="sm"
+                        onClick={() => handleTurnOrderChange(option.value)}
+                        disabled={game ? (!canEditLobbySettings || updateGameSettingsMutation.isPending) : false}
+                      >
+                        {option.label}
+                      </Button>
+                    ))}
+                  </div>
+                  <div className={`text-xs mt-3 ${isDark ? 'text-cloud-gray' : 'text-light-text-secondary'}`}>
+                    {TURN_ORDER_OPTIONS.find(option => option.value === turnOrder)?.hint}
+                  </div>
+                </Card>
+              )}
+
+              {/* Scoring Setting */}
+              {isHost && (
+                <Card className="p-6">
+                  <h3 className="text-xl font-header font-bold mb-4">
+                    Scoring
+                  </h3>
+                  <div className="flex gap-2">
+                    {SCORING_OPTIONS.map((option) => (
+                      <Button
+                        key={option.value}
+                        variant={scoringMethod === option.value ? 'primary' : 'ghost'}
+                        size="sm"
+                        onClick={() => handleScoringChange({ scoringMethod: option.value })}
+                        disabled={game ? (!canEditLobbySettings || updateGameSettingsMutation.isPending) : false}
+                        className="flex-1"
+                      >
+                        {option.label}
+                      </Button>
+                    ))}
+                  </div>
+                  {scoringMethod === 'blend' && (
+                    <div className="flex items-center gap-2 mt-3">
+                      <span className={`text-sm ${isDark ? 'text-cloud-gray' : 'text-light-text-secondary'}`}>
+                        Votes count for
+                      </span>
+                      {VOTE_WEIGHT_OPTIONS.map((weight) => (
+                        <Button
+                          key={weight}
+                          variant={voteWeight === weight ? 'secondary' : 'ghost'}
+                          size="sm"
+                          onClick={() => handleScoringChange({ voteWeight: weight })}
+                          disabled={game ? (!canEditLobbySettings || updateGameSettingsMutation.isPending) : false}
+                        >
+                          {weight}%
+                        </Button>
+                      ))}
+                    </div>
+                  )}
+                  <div className={`text-xs mt-3 ${isDark ? 'text-cloud-gray' : 'text-light-text-secondary'}`}>
+                    {SCORING_OPTIONS.find(option => option.value === scoringMethod)?.hint}
+                  </div>
+                </Card>
+              )}
+
+              {/* Story Style Setting */}
+              {isHost && (
+                <Card className="p-6">
+                  <h3 className="text-xl font-header font-bold mb-4">
+                    Story Style
+                  </h3>
+                  <StoryStylePicker
+                    genre={genre}
+                    tone={tone}
+                    twistIntensity={twistIntensity}
+                    onChange={handleStoryStyleChange}
+                    disabled={game ? (!canEditLobbySettings || updateGameSettingsMutation.isPending) : false}
+                    genreLocked={!!game}
+                  />
+                </Card>
+              )}
+
+              {/* Spectator Setting */}
+              {isHost && (
+                <Card className="p-6">
+                  <h3 className="text-xl font-header font-bold mb-4">
+                    Spectators
+                  </h3>
+                  <div className="flex gap-2">
+                    {[true, false].map((allowed) => (
+                      <Button
+                        key={String(allowed)}
+                        variant={allowSpectators === allowed ? 'primary' : 'ghost'}
+                        size="sm"
+                        onClick={() => handleSpectatorsChange(allowed)}
+                        disabled={game ? (!canToggleSpectators || updateGameSettingsMutation.isPending) : false}
+                        className="flex-1"
+                      >
+                        {allowed ? 'Allowed' : 'Off'}
+                      </Button>
+                    ))}
+                  </div>
+                  {game && allowSpectators && (
+                    <div className={`text-xs mt-3 ${isDark ? 'text-cloud-gray' : 'text-light-text-secondary'}`}>
+                      👀 {gameInfo?.spectatorCount || 0} watching
+                    </div>
+                  )}
+                </Card>
+              )}
+
               {/* Start Game Button */}
               <motion.div
                 animate={canStart ? { scale: [1, 1.05, 1] } : {}}
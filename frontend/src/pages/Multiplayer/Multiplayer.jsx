@@ -11,8 +11,9 @@ import Container from '../../components/Layout/Container'
 import { AnimatedBackground } from '../../components/Background'
 import { ThemeToggle } from '../../components/ThemeToggle'
 import { useThemeClasses } from '../../hooks/useThemeClasses'
+import { useCountdown } from '../../hooks/useCountdown'
 import { useUser } from '../../context/UserContext'
-import { useSubmitTurn, useGameState, usePreviewTurn } from '../../hooks/useGameAPI'
+import { useSubmitTurn, useGameState, usePreviewTurn, useUpdateGameSettings, useLeaveGame, useClaimTurn } from '../../hooks/useGameAPI'
 import { useMatch } from '../../context/MatchContext'
 
 const Multiplayer = () => {
@@ -27,19 +28,36 @@ const Multiplayer = () => {
   const gameId = searchParams.get('gameId')
   const submitTurnMutation = useSubmitTurn()
   const previewTurnMutation = usePreviewTurn()
-  const { data: gameData, isLoading } = useGameState(gameId, {
+  const updateGameSettingsMutation = useUpdateGameSettings()
+  const leaveGameMutation = useLeaveGame()
+  const claimTurnMutation = useClaimTurn()
+  const { data: gameData, isLoading, dataUpdatedAt } = useGameState(gameId, {
     enabled: !!gameId,
-    refetchInterval: 2000, // Poll every 2 seconds for active games
+    refetchInterval: 2000, // Fallback polling when the live stream is down
   })
 
   const game = gameData?.game
   const gameInfo = gameData?.info
   const currentPrompt = game?.guidePrompt || game?.initialPrompt || 'A mysterious door appears in the middle of the forest, glowing with an otherworldly light.'
   const isMyTurn = game?.currentPlayerId === user.id
-  const timeRemaining = gameInfo?.timeRemainingSeconds || 0
-  const previousTurn = game?.lastTurn || gameInfo?.lastTurn
+  const timeRemaining = useCountdown(gameInfo?.timeRemainingSeconds ?? null, dataUpdatedAt) || 0
+  const teams = game?.teams || []
+  const currentTeam = teams.find(team => team.id === game?.currentTeamId)
+  const isParallel = gameInfo?.teamStory === 'parallel'
+  // Parallel team games continue the writing team's own story
+  const previousTurn = isParallel
+    ? game?.teamStories?.[game?.currentTeamId]?.lastTurn
+    : game?.lastTurn || gameInfo?.lastTurn
   const showPreviousTurn = isMyTurn && previousTurn?.text
   const players = game?.players || []
+  const isHost = game?.hostId === user.id
+  const spectatorsAllowed = game?.allowSpectators !== false
+  const penOpen = !!gameInfo?.penOpen
+  const myTurnsWritten = game?.turnCounts?.[user.id] || 0
+  const canClaimPen = penOpen && players.some(p => p.id === user.id) && myTurnsWritten < (gameInfo?.claimCap ?? Infinity)
+  const turnHeading = penOpen
+    ? 'The pen is up for grabs'
+    : isMyTurn ? 'Your Turn' : `${game?.currentPlayer || "Player"}'s Turn`
 
   // Redirect if no gameId
   useEffect(() => {
@@ -121,6 +139,36 @@ const Multiplayer = () => {
     })
   }
 
+  const handleLeaveGame = () => {
+    if (!gameId || game?.status === 'finished') {
+      navigate('/lobby')
+      return
+    }
+    if (!window.confirm('Leave this game? Your turns stay in the story, but you cannot rejoin.')) return
+
+    leaveGameMutation.mutate({ gameId }, {
+      onSuccess: () => navigate('/lobby'),
+      onError: (error) => {
+        console.error('Failed to leave game:', error)
+        alert(error.message || 'Failed to leave game. Please try again.')
+      },
+    })
+  }
+
+  const handleToggleSpectators = () => {
+    if (!gameId || !isHost) return
+
+    updateGameSettingsMutation.mutate({
+      gameId,
+      settings: { allowSpectators: !spectatorsAllowed },
+    }, {
+      onError: (error) => {
+        console.error('Failed to update spectator setting:', error)
+        alert(error.message || 'Failed to update spectator setting. Please try again.')
+      },
+    })
+  }
+
   return (
     <div className={`min-h-screen relative transition-colors ${themeClasses.bg}`}>
       <div className="absolute top-4 right-4 z-20">
@@ -160,9 +208,10 @@ const Multiplayer = () => {
           <div className="flex justify-between items-center mb-8">
             <Button
               variant="ghost"
-              onClick={() => navigate('/lobby')}
+              onClick={handleLeaveGame}
+              disabled={leaveGameMutation.isPending}
             >
-              ← Leave Game
+              {leaveGameMutation.isPending ? 'Leaving...' : '← Leave Game'}
             </Button>
             <div className="text-2xl font-header font-bold gradient-text">
               Multiplayer Story
@@ -232,7 +281,9 @@ const Multiplayer = () => {
                   content={story}
                   onChange={setStory}
                   isActive={isMyTurn}
-                  placeholder={isMyTurn ? "Continue the story..." : `Waiting for ${game?.currentPlayer || 'player'}...`}
+                  placeholder={isMyTurn
+                    ? "Continue the story..."
+                    : penOpen ? 'Claim the pen to write the next turn...' : `Waiting for ${game?.currentPlayer || 'player'}...`}
                 />
                 
                 <div className="mt-4 flex flex-wrap gap-2">
@@ -311,8 +362,13 @@ const Multiplayer = () => {
               {/* Timer */}
               <Card className="p-6 flex flex-col items-center">
                 <h3 className={`text-lg font-header font-bold mb-4 ${themeClasses.text}`}>
-                  {isMyTurn ? 'Your Turn' : `${game?.currentPlayer || "Player"}'s Turn`}
+                  {turnHeading}
                 </h3>
+                {currentTeam && (
+                  <div className="-mt-2 mb-4 text-sm text-electric-purple font-semibold">
+                    {currentTeam.name}{isParallel ? ' · their own story' : ''}
+                  </div>
+                )}
                 {timeRemaining > 0 ? (
                   <Timer
                     initialTime={game?.turnDurationSeconds || 120}
@@ -322,6 +378,24 @@ const Multiplayer = () => {
                 ) : (
                   <div className="text-4xl">⏱️</div>
                 )}
+                {penOpen && (
+                  <Button
+                    variant="primary"
+                    size="sm"
+                    className="mt-4"
+                    onClick={() => claimTurnMutation.mutate({ gameId })}
+                    disabled={!canClaimPen || claimTurnMutation.isPending}
+                  >
+                    {canClaimPen ? '✋ Claim the Pen' : `You wrote your ${gameInfo?.claimCap} turns`}
+                  </Button>
+                )}
+                {gameInfo?.upNext && (
+                  <div className={`mt-4 text-sm ${themeClasses.textSecondary}`}>
+                    Up next: <span className="text-mint-pop font-semibold">
+                      {gameInfo.upNext.id === user.id ? 'You' : gameInfo.upNext.name}
+                    </span>
+                  </div>
+                )}
               </Card>
 
               {/* Players List */}
@@ -334,6 +408,7 @@ const Multiplayer = () => {
                     {players.map((player, index) => {
                       const isActive = player.id === game?.currentPlayerId
                       const isCurrentUser = player.id === user.id
+                      const playerTeam = teams.find(team => team.playerIds.includes(player.id))
                       return (
                         <motion.div
                           key={player.id}
@@ -354,6 +429,9 @@ const Multiplayer = () => {
                               {player.name}
                               {isCurrentUser && ' (You)'}
                             </div>
+                            {playerTeam && (
+                              <div className={`text-xs ${themeClasses.textSecondary}`}>{playerTeam.name}</div>
+                            )}
                             {isActive && (
                               <div className="text-xs text-mint-pop">Writing...</div>
                             )}
@@ -367,6 +445,21 @@ const Multiplayer = () => {
                     })}
                   </div>
                 )}
+                <div className={`mt-4 flex items-center justify-between text-xs ${themeClasses.textSecondary}`}>
+                  <span>
+                    {spectatorsAllowed ? `👀 ${gameInfo?.spectatorCount || 0} watching` : 'Spectators off'}
+                  </span>
+                  {isHost && (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={handleToggleSpectators}
+                      disabled={updateGameSettingsMutation.isPending}
+                    >
+                      {spectatorsAllowed ? 'Turn off' : 'Allow'}
+                    </Button>
+                  )}
+                </div>
               </Card>
 
               {/* AI Drama Meter */}
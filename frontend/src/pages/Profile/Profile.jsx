@@ -0,0 +1,171 @@
+import { useNavigate, useParams } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import Avatar from '../../components/Avatars/Avatar'
+import Button from '../../components/Buttons/Button'
+import Card from '../../components/Cards/Card'
+import Container from '../../components/Layout/Container'
+import { AnimatedBackground } from '../../components/Background'
+import { BadgeShelf } from '../../components/Achievements'
+import { ThemeToggle } from '../../components/ThemeToggle'
+import { useThemeClasses } from '../../hooks/useThemeClasses'
+import { useAchievements, useProfile } from '../../hooks/useProfile'
+import { useUser } from '../../context/UserContext'
+
+const MODE_LABELS = {
+  multi: 'Multiplayer',
+  single: 'Single Player',
+  rapid: 'RapidFire',
+  team: 'Teams',
+}
+
+const METRIC_LABELS = {
+  total: 'Overall',
+  creativity: 'Creativity',
+  cohesion: 'Cohesion',
+  prompt_fit: 'Prompt Fit',
+}
+
+const Profile = () => {
+  const { userId } = useParams()
+  const navigate = useNavigate()
+  const themeClasses = useThemeClasses()
+  const { user } = useUser()
+  const { data, isLoading, isError, error } = useProfile(userId)
+  const profile = data?.profile
+  const { data: achievementData } = useAchievements(userId, { enabled: !!profile })
+  const isOwnProfile = user.id === userId
+
+  const stats = profile
+    ? [
+        { label: 'Games', value: profile.gamesPlayed },
+        { label: 'Turns', value: profile.turnsWritten },
+        { label: 'Words Written', value: profile.wordsWritten.toLocaleString() },
+        { label: 'Favorite Genre', value: profile.favoriteGenre || '—' },
+      ]
+    : []
+
+  return (
+    <div className={`min-h-screen relative transition-colors ${themeClasses.bg}`}>
+      <div className="absolute top-4 right-4 z-20">
+        <ThemeToggle />
+      </div>
+      <AnimatedBackground variant="default" />
+
+      <Container className="relative z-10 py-8 space-y-6">
+        <Button variant="ghost" onClick={() => navigate(-1)}>
+          ← Back
+        </Button>
+
+        {isLoading ? (
+          <div className={`h-64 rounded-lg animate-pulse ${themeClasses.card}`} />
+        ) : isError || !profile ? (
+          <Card className="p-8 text-center">
+            <p className={`text-lg ${themeClasses.text}`}>
+              {isOwnProfile ? 'Finish a game to start your profile.' : 'No profile for this player yet.'}
+            </p>
+            <p className={`text-sm mt-2 ${themeClasses.textSecondary}`}>{error?.message}</p>
+          </Card>
+        ) : (
+          <>
+            <Card className="p-8">
+              <div className="flex items-center gap-6">
+                <Avatar
+                  user={{ username: profile.displayName, avatar: isOwnProfile ? user.avatar : null }}
+                  size="lg"
+                />
+                <div className="flex-1">
+                  <h1 className={`text-3xl font-header font-bold ${themeClasses.text}`}>
+                    {profile.displayName}
+                    {isOwnProfile && <span className="ml-2 text-sm text-mint-pop">(You)</span>}
+                  </h1>
+                  <div className={`text-sm ${themeClasses.textSecondary}`}>
+                    {profile.firstPlayedAt && `Playing since ${new Date(profile.firstPlayedAt).toLocaleDateString()}`}
+                    {profile.lastPlayedAt && ` · last game ${new Date(profile.lastPlayedAt).toLocaleDateString()}`}
+                  </div>
+                </div>
+                {profile.rating && (
+                  <div className="text-right">
+                    <div className="text-3xl font-decorative font-bold text-sunbeam-yellow">
+                      {Math.round(profile.rating.rating).toLocaleString()}
+                    </div>
+                    <div className={`text-xs ${themeClasses.textSecondary}`}>
+                      rating ± {profile.rating.deviation}
+                      {!profile.rating.ranked && ' · provisional'}
+                    </div>
+                  </div>
+                )}
+              </div>
+            </Card>
+
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+              {stats.map((stat, index) => (
+                <motion.div
+                  key={stat.label}
+                  initial={{ opacity: 0, y: 20 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ delay: index * 0.05 }}
+                >
+                  <Card className="p-6 text-center h-full">
+                    <div className={`text-2xl font-header font-bold capitalize ${themeClasses.text}`}>{stat.value}</div>
+                    <div className={`text-xs uppercase tracking-wide mt-1 ${themeClasses.textSecondary}`}>{stat.label}</div>
+                  </Card>
+                </motion.div>
+              ))}
+            </div>
+
+            <div className="grid gap-6 md:grid-cols-2">
+              <Card className="p-8">
+                <h3 className={`text-2xl font-header font-bold mb-4 ${themeClasses.text}`}>Scores</h3>
+                {Object.keys(profile.metrics).length === 0 ? (
+                  <p className={`text-sm ${themeClasses.textSecondary}`}>No scored games yet.</p>
+                ) : (
+                  <div className="space-y-3">
+                    {Object.entries(METRIC_LABELS)
+                      .filter(([metric]) => profile.metrics[metric])
+                      .map(([metric, label]) => (
+                        <div key={metric} className={`flex justify-between ${themeClasses.text}`}>
+                          <span>{label}</span>
+                          <span>
+                            <span className="font-bold">{profile.metrics[metric].average}</span>
+                            <span className={`text-xs ml-2 ${themeClasses.textSecondary}`}>
+                              best {profile.metrics[metric].best}
+                            </span>
+                          </span>
+                        </div>
+                      ))}
+                  </div>
+                )}
+              </Card>
+
+              <Card className="p-8">
+                <h3 className={`text-2xl font-header font-bold mb-4 ${themeClasses.text}`}>Games by Mode</h3>
+                <div className="space-y-3">
+                  {Object.entries(MODE_LABELS).map(([mode, label]) => (
+                    <div key={mode} className={`flex justify-between ${themeClasses.text}`}>
+                      <span>{label}</span>
+                      <span className="font-bold">{profile.gamesByMode[mode] || 0}</span>
+                    </div>
+                  ))}
+                </div>
+              </Card>
+            </div>
+
+            {achievementData && (
+              <Card className="p-8" hoverable={false}>
+                <div className="flex items-baseline justify-between mb-4">
+                  <h3 className={`text-2xl font-header font-bold ${themeClasses.text}`}>Badges</h3>
+                  <span className={`text-sm ${themeClasses.textSecondary}`}>
+                    {achievementData.unlocked} / {achievementData.total} unlocked
+                  </span>
+                </div>
+                <BadgeShelf achievements={achievementData.achievements} />
+              </Card>
+            )}
+          </>
+        )}
+      </Container>
+    </div>
+  )
+}
+
+export default Profile
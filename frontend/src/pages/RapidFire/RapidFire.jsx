@@ -10,6 +10,7 @@ import Container from '../../components/Layout/Container'
 import { AnimatedBackground } from '../../components/Background'
 import { ThemeToggle } from '../../components/ThemeToggle'
 import { useThemeClasses } from '../../hooks/useThemeClasses'
+import { useCountdown } from '../../hooks/useCountdown'
 import { useUser } from '../../context/UserContext'
 import { useCreateGame, useSubmitTurn, useGameState } from '../../hooks/useGameAPI'
 import { useMatch } from '../../context/MatchContext'
@@ -24,15 +25,15 @@ const RapidFire = () => {
   const gameId = searchParams.get('gameId')
   const createGameMutation = useCreateGame()
   const submitTurnMutation = useSubmitTurn()
-  const { data: gameData, isLoading } = useGameState(gameId, {
+  const { data: gameData, isLoading, dataUpdatedAt } = useGameState(gameId, {
     enabled: !!gameId,
-    refetchInterval: 1000,
+    refetchInterval: 1000, // Fallback polling when the live stream is down
     refetchWhileWaiting: true,
   })
 
   const game = gameData?.game
   const gameInfo = gameData?.info
-  const timeRemaining = gameInfo?.timeRemainingSeconds || 0
+  const timeRemaining = useCountdown(gameInfo?.timeRemainingSeconds ?? null, dataUpdatedAt) || 0
   const isMyTurn = game?.currentPlayerId === user?.id
   const currentPrompt = game?.guidePrompt || game?.initialPrompt || 'A robot learns to feel emotions for the first time.'
   const currentTurnSeconds = game?.turnDurationSeconds || 60
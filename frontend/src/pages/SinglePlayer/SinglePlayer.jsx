@@ -13,6 +13,7 @@ import { useThemeClasses } from '../../hooks/useThemeClasses'
 import { useUser } from '../../context/UserContext'
 import { useCreateGame, useSubmitTurn, useGameState, usePreviewTurn } from '../../hooks/useGameAPI'
 import { useMatch } from '../../context/MatchContext'
+import { StoryStylePicker, SURPRISE_GENRE } from '../../components/StoryStyle'
 
 const SinglePlayer = () => {
   const navigate = useNavigate()
@@ -25,6 +26,7 @@ const SinglePlayer = () => {
   const [turnDurationSeconds, setTurnDurationSeconds] = useState(180) // default 3 minutes
   const [hasStarted, setHasStarted] = useState(!!searchParams.get('gameId'))
   const [localCountdown, setLocalCountdown] = useState(null)
+  const [storyStyle, setStoryStyle] = useState({ genre: SURPRISE_GENRE, tone: null, twistIntensity: 'absurd' })
   
   const gameId = searchParams.get('gameId')
   const createGameMutation = useCreateGame()
@@ -82,6 +84,7 @@ const SinglePlayer = () => {
       maxTurns: 5,
       maxPlayers: 2,
       mode: 'single',
+      ...storyStyle,
     }, {
       onSuccess: (data) => {
         if (data?.game?.id) {
@@ -185,7 +188,7 @@ const SinglePlayer = () => {
               <div className="flex items-center justify-between mb-6">
                 <div>
                   <h2 className={`text-2xl font-header font-bold ${themeClasses.text}`}>1v1 vs AI</h2>
-                  <p className={`${themeClasses.textSecondary} text-sm`}>Choose your turn timer, then start the duel.</p>
+                  <p className={`${themeClasses.textSecondary} text-sm`}>Choose your turn timer and story style, then start the duel.</p>
                 </div>
                 <div className="text-3xl">⚔️</div>
               </div>
@@ -201,6 +204,12 @@ const SinglePlayer = () => {
                   </Button>
                 ))}
               </div>
+              <div className="mt-6">
+                <StoryStylePicker
+                  {...storyStyle}
+                  onChange={(settings) => setStoryStyle((current) => ({ ...current, ...settings }))}
+                />
+              </div>
               <Button
                 variant="primary"
                 className="mt-6 w-full"
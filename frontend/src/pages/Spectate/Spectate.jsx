@@ -0,0 +1,220 @@
+import { useEffect } from 'react'
+import { useNavigate, useParams } from 'react-router-dom'
+import { motion } from 'framer-motion'
+import PromptCard from '../../components/PromptCard/PromptCard'
+import Timer from '../../components/Timer/Timer'
+import Avatar from '../../components/Avatars/Avatar'
+import Button from '../../components/Buttons/Button'
+import Card from '../../components/Cards/Card'
+import Container from '../../components/Layout/Container'
+import { AnimatedBackground } from '../../components/Background'
+import { ThemeToggle } from '../../components/ThemeToggle'
+import { useThemeClasses } from '../../hooks/useThemeClasses'
+import { useCountdown } from '../../hooks/useCountdown'
+import { useUser } from '../../context/UserContext'
+import { useGameState, useSpectateGame } from '../../hooks/useGameAPI'
+import { gameAPI, getAuthHeaders } from '../../utils/api'
+
+const Spectate = () => {
+  const navigate = useNavigate()
+  const { gameId } = useParams()
+  const themeClasses = useThemeClasses()
+  const { user } = useUser()
+  // mutate is stable across renders, unlike the mutation object
+  const { mutate: spectate } = useSpectateGame()
+  const { data: gameData, isLoading, error, dataUpdatedAt } = useGameState(gameId, {
+    enabled: !!gameId,
+    includeTurns: true,
+    refetchWhileWaiting: true,
+  })
+
+  const game = gameData?.game
+  const gameInfo = gameData?.info
+  const turns = gameInfo?.turns || []
+  const players = game?.players || []
+  const isPlayer = players.some(p => p.id === user.id)
+  const timeRemaining = useCountdown(gameInfo?.timeRemainingSeconds ?? null, dataUpdatedAt) || 0
+  const apiBaseUrl = import.meta.env.VITE_API_URL || 'http://localhost:3001'
+
+  // Players have their own view; send them there instead of watching
+  useEffect(() => {
+    if (game?.status === 'active' && isPlayer) {
+      navigate(`/multiplayer?gameId=${game.id}`)
+    }
+  }, [game?.status, game?.id, isPlayer, navigate])
+
+  // Register as a spectator while this page is open
+  useEffect(() => {
+    if (!gameId) return undefined
+
+    spectate({ gameId, playerName: user.username || 'Spectator' })
+
+    // Same keepalive trick as the lobby: the request has to outlive the page
+    const leaveOnUnload = async (event) => {
+      if (event?.persisted) return
+      const authHeaders = await getAuthHeaders().catch(() => ({}))
+      fetch(`${apiBaseUrl}/api/game/${gameId}/spectate`, {
+        method: 'DELETE',
+        headers: authHeaders,
+        keepalive: true,
+      }).catch(() => {})
+    }
+
+    window.addEventListener('pagehide', leaveOnUnload)
+
+    return () => {
+      window.removeEventListener('pagehide', leaveOnUnload)
+      gameAPI.stopSpectating(gameId).catch(() => {})
+    }
+  }, [gameId, user.username, apiBaseUrl, spectate])
+
+  const statusLabel = !game
+    ? ''
+    : game.status === 'waiting'
+      ? 'Waiting for the host to start...'
+      : game.status === 'finished'
+        ? 'The story is finished'
+        : `${game.currentPlayer || 'Player'} is writing...`
+
+  return (
+    <div className={`min-h-screen relative transition-colors ${themeClasses.bg}`}>
+      <div className="absolute top-4 right-4 z-20">
+        <ThemeToggle />
+      </div>
+      <AnimatedBackground variant="game" />
+
+      <Container className="relative z-10">
+        <div className="py-8">
+          {/* Header */}
+          <div className="flex justify-between items-center mb-8">
+            <Button
+              variant="ghost"
+              onClick={() => navigate('/lobby')}
+            >
+              ← Back to Lobby
+            </Button>
+            <div className="text-2xl font-header font-bold gradient-text">
+              Watching Live
+            </div>
+            <div className={`text-sm ${themeClasses.textSecondary}`}>
+              👀 {gameInfo?.spectatorCount ?? 0} watching
+            </div>
+          </div>
+
+          {isLoading ? (
+            <Card className="p-6">
+              <div className="text-center">Loading...</div>
+            </Card>
+          ) : error || !game ? (
+            <Card className="p-8 text-center">
+              <div className="text-lg font-bold mb-2">This game cannot be watched</div>
+              <div className={`text-sm ${themeClasses.textSecondary}`}>
+                {error?.message || 'Game not found.'}
+              </div>
+            </Card>
+          ) : (
+            <div className="grid grid-cols-1 lg:grid-cols-12 gap-6">
+              {/* Left: Current prompt */}
+              <div className="lg:col-span-3">
+                <PromptCard
+                  prompt={game.guidePrompt || game.initialPrompt || 'The story is about to begin.'}
+                  category="twist"
+                  className="sticky top-8"
+                />
+              </div>
+
+              {/* Center: Story so far */}
+              <div className="lg:col-span-6">
+                <Card className="p-6">
+                  <div className="mb-4 flex items-center justify-between">
+                    <h3 className={`text-xl font-header font-bold ${themeClasses.text}`}>The Story</h3>
+                    <div className={`text-sm ${themeClasses.textSecondary}`}>
+                      Turn {game.turnsCount || 0} / {game.maxTurns || 5}
+                    </div>
+                  </div>
+
+                  {turns.length === 0 ? (
+                    <div className={`text-sm ${themeClasses.textSecondary}`}>
+                      No turns yet. {statusLabel}
+                    </div>
+                  ) : (
+                    <div className="space-y-4">
+                      {turns.map((turn) => (
+                        <motion.div
+                          key={turn.order}
+                          initial={{ opacity: 0, y: 10 }}
+                          animate={{ opacity: 1, y: 0 }}
+                          className={`p-4 rounded-lg ${themeClasses.card}`}
+                        >
+                          <div className="text-xs uppercase tracking-wide text-mint-pop font-semibold mb-2">
+                            Turn {turn.order} · {turn.playerName}
+                          </div>
+                          <div className={`text-sm leading-relaxed ${themeClasses.text}`}>
+                            {turn.text}
+                          </div>
+                        </motion.div>
+                      ))}
+                    </div>
+                  )}
+
+                  {game.status === 'finished' && (
+                    <div className="mt-6 flex justify-center">
+                      <Button variant="primary" onClick={() => navigate(`/story/${game.id}`)}>
+                        View Final Story
+                      </Button>
+                    </div>
+                  )}
+                </Card>
+              </div>
+
+              {/* Right: Timer & Players */}
+              <div className="lg:col-span-3 space-y-6">
+                <Card className="p-6 flex flex-col items-center">
+                  <h3 className={`text-lg font-header font-bold mb-4 text-center ${themeClasses.text}`}>
+                    {statusLabel}
+                  </h3>
+                  {game.status === 'active' && timeRemaining > 0 ? (
+                    <Timer
+                      initialTime={game.turnDurationSeconds || 120}
+                      timeRemaining={timeRemaining}
+                      size={120}
+                    />
+                  ) : (
+                    <div className="text-4xl">⏱️</div>
+                  )}
+                </Card>
+
+                <Card className="p-6">
+                  <h3 className={`text-lg font-header font-bold mb-4 ${themeClasses.text}`}>Players</h3>
+                  <div className="space-y-4">
+                    {players.map((player) => {
+                      const isActive = game.status === 'active' && player.id === game.currentPlayerId
+                      return (
+                        <div
+                          key={player.id}
+                          className={`flex items-center gap-3 p-3 rounded-lg ${
+                            isActive ? 'bg-mint-pop bg-opacity-20 border-2 border-mint-pop' : themeClasses.card
+                          }`}
+                        >
+                          <Avatar user={{ id: player.id, username: player.name }} size="sm" />
+                          <div className="flex-1">
+                            <div className={`font-bold text-sm ${themeClasses.text}`}>{player.name}</div>
+                            {isActive && (
+                              <div className="text-xs text-mint-pop">Writing...</div>
+                            )}
+                          </div>
+                        </div>
+                      )
+                    })}
+                  </div>
+                </Card>
+              </div>
+            </div>
+          )}
+        </div>
+      </Container>
+    </div>
+  )
+}
+
+export default Spectate
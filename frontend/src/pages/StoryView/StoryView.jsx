@@ -1,4 +1,4 @@
-import { useMemo } from 'react'
+import { useMemo, useState } from 'react'
 import { useParams, useNavigate } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import Button from '../../components/Buttons/Button'
@@ -6,25 +6,107 @@ import Card from '../../components/Cards/Card'
 import Container from '../../components/Layout/Container'
 import { AnimatedBackground } from '../../components/Background'
 import { ThemeToggle } from '../../components/ThemeToggle'
+import { StoryExportButtons } from '../../components/StoryExport'
+import { AchievementToasts } from '../../components/Achievements'
 import { useThemeClasses } from '../../hooks/useThemeClasses'
-import { useGameState } from '../../hooks/useGameAPI'
+import { useUser } from '../../context/UserContext'
+import {
+  useCastVote,
+  useForkGame,
+  useGameFamily,
+  useGameState,
+  usePublication,
+  useRescoreGame,
+  useSetPublished,
+} from '../../hooks/useGameAPI'
+
+const FORK_MODES = [
+  { value: 'multi', label: 'Multiplayer', path: (id) => `/lobby?gameId=${id}` },
+  { value: 'team', label: 'Team Game', path: (id) => `/lobby?gameId=${id}` },
+  { value: 'single', label: 'Single Player', path: (id) => `/singleplayer?gameId=${id}` },
+  { value: 'rapid', label: 'Rapid Fire', path: (id) => `/rapidfire?gameId=${id}` },
+]
 
 const StoryView = () => {
   const { id: gameId } = useParams()
   const navigate = useNavigate()
   const themeClasses = useThemeClasses()
+  const { user } = useUser()
 
+  const rescoreMutation = useRescoreGame()
+  const castVoteMutation = useCastVote()
+  const forkMutation = useForkGame()
+  const [ranking, setRanking] = useState(null)
+  const [forkMode, setForkMode] = useState('multi')
+  const [exportAttribution, setExportAttribution] = useState(true)
   const { data, isLoading, isError } = useGameState(gameId, {
     enabled: !!gameId,
     refetchInterval: false,
     includeTurns: true,
   })
+  const { data: familyData } = useGameFamily(gameId)
+  const setPublishedMutation = useSetPublished()
 
   const game = data?.game
   const info = data?.info
   const scores = info?.scores || game?.scores
   const turns = info?.turns || []
   const storyText = info?.storyText
+  // Parallel team games have one story per team
+  const storySections = info?.teamStoryTexts
+    ? Object.entries(info.teamStoryTexts).map(([teamId, text]) => ({ title: `Team ${teamId} Story`, text }))
+    : storyText ? [{ title: 'Full Story', text: storyText }] : []
+  const scoringStatus = info?.scoringStatus || game?.scoringStatus
+  const isJudging = scoringStatus === 'pending' || scoringStatus === 'running'
+  // Failed jobs, or games finished before scoring ran as a job, can be scored again
+  const canRescore = !isJudging && (scoringStatus === 'failed' || (!scoringStatus && !scores?.players))
+
+  const voting = info?.voting
+  const isVotingOpen = voting?.status === 'open'
+  const canVote = isVotingOpen && voting.eligibleVoterIds?.includes(user.id) && !game?.voterIds?.includes(user.id)
+  const hasVoted = isVotingOpen && game?.voterIds?.includes(user.id)
+  const votesOnly = scores?.votes?.method === 'votes'
+  // Until the player reorders anything, the ballot follows story order
+  const rankableTurns = turns.filter((turn) => turn.playerId !== user.id)
+  const ballot = ranking || rankableTurns.map((turn) => turn.id)
+  const turnsById = Object.fromEntries(turns.map((turn) => [turn.id, turn]))
+
+  // Everyone who played has to agree before a story goes public
+  const isParticipant = !!user && (
+    game?.players?.some((player) => player.id === user.id) || turns.some((turn) => turn.playerId === user.id)
+  )
+  const { data: publicationData } = usePublication(gameId, {
+    enabled: game?.status === 'finished' && isParticipant,
+  })
+  const publication = publicationData?.publication
+  const shareUrl = publication?.slug ? `${window.location.origin}/gallery/${publication.slug}` : null
+
+  // Forks branch off their parent; render the family as an indented tree from the original
+  const familyTree = useMemo(() => {
+    const games = familyData?.games || []
+    const childrenOf = (parentId) => games.filter((member) => member.parentGameId === parentId)
+    const walk = (member, depth) => [{ ...member, depth }, ...childrenOf(member.id).flatMap((child) => walk(child, depth + 1))]
+    return games.filter((member) => !member.parentGameId).flatMap((member) => walk(member, 0))
+  }, [familyData?.games])
+
+  const handleFork = (atTurn) => {
+    if (forkMutation.isPending) return
+    forkMutation.mutate({ gameId, atTurn, mode: forkMode, hostName: user.username || 'Player' }, {
+      onSuccess: (result) => {
+        const target = FORK_MODES.find((option) => option.value === result?.game?.mode) || FORK_MODES[0]
+        if (result?.game?.id) navigate(target.path(result.game.id))
+      },
+    })
+  }
+
+  const moveInBallot = (index, offset) => {
+    const target = index + offset
+    if (target < 0 || target >= ballot.length) return
+    const next = [...ballot]
+    const [moved] = next.splice(index, 1)
+    next.splice(target, 0, moved)
+    setRanking(next)
+  }
 
   const playerResults = useMemo(() => {
     if (!scores?.players) return []
@@ -34,12 +116,17 @@ const StoryView = () => {
         const cohesion = Number(metrics?.cohesion) || 0
         const promptFit = Number(metrics?.prompt_fit ?? metrics?.promptFit ?? metrics?.momentum) || 0
         const average = Math.round((creativity + cohesion + promptFit) / 3)
+        // With player votes the stored total already blends in the vote score
+        const hasVotes = metrics?.voteScore !== undefined
         return {
           name,
           creativity,
           cohesion,
           promptFit,
-          average,
+          average: hasVotes ? Number(metrics.total) || 0 : average,
+          votes: hasVotes
+            ? { points: metrics.votePoints || 0, firstPlace: metrics.firstPlaceVotes || 0, score: metrics.voteScore }
+            : null,
           notes: {
             creativity: metrics?.creativity_note || metrics?.creativityNote,
             cohesion: metrics?.cohesion_note || metrics?.continuity_note,
@@ -56,6 +143,7 @@ const StoryView = () => {
     if (game.mode === 'multi') return 'Multiplayer'
     if (game.mode === 'single') return 'Single Player'
     if (game.mode === 'rapid') return 'Rapid Fire'
+    if (game.mode === 'team') return 'Team Game'
     return game.mode
   }, [game?.mode])
 
@@ -66,7 +154,8 @@ const StoryView = () => {
     { label: 'Seconds / turn', value: game?.turnDurationSeconds ? `${game.turnDurationSeconds}s` : '—' },
   ]
 
-  const summaryText = scores?.summary || (status === 'finished' ? 'Game finished' : 'Game in progress')
+  const summaryText =
+    scores?.summary || (status === 'finished' ? (isJudging ? 'Judging the story…' : 'Game finished') : 'Game in progress')
   const initialPrompt = game?.initialPrompt || 'Story starter unavailable'
 
   const renderContent = () => {
@@ -92,7 +181,9 @@ const StoryView = () => {
                     <div key={turn.order} className={`p-4 rounded-lg ${themeClasses.surface} ${themeClasses.border}`}>
                       <div className="flex items-center justify-between mb-2">
                         <div className="text-sm text-cloud-gray">Turn {turn.order}</div>
-                        <div className="text-sm font-semibold text-electric-purple">{turn.playerName}</div>
+                        <div className="text-sm font-semibold text-electric-purple">
+                        {turn.playerName}{turn.teamId && ` · Team ${turn.teamId}`}
+                      </div>
                       </div>
                       <p className={`${themeClasses.text}`}>{turn.text?.replace(/<[^>]*>/g, '').trim()}</p>
                       {turn.promptUsed && (
@@ -106,12 +197,12 @@ const StoryView = () => {
               ) : (
                 <div className="text-cloud-gray">No turns found.</div>
               )}
-              {storyText && (
-                <div className="p-4 rounded-lg bg-soft-charcoal/30">
-                  <div className="text-xs uppercase tracking-wide text-cloud-gray mb-2">Full Story</div>
-                  <pre className="whitespace-pre-wrap break-words text-sm text-cloud-gray">{storyText}</pre>
+              {storySections.map((section) => (
+                <div key={section.title} className="p-4 rounded-lg bg-soft-charcoal/30">
+                  <div className="text-xs uppercase tracking-wide text-cloud-gray mb-2">{section.title}</div>
+                  <pre className="whitespace-pre-wrap break-words text-sm text-cloud-gray">{section.text}</pre>
                 </div>
-              )}
+              ))}
             </div>
           </Card>
         </>
@@ -155,6 +246,15 @@ const StoryView = () => {
               <p className={`${themeClasses.textSecondary} max-w-3xl leading-relaxed`}>
                 {summaryText}
               </p>
+              {game.parentGameId && (
+                <button
+                  type="button"
+                  onClick={() => navigate(`/story/${game.parentGameId}`)}
+                  className="text-sm text-electric-purple hover:underline"
+                >
+                  Forked from game {game.parentGameId.slice(0, 6)} after turn {game.forkedAtTurn}
+                </button>
+              )}
             </div>
             <div className={`lg:text-right ${themeClasses.textSecondary}`}>
               <div className="text-sm">Initial prompt</div>
@@ -181,13 +281,106 @@ const StoryView = () => {
           <div className="flex items-center justify-between mb-4">
             <h3 className={`text-2xl font-header font-bold ${themeClasses.text}`}>Player Scores</h3>
             {scores?.summary && (
-              <span className="text-sm text-cloud-gray">AI Summary: {scores.summary}</span>
+              <span className="text-sm text-cloud-gray">
+                {scores.judge === 'heuristic' ? 'Fallback judge' : votesOnly ? 'Player Votes' : 'AI Summary'}: {scores.summary}
+              </span>
             )}
           </div>
 
-          {playerResults.length === 0 ? (
-            <div className="text-center py-6 text-cloud-gray">
-              {status === 'finished' ? 'Scores not available yet.' : 'Game is still running.'}
+          {scores?.teams && (
+            <div className="flex flex-wrap gap-3 mb-4">
+              {Object.entries(scores.teams).map(([teamId, team]) => (
+                <div key={teamId} className={`px-4 py-2 rounded-lg ${themeClasses.surface} ${themeClasses.border}`}>
+                  <span className={`font-semibold ${themeClasses.text}`}>{team.name}</span>
+                  <span className="ml-2 text-sunbeam-yellow font-bold">{team.total}</span>
+                  {scores.winningTeamId === teamId && <span className="ml-2">🏆</span>}
+                </div>
+              ))}
+            </div>
+          )}
+
+          {isVotingOpen ? (
+            <div className="space-y-4">
+              <div className="text-sm text-cloud-gray">
+                Voting is open: {voting.votesCast} of {voting.eligibleVoterIds?.length || 0} players have voted.
+                {voting.closesAt && ` Closes at ${new Date(voting.closesAt).toLocaleTimeString()}.`}
+              </div>
+              {canVote && (
+                <>
+                  <div className={`text-sm ${themeClasses.text}`}>
+                    Rank the other players&apos; turns, best first.
+                  </div>
+                  <div className="space-y-2">
+                    {ballot.map((turnId, index) => {
+                      const turn = turnsById[turnId]
+                      return (
+                        <div
+                          key={turnId}
+                          className={`flex items-center gap-3 p-3 rounded-lg ${themeClasses.surface} ${themeClasses.border}`}
+                        >
+                          <span className="text-lg font-header font-bold text-electric-purple">#{index + 1}</span>
+                          <div className="flex-1 min-w-0">
+                            <div className="text-xs text-cloud-gray">Turn {turn?.order} · {turn?.playerName}</div>
+                            <div className={`truncate ${themeClasses.text}`}>{turn?.text?.replace(/<[^>]*>/g, '').trim()}</div>
+                          </div>
+                          <Button variant="ghost" size="sm" disabled={index === 0} onClick={() => moveInBallot(index, -1)}>
+                            ↑
+                          </Button>
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            disabled={index === ballot.length - 1}
+                            onClick={() => moveInBallot(index, 1)}
+                          >
+                            ↓
+                          </Button>
+                        </div>
+                      )
+                    })}
+                  </div>
+                  <Button
+                    variant="primary"
+                    size="sm"
+                    disabled={castVoteMutation.isPending || ballot.length === 0}
+                    onClick={() => castVoteMutation.mutate({ gameId, ranking: ballot })}
+                  >
+                    {castVoteMutation.isPending ? 'Submitting…' : 'Submit Vote'}
+                  </Button>
+                  {castVoteMutation.isError && (
+                    <div className="text-xs text-laser-coral">{castVoteMutation.error?.message}</div>
+                  )}
+                </>
+              )}
+              {hasVoted && (
+                <div className="text-sm text-mint-pop">Thanks for voting! Scores appear once voting closes.</div>
+              )}
+            </div>
+          ) : isJudging ? (
+            <div className="text-center py-6 text-cloud-gray animate-pulse">
+              Judging… scores will appear here in a moment.
+            </div>
+          ) : playerResults.length === 0 ? (
+            <div className="text-center py-6 text-cloud-gray space-y-3">
+              <div>
+                {status !== 'finished'
+                  ? 'Game is still running.'
+                  : scoringStatus === 'failed'
+                    ? 'Scoring failed for this game.'
+                    : 'Scores not available yet.'}
+              </div>
+              {status === 'finished' && canRescore && (
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  disabled={rescoreMutation.isPending}
+                  onClick={() => rescoreMutation.mutate({ gameId })}
+                >
+                  {rescoreMutation.isPending ? 'Queuing…' : 'Retry scoring'}
+                </Button>
+              )}
+              {rescoreMutation.isError && (
+                <div className="text-xs text-laser-coral">{rescoreMutation.error?.message}</div>
+              )}
             </div>
           ) : (
             <div className="space-y-4">
@@ -204,7 +397,7 @@ const StoryView = () => {
                       <span className="text-xl font-header font-bold text-electric-purple">#{index + 1}</span>
                       <div>
                         <div className={`text-lg font-bold ${themeClasses.text}`}>{player.name}</div>
-                        <div className="text-xs text-cloud-gray">Average score</div>
+                        <div className="text-xs text-cloud-gray">{player.votes ? 'Final score' : 'Average score'}</div>
                       </div>
                     </div>
                     <div className="text-3xl font-header font-bold text-mint-pop">
@@ -212,29 +405,39 @@ const StoryView = () => {
                     </div>
                   </div>
 
-                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mt-3">
-                    <div className="p-3 rounded-lg bg-soft-charcoal/40">
-                      <div className="text-xs uppercase tracking-wide text-cloud-gray">Creativity</div>
-                      <div className={`text-xl font-bold ${themeClasses.text}`}>{player.creativity}</div>
-                      {player.notes.creativity && (
-                        <div className="text-xs text-cloud-gray mt-1">{player.notes.creativity}</div>
-                      )}
-                    </div>
-                    <div className="p-3 rounded-lg bg-soft-charcoal/40">
-                      <div className="text-xs uppercase tracking-wide text-cloud-gray">Cohesion</div>
-                      <div className={`text-xl font-bold ${themeClasses.text}`}>{player.cohesion}</div>
-                      {player.notes.cohesion && (
-                        <div className="text-xs text-cloud-gray mt-1">{player.notes.cohesion}</div>
-                      )}
+                  {player.votes && (
+                    <div className="mt-3 text-sm text-cloud-gray">
+                      Votes: <span className={`font-semibold ${themeClasses.text}`}>{player.votes.points} pts</span>
+                      {' · '}{player.votes.firstPlace} first-place
+                      {' · '}vote score <span className="text-sunbeam-yellow font-semibold">{player.votes.score}</span>
                     </div>
-                    <div className="p-3 rounded-lg bg-soft-charcoal/40">
-                      <div className="text-xs uppercase tracking-wide text-cloud-gray">Prompt Fit</div>
-                      <div className={`text-xl font-bold ${themeClasses.text}`}>{player.promptFit}</div>
-                      {player.notes.prompt && (
-                        <div className="text-xs text-cloud-gray mt-1">{player.notes.prompt}</div>
-                      )}
+                  )}
+
+                  {!votesOnly && (
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 mt-3">
+                      <div className="p-3 rounded-lg bg-soft-charcoal/40">
+                        <div className="text-xs uppercase tracking-wide text-cloud-gray">Creativity</div>
+                        <div className={`text-xl font-bold ${themeClasses.text}`}>{player.creativity}</div>
+                        {player.notes.creativity && (
+                          <div className="text-xs text-cloud-gray mt-1">{player.notes.creativity}</div>
+                        )}
+                      </div>
+                      <div className="p-3 rounded-lg bg-soft-charcoal/40">
+                        <div className="text-xs uppercase tracking-wide text-cloud-gray">Cohesion</div>
+                        <div className={`text-xl font-bold ${themeClasses.text}`}>{player.cohesion}</div>
+                        {player.notes.cohesion && (
+                          <div className="text-xs text-cloud-gray mt-1">{player.notes.cohesion}</div>
+                        )}
+                      </div>
+                      <div className="p-3 rounded-lg bg-soft-charcoal/40">
+                        <div className="text-xs uppercase tracking-wide text-cloud-gray">Prompt Fit</div>
+                        <div className={`text-xl font-bold ${themeClasses.text}`}>{player.promptFit}</div>
+                        {player.notes.prompt && (
+                          <div className="text-xs text-cloud-gray mt-1">{player.notes.prompt}</div>
+                        )}
+                      </div>
                     </div>
-                  </div>
+                  )}
                 </motion.div>
               ))}
             </div>
@@ -256,7 +459,12 @@ const StoryView = () => {
                   <div key={turn.order} className={`p-4 rounded-lg ${themeClasses.surface} ${themeClasses.border}`}>
                     <div className="flex items-center justify-between mb-2">
                       <div className="text-sm text-cloud-gray">Turn {turn.order}</div>
-                      <div className="text-sm font-semibold text-electric-purple">{turn.playerName}</div>
+                      <div className="text-sm font-semibold text-electric-purple">
+                      {turn.playerName}{turn.teamId && ` · Team ${turn.teamId}`}
+                      {scores?.votes?.turns?.[turn.id] !== undefined && (
+                        <span className="ml-2 text-xs text-sunbeam-yellow">{scores.votes.turns[turn.id]} vote pts</span>
+                      )}
+                    </div>
                     </div>
                     <p className={`${themeClasses.text}`}>{turn.text?.replace(/<[^>]*>/g, '').trim()}</p>
                     {turn.promptUsed && (
@@ -264,21 +472,159 @@ const StoryView = () => {
                         Prompt: <span className={`${themeClasses.text}`}>{turn.promptUsed}</span>
                       </div>
                     )}
+                    <div className="mt-3 flex items-center justify-between gap-3">
+                      <span className="text-xs text-cloud-gray">
+                        {turn.forkedFromGameId && turn.forkedFromGameId !== gameId && 'Carried over from an earlier story'}
+                      </span>
+                      {status === 'finished' && (
+                        <Button
+                          variant="ghost"
+                          size="sm"
+                          disabled={forkMutation.isPending}
+                          onClick={() => handleFork(turn.order)}
+                        >
+                          Fork from here
+                        </Button>
+                      )}
+                    </div>
                   </div>
                 ))}
               </div>
             ) : (
               <div className="text-cloud-gray">No turns found.</div>
             )}
-            {storyText && (
-              <div className="p-4 rounded-lg bg-soft-charcoal/30">
-                <div className="text-xs uppercase tracking-wide text-cloud-gray mb-2">Full Story</div>
-                <pre className="whitespace-pre-wrap break-words text-sm text-cloud-gray">{storyText}</pre>
+            {storySections.map((section) => (
+              <div key={section.title} className="p-4 rounded-lg bg-soft-charcoal/30">
+                <div className="text-xs uppercase tracking-wide text-cloud-gray mb-2">{section.title}</div>
+                <pre className="whitespace-pre-wrap break-words text-sm text-cloud-gray">{section.text}</pre>
               </div>
-            )}
+            ))}
           </div>
         </Card>
 
+        {status === 'finished' && (
+          <Card className="p-8">
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+              <h3 className={`text-2xl font-header font-bold ${themeClasses.text}`}>Download</h3>
+              <label className={`flex items-center gap-2 text-sm ${themeClasses.textSecondary}`}>
+                <input
+                  type="checkbox"
+                  checked={exportAttribution}
+                  onChange={(event) => setExportAttribution(event.target.checked)}
+                />
+                Credit each turn&apos;s author
+              </label>
+            </div>
+            <StoryExportButtons gameId={gameId} attribution={exportAttribution} />
+          </Card>
+        )}
+
+        {status === 'finished' && publication && (
+          <Card className="p-8">
+            <h3 className={`text-2xl font-header font-bold mb-2 ${themeClasses.text}`}>Story Gallery</h3>
+            <p className={`text-sm mb-4 ${themeClasses.textSecondary}`}>
+              {publication.status === 'published'
+                ? 'This story is public. Anyone with the link can read it; only display names are shown.'
+                : 'Share this story in the public gallery. It goes live once every player has agreed.'}
+            </p>
+            <div className={`text-sm mb-4 ${themeClasses.text}`}>
+              {publication.consents}/{publication.participants} players agreed
+              {publication.hasConsented && publication.status !== 'published' && ' · waiting for the others'}
+            </div>
+            {shareUrl && (
+              <div className="flex flex-wrap items-center gap-2 mb-4">
+                <code className="px-3 py-2 rounded bg-soft-charcoal/30 text-sm text-mint-pop break-all">{shareUrl}</code>
+                <Button variant="ghost" size="sm" onClick={() => navigator.clipboard?.writeText(shareUrl)}>
+                  Copy link
+                </Button>
+              </div>
+            )}
+            <div className="flex flex-wrap gap-2">
+              {publication.hasConsented ? (
+                <Button
+                  variant="danger"
+                  size="sm"
+                  disabled={setPublishedMutation.isPending}
+                  onClick={() => setPublishedMutation.mutate({ gameId, publish: false })}
+                >
+                  {publication.status === 'published' ? 'Unpublish' : 'Withdraw agreement'}
+                </Button>
+              ) : (
+                <Button
+                  variant="primary"
+                  size="sm"
+                  disabled={setPublishedMutation.isPending}
+                  onClick={() => setPublishedMutation.mutate({ gameId, publish: true })}
+                >
+                  Agree to publish
+                </Button>
+              )}
+            </div>
+            {setPublishedMutation.isError && (
+              <div className="text-xs text-laser-coral mt-2">{setPublishedMutation.error.message}</div>
+            )}
+          </Card>
+        )}
+
+        <Card className="p-8">
+          <h3 className={`text-2xl font-header font-bold mb-2 ${themeClasses.text}`}>Story Family</h3>
+          <p className={`text-sm mb-4 ${themeClasses.textSecondary}`}>
+            Fork a finished story to play out a different ending. Pick a turn above, or continue from the end.
+          </p>
+
+          {status === 'finished' && (
+            <div className="flex flex-wrap items-center gap-2 mb-6">
+              {FORK_MODES.map((option) => (
+                <Button
+                  key={option.value}
+                  variant={forkMode === option.value ? 'primary' : 'ghost'}
+                  size="sm"
+                  onClick={() => setForkMode(option.value)}
+                >
+                  {option.label}
+                </Button>
+              ))}
+              <Button
+                variant="secondary"
+                size="sm"
+                disabled={forkMutation.isPending}
+                onClick={() => handleFork(turns.length)}
+              >
+                {forkMutation.isPending ? 'Forking…' : 'Fork Whole Story'}
+              </Button>
+            </div>
+          )}
+          {forkMutation.isError && (
+            <div className="text-xs text-laser-coral mb-4">{forkMutation.error?.message}</div>
+          )}
+
+          {familyTree.length > 1 ? (
+            <div className="space-y-2">
+              {familyTree.map((member) => (
+                <button
+                  key={member.id}
+                  type="button"
+                  onClick={() => navigate(`/story/${member.id}`)}
+                  style={{ marginLeft: `${member.depth * 1.5}rem` }}
+                  className={`block w-auto text-left p-3 rounded-lg border ${themeClasses.border} ${
+                    member.id === gameId ? 'bg-electric-purple/20' : themeClasses.surface
+                  }`}
+                >
+                  <span className={`font-semibold ${themeClasses.text}`}>
+                    {member.depth > 0 && '↳ '}Game {member.id.slice(0, 6)}
+                  </span>
+                  <span className="ml-2 text-xs text-cloud-gray">
+                    {member.parentGameId ? `forked after turn ${member.forkedAtTurn} · ` : 'original · '}
+                    {member.hostName} · {member.turnsCount}/{member.maxTurns} turns · {member.status}
+                  </span>
+                </button>
+              ))}
+            </div>
+          ) : (
+            <div className="text-cloud-gray text-sm">No forks of this story yet.</div>
+          )}
+        </Card>
+
         <div className="flex flex-col sm:flex-row gap-3 justify-center">
           <Button
             variant="primary"
@@ -306,6 +652,9 @@ const StoryView = () => {
         <ThemeToggle />
       </div>
       <AnimatedBackground variant="default" />
+      {isParticipant && (
+        <AchievementToasts userId={user.id} gameId={gameId} settled={status === 'finished' && scoringStatus === 'done'} />
+      )}
       
       {/* Story reading decorations */}
       <div className="absolute inset-0 overflow-hidden pointer-events-none z-0">
@@ -3,19 +3,30 @@
  * Handles all communication with the backend API
  */
 
+import { auth } from '../firebase/config';
+
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+/**
+ * Authorization header for the signed-in Firebase user (empty when signed out)
+ */
+export async function getAuthHeaders() {
+  const token = await auth.currentUser?.getIdToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
 /**
  * Base fetch wrapper with error handling
  */
 async function apiRequest(endpoint, options = {}) {
   const url = `${API_BASE_URL}${endpoint}`;
   const config = {
+    ...options,
     headers: {
       'Content-Type': 'application/json',
+      ...(await getAuthHeaders()),
       ...options.headers,
     },
-    ...options,
   };
 
   if (config.body && typeof config.body === 'object') {
@@ -37,20 +48,31 @@ async function apiRequest(endpoint, options = {}) {
   }
 }
 
+/**
+ * Open a Server-Sent Events stream for a backend endpoint.
+ * EventSource cannot send headers, so each connection trades the ID token for a
+ * single-use stream ticket that travels as a query param instead.
+ * @param {string} endpoint - Stream path, e.g. /api/game/:gameId/events
+ * @returns {Promise<EventSource>} Open event source (caller must close it)
+ */
+export async function openEventStream(endpoint) {
+  const { ticket } = await apiRequest('/api/streams/ticket', { method: 'POST' });
+  const search = new URLSearchParams({ ticket }).toString();
+  return new EventSource(`${API_BASE_URL}${endpoint}?${search}`);
+}
+
 /**
  * Game API Functions
  */
 export const gameAPI = {
   /**
-   * Create a new game
+   * Create a new game. The host's id and name come from the signed-in account.
    * @param {Object} gameData - Game creation parameters
-   * @param {string} gameData.hostName - Host player name
-   * @param {string} gameData.hostId - Host player ID
    * @param {string} gameData.initialPrompt - Starting prompt for the story
    * @param {number} gameData.turnDurationSeconds - Duration per turn in seconds
    * @param {number} gameData.maxTurns - Maximum number of turns
    * @param {number} gameData.maxPlayers - Maximum number of players
-   * @param {string} gameData.mode - Game mode ('single' or 'multi')
+   * @param {string} gameData.mode - Game mode ('single', 'multi', 'rapid' or 'team')
    * @returns {Promise<Object>} Created game object
    */
   createGame: async (gameData) => {
@@ -61,11 +83,9 @@ export const gameAPI = {
   },
 
   /**
-   * Join an existing game
+   * Join an existing game as the signed-in player
    * @param {string} gameId - Game ID to join
-   * @param {Object} playerData - Player information
-   * @param {string} playerData.playerName - Player name
-   * @param {string} playerData.playerId - Player ID
+   * @param {Object} playerData - Unused; kept for callers that still send it
    * @returns {Promise<Object>} Updated game object
    */
   joinGame: async (gameId, playerData) => {
@@ -79,8 +99,6 @@ export const gameAPI = {
    * Submit a turn in a game
    * @param {string} gameId - Game ID
    * @param {Object} turnData - Turn submission data
-   * @param {string} turnData.playerName - Player name
-   * @param {string} turnData.playerId - Player ID
    * @param {string} turnData.text - Story text for this turn
    * @returns {Promise<Object>} Game state with turn and scores
    */
@@ -134,6 +152,17 @@ export const gameAPI = {
     });
   },
 
+  /**
+   * Claim the pen in a "claim the pen" game; the claimer writes the next turn
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} Updated game object
+   */
+  claimTurn: async (gameId) => {
+    return apiRequest(`/api/game/${gameId}/claim`, {
+      method: 'POST',
+    });
+  },
+
   /**
    * Update lobby settings (host only)
    */
@@ -144,6 +173,114 @@ export const gameAPI = {
     });
   },
 
+  /**
+   * Watch a game as a spectator (read-only)
+   * @param {string} gameId - Game ID
+   * @param {Object} data - Display name ({ playerName })
+   * @returns {Promise<Object>} Game with the updated spectator list
+   */
+  spectateGame: async (gameId, data = {}) => {
+    return apiRequest(`/api/game/${gameId}/spectate`, {
+      method: 'POST',
+      body: data,
+    });
+  },
+
+  /**
+   * Stop watching a game
+   */
+  stopSpectating: async (gameId) => {
+    return apiRequest(`/api/game/${gameId}/spectate`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Re-run scoring for a finished game (any player in it)
+   */
+  rescoreGame: async (gameId) => {
+    return apiRequest(`/api/game/${gameId}/rescore`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Start a new game from a finished story as it stood after `atTurn` turns
+   */
+  forkGame: async (gameId, data) => {
+    return apiRequest(`/api/game/${gameId}/fork`, {
+      method: 'POST',
+      body: data,
+    });
+  },
+
+  /**
+   * Get the original story and every fork of it
+   */
+  getGameFamily: async (gameId) => {
+    return apiRequest(`/api/game/${gameId}/family`, {
+      method: 'GET',
+    });
+  },
+
+  /**
+   * Get a finished story's gallery status (consents so far, slug once published)
+   */
+  getPublication: async (gameId) => {
+    return apiRequest(`/api/game/${gameId}/publish`, {
+      method: 'GET',
+    });
+  },
+
+  /**
+   * Agree to publish a finished story; it goes public once every player has agreed
+   */
+  publishStory: async (gameId) => {
+    return apiRequest(`/api/game/${gameId}/publish`, {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Withdraw agreement, taking the story out of the gallery if it was published
+   */
+  unpublishStory: async (gameId) => {
+    return apiRequest(`/api/game/${gameId}/publish`, {
+      method: 'DELETE',
+    });
+  },
+
+  /**
+   * Download a finished story as md, txt, epub or pdf
+   * @returns {Promise<{blob: Blob, filename: string}>}
+   */
+  exportStory: async (gameId, format, { attribution = true } = {}) => {
+    const params = new URLSearchParams({ format, attribution: String(attribution) });
+    const endpoint = `/api/game/${gameId}/export?${params.toString()}`;
+    const response = await fetch(`${API_BASE_URL}${endpoint}`, { headers: await getAuthHeaders() });
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      const error = new Error(data.error || `API Error: ${response.statusText}`);
+      console.error(`API Error [${endpoint}]:`, error);
+      throw error;
+    }
+
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `story-${gameId.slice(0, 8)}.${format}`;
+    return { blob: await response.blob(), filename };
+  },
+
+  /**
+   * Cast a ranked ballot (turn ids, best first) while a finished game's vote is open
+   */
+  castVote: async (gameId, ranking) => {
+    return apiRequest(`/api/game/${gameId}/vote`, {
+      method: 'POST',
+      body: { ranking },
+    });
+  },
+
   /**
    * Host abandons/finishes a lobby
    */
@@ -154,6 +291,17 @@ export const gameAPI = {
     });
   },
 
+  /**
+   * Leave a waiting or active game (hosting passes to the next player)
+   * @param {string} gameId - Game ID
+   * @returns {Promise<Object>} Game without the caller
+   */
+  leaveGame: async (gameId) => {
+    return apiRequest(`/api/game/${gameId}/leave`, {
+      method: 'POST',
+    });
+  },
+
   /**
    * Cleanup all waiting lobbies (admin)
    */
@@ -189,6 +337,19 @@ export const gameAPI = {
     });
   },
 
+  /**
+   * Request to join a lobby by its invite code (works for private lobbies)
+   * @param {string} code - Invite code, case-insensitive
+   * @param {Object} playerData - Player info
+   * @returns {Promise<Object>} The lobby and whether a request was made
+   */
+  joinByCode: async (code, playerData) => {
+    return apiRequest('/api/game/join-by-code', {
+      method: 'POST',
+      body: { ...playerData, code },
+    });
+  },
+
   /**
    * Host reviews a join request
    * @param {string} gameId - Lobby/game ID
@@ -202,10 +363,88 @@ export const gameAPI = {
   },
 
   /**
-   * Get latest finished games for a user
+   * Host removes a player from a waiting lobby
+   * @param {string} gameId - Lobby/game ID
+   * @param {string} playerId - Player to remove
    */
-  getUserHistory: async (userId, limit = 5) => {
-    return apiRequest(`/api/game/user/${userId}/history?limit=${limit}`, {
+  kickPlayer: async (gameId, playerId) => {
+    return apiRequest(`/api/game/${gameId}/kick`, {
+      method: 'POST',
+      body: { playerId },
+    });
+  },
+
+  /**
+   * Host removes a player or join request and blocks that user from this lobby
+   * @param {string} gameId - Lobby/game ID
+   * @param {string} playerId - Player to ban
+   */
+  banPlayer: async (gameId, playerId) => {
+    return apiRequest(`/api/game/${gameId}/ban`, {
+      method: 'POST',
+      body: { playerId },
+    });
+  },
+
+  /**
+   * Host moves a player to another team in a waiting team game
+   * @param {string} gameId - Lobby/game ID
+   * @param {string} playerId - Player to move
+   * @param {string} teamId - Team to move them to ('A' or 'B')
+   */
+  assignTeam: async (gameId, playerId, teamId) => {
+    return apiRequest(`/api/game/${gameId}/teams`, {
+      method: 'POST',
+      body: { playerId, teamId },
+    });
+  },
+
+  /**
+   * Get a page of a user's finished games, newest first by default
+   * @param {string} userId - User ID
+   * @param {Object} params - limit, cursor, sort ('date' | 'score'), order ('asc' | 'desc'), mode, from, to, coPlayer
+   * @returns {Promise<{games: Array, nextCursor: string|null}>}
+   */
+  getUserHistory: async (userId, params = {}) => {
+    const search = new URLSearchParams(
+      Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== ''),
+    );
+    return apiRequest(`/api/game/user/${userId}/history?${search.toString()}`, {
+      method: 'GET',
+    });
+  },
+};
+
+/**
+ * Quick-play matchmaking API Functions
+ */
+export const matchmakingAPI = {
+  /**
+   * Join the quick-play queue; matching players are put into a game that starts right away
+   * @param {Object} preferences - playerName, playerCount (2-5), turnDurationSeconds, maxWaitSeconds
+   * @returns {Promise<Object>} The queue entry (status `matched` with a gameId if a game was found)
+   */
+  enqueue: async (preferences) => {
+    return apiRequest('/api/matchmaking/enqueue', {
+      method: 'POST',
+      body: preferences,
+    });
+  },
+
+  /**
+   * Leave the quick-play queue
+   */
+  cancel: async () => {
+    return apiRequest('/api/matchmaking/cancel', {
+      method: 'POST',
+    });
+  },
+
+  /**
+   * Get the signed-in user's queue entry (queued, matched, cancelled or expired)
+   */
+  getStatus: async () => {
+    return apiRequest('/api/matchmaking/status', {
       method: 'GET',
     });
   },
@@ -216,15 +455,124 @@ export const gameAPI = {
  */
 export const leaderboardAPI = {
   /**
-   * Get the leaderboard (top scores)
+   * Get one leaderboard board
    * @param {number} limit - Maximum number of entries to return (default 20)
+   * @param {Object} board - `mode` (all|multi|single|rapid|team), `window` (all|weekly|daily) or `season` id
    */
-  getLeaderboard: async (limit = 20) => {
-    const search = new URLSearchParams({ limit: String(limit) });
+  getLeaderboard: async (limit = 20, { mode = 'all', window = 'all', season = null } = {}) => {
+    const search = new URLSearchParams({ limit: String(limit), mode, window });
+    if (season) search.set('season', season);
     return apiRequest(`/api/leaderboard?${search.toString()}`, {
       method: 'GET',
     });
   },
+
+  /**
+   * List leaderboard seasons, newest first (the current one is `active`)
+   */
+  getSeasons: async () => {
+    return apiRequest('/api/leaderboard/seasons', {
+      method: 'GET',
+    });
+  },
+
+  /**
+   * Get the daily challenge board for a UTC date (default today)
+   * @param {string|null} date - YYYY-MM-DD
+   */
+  getDailyChallengeLeaderboard: async (limit = 20, date = null) => {
+    const search = new URLSearchParams({ limit: String(limit) });
+    if (date) search.set('date', date);
+    return apiRequest(`/api/leaderboard/daily-challenge?${search.toString()}`, {
+      method: 'GET',
+    });
+  },
+};
+
+/**
+ * Daily Challenge API Functions
+ */
+export const dailyAPI = {
+  /**
+   * Get today's challenge with the caller's attempt and streak
+   * @returns {Promise<{challenge: Object, attempt: Object|null, streak: Object}>}
+   */
+  getChallenge: async () => {
+    return apiRequest('/api/daily', {
+      method: 'GET',
+    });
+  },
+
+  /**
+   * Start the caller's one attempt at today's challenge
+   * @param {string} mode - 'single' or 'rapid'
+   * @param {string} playerName - Display name for the game
+   */
+  startAttempt: async (mode, playerName) => {
+    return apiRequest('/api/daily/attempts', {
+      method: 'POST',
+      body: { mode, playerName },
+    });
+  },
+};
+
+/**
+ * User API Functions
+ */
+export const userAPI = {
+  /**
+   * Get a player's lifetime profile (games per mode, metric averages and bests, words written)
+   */
+  getProfile: async (userId) => {
+    return apiRequest(`/api/users/${userId}/profile`, {
+      method: 'GET',
+    });
+  },
+
+  /**
+   * Get every achievement with when (and in which game) the player unlocked it
+   * @returns {Promise<{achievements: Array, unlocked: number, total: number}>}
+   */
+  getAchievements: async (userId) => {
+    return apiRequest(`/api/users/${userId}/achievements`, {
+      method: 'GET',
+    });
+  },
+};
+
+/**
+ * Gallery API Functions (public, no sign-in needed)
+ */
+export const galleryAPI = {
+  /**
+   * List published stories
+   * @param {'recent'|'popular'} sort - Newest first or most viewed first
+   * @param {number} limit - Maximum number of stories to return (default 24)
+   */
+  listStories: async (sort = 'recent', limit = 24) => {
+    const search = new URLSearchParams({ sort, limit: String(limit) });
+    return apiRequest(`/api/gallery?${search.toString()}`, {
+      method: 'GET',
+    });
+  },
+
+  /**
+   * Get a published story by its share slug
+   */
+  getStory: async (slug) => {
+    return apiRequest(`/api/gallery/${slug}`, {
+      method: 'GET',
+    });
+  },
+
+  /**
+   * Count a view of a published story (the server counts each reader once a day)
+   */
+  recordView: async (slug) => {
+    return apiRequest(`/api/gallery/${slug}/views`, {
+      method: 'POST',
+    });
+  },
 };
 
 /**